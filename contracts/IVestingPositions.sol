@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IVestingPositions
+ * @dev What TokenVesting calls on its position NFT
+ */
+interface IVestingPositions {
+    function tokenVesting() external view returns (address);
+
+    function mint(address to, uint256 scheduleId) external;
+
+    function syncOwner(uint256 scheduleId, address to) external;
+}
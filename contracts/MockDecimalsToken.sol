@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockToken.sol";
+
+/**
+ * @title MockDecimalsToken
+ * @dev A MockToken reporting any number of decimals (for testing)
+ */
+contract MockDecimalsToken is MockToken {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint8 decimals_
+    ) MockToken(name, symbol, initialSupply) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
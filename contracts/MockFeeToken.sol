@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeToken
+ * @dev An ERC20 token that burns a fee on every transfer (for testing)
+ */
+contract MockFeeToken is ERC20 {
+    // Fee in basis points taken from each transfer
+    uint256 public feeBasisPoints;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint256 _feeBasisPoints
+    ) ERC20(name, symbol) {
+        feeBasisPoints = _feeBasisPoints;
+        _mint(msg.sender, initialSupply);
+    }
+
+    /**
+     * @dev Change the transfer fee (for testing)
+     * @param _feeBasisPoints New fee in basis points
+     */
+    function setFee(uint256 _feeBasisPoints) external {
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    /**
+     * @dev Mint tokens to a specific address (for testing)
+     * @param to Address to mint tokens to
+     * @param amount Amount of tokens to mint
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        // The recipient gets the amount minus the fee, which is burned
+        uint256 fee = value * feeBasisPoints / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
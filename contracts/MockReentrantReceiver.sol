@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockReentrantReceiver
+ * @dev A contract beneficiary or creator that calls back into TokenVesting
+ * whenever it is paid native currency, or refuses payments (for testing)
+ */
+contract MockReentrantReceiver {
+    address public immutable tokenVesting;
+
+    // Call made back into TokenVesting on every payment, if set
+    bytes public attack;
+
+    // Revert data of the last call back into TokenVesting (empty if it succeeded)
+    bytes public reentryError;
+
+    bool public rejectPayments;
+
+    constructor(address _tokenVesting) {
+        tokenVesting = _tokenVesting;
+    }
+
+    /**
+     * @dev Calls TokenVesting as this contract, forwarding any value
+     * @param data Calldata of the call
+     */
+    function execute(bytes calldata data) external payable returns (bytes memory result) {
+        bool success;
+        (success, result) = tokenVesting.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Sets the call made back into TokenVesting on every payment
+     * @param data Calldata of the call, or empty for none
+     */
+    function setAttack(bytes calldata data) external {
+        attack = data;
+    }
+
+    /**
+     * @dev Makes every payment to this contract revert
+     * @param reject Whether to reject payments
+     */
+    function setRejectPayments(bool reject) external {
+        rejectPayments = reject;
+    }
+
+    receive() external payable {
+        require(!rejectPayments, "Payments rejected");
+
+        if (attack.length > 0) {
+            (bool success, bytes memory result) = tokenVesting.call(attack);
+            reentryError = success ? bytes("") : result;
+        }
+    }
+}
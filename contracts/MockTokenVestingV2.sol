@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./TokenVesting.sol";
+
+/**
+ * @title MockTokenVestingV2
+ * @dev TokenVesting with a state variable appended after the existing ones,
+ * used to test that proxy upgrades keep live schedules intact
+ */
+contract MockTokenVestingV2 is TokenVesting {
+    string public releaseNote;
+
+    function setReleaseNote(string calldata note) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        releaseNote = note;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockUnsafeTokenVesting
+ * @dev Declares its own state where TokenVesting keeps its roles and
+ * schedules, so upgrading a TokenVesting proxy to it must be refused
+ */
+contract MockUnsafeTokenVesting {
+    uint256 public nextScheduleId;
+    mapping(uint256 => address) public beneficiaries;
+
+    function version() external pure returns (string memory) {
+        return "unsafe";
+    }
+}
@@ -3,15 +3,40 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./IVestingPositions.sol";
+import "./TokenVestingLogic.sol";
 
 /**
  * @title TokenVesting
- * @dev A token vesting contract with cliff and linear release functionality
+ * @dev A token vesting contract with cliff and linear release functionality.
+ * Administration is split into roles: pausers pause, treasurers withdraw
+ * surplus, and schedules created by schedule managers belong to the company
+ * (the contract itself is recorded as their creator), so revokers and
+ * schedule managers can act on them after the original creator has left.
+ * The default admin grants every role and is handed over in two steps.
+ * TokenVestingFactory deploys isolated minimal-proxy clones of this contract,
+ * and scripts/deploy-upgradeable.js puts it behind a transparent proxy; both
+ * are set up with initialize() instead of the constructor. New state
+ * variables must be appended after the existing ones so upgrades keep the
+ * storage layout. Optionally, each schedule is also an ERC-721 position
+ * (see VestingPositions) whose owner is the schedule's beneficiary.
+ * Schedules of NATIVE_TOKEN vest the chain's native currency, paid in with
+ * the creating call and sent out with a plain call.
+ * A pause lifts itself after MAX_PAUSE_DURATION, so claims resume even if
+ * the pausers' keys are lost. The time a pause leaves unused when it is
+ * unpaused early is left to the next one, and once a pause has used up its
+ * time, the next one can only start PAUSE_COOLDOWN after it ended. An emergency shutdown by the default admin
+ * stops every schedule for good once its notice period has passed:
+ * beneficiaries claim what has vested and creators reclaim the rest.
+ * Everything off the linear claim path lives in the TokenVestingLogic
+ * library, which deployments link this contract against.
  */
-contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
+contract TokenVesting is AccessControlDefaultAdminRules, ReentrancyGuard, Pausable, EIP712, Nonces {
     using SafeERC20 for IERC20;
 
     struct VestingSchedule {
@@ -22,9 +47,90 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
         uint256 startTime;
         uint256 cliffDuration;
         uint256 vestingDuration;
+        uint256 slicePeriodSeconds;
         bool revocable;
         bool revoked;
         address creator;
+        TransferPolicy transferPolicy;
+    }
+
+    struct ScheduleParams {
+        address beneficiary;
+        uint256 totalAmount;
+        uint256 startTime;
+        uint256 cliffDuration;
+        uint256 vestingDuration;
+        uint256 slicePeriodSeconds;
+        bool revocable;
+        TransferPolicy transferPolicy;
+    }
+
+    /**
+     * @dev Whether a schedule's beneficiary may hand it to someone else.
+     * Free transfers still need the new beneficiary to accept;
+     * CreatorApproved transfers also need the creator's approval.
+     */
+    enum TransferPolicy {
+        Disabled,
+        Free,
+        CreatorApproved
+    }
+
+    /**
+     * @dev A proposed transfer waiting for the new beneficiary to accept it
+     */
+    struct PendingTransfer {
+        address newBeneficiary;
+        bool approved;
+    }
+
+    /**
+     * @dev A point on a custom unlock curve: the share of the schedule vested
+     * at `timestamp`, in basis points. The curve is interpolated linearly
+     * between checkpoints; two checkpoints at the same timestamp form a jump.
+     */
+    struct Checkpoint {
+        uint64 timestamp;
+        uint16 basisPoints;
+    }
+
+    /**
+     * @dev How deposits of a token are accounted when fewer tokens arrive
+     * than were sent (fee-on-transfer tokens). RequireExact rejects such
+     * deposits; RecordReceived vests only what actually arrived.
+     */
+    enum DepositPolicy {
+        RequireExact,
+        RecordReceived
+    }
+
+    /**
+     * @dev A schedule exported from an earlier TokenVesting deployment.
+     * For a revoked schedule, totalAmount is what had vested at revocation.
+     */
+    struct ImportedSchedule {
+        uint256 scheduleId;
+        address beneficiary;
+        address creator;
+        uint256 totalAmount;
+        uint256 claimedAmount;
+        uint256 startTime;
+        uint256 cliffDuration;
+        uint256 vestingDuration;
+        bool revocable;
+        bool revoked;
+        TransferPolicy transferPolicy;
+    }
+
+    /**
+     * @dev Where an amended schedule continues vesting from: the amount
+     * vested when it was last amended after its cliff, and the start of the
+     * slice period it was amended in. The rest vests linearly from there to
+     * the (new) end of the schedule.
+     */
+    struct VestingBase {
+        uint256 vestedAmount;
+        uint256 timestamp;
     }
 
     // Mapping from schedule ID to vesting schedule
@@ -39,6 +145,72 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
     // Counter for schedule IDs
     uint256 public nextScheduleId;
 
+    // Mapping from token to its deposit policy (RequireExact by default)
+    mapping(address => DepositPolicy) public depositPolicy;
+
+    // Mapping from schedule ID to its unlock curve (empty for cliff-plus-linear schedules)
+    mapping(uint256 => Checkpoint[]) private scheduleCheckpoints;
+
+    // Mapping from schedule ID to its proposed transfer, if any
+    mapping(uint256 => PendingTransfer) public pendingTransfers;
+
+    // Whether only allowlisted tokens and creators can create schedules (both open by default)
+    bool public tokenAllowlistEnabled;
+    bool public creatorAllowlistEnabled;
+
+    // Allowlists consulted once the corresponding mode is enabled
+    mapping(address => bool) public allowedTokens;
+    mapping(address => bool) public allowedCreators;
+
+    // Set by the constructor, or by initialize() on a clone or proxy
+    bool private _initialized;
+
+    // ERC-721 contract holding a position for every schedule, if enabled
+    address public positionNFT;
+
+    // Mapping from schedule ID to where it vests from since its last amendment (zero if never amended after its cliff)
+    mapping(uint256 => VestingBase) public vestingBases;
+
+    // Mapping from schedule ID to when its announced revocation takes effect (zero if none)
+    mapping(uint256 => uint256) public revocationTimes;
+
+    // Minimum notice between announcing a revocation and its effective time
+    uint256 public revocationGracePeriod;
+
+    // When the current or last pause ends, by lapsing or when it was unpaused (zero if never paused)
+    uint256 public pauseEndTime;
+
+    // When the announced shutdown takes effect, ending all vesting (zero if none was announced)
+    uint256 public shutdownTime;
+
+    // Pause time the last pause left when it was unpaused early, which the next pause can use during the cooldown
+    uint256 public unusedPauseTime;
+
+    // Token address under which native currency schedules and balances are recorded
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
+    uint256 public constant BASIS_POINTS = TokenVestingLogic.BASIS_POINTS;
+    uint256 public constant MAX_CHECKPOINTS = TokenVestingLogic.MAX_CHECKPOINTS;
+
+    uint48 public constant ADMIN_TRANSFER_DELAY = 1 days;
+
+    // Longest a pause lasts before the contract unpauses by itself
+    uint256 public constant MAX_PAUSE_DURATION = 30 days;
+
+    // Time that has to pass after a pause ends before the next one gets a full MAX_PAUSE_DURATION
+    uint256 public constant PAUSE_COOLDOWN = 7 days;
+
+    // Notice between announcing an emergency shutdown and its effect, at least MAX_PAUSE_DURATION
+    uint256 public constant SHUTDOWN_NOTICE_PERIOD = 30 days;
+
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant SCHEDULE_MANAGER_ROLE = keccak256("SCHEDULE_MANAGER_ROLE");
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+
+    bytes32 public constant CLAIM_TYPEHASH =
+        keccak256("Claim(uint256 scheduleId,address recipient,uint256 nonce,uint256 deadline)");
+
     // Events
     event VestingScheduleCreated(
         uint256 indexed scheduleId,
@@ -75,17 +247,118 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
         address indexed to
     );
 
-    constructor() Ownable(msg.sender) {}
+    event ScheduleTransferProposed(
+        uint256 indexed scheduleId,
+        address indexed beneficiary,
+        address indexed newBeneficiary
+    );
+
+    event ScheduleTransferApproved(
+        uint256 indexed scheduleId,
+        address indexed newBeneficiary
+    );
+
+    event ScheduleTransferCancelled(
+        uint256 indexed scheduleId,
+        address indexed cancelledBy
+    );
+
+    event DepositPolicyUpdated(
+        address indexed token,
+        DepositPolicy policy
+    );
+
+    event TokenAllowlistUpdated(
+        address indexed token,
+        bool allowed
+    );
+
+    event CreatorAllowlistUpdated(
+        address indexed creator,
+        bool allowed
+    );
+
+    event AllowlistModeUpdated(
+        bool tokenAllowlistEnabled,
+        bool creatorAllowlistEnabled
+    );
+
+    event VestingScheduleImported(
+        uint256 indexed scheduleId,
+        uint256 claimedAmount,
+        bool revoked
+    );
+
+    event PositionNFTSet(
+        address indexed positionNFT
+    );
+
+    event RevocationAnnounced(
+        uint256 indexed scheduleId,
+        uint256 effectiveTime
+    );
+
+    event RevocationCancelled(
+        uint256 indexed scheduleId
+    );
+
+    event RevocationGracePeriodUpdated(
+        uint256 gracePeriod
+    );
+
+    event EmergencyShutdown(
+        uint256 shutdownTime
+    );
+
+    event VestingScheduleAmended(
+        uint256 indexed scheduleId,
+        uint256 oldTotalAmount,
+        uint256 newTotalAmount,
+        uint256 oldVestingDuration,
+        uint256 newVestingDuration,
+        uint256 vestedAmount
+    );
+
+    /**
+     * @dev Makes the deployer the default admin, pauser and treasurer. Handing
+     * over the default admin role takes effect one day after it is started.
+     */
+    constructor() AccessControlDefaultAdminRules(ADMIN_TRANSFER_DELAY, msg.sender) EIP712("TokenVesting", "1") {
+        _initialized = true;
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Sets up a clone or proxy, which starts with empty storage:
+     * `admin` becomes the default admin, pauser and treasurer. The admin
+     * handover delay starts at zero and reaches ADMIN_TRANSFER_DELAY one day
+     * after initialization. Can only be called once per clone or proxy and
+     * never on a contract deployed with the constructor.
+     * @param admin Address of the instance's default admin
+     */
+    function initialize(address admin) external {
+        require(!_initialized, "Already initialized");
+        require(admin != address(0), "Invalid admin address");
+
+        _initialized = true;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(TREASURER_ROLE, admin);
+        _changeDefaultAdminDelay(ADMIN_TRANSFER_DELAY);
+    }
 
     /**
      * @dev Creates a new vesting schedule
      * @param beneficiary Address of the beneficiary
-     * @param token Address of the ERC20 token
+     * @param token Address of the ERC20 token, or NATIVE_TOKEN with the amount sent as value
      * @param totalAmount Total amount of tokens to vest
      * @param startTime Start time of the vesting (unix timestamp)
      * @param cliffDuration Duration of the cliff period in seconds
      * @param vestingDuration Total vesting duration in seconds (including cliff)
+     * @param slicePeriodSeconds Release interval in seconds after the cliff (1 for continuous release)
      * @param revocable Whether the schedule can be revoked
+     * @param transferPolicy Whether and how the beneficiary may transfer the schedule
      */
     function createVestingSchedule(
         address beneficiary,
@@ -94,48 +367,129 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
         uint256 startTime,
         uint256 cliffDuration,
         uint256 vestingDuration,
-        bool revocable
-    ) external nonReentrant whenNotPaused returns (uint256) {
-        require(beneficiary != address(0), "Invalid beneficiary address");
-        require(token != address(0), "Invalid token address");
-        require(totalAmount > 0, "Amount must be greater than 0");
-        require(startTime >= block.timestamp, "Start time cannot be in the past");
-        require(vestingDuration > 0, "Vesting duration must be greater than 0");
-        require(cliffDuration <= vestingDuration, "Cliff duration cannot exceed vesting duration");
+        uint256 slicePeriodSeconds,
+        bool revocable,
+        TransferPolicy transferPolicy
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        ScheduleParams memory params = ScheduleParams({
+            beneficiary: beneficiary,
+            totalAmount: totalAmount,
+            startTime: startTime,
+            cliffDuration: cliffDuration,
+            vestingDuration: vestingDuration,
+            slicePeriodSeconds: slicePeriodSeconds,
+            revocable: revocable,
+            transferPolicy: transferPolicy
+        });
+        _validateScheduleParams(token, params);
 
-        // Transfer tokens from creator to this contract
-        IERC20(token).safeTransferFrom(msg.sender, address(this), totalAmount);
+        // Transfer tokens from creator to this contract and vest what arrived
+        params.totalAmount = _pullTokens(token, totalAmount);
 
-        uint256 scheduleId = nextScheduleId++;
+        return _createVestingSchedule(token, params);
+    }
+
+    /**
+     * @dev Creates a vesting schedule that follows a custom unlock curve.
+     * The schedule starts at the first checkpoint and ends at the last one,
+     * which must unlock 100%.
+     * @param beneficiary Address of the beneficiary
+     * @param token Address of the ERC20 token, or NATIVE_TOKEN with the amount sent as value
+     * @param totalAmount Total amount of tokens to vest
+     * @param checkpoints Cumulative unlock checkpoints, ordered by timestamp
+     * @param revocable Whether the schedule can be revoked
+     * @param transferPolicy Whether and how the beneficiary may transfer the schedule
+     */
+    function createCheckpointVestingSchedule(
+        address beneficiary,
+        address token,
+        uint256 totalAmount,
+        Checkpoint[] calldata checkpoints,
+        bool revocable,
+        TransferPolicy transferPolicy
+    ) external payable nonReentrant whenNotPaused returns (uint256 scheduleId) {
+        (uint256 startTime, uint256 vestingDuration) = TokenVestingLogic.validateCheckpoints(checkpoints);
 
-        vestingSchedules[scheduleId] = VestingSchedule({
+        ScheduleParams memory params = ScheduleParams({
             beneficiary: beneficiary,
-            token: token,
             totalAmount: totalAmount,
-            claimedAmount: 0,
             startTime: startTime,
-            cliffDuration: cliffDuration,
+            cliffDuration: 0,
             vestingDuration: vestingDuration,
+            slicePeriodSeconds: 1,
             revocable: revocable,
-            revoked: false,
-            creator: msg.sender
+            transferPolicy: transferPolicy
         });
+        _validateScheduleParams(token, params);
 
-        beneficiarySchedules[beneficiary].push(scheduleId);
-        totalLockedTokens[token] += totalAmount;
+        // Transfer tokens from creator to this contract and vest what arrived
+        params.totalAmount = _pullTokens(token, totalAmount);
 
-        emit VestingScheduleCreated(
-            scheduleId,
-            beneficiary,
-            token,
-            totalAmount,
-            startTime,
-            cliffDuration,
-            vestingDuration,
-            revocable
-        );
+        scheduleId = _createVestingSchedule(token, params);
+        TokenVestingLogic.storeCheckpoints(scheduleCheckpoints[scheduleId], checkpoints);
+    }
 
-        return scheduleId;
+    /**
+     * @dev Creates several vesting schedules for the same token, pulling the
+     * combined amount from the creator in a single transfer. If the token's
+     * policy records a smaller received amount, every schedule is scaled down
+     * proportionally and any rounding dust stays in the contract as surplus.
+     * @param token Address of the ERC20 token, or NATIVE_TOKEN with the amount sent as value
+     * @param schedules Parameters of each schedule to create
+     * @return scheduleIds IDs of the created schedules, in input order
+     */
+    function createVestingSchedulesBatch(
+        address token,
+        ScheduleParams[] calldata schedules
+    ) external payable nonReentrant whenNotPaused returns (uint256[] memory scheduleIds) {
+        require(schedules.length > 0, "Empty batch");
+
+        uint256 batchAmount;
+        for (uint256 i = 0; i < schedules.length; i++) {
+            _validateScheduleParams(token, schedules[i]);
+            batchAmount += schedules[i].totalAmount;
+        }
+
+        // Transfer the whole batch from creator to this contract
+        uint256 received = _pullTokens(token, batchAmount);
+
+        scheduleIds = new uint256[](schedules.length);
+        for (uint256 i = 0; i < schedules.length; i++) {
+            ScheduleParams memory params = schedules[i];
+            if (received != batchAmount) {
+                params.totalAmount = params.totalAmount * received / batchAmount;
+                require(params.totalAmount > 0, "No tokens received");
+            }
+            scheduleIds[i] = _createVestingSchedule(token, params);
+        }
+    }
+
+    /**
+     * @dev Recreates schedules exported from an earlier deployment (only the
+     * default admin), keeping their IDs, beneficiary, creator, start, cliff,
+     * duration and claimed amount. IDs must continue this contract's
+     * sequence, so imports happen in order and before any new schedule is
+     * created. The caller pays in what is still owed on the imported
+     * schedules, which must arrive in full. Imports also work while paused,
+     * so a migration can be checked before beneficiaries can act on it.
+     * @param token Address of the ERC20 token of every imported schedule, or NATIVE_TOKEN with the owed amount sent as value
+     * @param schedules The exported schedules, ordered by scheduleId
+     * @return owedAmount Amount pulled from the caller
+     */
+    function importVestingSchedules(
+        address token,
+        ImportedSchedule[] calldata schedules
+    ) external payable nonReentrant onlyRole(DEFAULT_ADMIN_ROLE) returns (uint256 owedAmount) {
+        require(token != address(0), "Invalid token address");
+        require(schedules.length > 0, "Empty batch");
+
+        for (uint256 i = 0; i < schedules.length; i++) {
+            owedAmount += _importVestingSchedule(token, schedules[i]);
+        }
+
+        if (owedAmount > 0 || msg.value > 0) {
+            require(_pullTokens(token, owedAmount) == owedAmount, "Import must be fully funded");
+        }
     }
 
     /**
@@ -143,96 +497,411 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
      * @param scheduleId ID of the vesting schedule
      */
     function claimTokens(uint256 scheduleId) external nonReentrant whenNotPaused {
-        VestingSchedule storage schedule = vestingSchedules[scheduleId];
-        
-        require(schedule.beneficiary == msg.sender, "Not the beneficiary");
-        require(!schedule.revoked, "Schedule has been revoked");
-        
-        uint256 vestedAmount = getVestedAmount(scheduleId);
-        uint256 claimableAmount = vestedAmount - schedule.claimedAmount;
+        uint256 claimableAmount = _claim(scheduleId, msg.sender);
         
         require(claimableAmount > 0, "No tokens available for claim");
 
-        schedule.claimedAmount += claimableAmount;
-        totalLockedTokens[schedule.token] -= claimableAmount;
+        _send(vestingSchedules[scheduleId].token, msg.sender, claimableAmount);
+    }
+
+    /**
+     * @dev Claims vested tokens from several schedules, skipping those with
+     * nothing to claim and sending one transfer per token
+     * @param scheduleIds IDs of the caller's vesting schedules
+     * @return amounts Amount claimed from each schedule, in input order
+     */
+    function claimMany(uint256[] calldata scheduleIds) external nonReentrant whenNotPaused returns (uint256[] memory amounts) {
+        amounts = new uint256[](scheduleIds.length);
+        address[] memory tokens = new address[](scheduleIds.length);
+        uint256[] memory tokenTotals = new uint256[](scheduleIds.length);
+        uint256 tokenCount;
+
+        for (uint256 i = 0; i < scheduleIds.length; i++) {
+            amounts[i] = _claim(scheduleIds[i], msg.sender);
+            if (amounts[i] == 0) {
+                continue;
+            }
+
+            address token = vestingSchedules[scheduleIds[i]].token;
+            uint256 j = 0;
+            while (j < tokenCount && tokens[j] != token) {
+                j++;
+            }
+            if (j == tokenCount) {
+                tokens[tokenCount++] = token;
+            }
+            tokenTotals[j] += amounts[i];
+        }
+
+        require(tokenCount > 0, "No tokens available for claim");
+
+        for (uint256 j = 0; j < tokenCount; j++) {
+            _send(tokens[j], msg.sender, tokenTotals[j]);
+        }
+    }
+
+    /**
+     * @dev Claims vested tokens from every schedule of the caller in one token
+     * @param token Address of the ERC20 token, or NATIVE_TOKEN
+     * @return totalClaimed Amount claimed across all schedules
+     */
+    function claimAll(address token) external nonReentrant whenNotPaused returns (uint256 totalClaimed) {
+        uint256[] storage scheduleIds = beneficiarySchedules[msg.sender];
+
+        for (uint256 i = 0; i < scheduleIds.length; i++) {
+            if (vestingSchedules[scheduleIds[i]].token == token) {
+                totalClaimed += _claim(scheduleIds[i], msg.sender);
+            }
+        }
+
+        require(totalClaimed > 0, "No tokens available for claim");
+
+        _send(token, msg.sender, totalClaimed);
+    }
+
+    /**
+     * @dev Claims vested tokens with the beneficiary's EIP-712 signature, so
+     * anyone (such as a relayer) can submit the claim and pay the gas. The
+     * signed Claim message binds the schedule, recipient, the beneficiary's
+     * current nonce and a deadline.
+     * @param scheduleId ID of the vesting schedule
+     * @param recipient Address receiving the tokens, or the zero address for the beneficiary
+     * @param deadline Last timestamp at which the signature is valid
+     * @param signature Beneficiary's ECDSA signature
+     * @return claimableAmount Amount claimed
+     */
+    function claimWithSignature(
+        uint256 scheduleId,
+        address recipient,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused returns (uint256 claimableAmount) {
+        require(block.timestamp <= deadline, "Signature expired");
 
-        IERC20(schedule.token).safeTransfer(schedule.beneficiary, claimableAmount);
+        address beneficiary = vestingSchedules[scheduleId].beneficiary;
+        bytes32 structHash = keccak256(
+            abi.encode(CLAIM_TYPEHASH, scheduleId, recipient, _useNonce(beneficiary), deadline)
+        );
+        TokenVestingLogic.checkClaimSignature(_hashTypedDataV4(structHash), signature, beneficiary);
+
+        claimableAmount = _claim(scheduleId, beneficiary);
+
+        require(claimableAmount > 0, "No tokens available for claim");
 
-        emit TokensClaimed(scheduleId, schedule.beneficiary, claimableAmount);
+        _send(vestingSchedules[scheduleId].token, recipient == address(0) ? beneficiary : recipient, claimableAmount);
     }
+
     /**
-     * @dev Revokes a vesting schedule (only for revocable schedules)
+     * @dev Revokes a vesting schedule (only for revocable schedules).
+     * The amount vested at revocation becomes the schedule's totalAmount,
+     * so it stays claimable by the beneficiary. Unvested tokens go back to
+     * the creator; for company schedules, which revokers revoke, they stay
+     * in the contract as surplus for the treasurer. A schedule with an
+     * announced revocation can only be revoked once it has taken effect,
+     * and then only keeps what vested until the effective time. Without an
+     * announcement, revocation is immediate unless a grace period is set.
+     * Once an emergency shutdown has taken effect, creators can revoke any
+     * of their schedules at once, revocable or not, to reclaim what had not
+     * vested by the shutdown.
      * @param scheduleId ID of the vesting schedule to revoke
      */
     function revokeVestingSchedule(uint256 scheduleId) external nonReentrant whenNotPaused {
         VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        uint256 effectiveTime = revocationTimes[scheduleId];
         
-        require(schedule.creator == msg.sender, "Not the creator");
-        require(schedule.revocable, "Schedule is not revocable");
-        require(!schedule.revoked, "Schedule already revoked");
+        _checkRevocable(schedule);
+        if (_isShutDown()) {
+            // Vesting already stopped at the shutdown
+        } else if (effectiveTime == 0) {
+            require(revocationGracePeriod == 0, "Revocation must be announced");
+        } else {
+            require(block.timestamp >= effectiveTime, "Revocation not yet effective");
+        }
 
         uint256 vestedAmount = getVestedAmount(scheduleId);
         uint256 unvestedAmount = schedule.totalAmount - vestedAmount;
 
         schedule.revoked = true;
+        schedule.totalAmount = vestedAmount;
 
         if (unvestedAmount > 0) {
-            totalLockedTokens[schedule.token] -= unvestedAmount;
-            IERC20(schedule.token).safeTransfer(schedule.creator, unvestedAmount);
+            _returnToCreator(schedule, unvestedAmount);
         }
 
         emit VestingScheduleRevoked(scheduleId, schedule.beneficiary, unvestedAmount);
     }
 
     /**
-     * @dev Transfers a vesting schedule to a new beneficiary
+     * @dev Announces the revocation of a schedule at `effectiveTime`, at
+     * least the grace period from now. The schedule keeps vesting until
+     * then and stops at the effective time, after which revokeVestingSchedule
+     * returns the rest. Replaces an earlier announcement that has not taken
+     * effect yet.
+     * @param scheduleId ID of the vesting schedule
+     * @param effectiveTime When the revocation takes effect
+     */
+    function announceRevocation(uint256 scheduleId, uint256 effectiveTime) external nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        uint256 announcedTime = revocationTimes[scheduleId];
+
+        _checkNotShutDown();
+        _checkRevocable(schedule);
+        require(announcedTime == 0 || block.timestamp < announcedTime, "Revocation already effective");
+        require(effectiveTime >= block.timestamp + revocationGracePeriod, "Notice shorter than grace period");
+
+        revocationTimes[scheduleId] = effectiveTime;
+
+        emit RevocationAnnounced(scheduleId, effectiveTime);
+    }
+
+    /**
+     * @dev Cancels an announced revocation before it takes effect
+     * @param scheduleId ID of the vesting schedule
+     */
+    function cancelRevocation(uint256 scheduleId) external nonReentrant whenNotPaused {
+        uint256 announcedTime = revocationTimes[scheduleId];
+
+        require(_actsForCreator(vestingSchedules[scheduleId], REVOKER_ROLE), "Not the creator");
+        require(announcedTime != 0, "No revocation announced");
+        require(block.timestamp < announcedTime, "Revocation already effective");
+
+        delete revocationTimes[scheduleId];
+
+        emit RevocationCancelled(scheduleId);
+    }
+
+    /**
+     * @dev Amends a schedule's total amount and duration without replacing
+     * it. What has vested so far stays vested: after the cliff, the schedule
+     * continues from its vested amount at the time of the amendment and
+     * vests the rest linearly until the new end, still released at the
+     * slice periods counted from the cliff end. A top-up never vests less
+     * at any time than the schedule would have without it. Reducing the
+     * amount or extending the duration is a partial revocation, so it needs
+     * a revocable schedule, and the reduction goes back to the creator like
+     * a revocation's. Top-ups are pulled from the caller in full and work on
+     * any schedule.
+     * @param scheduleId ID of the vesting schedule
+     * @param newTotalAmount New total amount, at least the amount vested so far
+     * @param newVestingDuration New vesting duration in seconds, at least the current one
+     */
+    function amendVestingSchedule(
+        uint256 scheduleId,
+        uint256 newTotalAmount,
+        uint256 newVestingDuration
+    ) external payable nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        uint256 oldTotalAmount = schedule.totalAmount;
+        uint256 oldVestingDuration = schedule.vestingDuration;
+
+        _checkNotShutDown();
+        require(_actsForCreator(schedule, REVOKER_ROLE), "Not the creator");
+
+        uint256 vestedAmount = getVestedAmount(scheduleId);
+        TokenVestingLogic.amendSchedule(
+            schedule,
+            vestingBases[scheduleId],
+            scheduleCheckpoints[scheduleId].length > 0,
+            revocationTimes[scheduleId] != 0,
+            vestedAmount,
+            newTotalAmount,
+            newVestingDuration
+        );
+
+        if (newTotalAmount >= oldTotalAmount) {
+            uint256 topUp = newTotalAmount - oldTotalAmount;
+            if (topUp > 0 || msg.value > 0) {
+                require(_pullTokens(schedule.token, topUp) == topUp, "Top-up must be fully funded");
+                totalLockedTokens[schedule.token] += topUp;
+            }
+        } else {
+            require(msg.value == 0, "Native currency not expected");
+            _returnToCreator(schedule, oldTotalAmount - newTotalAmount);
+        }
+
+        emit VestingScheduleAmended(
+            scheduleId,
+            oldTotalAmount,
+            newTotalAmount,
+            oldVestingDuration,
+            newVestingDuration,
+            vestedAmount
+        );
+    }
+
+    /**
+     * @dev Proposes transferring a vesting schedule to a new beneficiary, who
+     * has to accept it. Replaces any earlier proposal, including its approval.
      * @param scheduleId ID of the vesting schedule
      * @param newBeneficiary Address of the new beneficiary
      */
-    function transferVestingSchedule(uint256 scheduleId, address newBeneficiary) external nonReentrant whenNotPaused {
+    function proposeScheduleTransfer(uint256 scheduleId, address newBeneficiary) external nonReentrant whenNotPaused {
         VestingSchedule storage schedule = vestingSchedules[scheduleId];
         
         require(schedule.beneficiary == msg.sender, "Not the beneficiary");
-        require(newBeneficiary != address(0), "Invalid new beneficiary address");
+        require(schedule.transferPolicy != TransferPolicy.Disabled, "Transfers are disabled");
+        require(newBeneficiary != address(0) && newBeneficiary != msg.sender, "Invalid new beneficiary address");
         require(!schedule.revoked, "Cannot transfer revoked schedule");
 
-        address oldBeneficiary = schedule.beneficiary;
-        schedule.beneficiary = newBeneficiary;
+        pendingTransfers[scheduleId] = PendingTransfer({ newBeneficiary: newBeneficiary, approved: false });
 
-        // Remove from old beneficiary's list
-        _removeScheduleFromBeneficiary(oldBeneficiary, scheduleId);
-        
-        // Add to new beneficiary's list
-        beneficiarySchedules[newBeneficiary].push(scheduleId);
+        emit ScheduleTransferProposed(scheduleId, msg.sender, newBeneficiary);
+    }
+
+    /**
+     * @dev Approves the pending transfer of a CreatorApproved schedule.
+     * Schedule managers approve for company schedules.
+     * @param scheduleId ID of the vesting schedule
+     * @param newBeneficiary Proposed beneficiary being approved, so a changed proposal is not approved by mistake
+     */
+    function approveScheduleTransfer(uint256 scheduleId, address newBeneficiary) external nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        PendingTransfer storage pending = pendingTransfers[scheduleId];
+
+        require(_actsForCreator(schedule, SCHEDULE_MANAGER_ROLE), "Not the creator");
+        require(schedule.transferPolicy == TransferPolicy.CreatorApproved, "Transfer does not need approval");
+        require(pending.newBeneficiary != address(0), "No pending transfer");
+        require(pending.newBeneficiary == newBeneficiary, "Not the pending transfer");
+        require(!schedule.revoked, "Cannot transfer revoked schedule");
+
+        pending.approved = true;
+
+        emit ScheduleTransferApproved(scheduleId, newBeneficiary);
+    }
+
+    /**
+     * @dev Accepts a proposed transfer, making the caller the beneficiary
+     * @param scheduleId ID of the vesting schedule
+     */
+    function acceptScheduleTransfer(uint256 scheduleId) external nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        PendingTransfer memory pending = pendingTransfers[scheduleId];
+
+        require(pending.newBeneficiary == msg.sender, "Not the proposed beneficiary");
+        require(!schedule.revoked, "Cannot transfer revoked schedule");
+        require(
+            schedule.transferPolicy != TransferPolicy.CreatorApproved || pending.approved,
+            "Transfer not approved by creator"
+        );
+
+        delete pendingTransfers[scheduleId];
+        _moveSchedule(scheduleId, msg.sender);
+
+        if (positionNFT != address(0)) {
+            IVestingPositions(positionNFT).syncOwner(scheduleId, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Moves a schedule to the new owner of its position NFT (only the
+     * position NFT, on every transfer). The schedule's transfer policy
+     * applies: CreatorApproved positions can only go to the address the
+     * creator approved for the pending transfer.
+     * @param scheduleId ID of the vesting schedule
+     * @param newBeneficiary Address receiving the position
+     */
+    function onPositionTransfer(uint256 scheduleId, address newBeneficiary) external nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        PendingTransfer memory pending = pendingTransfers[scheduleId];
+
+        require(msg.sender == positionNFT, "Not the position NFT");
+        require(schedule.transferPolicy != TransferPolicy.Disabled, "Transfers are disabled");
+        require(!schedule.revoked, "Cannot transfer revoked schedule");
+        require(
+            schedule.transferPolicy != TransferPolicy.CreatorApproved ||
+                (pending.approved && pending.newBeneficiary == newBeneficiary),
+            "Transfer not approved by creator"
+        );
+
+        delete pendingTransfers[scheduleId];
+        _moveSchedule(scheduleId, newBeneficiary);
+    }
+
+    /**
+     * @dev Cancels a pending transfer. The beneficiary can withdraw it, the
+     * proposed beneficiary can decline it, and for CreatorApproved schedules
+     * the creator can reject it.
+     * @param scheduleId ID of the vesting schedule
+     */
+    function cancelScheduleTransfer(uint256 scheduleId) external nonReentrant whenNotPaused {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        PendingTransfer memory pending = pendingTransfers[scheduleId];
+
+        require(pending.newBeneficiary != address(0), "No pending transfer");
+        require(
+            msg.sender == schedule.beneficiary ||
+            msg.sender == pending.newBeneficiary ||
+            (_actsForCreator(schedule, SCHEDULE_MANAGER_ROLE) && schedule.transferPolicy == TransferPolicy.CreatorApproved),
+            "Not allowed to cancel"
+        );
+
+        delete pendingTransfers[scheduleId];
 
-        emit VestingScheduleTransferred(scheduleId, oldBeneficiary, newBeneficiary);
+        emit ScheduleTransferCancelled(scheduleId, msg.sender);
     }
 
     /**
-     * @dev Calculates the vested amount for a given schedule
+     * @dev Calculates the vested amount for a given schedule. Vesting stops
+     * at the effective time of an announced revocation, and at the shutdown.
      * @param scheduleId ID of the vesting schedule
      * @return The amount of tokens that have vested
      */
     function getVestedAmount(uint256 scheduleId) public view returns (uint256) {
+        uint256 timestamp = block.timestamp;
+        uint256 effectiveTime = revocationTimes[scheduleId];
+        if (effectiveTime != 0 && effectiveTime < timestamp) {
+            timestamp = effectiveTime;
+        }
+        if (shutdownTime != 0 && shutdownTime < timestamp) {
+            timestamp = shutdownTime;
+        }
+        return _vestedAmountAt(scheduleId, timestamp);
+    }
+
+    /**
+     * @dev Internal function to calculate the vested amount of a schedule at
+     * a time no earlier than its last amendment
+     * @param scheduleId ID of the vesting schedule
+     * @param timestamp Time to evaluate the schedule at
+     * @return The amount of tokens vested at `timestamp`
+     */
+    function _vestedAmountAt(uint256 scheduleId, uint256 timestamp) internal view returns (uint256) {
         VestingSchedule memory schedule = vestingSchedules[scheduleId];
         
+        // Frozen at revocation time
         if (schedule.revoked) {
-            return schedule.claimedAmount;
+            return schedule.totalAmount;
+        }
+
+        if (scheduleCheckpoints[scheduleId].length > 0) {
+            return TokenVestingLogic.checkpointVestedAmount(schedule.totalAmount, scheduleCheckpoints[scheduleId], timestamp);
         }
 
-        if (block.timestamp < schedule.startTime + schedule.cliffDuration) {
+        uint256 vestingStart = schedule.startTime + schedule.cliffDuration;
+        uint256 vestingEnd = schedule.startTime + schedule.vestingDuration;
+
+        if (timestamp < vestingStart) {
             return 0;
         }
 
-        if (block.timestamp >= schedule.startTime + schedule.vestingDuration) {
+        if (timestamp >= vestingEnd) {
             return schedule.totalAmount;
         }
 
-        // Linear vesting after cliff
-        uint256 timeFromCliff = block.timestamp - (schedule.startTime + schedule.cliffDuration);
-        uint256 vestingTimeAfterCliff = schedule.vestingDuration - schedule.cliffDuration;
-        
-        return (schedule.totalAmount * timeFromCliff) / vestingTimeAfterCliff;
+        // Linear vesting after cliff, rounded down to the last completed slice period
+        uint256 timeFromCliff = timestamp - vestingStart;
+        timeFromCliff -= timeFromCliff % schedule.slicePeriodSeconds;
+
+        // Amended schedules continue from what had vested at the amendment, rounding up so
+        // that a top-up never falls below the curve it replaced
+        VestingBase memory base = vestingBases[scheduleId];
+        if (base.timestamp > vestingStart) {
+            uint256 span = vestingEnd - base.timestamp;
+            uint256 amount = (schedule.totalAmount - base.vestedAmount) * (vestingStart + timeFromCliff - base.timestamp);
+            return base.vestedAmount + (amount + span - 1) / span;
+        }
+
+        return (schedule.totalAmount * timeFromCliff) / (vestingEnd - vestingStart);
     }
 
     /**
@@ -241,14 +910,8 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
      * @return The amount of tokens that can be claimed
      */
     function getClaimableAmount(uint256 scheduleId) external view returns (uint256) {
-        VestingSchedule memory schedule = vestingSchedules[scheduleId];
-        
-        if (schedule.revoked) {
-            return 0;
-        }
-
         uint256 vestedAmount = getVestedAmount(scheduleId);
-        return vestedAmount - schedule.claimedAmount;
+        return vestedAmount - vestingSchedules[scheduleId].claimedAmount;
     }
 
     /**
@@ -270,53 +933,376 @@ contract TokenVesting is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Emergency withdrawal function (only owner)
-     * @param token Address of the token to withdraw
+     * @dev Gets the unlock curve of a schedule
+     * @param scheduleId ID of the vesting schedule
+     * @return The checkpoints, empty for cliff-plus-linear schedules
+     */
+    function getScheduleCheckpoints(uint256 scheduleId) external view returns (Checkpoint[] memory) {
+        return scheduleCheckpoints[scheduleId];
+    }
+
+    /**
+     * @dev Withdraws tokens held above the locked amount (only treasurers)
+     * @param token Address of the token to withdraw, or NATIVE_TOKEN
      * @param amount Amount to withdraw
      * @param to Address to send tokens to
      */
-    function emergencyWithdraw(address token, uint256 amount, address to) external onlyOwner {
+    function emergencyWithdraw(address token, uint256 amount, address to) external nonReentrant onlyRole(TREASURER_ROLE) {
         require(to != address(0), "Invalid recipient address");
         
-        uint256 contractBalance = IERC20(token).balanceOf(address(this));
+        uint256 contractBalance = token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
         uint256 lockedAmount = totalLockedTokens[token];
         uint256 availableAmount = contractBalance - lockedAmount;
         
         require(amount <= availableAmount, "Cannot withdraw locked tokens");
         
-        IERC20(token).safeTransfer(to, amount);
+        _send(token, to, amount);
         
         emit EmergencyWithdrawal(token, amount, to);
     }
 
     /**
-     * @dev Pauses the contract (only owner)
+     * @dev Pauses the contract (only pausers) for at most MAX_PAUSE_DURATION,
+     * once PAUSE_COOLDOWN has passed since the previous pause ended. Before
+     * that, a pause can only use the time the previous one left unused.
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
+
+        uint256 duration = MAX_PAUSE_DURATION;
+        if (block.timestamp < pauseEndTime + PAUSE_COOLDOWN) {
+            require(unusedPauseTime > 0, "Pause cooldown not over");
+            duration = unusedPauseTime;
+        }
+        unusedPauseTime = 0;
+
+        // A pause ends at the shutdown at the latest
+        uint256 endTime = block.timestamp + duration;
+        pauseEndTime = shutdownTime != 0 && shutdownTime < endTime ? shutdownTime : endTime;
     }
 
     /**
-     * @dev Unpauses the contract (only owner)
+     * @dev Unpauses the contract (only pausers). The time the pause had left
+     * stays available to the next pause. A pause that has already lapsed can
+     * still be unpaused, which emits Unpaused.
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
+        if (block.timestamp < pauseEndTime) {
+            unusedPauseTime = pauseEndTime - block.timestamp;
+            pauseEndTime = block.timestamp;
+        }
+    }
+
+    /**
+     * @dev Returns true while a pause is in force: it ends when unpaused,
+     * MAX_PAUSE_DURATION after it started, or at an emergency shutdown
+     */
+    function paused() public view override returns (bool) {
+        return block.timestamp < pauseEndTime;
+    }
+
+    /**
+     * @dev Lets unpause() end a pause that is no longer in force
+     */
+    function _requirePaused() internal view override {
+        if (!super.paused()) {
+            revert ExpectedPause();
+        }
     }
 
     /**
-     * @dev Internal function to remove a schedule from beneficiary's list
+     * @dev Announces shutting the contract down for good (only the default
+     * admin). From now on no schedule can be created, amended or announced
+     * for revocation. SHUTDOWN_NOTICE_PERIOD later every schedule stops
+     * vesting. Beneficiaries then keep claiming what has vested, even while
+     * paused, and creators revoke their schedules to reclaim the rest, so
+     * every token locked leaves the contract. A pause in force ends by the
+     * shutdown, as it lasts at most MAX_PAUSE_DURATION.
+     */
+    function emergencyShutdown() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkNotShutDown();
+        shutdownTime = block.timestamp + SHUTDOWN_NOTICE_PERIOD;
+
+        emit EmergencyShutdown(shutdownTime);
+    }
+
+    /**
+     * @dev Sets how deposits of a token are accounted (only the default admin)
+     * @param token Address of the token
+     * @param policy RequireExact or RecordReceived
+     */
+    function setDepositPolicy(address token, DepositPolicy policy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+
+        depositPolicy[token] = policy;
+
+        emit DepositPolicyUpdated(token, policy);
+    }
+
+    /**
+     * @dev Adds a token to or removes it from the token allowlist (only the
+     * default admin). Existing schedules of a removed token keep vesting.
+     * @param token Address of the token
+     * @param allowed Whether new schedules may use the token
+     */
+    function setTokenAllowed(address token, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(token != address(0), "Invalid token address");
+
+        allowedTokens[token] = allowed;
+
+        emit TokenAllowlistUpdated(token, allowed);
+    }
+
+    /**
+     * @dev Adds a creator to or removes it from the creator allowlist (only
+     * the default admin). Schedule managers may always create schedules.
+     * @param creator Address of the creator
+     * @param allowed Whether the creator may create schedules
+     */
+    function setCreatorAllowed(address creator, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(creator != address(0), "Invalid creator address");
+
+        allowedCreators[creator] = allowed;
+
+        emit CreatorAllowlistUpdated(creator, allowed);
+    }
+
+    /**
+     * @dev Turns the allowlists on or off (only the default admin). While an
+     * allowlist is off, anyone or any token may be used.
+     * @param tokensRestricted Whether only allowlisted tokens can be vested
+     * @param creatorsRestricted Whether only allowlisted creators can create schedules
+     */
+    function setAllowlistMode(bool tokensRestricted, bool creatorsRestricted) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        tokenAllowlistEnabled = tokensRestricted;
+        creatorAllowlistEnabled = creatorsRestricted;
+
+        emit AllowlistModeUpdated(tokensRestricted, creatorsRestricted);
+    }
+
+    /**
+     * @dev Sets the minimum notice for revocations (only the default admin).
+     * While it is non-zero, schedules can only be revoked through
+     * announceRevocation. Announcements already made keep their time.
+     * @param gracePeriod Minimum seconds between an announcement and its effective time
+     */
+    function setRevocationGracePeriod(uint256 gracePeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        revocationGracePeriod = gracePeriod;
+
+        emit RevocationGracePeriodUpdated(gracePeriod);
+    }
+
+    /**
+     * @dev Turns on position NFTs (only the default admin): from then on
+     * every new schedule is minted as a position of `nft`, and whoever owns
+     * it is the beneficiary. Can be set once, before any schedule exists.
+     * @param nft VestingPositions contract deployed for this contract
+     */
+    function setPositionNFT(address nft) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(positionNFT == address(0), "Position NFT already set");
+        require(nextScheduleId == 0, "Schedules already exist");
+        require(IVestingPositions(nft).tokenVesting() == address(this), "Position NFT of another contract");
+
+        positionNFT = nft;
+
+        emit PositionNFTSet(nft);
+    }
+
+    /**
+     * @dev Internal function to check schedule parameters before creation
+     * @param token Address of the ERC20 token
+     * @param params Parameters of the schedule
+     */
+    function _validateScheduleParams(address token, ScheduleParams memory params) internal view {
+        TokenVestingLogic.validateScheduleParams(
+            token,
+            params,
+            !tokenAllowlistEnabled || allowedTokens[token],
+            !creatorAllowlistEnabled || allowedCreators[msg.sender] || hasRole(SCHEDULE_MANAGER_ROLE, msg.sender)
+        );
+    }
+
+    /**
+     * @dev Internal function to record a schedule whose tokens are already held.
+     * Schedules created by schedule managers are recorded as the company's.
+     * @param token Address of the ERC20 token
+     * @param params Parameters of the schedule
+     * @return The ID of the new schedule
+     */
+    function _createVestingSchedule(address token, ScheduleParams memory params) internal returns (uint256) {
+        _checkNotShutDown();
+        uint256 scheduleId = nextScheduleId++;
+
+        TokenVestingLogic.storeSchedule(
+            vestingSchedules[scheduleId],
+            scheduleId,
+            token,
+            hasRole(SCHEDULE_MANAGER_ROLE, msg.sender) ? address(this) : msg.sender,
+            params
+        );
+
+        beneficiarySchedules[params.beneficiary].push(scheduleId);
+        totalLockedTokens[token] += params.totalAmount;
+        _mintPosition(params.beneficiary, scheduleId);
+
+        return scheduleId;
+    }
+
+    /**
+     * @dev Internal function to record an exported schedule under its
+     * original ID. The caller pulls the tokens still owed on it.
+     * @param token Address of the ERC20 token
+     * @param imported The exported schedule
+     * @return The amount still owed to the beneficiary
+     */
+    function _importVestingSchedule(address token, ImportedSchedule calldata imported) internal returns (uint256) {
+        TokenVestingLogic.validateImport(imported, nextScheduleId);
+
+        uint256 scheduleId = _createVestingSchedule(token, ScheduleParams({
+            beneficiary: imported.beneficiary,
+            totalAmount: imported.totalAmount,
+            startTime: imported.startTime,
+            cliffDuration: imported.cliffDuration,
+            vestingDuration: imported.vestingDuration,
+            slicePeriodSeconds: 1,
+            revocable: imported.revocable,
+            transferPolicy: imported.transferPolicy
+        }));
+
+        // Restore the progress made on the earlier deployment
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        schedule.creator = imported.creator;
+        schedule.claimedAmount = imported.claimedAmount;
+        schedule.revoked = imported.revoked;
+        totalLockedTokens[token] -= imported.claimedAmount;
+
+        emit VestingScheduleImported(scheduleId, imported.claimedAmount, imported.revoked);
+
+        return imported.totalAmount - imported.claimedAmount;
+    }
+
+    /**
+     * @dev Internal function to mint a new schedule's position, if enabled
      * @param beneficiary Address of the beneficiary
-     * @param scheduleId ID of the schedule to remove
+     * @param scheduleId ID of the new schedule
      */
-    function _removeScheduleFromBeneficiary(address beneficiary, uint256 scheduleId) internal {
-        uint256[] storage schedules = beneficiarySchedules[beneficiary];
-        
-        for (uint256 i = 0; i < schedules.length; i++) {
-            if (schedules[i] == scheduleId) {
-                schedules[i] = schedules[schedules.length - 1];
-                schedules.pop();
-                break;
-            }
+    function _mintPosition(address beneficiary, uint256 scheduleId) internal {
+        if (positionNFT != address(0)) {
+            IVestingPositions(positionNFT).mint(beneficiary, scheduleId);
+        }
+    }
+
+    /**
+     * @dev Internal function to hand a schedule to a new beneficiary
+     * @param scheduleId ID of the vesting schedule
+     * @param newBeneficiary Address of the new beneficiary
+     */
+    function _moveSchedule(uint256 scheduleId, address newBeneficiary) internal {
+        TokenVestingLogic.moveSchedule(beneficiarySchedules, vestingSchedules[scheduleId], scheduleId, newBeneficiary);
+    }
+
+    /**
+     * @dev Internal function to book a beneficiary's claimable amount on a
+     * schedule. The caller sends the tokens.
+     * @param scheduleId ID of the vesting schedule
+     * @param beneficiary Address claiming, which must hold the schedule
+     * @return claimableAmount Amount booked, zero if nothing was claimable
+     */
+    function _claim(uint256 scheduleId, address beneficiary) internal returns (uint256 claimableAmount) {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+
+        require(schedule.beneficiary == beneficiary, "Not the beneficiary");
+
+        claimableAmount = getVestedAmount(scheduleId) - schedule.claimedAmount;
+        if (claimableAmount == 0) {
+            return 0;
+        }
+
+        schedule.claimedAmount += claimableAmount;
+        totalLockedTokens[schedule.token] -= claimableAmount;
+
+        emit TokensClaimed(scheduleId, beneficiary, claimableAmount);
+    }
+
+    /**
+     * @dev Internal function to check whether the caller may act as a
+     * schedule's creator: the creator itself or, for company schedules,
+     * a holder of `role`
+     * @param schedule The vesting schedule
+     * @param role Role that acts for the company
+     */
+    function _actsForCreator(VestingSchedule storage schedule, bytes32 role) internal view returns (bool) {
+        return schedule.creator == msg.sender || (schedule.creator == address(this) && hasRole(role, msg.sender));
+    }
+
+    /**
+     * @dev Internal function to check that the caller may revoke a schedule
+     * and that it can still be revoked. After a shutdown every schedule can.
+     * @param schedule The vesting schedule
+     */
+    function _checkRevocable(VestingSchedule storage schedule) internal view {
+        require(_actsForCreator(schedule, REVOKER_ROLE), "Not the creator");
+        require(schedule.revocable || _isShutDown(), "Schedule is not revocable");
+        require(!schedule.revoked, "Schedule already revoked");
+    }
+
+    /**
+     * @dev Internal function to refuse changes once an emergency shutdown
+     * has been announced
+     */
+    function _checkNotShutDown() internal view {
+        require(shutdownTime == 0, "Shutdown announced");
+    }
+
+    /**
+     * @dev Internal function to check whether an announced emergency
+     * shutdown has taken effect
+     */
+    function _isShutDown() internal view returns (bool) {
+        return shutdownTime != 0 && block.timestamp >= shutdownTime;
+    }
+
+    /**
+     * @dev Internal function to pull tokens from the caller, measuring the
+     * balance change so fee-on-transfer tokens cannot be over-credited.
+     * Native currency must come with the call, and only for NATIVE_TOKEN.
+     * @param token Address of the token
+     * @param amount Amount requested from the caller
+     * @return Amount that actually arrived
+     */
+    function _pullTokens(address token, uint256 amount) internal returns (uint256) {
+        return TokenVestingLogic.pullTokens(depositPolicy, token, amount);
+    }
+
+    /**
+     * @dev Internal function to send tokens or native currency out of the
+     * contract. Callers update their accounting first and are nonReentrant,
+     * so a receiving contract cannot re-enter to claim or withdraw twice.
+     * @param token Address of the token, or NATIVE_TOKEN
+     * @param to Recipient
+     * @param amount Amount to send
+     */
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Internal function to unlock tokens taken off a schedule and send
+     * them back to its creator. Company schedules leave them in the contract
+     * as surplus for the treasurer.
+     * @param schedule The vesting schedule
+     * @param amount Amount taken off the schedule
+     */
+    function _returnToCreator(VestingSchedule storage schedule, uint256 amount) internal {
+        totalLockedTokens[schedule.token] -= amount;
+        if (schedule.creator != address(this)) {
+            _send(schedule.token, schedule.creator, amount);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./TokenVesting.sol";
+
+/**
+ * @title TokenVestingFactory
+ * @dev Deploys minimal-proxy clones of a TokenVesting implementation, so each
+ * organization gets an isolated instance with its own admin, roles, settings
+ * and token balances. Keeps a registry of the instances each organization
+ * (the account that called createInstance) has deployed.
+ */
+contract TokenVestingFactory {
+    // TokenVesting contract whose code every clone runs
+    address public immutable implementation;
+
+    // Mapping from organization to the instances it created
+    mapping(address => address[]) private organizationInstances;
+
+    // Mapping from instance to the organization that created it (zero if not from this factory)
+    mapping(address => address) public instanceOrganization;
+
+    // Every instance, in creation order
+    address[] public instances;
+
+    // Events
+    event InstanceCreated(
+        address indexed instance,
+        address indexed organization,
+        address indexed admin
+    );
+
+    /**
+     * @param implementation_ Deployed TokenVesting contract to clone
+     */
+    constructor(address implementation_) {
+        require(implementation_.code.length > 0, "Implementation has no code");
+
+        implementation = implementation_;
+    }
+
+    /**
+     * @dev Deploys and initializes a TokenVesting clone for the caller's organization
+     * @param admin Default admin, pauser and treasurer of the new instance
+     * @return instance Address of the new instance
+     */
+    function createInstance(address admin) external returns (address instance) {
+        instance = Clones.clone(implementation);
+        TokenVesting(instance).initialize(admin);
+
+        organizationInstances[msg.sender].push(instance);
+        instanceOrganization[instance] = msg.sender;
+        instances.push(instance);
+
+        emit InstanceCreated(instance, msg.sender, admin);
+    }
+
+    /**
+     * @dev Gets the instances created by an organization
+     * @param organization Address that created the instances
+     * @return Array of instance addresses, in creation order
+     */
+    function getOrganizationInstances(address organization) external view returns (address[] memory) {
+        return organizationInstances[organization];
+    }
+
+    /**
+     * @dev Gets the number of instances created by this factory
+     * @return The instance count
+     */
+    function instanceCount() external view returns (uint256) {
+        return instances.length;
+    }
+}
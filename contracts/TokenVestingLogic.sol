@@ -0,0 +1,317 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./TokenVesting.sol";
+
+/**
+ * @title TokenVestingLogic
+ * @dev External library holding the parts of TokenVesting that are not on
+ * the linear claim path: parameter, checkpoint and import validation,
+ * checkpoint math, amendment checks, the claim signature check, token pulls
+ * and schedule bookkeeping. Its functions run with delegatecall in TokenVesting's
+ * context, so they act on its storage, balances and msg.sender, and their
+ * events are emitted by TokenVesting. TokenVesting must be linked against a
+ * deployment of this library.
+ */
+library TokenVestingLogic {
+    using SafeERC20 for IERC20;
+
+    address internal constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+    uint256 internal constant BASIS_POINTS = 10000;
+    uint256 internal constant MAX_CHECKPOINTS = 256;
+
+    // Same as TokenVesting's, which lists them in its ABI
+    event VestingScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed beneficiary,
+        address indexed token,
+        uint256 totalAmount,
+        uint256 startTime,
+        uint256 cliffDuration,
+        uint256 vestingDuration,
+        bool revocable
+    );
+
+    event VestingScheduleTransferred(
+        uint256 indexed scheduleId,
+        address indexed oldBeneficiary,
+        address indexed newBeneficiary
+    );
+
+    /**
+     * @dev Checks an unlock curve: at most MAX_CHECKPOINTS checkpoints, in
+     * order, ending at 100%
+     * @param checkpoints The curve's checkpoints
+     * @return startTime Timestamp of the first checkpoint
+     * @return vestingDuration Time between the first and last checkpoints
+     */
+    function validateCheckpoints(
+        TokenVesting.Checkpoint[] calldata checkpoints
+    ) external pure returns (uint256 startTime, uint256 vestingDuration) {
+        require(checkpoints.length > 0, "Checkpoints required");
+        require(checkpoints.length <= MAX_CHECKPOINTS, "Too many checkpoints");
+        for (uint256 i = 1; i < checkpoints.length; i++) {
+            require(
+                checkpoints[i].timestamp >= checkpoints[i - 1].timestamp &&
+                checkpoints[i].basisPoints >= checkpoints[i - 1].basisPoints,
+                "Checkpoints must be in order"
+            );
+        }
+        require(checkpoints[checkpoints.length - 1].basisPoints == BASIS_POINTS, "Checkpoints must end at 100%");
+
+        startTime = checkpoints[0].timestamp;
+        vestingDuration = checkpoints[checkpoints.length - 1].timestamp - startTime;
+    }
+
+    /**
+     * @dev Copies a validated unlock curve into storage
+     * @param stored The schedule's stored checkpoints
+     * @param checkpoints The curve's checkpoints
+     */
+    function storeCheckpoints(
+        TokenVesting.Checkpoint[] storage stored,
+        TokenVesting.Checkpoint[] calldata checkpoints
+    ) external {
+        for (uint256 i = 0; i < checkpoints.length; i++) {
+            stored.push(checkpoints[i]);
+        }
+    }
+
+    /**
+     * @dev Evaluates an unlock curve at a given time
+     * @param totalAmount Total amount of the schedule
+     * @param checkpoints The schedule's checkpoints
+     * @param timestamp Time to evaluate the curve at
+     * @return The amount of tokens that have vested
+     */
+    function checkpointVestedAmount(
+        uint256 totalAmount,
+        TokenVesting.Checkpoint[] storage checkpoints,
+        uint256 timestamp
+    ) external view returns (uint256) {
+        // Binary search for the first checkpoint still in the future
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].timestamp <= timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        if (low == 0) {
+            return 0;
+        }
+
+        TokenVesting.Checkpoint memory previous = checkpoints[low - 1];
+        if (low == checkpoints.length) {
+            return (totalAmount * previous.basisPoints) / BASIS_POINTS;
+        }
+
+        // Interpolate towards the next checkpoint
+        TokenVesting.Checkpoint memory next = checkpoints[low];
+        uint256 span = next.timestamp - previous.timestamp;
+        uint256 elapsed = timestamp - previous.timestamp;
+        uint256 basisPointsTimesSpan = uint256(previous.basisPoints) * span +
+            uint256(next.basisPoints - previous.basisPoints) * elapsed;
+
+        return (totalAmount * basisPointsTimesSpan) / (BASIS_POINTS * span);
+    }
+
+    /**
+     * @dev Checks the parameters of a new schedule
+     * @param token Address of the token
+     * @param params Parameters of the schedule
+     * @param tokenAllowed Whether the token allowlist admits the token
+     * @param creatorAllowed Whether the creator allowlist admits the caller
+     */
+    function validateScheduleParams(
+        address token,
+        TokenVesting.ScheduleParams memory params,
+        bool tokenAllowed,
+        bool creatorAllowed
+    ) external view {
+        require(params.beneficiary != address(0), "Invalid beneficiary address");
+        require(token != address(0), "Invalid token address");
+        require(tokenAllowed, "Token not allowed");
+        require(creatorAllowed, "Creator not allowed");
+        require(params.totalAmount > 0, "Amount must be greater than 0");
+        require(params.startTime >= block.timestamp, "Start time cannot be in the past");
+        require(params.vestingDuration > 0, "Vesting duration must be greater than 0");
+        require(params.cliffDuration <= params.vestingDuration, "Cliff duration cannot exceed vesting duration");
+        require(params.slicePeriodSeconds > 0, "Slice period must be greater than 0");
+    }
+
+    /**
+     * @dev Checks a schedule exported from an earlier deployment before it
+     * is imported
+     * @param imported The exported schedule
+     * @param nextScheduleId ID the schedule will be recorded under
+     */
+    function validateImport(TokenVesting.ImportedSchedule calldata imported, uint256 nextScheduleId) external pure {
+        require(imported.scheduleId == nextScheduleId, "Schedule ID out of sequence");
+        require(imported.beneficiary != address(0), "Invalid beneficiary address");
+        require(imported.creator != address(0), "Invalid creator address");
+        require(imported.totalAmount > 0 || imported.revoked, "Amount must be greater than 0");
+        require(imported.claimedAmount <= imported.totalAmount, "Claimed amount exceeds total");
+        require(imported.vestingDuration > 0, "Vesting duration must be greater than 0");
+        require(imported.cliffDuration <= imported.vestingDuration, "Cliff duration cannot exceed vesting duration");
+    }
+
+    /**
+     * @dev Checks that a claim authorization was signed by the beneficiary
+     * @param digest EIP-712 digest of the authorization
+     * @param signature The beneficiary's signature
+     * @param beneficiary Address of the beneficiary
+     */
+    function checkClaimSignature(bytes32 digest, bytes calldata signature, address beneficiary) external pure {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        require(error == ECDSA.RecoverError.NoError && signer == beneficiary, "Invalid signature");
+    }
+
+    /**
+     * @dev Checks and applies an amendment to a linear schedule. Past the
+     * cliff, vesting continues from the amount vested so far.
+     * @param schedule The vesting schedule
+     * @param base The schedule's vesting base
+     * @param isCurve Whether the schedule follows an unlock curve
+     * @param revocationAnnounced Whether a revocation has been announced
+     * @param vestedAmount Amount vested so far
+     * @param newTotalAmount New total amount
+     * @param newVestingDuration New vesting duration in seconds
+     */
+    function amendSchedule(
+        TokenVesting.VestingSchedule storage schedule,
+        TokenVesting.VestingBase storage base,
+        bool isCurve,
+        bool revocationAnnounced,
+        uint256 vestedAmount,
+        uint256 newTotalAmount,
+        uint256 newVestingDuration
+    ) external {
+        require(!schedule.revoked, "Schedule already revoked");
+        require(!isCurve, "Cannot amend curve schedules");
+        require(!revocationAnnounced, "Revocation announced");
+        require(newVestingDuration >= schedule.vestingDuration, "Duration can only be extended");
+        require(
+            schedule.revocable || (newTotalAmount >= schedule.totalAmount && newVestingDuration == schedule.vestingDuration),
+            "Schedule is not revocable"
+        );
+        require(newTotalAmount >= vestedAmount, "Amount below vested amount");
+
+        uint256 cliffEnd = schedule.startTime + schedule.cliffDuration;
+        if (block.timestamp > cliffEnd) {
+            // Continue from the start of the current slice period, which the vested amount was rounded to
+            base.vestedAmount = vestedAmount;
+            base.timestamp = block.timestamp - (block.timestamp - cliffEnd) % schedule.slicePeriodSeconds;
+        }
+        schedule.totalAmount = newTotalAmount;
+        schedule.vestingDuration = newVestingDuration;
+    }
+
+    /**
+     * @dev Pulls tokens from the caller, measuring the balance change so
+     * fee-on-transfer tokens cannot be over-credited. Native currency must
+     * come with the call, and only for NATIVE_TOKEN.
+     * @param depositPolicy The contract's deposit policies
+     * @param token Address of the token
+     * @param amount Amount requested from the caller
+     * @return received Amount that actually arrived
+     */
+    function pullTokens(
+        mapping(address => TokenVesting.DepositPolicy) storage depositPolicy,
+        address token,
+        uint256 amount
+    ) external returns (uint256 received) {
+        if (token == NATIVE_TOKEN) {
+            require(msg.value == amount, "Native amount does not match");
+            return amount;
+        }
+        require(msg.value == 0, "Native currency not expected");
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        if (depositPolicy[token] == TokenVesting.DepositPolicy.RequireExact) {
+            require(received == amount, "Received amount does not match");
+        }
+        require(received > 0, "No tokens received");
+    }
+
+    /**
+     * @dev Records a new schedule with nothing claimed yet
+     * @param schedule Empty storage slot of the schedule
+     * @param scheduleId ID of the new schedule
+     * @param token Address of the token
+     * @param creator Address recorded as the schedule's creator
+     * @param params Checked schedule parameters
+     */
+    function storeSchedule(
+        TokenVesting.VestingSchedule storage schedule,
+        uint256 scheduleId,
+        address token,
+        address creator,
+        TokenVesting.ScheduleParams memory params
+    ) external {
+        schedule.beneficiary = params.beneficiary;
+        schedule.token = token;
+        schedule.totalAmount = params.totalAmount;
+        schedule.startTime = params.startTime;
+        schedule.cliffDuration = params.cliffDuration;
+        schedule.vestingDuration = params.vestingDuration;
+        schedule.slicePeriodSeconds = params.slicePeriodSeconds;
+        schedule.revocable = params.revocable;
+        schedule.creator = creator;
+        schedule.transferPolicy = params.transferPolicy;
+
+        emit VestingScheduleCreated(
+            scheduleId,
+            params.beneficiary,
+            token,
+            params.totalAmount,
+            params.startTime,
+            params.cliffDuration,
+            params.vestingDuration,
+            params.revocable
+        );
+    }
+
+    /**
+     * @dev Hands a schedule to a new beneficiary and updates both
+     * beneficiaries' schedule lists
+     * @param beneficiarySchedules The contract's schedule lists
+     * @param schedule The vesting schedule
+     * @param scheduleId ID of the vesting schedule
+     * @param newBeneficiary Address of the new beneficiary
+     */
+    function moveSchedule(
+        mapping(address => uint256[]) storage beneficiarySchedules,
+        TokenVesting.VestingSchedule storage schedule,
+        uint256 scheduleId,
+        address newBeneficiary
+    ) external {
+        address oldBeneficiary = schedule.beneficiary;
+        schedule.beneficiary = newBeneficiary;
+
+        // Remove from old beneficiary's list
+        uint256[] storage schedules = beneficiarySchedules[oldBeneficiary];
+        for (uint256 i = 0; i < schedules.length; i++) {
+            if (schedules[i] == scheduleId) {
+                schedules[i] = schedules[schedules.length - 1];
+                schedules.pop();
+                break;
+            }
+        }
+
+        // Add to new beneficiary's list
+        beneficiarySchedules[newBeneficiary].push(scheduleId);
+
+        emit VestingScheduleTransferred(scheduleId, oldBeneficiary, newBeneficiary);
+    }
+}
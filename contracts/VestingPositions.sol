@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./IVestingPositions.sol";
+import "./TokenVesting.sol";
+
+/**
+ * @title VestingPositions
+ * @dev ERC-721 positions for the schedules of one TokenVesting, with the
+ * schedule ID as token ID. Once set with TokenVesting.setPositionNFT, every
+ * new schedule is minted to its beneficiary and the owner of a position is
+ * always the schedule's beneficiary: transferring the NFT moves the schedule,
+ * which TokenVesting only allows under the schedule's transfer policy, and
+ * accepting a transfer on TokenVesting moves the NFT.
+ */
+contract VestingPositions is ERC721, IVestingPositions {
+    using Strings for uint256;
+
+    address public immutable tokenVesting;
+
+    modifier onlyTokenVesting() {
+        require(msg.sender == tokenVesting, "Not the TokenVesting contract");
+        _;
+    }
+
+    constructor(address _tokenVesting) ERC721("TokenVesting Position", "VEST-POS") {
+        require(_tokenVesting != address(0), "Invalid TokenVesting address");
+        tokenVesting = _tokenVesting;
+    }
+
+    /**
+     * @dev Mints the position of a new schedule (only TokenVesting)
+     * @param to Beneficiary of the schedule
+     * @param scheduleId ID of the schedule
+     */
+    function mint(address to, uint256 scheduleId) external onlyTokenVesting {
+        _mint(to, scheduleId);
+    }
+
+    /**
+     * @dev Moves a position after its schedule was transferred on
+     * TokenVesting (only TokenVesting)
+     * @param scheduleId ID of the schedule
+     * @param to New beneficiary of the schedule
+     */
+    function syncOwner(uint256 scheduleId, address to) external onlyTokenVesting {
+        _update(to, scheduleId, address(0));
+    }
+
+    /**
+     * @dev Returns the position's metadata as a base64 JSON data URI, with
+     * the schedule's amounts in whole tokens as of the current block
+     * @param scheduleId ID of the schedule
+     */
+    function tokenURI(uint256 scheduleId) public view override returns (string memory) {
+        _requireOwned(scheduleId);
+
+        TokenVesting vesting = TokenVesting(tokenVesting);
+        TokenVesting.VestingSchedule memory schedule = vesting.getVestingSchedule(scheduleId);
+        (string memory symbol, uint8 decimals) = _tokenInfo(schedule.token);
+
+        string memory json = string.concat(
+            '{"name":"Vesting position #', scheduleId.toString(),
+            '","description":"', Strings.escapeJSON(symbol), " vesting schedule ", scheduleId.toString(),
+            " of TokenVesting ", Strings.toHexString(tokenVesting),
+            '. Its owner is the beneficiary and can claim the vested tokens.","attributes":[',
+            _amountAttributes(vesting, scheduleId, schedule, decimals),
+            ",",
+            _scheduleAttributes(schedule),
+            "]}"
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Moves the schedule with the NFT, except when minting or when
+     * TokenVesting itself moves the NFT. TokenVesting reverts transfers its
+     * transfer policy does not allow.
+     */
+    function _update(address to, uint256 scheduleId, address auth) internal override returns (address from) {
+        from = super._update(to, scheduleId, auth);
+
+        if (from != address(0) && msg.sender != tokenVesting) {
+            TokenVesting(tokenVesting).onPositionTransfer(scheduleId, to);
+        }
+    }
+
+    function _amountAttributes(
+        TokenVesting vesting,
+        uint256 scheduleId,
+        TokenVesting.VestingSchedule memory schedule,
+        uint8 decimals
+    ) internal view returns (string memory) {
+        return string.concat(
+            _attribute("Total", _formatUnits(schedule.totalAmount, decimals)), ",",
+            _attribute("Vested", _formatUnits(vesting.getVestedAmount(scheduleId), decimals)), ",",
+            _attribute("Claimable", _formatUnits(vesting.getClaimableAmount(scheduleId), decimals)), ",",
+            _attribute("Claimed", _formatUnits(schedule.claimedAmount, decimals))
+        );
+    }
+
+    function _scheduleAttributes(TokenVesting.VestingSchedule memory schedule) internal pure returns (string memory) {
+        string[3] memory policies = ["Disabled", "Free", "Creator approved"];
+
+        return string.concat(
+            _attribute("Token", Strings.toHexString(schedule.token)), ",",
+            _dateAttribute("Start", schedule.startTime), ",",
+            _dateAttribute("Cliff end", schedule.startTime + schedule.cliffDuration), ",",
+            _dateAttribute("End", schedule.startTime + schedule.vestingDuration), ",",
+            _attribute("Transfers", policies[uint8(schedule.transferPolicy)]), ",",
+            _attribute("Revoked", schedule.revoked ? "Yes" : "No")
+        );
+    }
+
+    function _attribute(string memory trait, string memory value) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', trait, '","value":"', value, '"}');
+    }
+
+    function _dateAttribute(string memory trait, uint256 timestamp) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', trait, '","display_type":"date","value":', timestamp.toString(), "}");
+    }
+
+    /**
+     * @dev Reads a token's symbol and decimals, falling back to an empty
+     * symbol and 18 decimals for tokens without metadata
+     */
+    function _tokenInfo(address token) internal view returns (string memory symbol, uint8 decimals) {
+        decimals = 18;
+        if (token == TokenVesting(tokenVesting).NATIVE_TOKEN()) {
+            return ("Native currency", decimals);
+        }
+        try IERC20Metadata(token).symbol() returns (string memory tokenSymbol) {
+            symbol = tokenSymbol;
+        } catch {}
+        try IERC20Metadata(token).decimals() returns (uint8 tokenDecimals) {
+            decimals = tokenDecimals;
+        } catch {}
+    }
+
+    /**
+     * @dev Formats a base-unit amount as a decimal string, without trailing zeros.
+     * Above 77 decimals 10 ** decimals overflows, but every uint256 is then below
+     * one whole token, so the amount is all fraction
+     */
+    function _formatUnits(uint256 amount, uint8 decimals) internal pure returns (string memory) {
+        uint256 wholeAmount;
+        uint256 fraction = amount;
+        if (decimals <= 77) {
+            uint256 unit = 10 ** decimals;
+            wholeAmount = amount / unit;
+            fraction = amount % unit;
+        }
+        string memory whole = wholeAmount.toString();
+        if (fraction == 0) {
+            return whole;
+        }
+
+        uint256 digits = decimals;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            digits--;
+        }
+        bytes memory fractionDigits = bytes(fraction.toString());
+        bytes memory padded = new bytes(digits);
+        uint256 zeros = digits - fractionDigits.length;
+        for (uint256 i = 0; i < digits; i++) {
+            padded[i] = i < zeros ? bytes1("0") : fractionDigits[i - zeros];
+        }
+        return string.concat(whole, ".", string(padded));
+    }
+}
@@ -1,5 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/batch");
+require("./tasks/vesting");
+require("./tasks/indexer");
 
 module.exports = {
   solidity: {
@@ -8,10 +12,20 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The IR pipeline keeps TokenVesting smaller than the legacy one does
+      viaIR: true
     }
   },
   networks: {
+    // FORK_URL runs the in-process network on a fork, e.g. to rehearse
+    // scripts/migrate-legacy.js against Amoy
+    hardhat: process.env.FORK_URL ? {
+      forking: {
+        url: process.env.FORK_URL,
+        blockNumber: process.env.FORK_BLOCK ? Number(process.env.FORK_BLOCK) : undefined
+      }
+    } : {},
     amoy: {
       url: "https://rpc-amoy.polygon.technology/",
       accounts: [process.env.PRIVATE_KEY],
@@ -1,9 +1,27 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    revocationGracePeriodFromEnv,
+    applyRevocationGracePeriod,
+    assertCanWriteDeployment,
+    recordContract,
+    buildManifest,
+    writeDeployment
+} = require("../sdk/deployments");
+
+const { ethers, network } = hre;
 
 async function main() {
     console.log("Deploying Token Vesting Platform to Polygon Amoy Testnet...");
     console.log("==========================================================");
 
+    // Refuse to replace a recorded deployment unless asked to
+    const overwrite = process.env.OVERWRITE_DEPLOYMENT === "true";
+    assertCanWriteDeployment(network.name, { overwrite });
+    // REVOCATION_GRACE_PERIOD=0 allows immediate revocation
+    const gracePeriod = revocationGracePeriodFromEnv();
+
     const [deployer] = await ethers.getSigners(); // uses your PRIVATE_KEY from hardhat.config.js
     console.log("Deploying contracts with account:", deployer.address);
 
@@ -14,20 +32,42 @@ async function main() {
         console.log("⚠️ Low balance. Get MATIC from: https://faucet.polygon.technology/");
     }
 
-    // Deploy TokenVesting
-    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    // Deploy the TokenVestingLogic library, then TokenVesting linked against it
+    const logic = await deployTokenVestingLogic(hre);
+    const logicAddress = await logic.getAddress();
+    console.log("✅ TokenVestingLogic deployed to:", logicAddress);
+
+    const TokenVesting = await getTokenVestingFactory(hre, logicAddress);
     const tokenVesting = await TokenVesting.deploy();
     await tokenVesting.waitForDeployment();
     const vestingAddress = await tokenVesting.getAddress();
     console.log("✅ TokenVesting deployed to:", vestingAddress);
+    await applyRevocationGracePeriod(tokenVesting, gracePeriod);
+    console.log(`✅ Revocation grace period: ${gracePeriod}s`);
+
+    // Deploy TokenVestingFactory, cloning the TokenVesting above
+    const TokenVestingFactory = await ethers.getContractFactory("TokenVestingFactory");
+    const factory = await TokenVestingFactory.deploy(vestingAddress);
+    await factory.waitForDeployment();
+    console.log("✅ TokenVestingFactory deployed to:", await factory.getAddress());
 
     // Deploy MockToken
     const MockToken = await ethers.getContractFactory("MockToken");
-    const mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+    const mockTokenArgs = ["Test Token", "TEST", ethers.parseEther("1000000")];
+    const mockToken = await MockToken.deploy(...mockTokenArgs);
     await mockToken.waitForDeployment();
     const tokenAddress = await mockToken.getAddress();
     console.log("✅ MockToken deployed to:", tokenAddress);
 
+    const manifest = await buildManifest(hre, deployer.address, {
+        TokenVestingLogic: await recordContract(logic),
+        TokenVesting: await recordContract(tokenVesting),
+        TokenVestingFactory: await recordContract(factory, [vestingAddress]),
+        MockToken: await recordContract(mockToken, mockTokenArgs)
+    });
+    const manifestFile = writeDeployment(network.name, manifest, { overwrite });
+    console.log("✅ Deployment manifest written to:", manifestFile);
+
     console.log("\n🎉 Deployment completed successfully!");
 }
 
@@ -0,0 +1,84 @@
+const hre = require("hardhat");
+const {
+    UPGRADE_OPTIONS,
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    revocationGracePeriodFromEnv,
+    applyRevocationGracePeriod,
+    assertCanWriteDeployment,
+    recordContract,
+    recordProxy,
+    buildManifest,
+    writeDeployment
+} = require("../sdk/deployments");
+
+const { ethers, network, upgrades } = hre;
+
+async function main() {
+    console.log("Deploying upgradeable TokenVesting...");
+
+    // The in-process hardhat network is thrown away after the run, so only
+    // other networks get a deployments/<network>.json manifest
+    const recordDeployment = network.name !== "hardhat";
+    const overwrite = process.env.OVERWRITE_DEPLOYMENT === "true";
+    if (recordDeployment) {
+        assertCanWriteDeployment(network.name, { overwrite });
+    }
+    // REVOCATION_GRACE_PERIOD=0 allows immediate revocation
+    const gracePeriod = revocationGracePeriodFromEnv();
+
+    const [deployer] = await ethers.getSigners();
+    const admin = process.env.VESTING_ADMIN || deployer.address;
+    // Only the default admin can set the grace period, so another admin has to opt out explicitly
+    if (admin.toLowerCase() !== deployer.address.toLowerCase() && gracePeriod > 0n) {
+        throw new Error(
+            "Only the default admin can set the revocation grace period. Set REVOCATION_GRACE_PERIOD=0 and have " +
+            "VESTING_ADMIN set it with vesting:revocation-grace-period"
+        );
+    }
+    console.log("Deploying contracts with account:", deployer.address);
+    console.log("Default admin:", admin);
+
+    // The implementation is linked against a new TokenVestingLogic library
+    const logic = await deployTokenVestingLogic(hre);
+
+    // deployProxy validates the implementation (storage layout included)
+    // before deploying it, then runs initialize(admin) through the proxy
+    const TokenVesting = await getTokenVestingFactory(hre, await logic.getAddress());
+    const initializerArgs = [admin];
+    const tokenVesting = await upgrades.deployProxy(TokenVesting, initializerArgs, {
+        ...UPGRADE_OPTIONS,
+        initializer: "initialize"
+    });
+    await tokenVesting.waitForDeployment();
+    await applyRevocationGracePeriod(tokenVesting, gracePeriod);
+
+    const entry = await recordProxy(hre, tokenVesting, initializerArgs);
+    console.log("\nDeployment Summary:");
+    console.log("==================");
+    console.log("TokenVesting (proxy):", entry.address);
+    console.log("Implementation:", entry.implementation);
+    console.log("TokenVestingLogic:", await logic.getAddress());
+    console.log("ProxyAdmin:", entry.proxyAdmin);
+    console.log("Revocation grace period:", `${gracePeriod}s`);
+
+    if (recordDeployment) {
+        const manifest = await buildManifest(hre, deployer.address, {
+            TokenVestingLogic: await recordContract(logic),
+            TokenVesting: entry
+        });
+        console.log("Manifest:", writeDeployment(network.name, manifest, { overwrite }));
+    }
+
+    return entry;
+}
+
+main()
+    .then(() => {
+        console.log("\nDeployment completed successfully!");
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error("Deployment failed:", error);
+        process.exit(1);
+    });
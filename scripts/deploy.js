@@ -1,27 +1,62 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    revocationGracePeriodFromEnv,
+    applyRevocationGracePeriod,
+    assertCanWriteDeployment,
+    recordContract,
+    buildManifest,
+    writeDeployment
+} = require("../sdk/deployments");
+
+const { ethers, network } = hre;
 
 async function main() {
     console.log("Deploying Token Vesting Platform...");
 
+    // The in-process hardhat network is thrown away after the run, so only
+    // other networks get a deployments/<network>.json manifest
+    const recordDeployment = network.name !== "hardhat";
+    const overwrite = process.env.OVERWRITE_DEPLOYMENT === "true";
+    if (recordDeployment) {
+        assertCanWriteDeployment(network.name, { overwrite });
+    }
+    // REVOCATION_GRACE_PERIOD=0 allows immediate revocation
+    const gracePeriod = revocationGracePeriodFromEnv();
+
     // Get the deployer account
     const [deployer] = await ethers.getSigners();
     console.log("Deploying contracts with account:", deployer.address);
     console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)));
 
-    // Deploy TokenVesting contract
-    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    // Deploy the TokenVestingLogic library and TokenVesting, linked against it
+    const logic = await deployTokenVestingLogic(hre);
+    console.log("TokenVestingLogic deployed to:", await logic.getAddress());
+
+    const TokenVesting = await getTokenVestingFactory(hre, await logic.getAddress());
     const tokenVesting = await TokenVesting.deploy();
     await tokenVesting.waitForDeployment();
 
     console.log("TokenVesting deployed to:", await tokenVesting.getAddress());
+    await applyRevocationGracePeriod(tokenVesting, gracePeriod);
+
+    // Deploy the factory, which clones TokenVesting for organizations that want their own instance
+    const TokenVestingFactory = await ethers.getContractFactory("TokenVestingFactory");
+    const factoryArgs = [await tokenVesting.getAddress()];
+    const factory = await TokenVestingFactory.deploy(...factoryArgs);
+    await factory.waitForDeployment();
+
+    console.log("TokenVestingFactory deployed to:", await factory.getAddress());
 
     // Deploy MockToken for testing (optional)
     const MockToken = await ethers.getContractFactory("MockToken");
-    const mockToken = await MockToken.deploy(
+    const mockTokenArgs = [
         "Test Token",
         "TEST",
         ethers.parseEther("1000000") // 1M tokens
-    );
+    ];
+    const mockToken = await MockToken.deploy(...mockTokenArgs);
     await mockToken.waitForDeployment();
 
     console.log("MockToken deployed to:", await mockToken.getAddress());
@@ -29,13 +64,27 @@ async function main() {
     // Verify deployment
     console.log("\nDeployment Summary:");
     console.log("==================");
+    console.log("TokenVestingLogic:", await logic.getAddress());
     console.log("TokenVesting:", await tokenVesting.getAddress());
+    console.log("TokenVestingFactory:", await factory.getAddress());
     console.log("MockToken:", await mockToken.getAddress());
-    console.log("Owner:", await tokenVesting.owner());
+    console.log("Default admin:", await tokenVesting.defaultAdmin());
+    console.log("Revocation grace period:", `${await tokenVesting.revocationGracePeriod()}s`);
     console.log("Next Schedule ID:", await tokenVesting.nextScheduleId());
 
+    if (recordDeployment) {
+        const manifest = await buildManifest(hre, deployer.address, {
+            TokenVestingLogic: await recordContract(logic),
+            TokenVesting: await recordContract(tokenVesting),
+            TokenVestingFactory: await recordContract(factory, factoryArgs),
+            MockToken: await recordContract(mockToken, mockTokenArgs)
+        });
+        console.log("Manifest:", writeDeployment(network.name, manifest, { overwrite }));
+    }
+
     return {
         tokenVesting: await tokenVesting.getAddress(),
+        factory: await factory.getAddress(),
         mockToken: await mockToken.getAddress()
     };
 }
@@ -1,4 +1,9 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { createSchedule, getScheduleView, TransferPolicy } = require("../sdk");
+const { buildBeneficiaryStatement, statementToMarkdown } = require("../sdk/statements");
+const { deployTokenVestingLogic, getTokenVestingFactory } = require("../sdk/deployments");
+
+const { ethers } = hre;
 
 async function main() {
     console.log("Token Vesting Platform - Usage Example");
@@ -9,7 +14,8 @@ async function main() {
 
     // Deploy contracts
     console.log("\n1. Deploying contracts...");
-    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    const logic = await deployTokenVestingLogic(hre);
+    const TokenVesting = await getTokenVestingFactory(hre, await logic.getAddress());
     const tokenVesting = await TokenVesting.deploy();
     await tokenVesting.waitForDeployment();
 
@@ -33,24 +39,20 @@ async function main() {
     const cliffDuration = 6 * 30 * 24 * 60 * 60; // 6 months
     const vestingDuration = 24 * 30 * 24 * 60 * 60; // 24 months
 
-    // Approve tokens
-    await mockToken.connect(creator).approve(tokenVesting.target, vestingAmount);
-
-    const tx = await tokenVesting.connect(creator).createVestingSchedule(
-        beneficiary.address,
-        mockToken.target,
-        vestingAmount,
+    // Approve tokens and create the schedule
+    const { scheduleId } = await createSchedule(tokenVesting.connect(creator), {
+        beneficiary: beneficiary.address,
+        token: mockToken.target,
+        amount: vestingAmount,
         startTime,
         cliffDuration,
         vestingDuration,
-        true // revocable
-    );
-
-    const receipt = await tx.wait();
-    const scheduleId = 0; // First schedule
+        revocable: true,
+        transferPolicy: TransferPolicy.FREE
+    });
 
     console.log("Vesting schedule created!");
-    console.log("Schedule ID:", scheduleId);
+    console.log("Schedule ID:", scheduleId.toString());
     console.log("Beneficiary:", beneficiary.address);
     console.log("Total Amount:", ethers.formatEther(vestingAmount));
     console.log("Start Time:", new Date(startTime * 1000).toISOString());
@@ -59,22 +61,19 @@ async function main() {
 
     // Check schedule details
     console.log("\n4. Checking schedule details...");
-    const schedule = await tokenVesting.getVestingSchedule(scheduleId);
+    const schedule = await getScheduleView(tokenVesting, scheduleId);
     console.log("Schedule details:");
     console.log("- Beneficiary:", schedule.beneficiary);
-    console.log("- Token:", schedule.token);
-    console.log("- Total Amount:", ethers.formatEther(schedule.totalAmount));
-    console.log("- Claimed Amount:", ethers.formatEther(schedule.claimedAmount));
+    console.log("- Token:", schedule.token.address, `(${schedule.token.symbol})`);
+    console.log("- Total Amount:", schedule.totalAmount.formatted);
+    console.log("- Claimed Amount:", schedule.claimedAmount.formatted);
     console.log("- Revocable:", schedule.revocable);
-    console.log("- Revoked:", schedule.revoked);
+    console.log("- Status:", schedule.status);
 
     // Check vested amount (should be 0 before cliff)
     console.log("\n5. Checking vested amounts...");
-    const vestedAmount = await tokenVesting.getVestedAmount(scheduleId);
-    const claimableAmount = await tokenVesting.getClaimableAmount(scheduleId);
-    
-    console.log("Current vested amount:", ethers.formatEther(vestedAmount));
-    console.log("Current claimable amount:", ethers.formatEther(claimableAmount));
+    console.log("Current vested amount:", schedule.vestedAmount.formatted);
+    console.log("Current claimable amount:", schedule.claimableAmount.formatted);
 
     // Get beneficiary schedules
     console.log("\n6. Checking beneficiary schedules...");
@@ -86,12 +85,18 @@ async function main() {
     const totalLocked = await tokenVesting.totalLockedTokens(mockToken.target);
     console.log("Total locked tokens:", ethers.formatEther(totalLocked));
 
+    // Beneficiary statement: history, amounts and projected unlocks of every schedule
+    console.log("\n8. Generating the beneficiary statement...");
+    const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+    console.log(statementToMarkdown(statement));
+
     console.log("\n✅ Example completed successfully!");
     console.log("\nNext steps:");
     console.log("- Wait for cliff period to end");
     console.log("- Call claimTokens() to claim vested tokens");
-    console.log("- Use transferVestingSchedule() to transfer to another address");
+    console.log("- Use proposeScheduleTransfer() and acceptScheduleTransfer() to transfer to another address");
     console.log("- Use revokeVestingSchedule() to revoke if needed");
+    console.log("- Run vesting:statement to write the statement as Markdown, HTML and JSON");
 }
 
 main()
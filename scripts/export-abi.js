@@ -0,0 +1,26 @@
+const fs = require("fs");
+const path = require("path");
+const { artifacts } = require("hardhat");
+
+// Contracts whose ABI the SDK ships in sdk/abi, so it works without compiling
+const CONTRACTS = ["TokenVesting", "TokenVestingFactory", "VestingPositions"];
+
+// Copies the compiled ABIs into sdk/abi. Run it after changing a contract's
+// interface and commit the result.
+async function main() {
+    const abiDir = path.join(__dirname, "..", "sdk", "abi");
+    fs.mkdirSync(abiDir, { recursive: true });
+
+    for (const name of CONTRACTS) {
+        const { abi } = await artifacts.readArtifact(name);
+        fs.writeFileSync(path.join(abiDir, `${name}.json`), JSON.stringify(abi, null, 2) + "\n");
+        console.log(`Wrote sdk/abi/${name}.json`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const { impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const hre = require("hardhat");
+const { getTokenVesting } = require("../sdk");
+const { parseTransferPolicy } = require("../sdk/allocations");
+const { deployTokenVestingLogic, getTokenVestingFactory } = require("../sdk/deployments");
+const {
+    getLegacyTokenVesting,
+    readLegacySchedules,
+    planImports,
+    importLegacySchedules,
+    buildMigrationReport,
+    signMigrationReport
+} = require("../sdk/migration");
+
+const { ethers, network } = hre;
+
+// Moves every schedule of the legacy TokenVesting at LEGACY_VESTING into
+// TARGET_VESTING, whose default admin must be the first configured account
+// and hold the tokens still owed. The old and new state are then compared,
+// and a report signed by that account is written to MIGRATION_REPORT. Exits
+// with an error if anything differs.
+//
+// The legacy contract has to be paused, so no claim or transfer lands
+// between reading and comparing its schedules. ALLOW_UNPAUSED_LEGACY=true
+// runs anyway, e.g. to rehearse on a fork before pausing.
+//
+// DRY_RUN=true only prints the import plan. To rehearse on a fork, set
+// FORK_URL and leave TARGET_VESTING unset: a new TokenVesting is deployed,
+// and MIGRATION_FUNDER names a holder whose tokens fund the import.
+async function main() {
+    const dryRun = process.env.DRY_RUN === "true";
+    const allowUnpaused = process.env.ALLOW_UNPAUSED_LEGACY === "true";
+    const chunkSize = Number(process.env.IMPORT_CHUNK_SIZE || 50);
+    const transferPolicy = parseTransferPolicy(process.env.TRANSFER_POLICY || "free");
+    const reportPath = process.env.MIGRATION_REPORT || `migration-report.${network.name}.json`;
+
+    const [signer] = await ethers.getSigners();
+    // Its address is not in any manifest, as it was deployed before they were recorded
+    const legacyAddress = process.env.LEGACY_VESTING;
+    if (!legacyAddress) {
+        throw new Error("Set LEGACY_VESTING to the address of the legacy TokenVesting");
+    }
+    const legacy = getLegacyTokenVesting(legacyAddress, signer);
+
+    console.log("Legacy TokenVesting:", legacyAddress);
+    console.log("Legacy owner:", await legacy.owner());
+    if (!await legacy.paused()) {
+        if (!dryRun && !allowUnpaused) {
+            throw new Error("Pause the legacy contract first, or set ALLOW_UNPAUSED_LEGACY=true to migrate it unpaused");
+        }
+        console.log("⚠️ The legacy contract is not paused: claims made during the migration will show up as differences");
+    }
+
+    const { blockNumber, schedules } = await readLegacySchedules(legacy, {
+        fromBlock: Number(process.env.LEGACY_FROM_BLOCK || 0)
+    });
+    const chunks = planImports(schedules, { chunkSize, transferPolicy });
+    console.log(`Read ${schedules.length} schedule(s) at block ${blockNumber}`);
+    for (const chunk of chunks) {
+        const ids = chunk.schedules.map((schedule) => schedule.scheduleId);
+        console.log(`  #${ids[0]}-#${ids[ids.length - 1]} ${chunk.token}: owes ${chunk.owedAmount}`);
+    }
+
+    if (dryRun) {
+        console.log("Dry run: nothing was imported");
+        return;
+    }
+
+    let targetAddress = process.env.TARGET_VESTING;
+    if (!targetAddress) {
+        if (network.name !== "hardhat") {
+            throw new Error("Set TARGET_VESTING to the TokenVesting to import into");
+        }
+        const logic = await deployTokenVestingLogic(hre, signer);
+        const TokenVesting = await getTokenVestingFactory(hre, await logic.getAddress(), { signer });
+        const deployed = await TokenVesting.deploy();
+        await deployed.waitForDeployment();
+        targetAddress = await deployed.getAddress();
+        console.log("Deployed rehearsal TokenVesting:", targetAddress);
+    }
+    const tokenVesting = getTokenVesting(targetAddress, signer);
+
+    const funder = process.env.MIGRATION_FUNDER;
+    if (funder) {
+        if (network.name !== "hardhat") {
+            throw new Error("MIGRATION_FUNDER only works on the in-process hardhat network");
+        }
+        await impersonateAccount(funder);
+        await setBalance(funder, ethers.parseEther("10"));
+        const funderSigner = await ethers.getSigner(funder);
+        for (const chunk of chunks) {
+            if (chunk.owedAmount > 0n) {
+                const token = await ethers.getContractAt("IERC20Metadata", chunk.token, funderSigner);
+                await (await token.transfer(signer.address, chunk.owedAmount)).wait();
+            }
+        }
+    }
+
+    const imports = await importLegacySchedules(tokenVesting, schedules, {
+        chunkSize,
+        transferPolicy,
+        onChunk: ({ fromScheduleId, toScheduleId, txHash }) => {
+            console.log(`✅ Imported #${fromScheduleId}-#${toScheduleId}. Tx: ${txHash}`);
+        }
+    });
+
+    const report = await signMigrationReport(
+        await buildMigrationReport(legacy, tokenVesting, { schedules, imports, transferPolicy }),
+        signer
+    );
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+    console.log("Report:", reportPath);
+    console.log("Signed off by:", report.signOff.signer);
+
+    if (!report.ok) {
+        for (const { scheduleId, field, legacy: expected, migrated } of report.mismatches) {
+            console.log(`❌ ${scheduleId === null ? "" : `#${scheduleId} `}${field}: expected ${expected}, found ${migrated}`);
+        }
+        throw new Error(`${report.mismatches.length} difference(s) between the legacy and migrated state`);
+    }
+    console.log("✅ Every schedule matches the legacy contract");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Migration failed:", error);
+        process.exit(1);
+    });
@@ -0,0 +1,31 @@
+const { ethers, network } = require("hardhat");
+const { getTokenVesting } = require("../sdk");
+const { createRelayServer } = require("../sdk/relayer");
+const { resolveAddress } = require("../sdk/deployments");
+
+// Submits claims signed by beneficiaries (see vesting:sign-claim) and pays
+// their gas from the first configured account. Runs until stopped.
+async function main() {
+    const port = Number(process.env.RELAYER_PORT || 8787);
+    const vestingAddress = process.env.VESTING_ADDRESS || resolveAddress(network.name, "TokenVesting");
+
+    const [relayer] = await ethers.getSigners();
+    const tokenVesting = getTokenVesting(vestingAddress, relayer);
+    const server = createRelayServer(tokenVesting);
+
+    await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+    console.log(`Relaying claims to TokenVesting ${vestingAddress} on ${network.name}`);
+    console.log("Relayer account:", relayer.address);
+    console.log("Balance:", ethers.formatEther(await ethers.provider.getBalance(relayer.address)));
+    console.log(`Listening on http://127.0.0.1:${port} (POST /claims, GET /health)`);
+
+    await new Promise((resolve) => process.once("SIGINT", resolve));
+    server.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,14 +1,16 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { createSchedule, getScheduleView } = require("../sdk");
+const { resolveAddress } = require("../sdk/deployments");
 
 async function main() {
     console.log("Testing Token Vesting Transactions on Polygon Amoy Testnet");
     console.log("==========================================================");
 
     // ---------------------------
-    // Deployed contract addresses
+    // Deployed contract addresses (from deployments/<network>.json)
     // ---------------------------
-    const VESTING_ADDRESS = "0x0F28d7c269f188AE919b44FaFC7BC225603e29F0";
-    const TOKEN_ADDRESS = "0xC6a3AD8a7A70aea32e6B12560fF9C8E6283547d5";
+    const VESTING_ADDRESS = resolveAddress(network.name, "TokenVesting");
+    const TOKEN_ADDRESS = resolveAddress(network.name, "MockToken");
 
     const [tester] = await ethers.getSigners();
     console.log("Testing with account:", tester.address);
@@ -20,64 +22,53 @@ async function main() {
     const mockToken = await ethers.getContractAt("MockToken", TOKEN_ADDRESS);
 
     console.log("\n1. Checking initial state...");
-    const owner = await tokenVesting.owner().catch(() => "Different deployer");
+    const owner = await tokenVesting.defaultAdmin().catch(() => "Different deployer");
     const nextId = await tokenVesting.nextScheduleId();
     const balance = await mockToken.balanceOf(tester.address);
 
-    console.log("✅ TokenVesting owner:", owner);
+    console.log("✅ TokenVesting default admin:", owner);
     console.log("✅ Next schedule ID:", nextId.toString());
     console.log("✅ Tester token balance:", ethers.formatEther(balance));
 
     // ---------------------------
-    // Transaction 1: Approve Tokens
+    // Transactions 1-2: Approve Tokens and Create Vesting Schedule
     // ---------------------------
     const vestingAmount = ethers.parseEther("1000");
-    console.log("\n2. Approving tokens for vesting...");
-    const approveTx = await mockToken.approve(VESTING_ADDRESS, vestingAmount);
-    await approveTx.wait();
-    console.log("✅ Approved", ethers.formatEther(vestingAmount), "tokens");
-
-    // ---------------------------
-    // Transaction 2: Create Vesting Schedule
-    // ---------------------------
-    console.log("\n3. Creating vesting schedule...");
+    console.log("\n2. Approving tokens and creating vesting schedule...");
     const currentTime = Math.floor(Date.now() / 1000);
     const startTime = currentTime + 60; // start 1 min later
     const cliff = 30 * 24 * 60 * 60; // 30 days
     const duration = 365 * 24 * 60 * 60; // 1 year
 
-    const createTx = await tokenVesting.createVestingSchedule(
-        tester.address,
-        TOKEN_ADDRESS,
-        vestingAmount,
+    const { scheduleId, receipt } = await createSchedule(tokenVesting, {
+        beneficiary: tester.address,
+        token: TOKEN_ADDRESS,
+        amount: vestingAmount,
         startTime,
-        cliff,
-        duration,
-        true
-    );
-    const receipt = await createTx.wait();
-    console.log("✅ Vesting schedule created. Tx:", receipt.transactionHash);
+        cliffDuration: cliff,
+        vestingDuration: duration,
+        revocable: true
+    });
+    console.log("✅ Vesting schedule", scheduleId.toString(), "created. Tx:", receipt.hash);
 
     // ---------------------------
     // Transaction 3: Fetch Schedule
     // ---------------------------
-    const schedule = await tokenVesting.getVestingSchedule(0);
-    console.log("\n4. Schedule details:");
+    const schedule = await getScheduleView(tokenVesting, scheduleId);
+    console.log("\n3. Schedule details:");
     console.log("Beneficiary:", schedule.beneficiary);
-    console.log("Total amount:", ethers.formatEther(schedule.totalAmount));
-    console.log("Start:", new Date(Number(schedule.startTime) * 1000).toISOString());
-    console.log("Cliff (days):", Number(schedule.cliffDuration)/(24*60*60));
-    console.log("Vesting duration (days):", Number(schedule.vestingDuration)/(24*60*60));
+    console.log("Total amount:", schedule.totalAmount.formatted, schedule.token.symbol);
+    console.log("Start:", schedule.startDate.toISOString());
+    console.log("Cliff end:", schedule.cliffEndDate.toISOString());
+    console.log("Vesting end:", schedule.endDate.toISOString());
     console.log("Revocable:", schedule.revocable);
 
     // ---------------------------
     // Transaction 4: Check vested and claimable
     // ---------------------------
-    const vested = await tokenVesting.getVestedAmount(0);
-    const claimable = await tokenVesting.getClaimableAmount(0);
-    console.log("\n5. Vesting status:");
-    console.log("Vested amount:", ethers.formatEther(vested));
-    console.log("Claimable amount:", ethers.formatEther(claimable));
+    console.log("\n4. Vesting status:", schedule.status);
+    console.log("Vested amount:", schedule.vestedAmount.formatted);
+    console.log("Claimable amount:", schedule.claimableAmount.formatted);
 
     console.log("\n✅ Transactions and testing completed successfully!");
 }
@@ -0,0 +1,72 @@
+const hre = require("hardhat");
+const {
+    UPGRADE_OPTIONS,
+    readDeployment,
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    recordContract,
+    recordUpgrade
+} = require("../sdk/deployments");
+
+const { ethers, network, upgrades } = hre;
+
+// Upgrades the TokenVesting proxy recorded for the network to the contract
+// named by UPGRADE_CONTRACT (TokenVesting by default). The new implementation
+// is checked against the one the proxy runs now, and the upgrade is refused
+// if the storage layouts are incompatible or the new code is unsafe. The new
+// implementation is linked against a new TokenVestingLogic library, since the
+// recorded one may predate its code. Set DRY_RUN=true to only run the checks.
+async function main() {
+    const contractName = process.env.UPGRADE_CONTRACT || "TokenVesting";
+    const dryRun = process.env.DRY_RUN === "true";
+
+    const deployment = readDeployment(network.name);
+    const entry = deployment && deployment.contracts && deployment.contracts.TokenVesting;
+    if (!entry || !entry.proxyKind) {
+        throw new Error(
+            `No upgradeable TokenVesting recorded for network "${network.name}". ` +
+            "Deploy it with scripts/deploy-upgradeable.js first."
+        );
+    }
+
+    console.log("TokenVesting proxy:", entry.address);
+    console.log("Current implementation:", await upgrades.erc1967.getImplementationAddress(entry.address));
+    console.log("New implementation contract:", contractName);
+
+    // Validating deploys nothing, so the library address it links against does not matter
+    const candidate = await getTokenVestingFactory(hre, ethers.ZeroAddress, { contractName });
+    await upgrades.validateUpgrade(entry.address, candidate, UPGRADE_OPTIONS);
+    console.log("✅ Storage layout is compatible");
+
+    if (dryRun) {
+        console.log("Dry run: the proxy was not upgraded");
+        return;
+    }
+
+    const logic = await deployTokenVestingLogic(hre);
+    console.log("TokenVestingLogic deployed to:", await logic.getAddress());
+
+    const NewImplementation = await getTokenVestingFactory(hre, await logic.getAddress(), { contractName });
+    const upgraded = await upgrades.upgradeProxy(entry.address, NewImplementation, UPGRADE_OPTIONS);
+    const upgradeTx = upgraded.deployTransaction;
+    if (upgradeTx) {
+        await upgradeTx.wait();
+    }
+    const implementation = await upgrades.erc1967.getImplementationAddress(entry.address);
+    console.log("✅ Upgraded to implementation:", implementation);
+
+    const file = recordUpgrade(network.name, "TokenVesting", {
+        implementation,
+        contract: contractName,
+        txHash: upgradeTx ? upgradeTx.hash : null,
+        logic: await recordContract(logic)
+    });
+    console.log("Manifest:", file);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Upgrade failed:", error);
+        process.exit(1);
+    });
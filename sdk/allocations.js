@@ -0,0 +1,260 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { findEvents } = require("./events");
+
+const FIELDS = [
+    "beneficiary",
+    "amount",
+    "startTime",
+    "cliffDuration",
+    "vestingDuration",
+    "slicePeriodSeconds",
+    "revocable",
+    "transferPolicy"
+];
+const OPTIONAL_FIELDS = ["slicePeriodSeconds", "revocable", "transferPolicy"];
+
+// Names of TokenVesting.TransferPolicy values, as written in files and task arguments
+const TRANSFER_POLICIES = Object.freeze({
+    disabled: 0,
+    free: 1,
+    "creator-approved": 2
+});
+
+/**
+ * Reads an allocation file (.csv or .json) into raw rows keyed by column name.
+ * CSV files need a header line naming the columns in FIELDS.
+ */
+function loadAllocations(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const extension = path.extname(file).toLowerCase();
+
+    if (extension === ".json") {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error(`${file}: expected a JSON array of allocations`);
+        }
+        return data;
+    }
+
+    if (extension === ".csv") {
+        return parseCsv(text);
+    }
+
+    throw new Error(`${file}: unsupported allocation file type "${extension}"`);
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const header = lines[0].split(",").map((column) => column.trim());
+    const missing = FIELDS.filter((field) => !OPTIONAL_FIELDS.includes(field) && !header.includes(field));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing column(s): ${missing.join(", ")}`);
+    }
+
+    return lines.slice(1).map((line) => {
+        const values = line.split(",").map((value) => value.trim());
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = values[i];
+        });
+        return row;
+    });
+}
+
+function parseTimestamp(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return BigInt(text);
+    }
+    const millis = Date.parse(text);
+    if (Number.isNaN(millis)) {
+        throw new Error(`invalid start time "${value}"`);
+    }
+    return BigInt(Math.floor(millis / 1000));
+}
+
+function parseSeconds(value, name) {
+    const text = String(value ?? "").trim();
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`invalid ${name} "${value}", expected whole seconds`);
+    }
+    return BigInt(text);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function parseBool(value) {
+    if (isBlank(value)) {
+        return false;
+    }
+    if (typeof value === "boolean") {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(text)) {
+        return true;
+    }
+    if (["false", "no", "0"].includes(text)) {
+        return false;
+    }
+    throw new Error(`invalid revocable flag "${value}"`);
+}
+
+/**
+ * Parses a transfer policy name (disabled, free or creator-approved) into its
+ * TokenVesting.TransferPolicy value. Blank means disabled.
+ */
+function parseTransferPolicy(value) {
+    if (isBlank(value)) {
+        return TRANSFER_POLICIES.disabled;
+    }
+    const policy = TRANSFER_POLICIES[String(value).trim().toLowerCase()];
+    if (policy === undefined) {
+        throw new Error(`invalid transferPolicy "${value}", expected ${Object.keys(TRANSFER_POLICIES).join(", ")}`);
+    }
+    return policy;
+}
+
+/**
+ * Converts raw rows into schedule parameters and checks each one against the
+ * rules createVestingSchedule enforces. Amounts are in whole token units and
+ * scaled by `decimals`; `now` is the chain timestamp start times must not precede.
+ * Row numbers in `skip` (already created by an earlier run) are left out unchecked.
+ * Returns the parsed rows plus a list of "Row N: reason" errors.
+ */
+function validateAllocations(rawRows, { decimals, now, skip = new Set() }) {
+    const rows = [];
+    const errors = [];
+
+    rawRows.forEach((raw, i) => {
+        const rowNumber = i + 1;
+        if (skip.has(rowNumber)) {
+            return;
+        }
+        try {
+            if (!ethers.isAddress(raw.beneficiary) || raw.beneficiary === ethers.ZeroAddress) {
+                throw new Error("Invalid beneficiary address");
+            }
+
+            const row = {
+                row: rowNumber,
+                beneficiary: ethers.getAddress(raw.beneficiary),
+                totalAmount: ethers.parseUnits(String(raw.amount), decimals),
+                startTime: parseTimestamp(raw.startTime),
+                cliffDuration: parseSeconds(raw.cliffDuration, "cliffDuration"),
+                vestingDuration: parseSeconds(raw.vestingDuration, "vestingDuration"),
+                slicePeriodSeconds: isBlank(raw.slicePeriodSeconds) ? 1n : parseSeconds(raw.slicePeriodSeconds, "slicePeriodSeconds"),
+                revocable: parseBool(raw.revocable),
+                transferPolicy: parseTransferPolicy(raw.transferPolicy)
+            };
+
+            if (row.totalAmount <= 0n) {
+                throw new Error("Amount must be greater than 0");
+            }
+            if (row.startTime < BigInt(now)) {
+                throw new Error("Start time cannot be in the past");
+            }
+            if (row.vestingDuration <= 0n) {
+                throw new Error("Vesting duration must be greater than 0");
+            }
+            if (row.cliffDuration > row.vestingDuration) {
+                throw new Error("Cliff duration cannot exceed vesting duration");
+            }
+            if (row.slicePeriodSeconds <= 0n) {
+                throw new Error("Slice period must be greater than 0");
+            }
+
+            rows.push(row);
+        } catch (error) {
+            errors.push(`Row ${rowNumber}: ${error.shortMessage || error.message}`);
+        }
+    });
+
+    return { rows, errors };
+}
+
+function toScheduleParams(row) {
+    return {
+        beneficiary: row.beneficiary,
+        totalAmount: row.totalAmount,
+        startTime: row.startTime,
+        cliffDuration: row.cliffDuration,
+        vestingDuration: row.vestingDuration,
+        slicePeriodSeconds: row.slicePeriodSeconds,
+        revocable: row.revocable,
+        transferPolicy: row.transferPolicy
+    };
+}
+
+/**
+ * Sends validated rows to createVestingSchedulesBatch in chunks of at most
+ * `chunkSize`, halving a chunk until its gas estimate fits under `maxGas`.
+ * The caller must already have approved the sum of all rows; for
+ * NATIVE_TOKEN each chunk sends its total as value instead.
+ * `onChunk` is called once each chunk is confirmed, with that chunk's results,
+ * so callers can record progress before a later chunk fails.
+ * Returns one result per row with its scheduleId and transaction hash.
+ */
+async function sendAllocationBatches(tokenVesting, token, rows, { chunkSize = 100, maxGas, onChunk } = {}) {
+    // Required here because index.js loads curves.js, which loads this module
+    const { isNativeToken } = require("./index");
+    const overridesFor = (chunk) => ({
+        value: isNativeToken(token) ? chunk.reduce((sum, row) => sum + row.totalAmount, 0n) : 0n
+    });
+    const results = [];
+    let offset = 0;
+
+    while (offset < rows.length) {
+        let size = Math.min(chunkSize, rows.length - offset);
+        let chunk = rows.slice(offset, offset + size);
+
+        if (maxGas !== undefined) {
+            let estimate = await tokenVesting.createVestingSchedulesBatch.estimateGas(token, chunk.map(toScheduleParams), overridesFor(chunk));
+            while (estimate > BigInt(maxGas) && size > 1) {
+                size = Math.ceil(size / 2);
+                chunk = rows.slice(offset, offset + size);
+                estimate = await tokenVesting.createVestingSchedulesBatch.estimateGas(token, chunk.map(toScheduleParams), overridesFor(chunk));
+            }
+        }
+
+        const tx = await tokenVesting.createVestingSchedulesBatch(token, chunk.map(toScheduleParams), overridesFor(chunk));
+        const receipt = await tx.wait();
+
+        const scheduleIds = findEvents(tokenVesting, receipt, "VestingScheduleCreated")
+            .map((event) => event.args.scheduleId);
+
+        const chunkResults = chunk.map((row, i) => ({
+            row: row.row,
+            beneficiary: row.beneficiary,
+            totalAmount: row.totalAmount.toString(),
+            scheduleId: scheduleIds[i].toString(),
+            txHash: receipt.hash
+        }));
+        results.push(...chunkResults);
+
+        if (onChunk) {
+            onChunk({ from: offset, size, txHash: receipt.hash, results: chunkResults });
+        }
+        offset += size;
+    }
+
+    return results;
+}
+
+module.exports = {
+    loadAllocations,
+    parseCsv,
+    parseTimestamp,
+    parseTransferPolicy,
+    TRANSFER_POLICIES,
+    validateAllocations,
+    sendAllocationBatches
+};
@@ -0,0 +1,234 @@
+const { parseTimestamp } = require("./allocations");
+
+const BASIS_POINTS = 10000;
+// TokenVesting.MAX_CHECKPOINTS
+const MAX_CHECKPOINTS = 256;
+
+const UNIT_PATTERN = "(day|week|month|quarter|year)s?";
+const INTERVALS = {
+    daily: { count: 1, unit: "day" },
+    weekly: { count: 1, unit: "week" },
+    monthly: { count: 1, unit: "month" },
+    quarterly: { count: 1, unit: "quarter" },
+    yearly: { count: 1, unit: "year" },
+    annually: { count: 1, unit: "year" }
+};
+
+function parsePercent(text) {
+    const match = /^(\d+)(?:\.(\d{1,2}))?%$/.exec(text);
+    if (!match) {
+        throw new Error(`invalid percentage "${text}", expected e.g. 5% or 8.33%`);
+    }
+    return Number(match[1]) * 100 + Number((match[2] || "").padEnd(2, "0"));
+}
+
+function parsePeriod(count, unit) {
+    return { count: Number(count), unit: unit.toLowerCase() };
+}
+
+/**
+ * Adds `count` periods to a unix timestamp. Months, quarters and years follow
+ * the UTC calendar, keeping the day of month or the month's last day.
+ */
+function addPeriod(timestamp, { count, unit }) {
+    if (unit === "day" || unit === "week") {
+        return timestamp + count * (unit === "week" ? 7 : 1) * 24 * 60 * 60;
+    }
+
+    const months = count * { month: 1, quarter: 3, year: 12 }[unit];
+    const date = new Date(timestamp * 1000);
+    const targetMonth = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(targetMonth);
+    date.setUTCDate(Math.min(new Date(timestamp * 1000).getUTCDate(), lastDay));
+    return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Compiles a human-written unlock table into checkpoints for
+ * TokenVesting.createCheckpointVestingSchedule. `table` is text with one rule
+ * per line (or an array of lines); `tge` is the start as a Date, unix seconds
+ * or ISO string. Rules run in order from the TGE:
+ *
+ *   10% at TGE                unlock immediately
+ *   0% for 6 months           nothing unlocks (also: wait 6 months)
+ *   10% after 3 months        wait, then unlock
+ *   5% monthly                unlock at the end of every month until 100%
+ *   5% every 2 weeks for 3 months
+ *   40% linearly over 1 year  unlock continuously
+ *
+ * Returns [{ timestamp, basisPoints }] with cumulative basis points.
+ */
+function compileUnlockTable(table, { tge }) {
+    const lines = (Array.isArray(table) ? table : String(table).split(/\r?\n/))
+        .map((line) => line.replace(/#.*$/, "").trim())
+        .filter((line) => line !== "");
+    const start = Number(tge instanceof Date ? Math.floor(tge.getTime() / 1000) : parseTimestamp(tge));
+
+    const checkpoints = [];
+    let cursor = start;
+    let unlocked = 0;
+
+    function addUnlock(timestamp, basisPoints, linear) {
+        if (unlocked + basisPoints > BASIS_POINTS) {
+            throw new Error(`unlocks more than 100% (${(unlocked + basisPoints) / 100}%)`);
+        }
+        // The schedule starts at the TGE even when nothing unlocks there
+        if (checkpoints.length === 0 && timestamp > start) {
+            checkpoints.push({ timestamp: start, basisPoints: 0 });
+        }
+        // Hold the current level until `timestamp` (or the ramp's start), then move
+        const from = linear ? cursor : timestamp;
+        const last = checkpoints[checkpoints.length - 1];
+        if (!last || last.timestamp !== from || last.basisPoints !== unlocked) {
+            checkpoints.push({ timestamp: from, basisPoints: unlocked });
+        }
+        unlocked += basisPoints;
+        checkpoints.push({ timestamp, basisPoints: unlocked });
+        cursor = timestamp;
+
+        // The leading 0% checkpoint is dropped at the end when the first jump starts at the TGE
+        const redundantStart = checkpoints.length > 1 && checkpoints[0].basisPoints === 0 &&
+            checkpoints[1].timestamp === checkpoints[0].timestamp;
+        if (checkpoints.length - (redundantStart ? 1 : 0) > MAX_CHECKPOINTS) {
+            throw new Error(
+                `needs more than ${MAX_CHECKPOINTS} checkpoints, the most a schedule can have ` +
+                "(each step of a repeating unlock takes 2); use fewer, larger steps"
+            );
+        }
+    }
+
+    lines.forEach((line, i) => {
+        const rule = line.toLowerCase().replace(/\s+/g, " ");
+        let match;
+
+        try {
+            if ((match = /^(\S+%) at tge$/.exec(rule))) {
+                if (cursor !== start) {
+                    throw new Error("\"at TGE\" must come before any waiting");
+                }
+                addUnlock(cursor, parsePercent(match[1]), false);
+            } else if ((match = /^(\S+%) at (\S+)$/.exec(rule))) {
+                const timestamp = Number(parseTimestamp(line.split(/\s+/).pop()));
+                if (timestamp < cursor) {
+                    throw new Error("date is before the previous rule");
+                }
+                addUnlock(timestamp, parsePercent(match[1]), false);
+            } else if ((match = new RegExp(`^(?:0(?:\\.0+)?% for|wait) (\\d+) ${UNIT_PATTERN}$`).exec(rule))) {
+                cursor = addPeriod(cursor, parsePeriod(match[1], match[2]));
+            } else if ((match = new RegExp(`^(\\S+%) after (\\d+) ${UNIT_PATTERN}$`).exec(rule))) {
+                addUnlock(addPeriod(cursor, parsePeriod(match[2], match[3])), parsePercent(match[1]), false);
+            } else if ((match = new RegExp(`^(\\S+%) linearly over (\\d+) ${UNIT_PATTERN}$`).exec(rule))) {
+                addUnlock(addPeriod(cursor, parsePeriod(match[2], match[3])), parsePercent(match[1]), true);
+            } else if ((match = new RegExp(
+                `^(\\S+%) (daily|weekly|monthly|quarterly|yearly|annually|every (\\d+) ${UNIT_PATTERN})` +
+                `(?: for (\\d+) ${UNIT_PATTERN})?$`
+            ).exec(rule))) {
+                const step = parsePercent(match[1]);
+                const interval = match[3] ? parsePeriod(match[3], match[4]) : INTERVALS[match[2]];
+                const anchor = cursor;
+                const end = match[5] ? addPeriod(anchor, parsePeriod(match[5], match[6])) : Infinity;
+                if (step === 0) {
+                    throw new Error("a repeating unlock needs a percentage above 0%");
+                }
+
+                // Step k lands k intervals after the anchor, so calendar months do not drift
+                for (let k = 1; unlocked < BASIS_POINTS; k++) {
+                    const timestamp = addPeriod(anchor, { count: interval.count * k, unit: interval.unit });
+                    if (timestamp > end) {
+                        break;
+                    }
+                    addUnlock(timestamp, Math.min(step, BASIS_POINTS - unlocked), false);
+                }
+                if (end !== Infinity) {
+                    cursor = end;
+                }
+            } else {
+                throw new Error("unrecognized rule");
+            }
+        } catch (error) {
+            throw new Error(`Unlock table line ${i + 1} ("${line}"): ${error.message}`);
+        }
+    });
+
+    if (unlocked !== BASIS_POINTS) {
+        throw new Error(`Unlock table only reaches ${unlocked / 100}%, expected 100%`);
+    }
+
+    // A jump from 0% at the very start needs no leading 0% checkpoint
+    if (checkpoints.length > 1 && checkpoints[0].basisPoints === 0 && checkpoints[1].timestamp === checkpoints[0].timestamp) {
+        checkpoints.shift();
+    }
+    return checkpoints;
+}
+
+/**
+ * Computes what TokenVesting vests at time `at` for a checkpoint schedule of
+ * `totalAmount` (bigint); mirrors the contract's integer math.
+ */
+function checkpointVestedAmount(checkpoints, totalAmount, at) {
+    const time = BigInt(at);
+    let next = checkpoints.findIndex((checkpoint) => BigInt(checkpoint.timestamp) > time);
+    if (next === -1) {
+        next = checkpoints.length;
+    }
+    if (next === 0) {
+        return 0n;
+    }
+
+    const previous = checkpoints[next - 1];
+    if (next === checkpoints.length) {
+        return totalAmount * BigInt(previous.basisPoints) / BigInt(BASIS_POINTS);
+    }
+
+    const following = checkpoints[next];
+    const span = BigInt(following.timestamp) - BigInt(previous.timestamp);
+    const elapsed = time - BigInt(previous.timestamp);
+    const basisPointsTimesSpan = BigInt(previous.basisPoints) * span +
+        BigInt(following.basisPoints - previous.basisPoints) * elapsed;
+
+    return totalAmount * basisPointsTimesSpan / (BigInt(BASIS_POINTS) * span);
+}
+
+/**
+ * Lists every point of the timeline where the unlocked amount changes, with
+ * the cumulative amount and the amount added since the previous point.
+ * `linear` marks points reached by a continuous unlock rather than a jump.
+ */
+function previewUnlockTimeline(checkpoints, totalAmount) {
+    const timeline = [];
+    let previousAmount = 0n;
+
+    checkpoints.forEach((checkpoint, i) => {
+        const following = checkpoints[i + 1];
+        if (following && following.timestamp === checkpoint.timestamp) {
+            return;
+        }
+        const unlocked = checkpointVestedAmount(checkpoints, totalAmount, checkpoint.timestamp);
+        if (unlocked === previousAmount) {
+            return;
+        }
+
+        const before = checkpoints[i - 1];
+        timeline.push({
+            timestamp: checkpoint.timestamp,
+            date: new Date(Number(checkpoint.timestamp) * 1000),
+            basisPoints: checkpoint.basisPoints,
+            unlocked,
+            change: unlocked - previousAmount,
+            linear: Boolean(before && before.timestamp !== checkpoint.timestamp && before.basisPoints !== checkpoint.basisPoints)
+        });
+        previousAmount = unlocked;
+    });
+
+    return timeline;
+}
+
+module.exports = {
+    BASIS_POINTS,
+    MAX_CHECKPOINTS,
+    compileUnlockTable,
+    checkpointVestedAmount,
+    previewUnlockTimeline
+};
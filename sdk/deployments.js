@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Options for hardhat-upgrades when deploying or upgrading TokenVesting behind
+// a transparent proxy. The constructor only locks the implementation, and
+// EIP712's immutables hold the constant domain name and version, so both are
+// safe. The linked TokenVestingLogic library keeps no state of its own, so
+// linking it is safe too; everything else, including the storage layout, is
+// still validated.
+const UPGRADE_OPTIONS = Object.freeze({
+    kind: "transparent",
+    unsafeAllow: ["constructor", "state-variable-immutable"],
+    unsafeAllowLinkedLibraries: true
+});
+
+// Notice the deploy scripts require for revocations (30 days), unless
+// REVOCATION_GRACE_PERIOD sets another one. The contract itself starts at 0.
+const DEFAULT_REVOCATION_GRACE_PERIOD = 30 * 24 * 60 * 60;
+
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Reads deployments/<network>.json, or returns null when nothing has been
+ * deployed to that network yet.
+ */
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+    const file = deploymentPath(network, dir);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Returns the recorded address of `contractName` on `network`.
+ */
+function resolveAddress(network, contractName, dir = DEPLOYMENTS_DIR) {
+    const deployment = readDeployment(network, dir);
+    const entry = deployment && deployment.contracts && deployment.contracts[contractName];
+
+    if (!entry || !entry.address) {
+        throw new Error(
+            `No ${contractName} address recorded for network "${network}" in ${deploymentPath(network, dir)}. ` +
+            "Pass the address explicitly or deploy first."
+        );
+    }
+    return entry.address;
+}
+
+/**
+ * Returns the recorded TokenVestingFactory instance called `name` on `network`.
+ */
+function resolveInstance(network, name, dir = DEPLOYMENTS_DIR) {
+    const deployment = readDeployment(network, dir);
+    const entry = deployment && deployment.instances && deployment.instances[name];
+
+    if (!entry) {
+        throw new Error(
+            `No TokenVesting instance "${name}" recorded for network "${network}" in ${deploymentPath(network, dir)}. ` +
+            "Create it with vesting:create-instance first."
+        );
+    }
+    return entry;
+}
+
+/**
+ * Resolves the TokenVesting to use from task-style options: an explicit
+ * `vesting` address, a factory instance recorded as `instance`, or the
+ * recorded TokenVesting. `blockNumber` is where its events start, when known.
+ */
+function resolveVesting(network, { vesting, instance } = {}, dir = DEPLOYMENTS_DIR) {
+    if (vesting) {
+        return { address: vesting, blockNumber: null };
+    }
+    if (instance) {
+        const { address, blockNumber } = resolveInstance(network, instance, dir);
+        return { address, blockNumber };
+    }
+    const address = resolveAddress(network, "TokenVesting", dir);
+    return { address, blockNumber: readDeployment(network, dir).contracts.TokenVesting.blockNumber };
+}
+
+/**
+ * Deploys the TokenVestingLogic library that TokenVesting is linked against.
+ */
+async function deployTokenVestingLogic(hre, signer) {
+    // The library is only ever called through TokenVesting, so it is deployed
+    // without its ABI, whose enum types ethers cannot parse
+    const { bytecode } = await hre.artifacts.readArtifact("TokenVestingLogic");
+    const deployer = signer || (await hre.ethers.getSigners())[0];
+    const logic = await new hre.ethers.ContractFactory([], bytecode, deployer).deploy();
+    await logic.waitForDeployment();
+    return logic;
+}
+
+/**
+ * Returns the contract factory of TokenVesting, or of `contractName` when it
+ * builds on TokenVesting, linked against the TokenVestingLogic library
+ * deployed at `logicAddress`.
+ */
+async function getTokenVestingFactory(hre, logicAddress, { contractName = "TokenVesting", signer } = {}) {
+    return hre.ethers.getContractFactory(contractName, {
+        signer,
+        libraries: { TokenVestingLogic: logicAddress }
+    });
+}
+
+/**
+ * Returns the revocation grace period (seconds, bigint) a deploy script sets:
+ * REVOCATION_GRACE_PERIOD, or DEFAULT_REVOCATION_GRACE_PERIOD when it is
+ * unset. Immediate revocation has to be asked for with REVOCATION_GRACE_PERIOD=0.
+ */
+function revocationGracePeriodFromEnv(env = process.env) {
+    const value = env.REVOCATION_GRACE_PERIOD;
+    if (value === undefined || value === "") {
+        return BigInt(DEFAULT_REVOCATION_GRACE_PERIOD);
+    }
+    if (!/^\d+$/.test(value.trim())) {
+        throw new Error(`invalid REVOCATION_GRACE_PERIOD "${value}", expected whole seconds`);
+    }
+    return BigInt(value.trim());
+}
+
+/**
+ * Sets the revocation grace period of a freshly deployed `tokenVesting`, whose
+ * default admin must be the deployer. Returns the grace period.
+ */
+async function applyRevocationGracePeriod(tokenVesting, gracePeriod) {
+    // 0 is what the contract starts with
+    if (gracePeriod > 0n) {
+        await (await tokenVesting.setRevocationGracePeriod(gracePeriod)).wait();
+    }
+    return gracePeriod;
+}
+
+/**
+ * Throws if a manifest already exists for `network`, unless `overwrite` is set.
+ * Deploy scripts call this before deploying anything.
+ */
+function assertCanWriteDeployment(network, { overwrite = false, dir = DEPLOYMENTS_DIR } = {}) {
+    const file = deploymentPath(network, dir);
+    if (fs.existsSync(file) && !overwrite) {
+        throw new Error(
+            `${file} already exists. Set OVERWRITE_DEPLOYMENT=true to replace the recorded deployment.`
+        );
+    }
+}
+
+/**
+ * Describes a freshly deployed contract for the manifest: address, deployment
+ * transaction, block and constructor arguments (bigints stored as strings).
+ */
+async function recordContract(contract, constructorArgs = []) {
+    const receipt = await contract.deploymentTransaction().wait();
+
+    return {
+        address: await contract.getAddress(),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        constructorArgs: constructorArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg))
+    };
+}
+
+/**
+ * Describes a contract deployed behind a proxy with hardhat-upgrades: the
+ * proxy's entry as recordContract gives it, plus its implementation and the
+ * ProxyAdmin that can upgrade it.
+ */
+async function recordProxy(hre, proxy, initializerArgs = []) {
+    const address = await proxy.getAddress();
+
+    return {
+        ...await recordContract(proxy),
+        proxyKind: UPGRADE_OPTIONS.kind,
+        implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+        proxyAdmin: await hre.upgrades.erc1967.getAdminAddress(address),
+        initializerArgs: initializerArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+        upgrades: []
+    };
+}
+
+/**
+ * Builds the deployments/<network>.json manifest from recorded contracts.
+ * Compiler settings come from the build info of the first contract.
+ */
+async function buildManifest(hre, deployer, contracts) {
+    const [firstName] = Object.keys(contracts);
+    const artifact = await hre.artifacts.readArtifact(firstName);
+    const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const { optimizer, viaIR = false, evmVersion } = buildInfo.input.settings;
+    const network = await hre.ethers.provider.getNetwork();
+
+    return {
+        network: hre.network.name,
+        chainId: Number(network.chainId),
+        deployer,
+        deployedAt: new Date().toISOString(),
+        compiler: {
+            version: buildInfo.solcLongVersion,
+            optimizer,
+            viaIR,
+            evmVersion
+        },
+        contracts
+    };
+}
+
+/**
+ * Writes `manifest` as deployments/<network>.json.
+ */
+function writeDeployment(network, manifest, { overwrite = false, dir = DEPLOYMENTS_DIR } = {}) {
+    assertCanWriteDeployment(network, { overwrite, dir });
+
+    const file = deploymentPath(network, dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * Adds a TokenVestingFactory instance to the manifest of `network` under a
+ * unique `name`, keeping everything else recorded there.
+ */
+function recordInstance(network, name, entry, { dir = DEPLOYMENTS_DIR } = {}) {
+    const deployment = readDeployment(network, dir);
+    if (!deployment) {
+        throw new Error(`No deployment recorded for network "${network}". Deploy the factory first.`);
+    }
+    deployment.instances = deployment.instances || {};
+    if (deployment.instances[name]) {
+        throw new Error(`Instance "${name}" is already recorded for network "${network}"`);
+    }
+
+    deployment.instances[name] = entry;
+    const file = deploymentPath(network, dir);
+    fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * Records that the proxy recorded as `contractName` on `network` now runs
+ * `implementation`, keeping the previous implementations in `upgrades`. A
+ * TokenVestingLogic library deployed for the new implementation, as
+ * recordContract describes it, replaces the recorded one.
+ */
+function recordUpgrade(network, contractName, { implementation, contract, txHash, logic }, { dir = DEPLOYMENTS_DIR } = {}) {
+    const deployment = readDeployment(network, dir);
+    const entry = deployment && deployment.contracts && deployment.contracts[contractName];
+    if (!entry || !entry.proxyKind) {
+        throw new Error(`${contractName} is not recorded as a proxy for network "${network}"`);
+    }
+
+    entry.upgrades.push({ from: entry.implementation, to: implementation, contract, txHash, upgradedAt: new Date().toISOString() });
+    entry.implementation = implementation;
+    if (logic) {
+        deployment.contracts.TokenVestingLogic = logic;
+    }
+    const file = deploymentPath(network, dir);
+    fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+    return file;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    UPGRADE_OPTIONS,
+    DEFAULT_REVOCATION_GRACE_PERIOD,
+    deploymentPath,
+    readDeployment,
+    resolveAddress,
+    resolveInstance,
+    resolveVesting,
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    revocationGracePeriodFromEnv,
+    applyRevocationGracePeriod,
+    assertCanWriteDeployment,
+    recordContract,
+    recordProxy,
+    buildManifest,
+    writeDeployment,
+    recordInstance,
+    recordUpgrade
+};
@@ -0,0 +1,21 @@
+/**
+ * Returns the parsed logs named `eventName` that `contract` emitted in `receipt`.
+ */
+function findEvents(contract, receipt, eventName) {
+    const address = String(contract.target).toLowerCase();
+
+    return receipt.logs
+        .filter((log) => log.address.toLowerCase() === address)
+        .map((log) => {
+            try {
+                return contract.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter((event) => event && event.name === eventName);
+}
+
+module.exports = {
+    findEvents
+};
@@ -0,0 +1,364 @@
+import type { BaseContract, BigNumberish, Contract, ContractRunner, Signer, TransactionReceipt } from "ethers";
+
+export type ScheduleStatusValue = "pending" | "cliff" | "vesting" | "vested" | "completed" | "revoked" | "shutdown";
+
+export declare const ScheduleStatus: Readonly<{
+    PENDING: "pending";
+    CLIFF: "cliff";
+    VESTING: "vesting";
+    VESTED: "vested";
+    COMPLETED: "completed";
+    REVOKED: "revoked";
+    SHUTDOWN: "shutdown";
+}>;
+
+/** How TokenVesting accounts deposits of a token that arrive short. */
+export declare const DepositPolicy: Readonly<{
+    REQUIRE_EXACT: 0;
+    RECORD_RECEIVED: 1;
+}>;
+
+/** Whether and how a schedule's beneficiary may transfer it. */
+export declare const TransferPolicy: Readonly<{
+    DISABLED: 0;
+    FREE: 1;
+    CREATOR_APPROVED: 2;
+}>;
+
+export type TransferPolicyValue = 0 | 1 | 2;
+
+/** Role IDs of TokenVesting's access control. */
+export declare const Roles: Readonly<{
+    DEFAULT_ADMIN: string;
+    PAUSER: string;
+    TREASURER: string;
+    SCHEDULE_MANAGER: string;
+    REVOKER: string;
+}>;
+
+export type RoleName = keyof typeof Roles;
+
+/** EIP-712 types of the Claim message accepted by claimWithSignature. */
+export declare const CLAIM_TYPES: {
+    Claim: { name: string; type: string }[];
+};
+
+/** Token address of native currency schedules (TokenVesting.NATIVE_TOKEN). */
+export declare const NATIVE_TOKEN: string;
+
+/** Any ethers contract bound to a TokenVesting deployment. */
+export type TokenVestingContract = BaseContract | Contract;
+
+export interface TokenInfo {
+    address: string;
+    symbol: string;
+    decimals: number;
+}
+
+export interface TokenAmount {
+    /** Amount in the token's base units. */
+    raw: bigint;
+    /** Amount in whole tokens, formatted with the token's decimals. */
+    formatted: string;
+}
+
+export interface ScheduleView {
+    id: bigint;
+    beneficiary: string;
+    creator: string;
+    token: TokenInfo;
+    /** False when the token allowlist is enabled and the token is not on it. */
+    tokenAllowed: boolean;
+    totalAmount: TokenAmount;
+    claimedAmount: TokenAmount;
+    vestedAmount: TokenAmount;
+    claimableAmount: TokenAmount;
+    remainingAmount: TokenAmount;
+    startDate: Date;
+    cliffEndDate: Date;
+    endDate: Date;
+    slicePeriodSeconds: bigint;
+    /** The unlock curve, empty for cliff-plus-linear schedules. */
+    checkpoints: Checkpoint[];
+    /** When and how much next vests, or null once everything has vested. */
+    nextUnlock: { date: Date; amount: TokenAmount } | null;
+    revocable: boolean;
+    revoked: boolean;
+    transferPolicy: TransferPolicyValue;
+    /** The proposed transfer waiting to be accepted, or null (always null once revoked). */
+    pendingTransfer: { newBeneficiary: string; approved: boolean } | null;
+    /** The announced revocation, or null; vesting stops at `date` and `effective` says whether it has passed. */
+    pendingRevocation: { date: Date; effective: boolean } | null;
+    status: ScheduleStatusValue;
+}
+
+export interface CreateScheduleParams {
+    beneficiary: string;
+    token: string;
+    /** A bigint in base units, or a decimal string in whole tokens. */
+    amount: bigint | string;
+    /** A Date or a unix timestamp in seconds. */
+    startTime: Date | BigNumberish;
+    cliffDuration: BigNumberish;
+    vestingDuration: BigNumberish;
+    /** Release interval after the cliff in seconds (default 1, continuous). */
+    slicePeriodSeconds?: BigNumberish;
+    revocable?: boolean;
+    /** Default TransferPolicy.DISABLED. */
+    transferPolicy?: TransferPolicyValue;
+}
+
+export interface Checkpoint {
+    /** Unix timestamp in seconds. */
+    timestamp: number;
+    /** Cumulative share unlocked at `timestamp`, out of 10000. */
+    basisPoints: number;
+}
+
+export interface CreateCheckpointScheduleParams {
+    beneficiary: string;
+    token: string;
+    /** A bigint in base units, or a decimal string in whole tokens. */
+    amount: bigint | string;
+    checkpoints: Checkpoint[];
+    revocable?: boolean;
+    /** Default TransferPolicy.DISABLED. */
+    transferPolicy?: TransferPolicyValue;
+}
+
+export interface ScheduleViewOptions {
+    /** Shared cache of token metadata lookups, keyed by token address. */
+    tokenInfoCache?: Map<string, Promise<TokenInfo>>;
+}
+
+export declare function getTokenVesting(address: string, runner?: ContractRunner | null): Contract;
+export declare function getTokenVestingFactory(address: string, runner?: ContractRunner | null): Contract;
+/** Resolves to the VestingPositions contract of `tokenVesting`, or null when positions are not enabled. */
+export declare function getVestingPositions(tokenVesting: TokenVestingContract): Promise<Contract | null>;
+
+export interface PositionMetadata {
+    name: string;
+    description: string;
+    attributes: { trait_type: string; value: string | number; display_type?: string }[];
+}
+
+/** Reads and decodes the tokenURI metadata of a schedule's position. */
+export declare function getPositionMetadata(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish
+): Promise<PositionMetadata>;
+
+export declare function getToken(address: string, runner?: ContractRunner | null): Contract;
+export declare function getTokenInfo(address: string, runner?: ContractRunner | null): Promise<TokenInfo>;
+export declare function getTokenBalance(address: string, account: string, runner: ContractRunner): Promise<bigint>;
+export declare function isNativeToken(address: string): boolean;
+/** Approves an ERC20 deposit if needed, or resolves to `{ value }` for NATIVE_TOKEN. */
+export declare function prepareDeposit(
+    tokenVesting: TokenVestingContract,
+    token: string,
+    amount: bigint
+): Promise<{ value?: bigint }>;
+
+export interface ScheduleFields {
+    startTime: bigint;
+    cliffDuration: bigint;
+    vestingDuration: bigint;
+    totalAmount: bigint;
+    claimedAmount: bigint;
+    revoked: boolean;
+    /** The schedule's revocationTimes entry, when a revocation is announced. */
+    revocationTime?: bigint;
+    /** The contract's shutdownTime, once a shutdown was announced. */
+    shutdownTime?: bigint;
+}
+
+export declare function scheduleStatus(schedule: ScheduleFields, now: bigint): ScheduleStatusValue;
+
+export interface VestingFields extends ScheduleFields {
+    slicePeriodSeconds: bigint;
+    checkpoints?: Checkpoint[];
+    /** The schedule's vestingBases entry, once it was amended. */
+    base?: { vestedAmount: bigint; timestamp: bigint };
+}
+
+export declare function vestedAmountAt(schedule: VestingFields, at: bigint): bigint;
+export declare function nextUnlock(schedule: VestingFields, now: bigint): { time: bigint; amount: bigint } | null;
+
+export declare function createSchedule(
+    tokenVesting: TokenVestingContract,
+    params: CreateScheduleParams
+): Promise<{ scheduleId: bigint; receipt: TransactionReceipt }>;
+
+export declare function createCheckpointSchedule(
+    tokenVesting: TokenVestingContract,
+    params: CreateCheckpointScheduleParams
+): Promise<{ scheduleId: bigint; receipt: TransactionReceipt }>;
+
+export interface ClaimResult {
+    /** Total claimed; only meaningful when all schedules share a token. */
+    amount: bigint;
+    claimed: { scheduleId: bigint; amount: bigint }[];
+    receipt: TransactionReceipt;
+}
+
+export declare function claim(
+    tokenVesting: TokenVestingContract,
+    scheduleIds: BigNumberish | BigNumberish[]
+): Promise<ClaimResult>;
+
+export declare function claimAll(tokenVesting: TokenVestingContract, token: string): Promise<ClaimResult>;
+
+export interface SignClaimParams {
+    scheduleId: BigNumberish;
+    /** Address receiving the tokens (default: the zero address, meaning the beneficiary). */
+    recipient?: string;
+    /** The beneficiary's claim nonce to sign for (default: the current one). */
+    nonce?: BigNumberish;
+    /** A Date or a unix timestamp in seconds (default: one hour after the latest block). */
+    deadline?: Date | BigNumberish;
+}
+
+export interface SignedClaim {
+    scheduleId: bigint;
+    recipient: string;
+    nonce: bigint;
+    deadline: bigint;
+    beneficiary: string;
+    signature: string;
+}
+
+export declare function signClaim(
+    tokenVesting: TokenVestingContract,
+    signer: Signer,
+    params: SignClaimParams
+): Promise<SignedClaim>;
+
+export declare function claimWithSignature(
+    tokenVesting: TokenVestingContract,
+    claim: { scheduleId: BigNumberish; recipient?: string; deadline: BigNumberish; signature: string }
+): Promise<ClaimResult>;
+
+export declare function revoke(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish
+): Promise<{ unvestedAmount: bigint; receipt: TransactionReceipt }>;
+
+/** `effectiveTime` is a Date or a unix timestamp in seconds. */
+export declare function announceRevocation(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish,
+    effectiveTime: Date | BigNumberish
+): Promise<{ effectiveTime: bigint; receipt: TransactionReceipt }>;
+
+export declare function cancelRevocation(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function emergencyShutdown(
+    tokenVesting: TokenVestingContract
+): Promise<{ shutdownTime: bigint; receipt: TransactionReceipt }>;
+
+export interface EmergencyState {
+    paused: boolean;
+    /** When the current pause lifts itself at the latest; null while not paused. */
+    pausedUntil: Date | null;
+    /** Earliest date pausers can pause again for the full MAX_PAUSE_DURATION, PAUSE_COOLDOWN after the last pause ended; null if never paused. */
+    nextPauseDate: Date | null;
+    /** Seconds the last pause left when it was unpaused early, which a pause before nextPauseDate can use; zero if none. */
+    unusedPauseTime: bigint;
+    /** When an announced shutdown takes or took effect; null if none was announced. */
+    shutdownDate: Date | null;
+}
+
+export declare function getEmergencyState(tokenVesting: TokenVestingContract): Promise<EmergencyState>;
+
+export interface AmendResult {
+    scheduleId: bigint;
+    oldTotalAmount: bigint;
+    newTotalAmount: bigint;
+    oldVestingDuration: bigint;
+    newVestingDuration: bigint;
+    /** What had vested when the schedule was amended; it stays vested. */
+    vestedAmount: bigint;
+    receipt: TransactionReceipt;
+}
+
+/** Omitted terms keep their current value; `amount` is in base units or a decimal string in whole tokens. */
+export declare function amend(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish,
+    terms: { amount?: bigint | string; vestingDuration?: BigNumberish }
+): Promise<AmendResult>;
+
+export declare function proposeTransfer(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish,
+    newBeneficiary: string
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function approveTransfer(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish,
+    newBeneficiary: string
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function acceptTransfer(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function cancelTransfer(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function grantRole(
+    tokenVesting: TokenVestingContract,
+    role: string,
+    account: string
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function revokeRole(
+    tokenVesting: TokenVestingContract,
+    role: string,
+    account: string
+): Promise<{ receipt: TransactionReceipt }>;
+
+export declare function getRoleMembers(
+    tokenVesting: TokenVestingContract,
+    options?: { fromBlock?: number }
+): Promise<Record<RoleName, string[]>>;
+
+export interface Allowlists {
+    tokenAllowlistEnabled: boolean;
+    creatorAllowlistEnabled: boolean;
+    tokens: string[];
+    creators: string[];
+}
+
+export declare function getAllowlists(
+    tokenVesting: TokenVestingContract,
+    options?: { fromBlock?: number }
+): Promise<Allowlists>;
+
+export declare function createInstance(
+    factory: BaseContract | Contract,
+    options?: { admin?: string }
+): Promise<{ address: string; tokenVesting: Contract; receipt: TransactionReceipt }>;
+
+export declare function listInstances(
+    factory: BaseContract | Contract,
+    organization: string
+): Promise<{ address: string; admin: string }[]>;
+
+export declare function getScheduleView(
+    tokenVesting: TokenVestingContract,
+    scheduleId: BigNumberish,
+    options?: ScheduleViewOptions
+): Promise<ScheduleView>;
+
+export declare function listBeneficiarySchedules(
+    tokenVesting: TokenVestingContract,
+    beneficiary: string
+): Promise<ScheduleView[]>;
@@ -0,0 +1,892 @@
+const { ethers } = require("ethers");
+const { findEvents } = require("./events");
+const { BASIS_POINTS, checkpointVestedAmount } = require("./curves");
+
+const TOKEN_VESTING_ABI = require("./abi/TokenVesting.json");
+const TOKEN_VESTING_FACTORY_ABI = require("./abi/TokenVestingFactory.json");
+const VESTING_POSITIONS_ABI = require("./abi/VestingPositions.json");
+
+const ERC20_ABI = [
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+const ScheduleStatus = Object.freeze({
+    PENDING: "pending",
+    CLIFF: "cliff",
+    VESTING: "vesting",
+    VESTED: "vested",
+    COMPLETED: "completed",
+    REVOKED: "revoked",
+    SHUTDOWN: "shutdown"
+});
+
+// EIP-712 type of TokenVesting.claimWithSignature
+const CLAIM_TYPES = {
+    Claim: [
+        { name: "scheduleId", type: "uint256" },
+        { name: "recipient", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+// TokenVesting.NATIVE_TOKEN: the token address of native currency schedules
+const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// Symbols of the native currency by chain ID (ETH elsewhere)
+const NATIVE_SYMBOLS = Object.freeze({
+    137: "POL",
+    80002: "POL"
+});
+
+// Mirrors TokenVesting.DepositPolicy
+const DepositPolicy = Object.freeze({
+    REQUIRE_EXACT: 0,
+    RECORD_RECEIVED: 1
+});
+
+// Mirrors TokenVesting.TransferPolicy
+const TransferPolicy = Object.freeze({
+    DISABLED: 0,
+    FREE: 1,
+    CREATOR_APPROVED: 2
+});
+
+// Role IDs of TokenVesting's access control
+const Roles = Object.freeze({
+    DEFAULT_ADMIN: ethers.ZeroHash,
+    PAUSER: ethers.id("PAUSER_ROLE"),
+    TREASURER: ethers.id("TREASURER_ROLE"),
+    SCHEDULE_MANAGER: ethers.id("SCHEDULE_MANAGER_ROLE"),
+    REVOKER: ethers.id("REVOKER_ROLE")
+});
+
+/**
+ * Returns a TokenVesting contract bound to `runner`, using the ABI shipped in
+ * sdk/abi (refresh it with `npm run export-abi`).
+ */
+function getTokenVesting(address, runner) {
+    return new ethers.Contract(address, TOKEN_VESTING_ABI, runner);
+}
+
+/**
+ * Returns a TokenVestingFactory contract bound to `runner`.
+ */
+function getTokenVestingFactory(address, runner) {
+    return new ethers.Contract(address, TOKEN_VESTING_FACTORY_ABI, runner);
+}
+
+/**
+ * Returns the VestingPositions contract of `tokenVesting`, or null when its
+ * schedules are not tokenized.
+ */
+async function getVestingPositions(tokenVesting) {
+    const address = await tokenVesting.positionNFT();
+    if (address === ethers.ZeroAddress) {
+        return null;
+    }
+    return new ethers.Contract(address, VESTING_POSITIONS_ABI, tokenVesting.runner);
+}
+
+/**
+ * Reads and decodes the tokenURI metadata of a schedule's position.
+ */
+async function getPositionMetadata(tokenVesting, scheduleId) {
+    const positions = await getVestingPositions(tokenVesting);
+    if (!positions) {
+        throw new Error(`TokenVesting ${tokenVesting.target} has no position NFT`);
+    }
+    const uri = await positions.tokenURI(scheduleId);
+    const json = Buffer.from(uri.slice("data:application/json;base64,".length), "base64").toString("utf8");
+    return JSON.parse(json);
+}
+
+function getToken(address, runner) {
+    return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+function getProvider(contract) {
+    return contract.runner.provider || contract.runner;
+}
+
+function isNativeToken(address) {
+    return address.toLowerCase() === NATIVE_TOKEN.toLowerCase();
+}
+
+/**
+ * Returns the address, symbol and decimals of a token. NATIVE_TOKEN gets the
+ * chain's native currency symbol and 18 decimals.
+ */
+async function getTokenInfo(address, runner) {
+    if (isNativeToken(address)) {
+        const { chainId } = await (runner.provider || runner).getNetwork();
+        return { address, symbol: NATIVE_SYMBOLS[Number(chainId)] || "ETH", decimals: 18 };
+    }
+    const token = getToken(address, runner);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    return { address, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Returns the balance of `account` in a token, or in native currency for
+ * NATIVE_TOKEN.
+ */
+async function getTokenBalance(address, account, runner) {
+    if (isNativeToken(address)) {
+        return (runner.provider || runner).getBalance(account);
+    }
+    return getToken(address, runner).balanceOf(account);
+}
+
+function formatAmount(raw, decimals) {
+    return { raw, formatted: ethers.formatUnits(raw, decimals) };
+}
+
+/**
+ * Converts an amount to base units: bigints are taken as base units already,
+ * strings as whole-token decimals (e.g. "1000.5").
+ */
+function toBaseUnits(amount, decimals) {
+    if (typeof amount === "bigint") {
+        return amount;
+    }
+    if (typeof amount === "string") {
+        return ethers.parseUnits(amount, decimals);
+    }
+    throw new TypeError("Amount must be a bigint in base units or a decimal string");
+}
+
+function toUnixSeconds(value) {
+    if (value instanceof Date) {
+        return BigInt(Math.floor(value.getTime() / 1000));
+    }
+    return BigInt(value);
+}
+
+function toDate(seconds) {
+    return new Date(Number(seconds) * 1000);
+}
+
+async function approveIfNeeded(tokenContract, signer, spender, amount) {
+    const allowance = await tokenContract.allowance(await signer.getAddress(), spender);
+    if (allowance < amount) {
+        const approveTx = await tokenContract.approve(spender, amount);
+        await approveTx.wait();
+    }
+}
+
+/**
+ * Prepares paying `amount` of `token` into the vesting contract: approves an
+ * ERC20 token if needed, or returns the value to send for native currency.
+ * Resolves to the overrides of the creating call.
+ */
+async function prepareDeposit(tokenVesting, token, amount) {
+    if (isNativeToken(token)) {
+        return { value: amount };
+    }
+    await approveIfNeeded(getToken(token, tokenVesting.runner), tokenVesting.runner, tokenVesting.target, amount);
+    return {};
+}
+
+/**
+ * Creates a vesting schedule from the contract's signer, approving the
+ * vesting contract first when the current allowance is too small. For
+ * NATIVE_TOKEN the amount is sent with the transaction instead.
+ * Resolves to the new scheduleId read from the VestingScheduleCreated event.
+ */
+async function createSchedule(tokenVesting, {
+    beneficiary,
+    token,
+    amount,
+    startTime,
+    cliffDuration,
+    vestingDuration,
+    slicePeriodSeconds = 1,
+    revocable = false,
+    transferPolicy = TransferPolicy.DISABLED
+}) {
+    const { decimals } = await getTokenInfo(token, tokenVesting.runner);
+    const totalAmount = toBaseUnits(amount, decimals);
+    const overrides = await prepareDeposit(tokenVesting, token, totalAmount);
+
+    const tx = await tokenVesting.createVestingSchedule(
+        beneficiary,
+        token,
+        totalAmount,
+        toUnixSeconds(startTime),
+        BigInt(cliffDuration),
+        BigInt(vestingDuration),
+        BigInt(slicePeriodSeconds),
+        revocable,
+        transferPolicy,
+        overrides
+    );
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "VestingScheduleCreated");
+
+    return { scheduleId: event.args.scheduleId, receipt };
+}
+
+/**
+ * Creates a schedule that follows an unlock curve, such as the checkpoints
+ * returned by compileUnlockTable. Approves like createSchedule does.
+ */
+async function createCheckpointSchedule(tokenVesting, {
+    beneficiary,
+    token,
+    amount,
+    checkpoints,
+    revocable = false,
+    transferPolicy = TransferPolicy.DISABLED
+}) {
+    const { decimals } = await getTokenInfo(token, tokenVesting.runner);
+    const totalAmount = toBaseUnits(amount, decimals);
+    const overrides = await prepareDeposit(tokenVesting, token, totalAmount);
+
+    const tx = await tokenVesting.createCheckpointVestingSchedule(
+        beneficiary,
+        token,
+        totalAmount,
+        checkpoints,
+        revocable,
+        transferPolicy,
+        overrides
+    );
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "VestingScheduleCreated");
+
+    return { scheduleId: event.args.scheduleId, receipt };
+}
+
+function claimResult(tokenVesting, receipt) {
+    const claimed = findEvents(tokenVesting, receipt, "TokensClaimed")
+        .map((event) => ({ scheduleId: event.args.scheduleId, amount: event.args.amount }));
+    const amount = claimed.reduce((sum, item) => sum + item.amount, 0n);
+
+    return { amount, claimed, receipt };
+}
+
+/**
+ * Claims everything currently claimable on one schedule or an array of them
+ * with a single claimMany transaction; schedules with nothing to claim are
+ * skipped. `amount` is the total, which is only meaningful within one token,
+ * and `claimed` lists the amount per schedule.
+ */
+async function claim(tokenVesting, scheduleIds) {
+    const ids = Array.isArray(scheduleIds) ? scheduleIds : [scheduleIds];
+    const tx = await tokenVesting.claimMany(ids);
+
+    return claimResult(tokenVesting, await tx.wait());
+}
+
+/**
+ * Claims every schedule of the signer in `token` with one transfer.
+ */
+async function claimAll(tokenVesting, token) {
+    const tx = await tokenVesting.claimAll(token);
+
+    return claimResult(tokenVesting, await tx.wait());
+}
+
+/**
+ * Signs an EIP-712 claim for a schedule held by `signer`, which anyone can
+ * then submit with claimWithSignature. `recipient` defaults to the zero
+ * address (pay the beneficiary) and `deadline` to one hour after the latest
+ * block. `nonce` defaults to the beneficiary's current nonce; each signed
+ * claim that goes through uses up one, in order.
+ */
+async function signClaim(tokenVesting, signer, { scheduleId, recipient = ethers.ZeroAddress, nonce, deadline }) {
+    const beneficiary = await signer.getAddress();
+    const domain = await tokenVesting.eip712Domain();
+    if (nonce === undefined) {
+        nonce = await tokenVesting.nonces(beneficiary);
+    }
+    if (deadline === undefined) {
+        const block = await getProvider(tokenVesting).getBlock("latest");
+        deadline = block.timestamp + 3600;
+    }
+
+    const claim = {
+        scheduleId: BigInt(scheduleId),
+        recipient,
+        nonce: BigInt(nonce),
+        deadline: toUnixSeconds(deadline)
+    };
+    const signature = await signer.signTypedData(
+        { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+        CLAIM_TYPES,
+        claim
+    );
+
+    return { ...claim, beneficiary, signature };
+}
+
+/**
+ * Submits a claim signed with signClaim from the contract's signer, which
+ * pays the gas. The tokens go to the signed recipient.
+ */
+async function claimWithSignature(tokenVesting, { scheduleId, recipient = ethers.ZeroAddress, deadline, signature }) {
+    const tx = await tokenVesting.claimWithSignature(scheduleId, recipient, deadline, signature);
+
+    return claimResult(tokenVesting, await tx.wait());
+}
+
+/**
+ * Revokes a schedule, returning how much unvested token went back to the creator.
+ */
+async function revoke(tokenVesting, scheduleId) {
+    const tx = await tokenVesting.revokeVestingSchedule(scheduleId);
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "VestingScheduleRevoked");
+
+    return { unvestedAmount: event.args.unvestedAmount, receipt };
+}
+
+/**
+ * Announces that a schedule will be revoked at `effectiveTime` (a Date or
+ * unix seconds), which must be at least the contract's revocationGracePeriod
+ * away. Once it has passed, revoke finalizes the revocation.
+ */
+async function announceRevocation(tokenVesting, scheduleId, effectiveTime) {
+    const tx = await tokenVesting.announceRevocation(scheduleId, toUnixSeconds(effectiveTime));
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "RevocationAnnounced");
+
+    return { effectiveTime: event.args.effectiveTime, receipt };
+}
+
+/**
+ * Cancels an announced revocation that has not taken effect yet.
+ */
+async function cancelRevocation(tokenVesting, scheduleId) {
+    const tx = await tokenVesting.cancelRevocation(scheduleId);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Announces shutting the contract down for good (default admin only). No
+ * schedule can be created or amended from now on, and at the returned
+ * `shutdownTime`, SHUTDOWN_NOTICE_PERIOD later, every schedule stops
+ * vesting. Beneficiaries then claim what has vested and creators revoke
+ * their schedules to reclaim the rest.
+ */
+async function emergencyShutdown(tokenVesting) {
+    const tx = await tokenVesting.emergencyShutdown();
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "EmergencyShutdown");
+
+    return { shutdownTime: event.args.shutdownTime, receipt };
+}
+
+/**
+ * Reads whether the contract is paused, when the pause lifts itself at the
+ * latest, from when pausers can pause again for the full MAX_PAUSE_DURATION
+ * (null if never paused), the seconds an early unpause left for a pause
+ * before then, and when an announced shutdown takes or took effect (null if
+ * none was).
+ */
+async function getEmergencyState(tokenVesting) {
+    const [paused, pauseEndTime, pauseCooldown, unusedPauseTime, shutdownTime] = await Promise.all([
+        tokenVesting.paused(),
+        tokenVesting.pauseEndTime(),
+        tokenVesting.PAUSE_COOLDOWN(),
+        tokenVesting.unusedPauseTime(),
+        tokenVesting.shutdownTime()
+    ]);
+
+    return {
+        paused,
+        pausedUntil: paused ? toDate(pauseEndTime) : null,
+        nextPauseDate: pauseEndTime === 0n ? null : toDate(pauseEndTime + pauseCooldown),
+        unusedPauseTime,
+        shutdownDate: shutdownTime === 0n ? null : toDate(shutdownTime)
+    };
+}
+
+/**
+ * Amends a schedule's total amount (a bigint or whole-token string, like
+ * createSchedule's) and/or vesting duration; whatever is left out keeps its current value.
+ * Top-ups are approved or sent like a new schedule's deposit, reductions go
+ * back to the creator. Resolves to the before and after terms from the
+ * VestingScheduleAmended event.
+ */
+async function amend(tokenVesting, scheduleId, { amount, vestingDuration } = {}) {
+    const schedule = await tokenVesting.getVestingSchedule(scheduleId);
+    const { decimals } = await getTokenInfo(schedule.token, tokenVesting.runner);
+    const totalAmount = amount === undefined ? schedule.totalAmount : toBaseUnits(amount, decimals);
+    const duration = vestingDuration === undefined ? schedule.vestingDuration : BigInt(vestingDuration);
+    const overrides = totalAmount > schedule.totalAmount
+        ? await prepareDeposit(tokenVesting, schedule.token, totalAmount - schedule.totalAmount)
+        : {};
+
+    const tx = await tokenVesting.amendVestingSchedule(scheduleId, totalAmount, duration, overrides);
+    const receipt = await tx.wait();
+    const [event] = findEvents(tokenVesting, receipt, "VestingScheduleAmended");
+
+    return { ...event.args.toObject(), receipt };
+}
+
+/**
+ * Proposes moving a schedule to a new beneficiary, who then accepts it with
+ * acceptTransfer (after the creator's approveTransfer, if the schedule's
+ * policy requires it).
+ */
+async function proposeTransfer(tokenVesting, scheduleId, newBeneficiary) {
+    const tx = await tokenVesting.proposeScheduleTransfer(scheduleId, newBeneficiary);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Approves the pending transfer of a creator-approved schedule to `newBeneficiary`.
+ */
+async function approveTransfer(tokenVesting, scheduleId, newBeneficiary) {
+    const tx = await tokenVesting.approveScheduleTransfer(scheduleId, newBeneficiary);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Accepts a transfer proposed to the contract's signer.
+ */
+async function acceptTransfer(tokenVesting, scheduleId) {
+    const tx = await tokenVesting.acceptScheduleTransfer(scheduleId);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Cancels a pending transfer, as its proposer, its recipient or an approving creator.
+ */
+async function cancelTransfer(tokenVesting, scheduleId) {
+    const tx = await tokenVesting.cancelScheduleTransfer(scheduleId);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Grants `role` (a Roles value) to `account`. The signer must be the default
+ * admin; the default admin role itself is handed over with
+ * beginDefaultAdminTransfer instead.
+ */
+async function grantRole(tokenVesting, role, account) {
+    const tx = await tokenVesting.grantRole(role, account);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Revokes `role` (a Roles value) from `account`.
+ */
+async function revokeRole(tokenVesting, role, account) {
+    const tx = await tokenVesting.revokeRole(role, account);
+    const receipt = await tx.wait();
+
+    return { receipt };
+}
+
+/**
+ * Returns the holders of each role, keyed by Roles name, by replaying the
+ * RoleGranted and RoleRevoked events emitted since `fromBlock`.
+ */
+async function getRoleMembers(tokenVesting, { fromBlock = 0 } = {}) {
+    const [granted, revoked] = await Promise.all([
+        tokenVesting.queryFilter(tokenVesting.filters.RoleGranted(), fromBlock),
+        tokenVesting.queryFilter(tokenVesting.filters.RoleRevoked(), fromBlock)
+    ]);
+    const events = [...granted, ...revoked].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    const members = Object.fromEntries(Object.keys(Roles).map((name) => [name, new Set()]));
+
+    for (const event of events) {
+        const name = Object.keys(Roles).find((key) => Roles[key] === event.args.role);
+        if (!name) {
+            continue;
+        }
+        if (event.eventName === "RoleGranted") {
+            members[name].add(event.args.account);
+        } else {
+            members[name].delete(event.args.account);
+        }
+    }
+    return Object.fromEntries(Object.entries(members).map(([name, accounts]) => [name, [...accounts]]));
+}
+
+/**
+ * Returns the allowlist modes and the tokens and creators currently on each
+ * allowlist, replaying the allowlist events emitted since `fromBlock`.
+ */
+async function getAllowlists(tokenVesting, { fromBlock = 0 } = {}) {
+    const [tokenEvents, creatorEvents, tokenAllowlistEnabled, creatorAllowlistEnabled] = await Promise.all([
+        tokenVesting.queryFilter(tokenVesting.filters.TokenAllowlistUpdated(), fromBlock),
+        tokenVesting.queryFilter(tokenVesting.filters.CreatorAllowlistUpdated(), fromBlock),
+        tokenVesting.tokenAllowlistEnabled(),
+        tokenVesting.creatorAllowlistEnabled()
+    ]);
+    const replay = (events) => {
+        const allowed = new Set();
+        for (const event of events) {
+            if (event.args.allowed) {
+                allowed.add(event.args[0]);
+            } else {
+                allowed.delete(event.args[0]);
+            }
+        }
+        return [...allowed];
+    };
+
+    return {
+        tokenAllowlistEnabled,
+        creatorAllowlistEnabled,
+        tokens: replay(tokenEvents),
+        creators: replay(creatorEvents)
+    };
+}
+
+/**
+ * Deploys a TokenVesting clone for the organization of the factory's signer.
+ * `admin` (default: the signer) becomes its default admin, pauser and
+ * treasurer. Resolves to the instance, bound to the same signer.
+ */
+async function createInstance(factory, { admin } = {}) {
+    const signer = factory.runner;
+    const tx = await factory.createInstance(admin || await signer.getAddress());
+    const receipt = await tx.wait();
+    const [event] = findEvents(factory, receipt, "InstanceCreated");
+
+    return { address: event.args.instance, tokenVesting: getTokenVesting(event.args.instance, signer), receipt };
+}
+
+/**
+ * Lists the instances `organization` created with the factory, in creation
+ * order, with each one's current default admin.
+ */
+async function listInstances(factory, organization) {
+    const addresses = await factory.getOrganizationInstances(organization);
+
+    return Promise.all(addresses.map(async (address) => ({
+        address,
+        admin: await getTokenVesting(address, factory.runner).defaultAdmin()
+    })));
+}
+
+/**
+ * Derives a ScheduleStatus from raw schedule fields (bigints) at time `now`.
+ * A schedule whose announced `revocationTime` took effect before its end
+ * counts as revoked. One stopped by the contract's `shutdownTime` first counts
+ * as shut down, until its creator actually revokes it.
+ */
+function scheduleStatus(schedule, now) {
+    const start = schedule.startTime;
+    const cliffEnd = start + schedule.cliffDuration;
+    const end = start + schedule.vestingDuration;
+    const stopTime = vestingStopTime(schedule);
+
+    if (schedule.revoked) {
+        return ScheduleStatus.REVOKED;
+    }
+    if (stopTime && stopTime <= now && stopTime < end) {
+        return stopTime === schedule.revocationTime ? ScheduleStatus.REVOKED : ScheduleStatus.SHUTDOWN;
+    }
+    if (now < start) {
+        return ScheduleStatus.PENDING;
+    }
+    if (now < cliffEnd) {
+        return ScheduleStatus.CLIFF;
+    }
+    if (now < end) {
+        return ScheduleStatus.VESTING;
+    }
+    return schedule.claimedAmount === schedule.totalAmount ? ScheduleStatus.COMPLETED : ScheduleStatus.VESTED;
+}
+
+/**
+ * Returns where a linear schedule vests from: the cliff end with nothing
+ * vested, or its `base` (from vestingBases) once it was amended after the
+ * cliff. Either way, slice periods are counted from the cliff end.
+ */
+function vestingOrigin(schedule) {
+    const cliffEnd = schedule.startTime + schedule.cliffDuration;
+    const base = schedule.base;
+
+    if (base && base.timestamp > cliffEnd) {
+        return { time: base.timestamp, vested: base.vestedAmount };
+    }
+    return { time: cliffEnd, vested: 0n };
+}
+
+/**
+ * Returns when a schedule stops vesting: the earlier of its announced
+ * `revocationTime` and the contract's `shutdownTime`, or undefined.
+ */
+function vestingStopTime({ revocationTime, shutdownTime }) {
+    if (revocationTime && shutdownTime) {
+        return revocationTime < shutdownTime ? revocationTime : shutdownTime;
+    }
+    return revocationTime || shutdownTime || undefined;
+}
+
+/**
+ * Computes what TokenVesting.getVestedAmount returns at time `at`, from raw
+ * schedule fields (bigints), its `base` if it was amended, its announced
+ * `revocationTime` and the contract's `shutdownTime` if any and, for curve
+ * schedules, its checkpoints.
+ */
+function vestedAmountAt(schedule, at) {
+    const cliffEnd = schedule.startTime + schedule.cliffDuration;
+    const stopTime = vestingStopTime(schedule);
+
+    if (schedule.revoked) {
+        return schedule.totalAmount;
+    }
+    // Vesting stops once an announced revocation takes effect, or at a shutdown
+    if (stopTime && stopTime < at) {
+        at = stopTime;
+    }
+    if (schedule.checkpoints && schedule.checkpoints.length > 0) {
+        return checkpointVestedAmount(schedule.checkpoints, schedule.totalAmount, at);
+    }
+    if (at < cliffEnd) {
+        return 0n;
+    }
+    if (at >= schedule.startTime + schedule.vestingDuration) {
+        return schedule.totalAmount;
+    }
+
+    let timeFromCliff = at - cliffEnd;
+    timeFromCliff -= timeFromCliff % schedule.slicePeriodSeconds;
+
+    const origin = vestingOrigin(schedule);
+    const span = schedule.startTime + schedule.vestingDuration - origin.time;
+    const amount = (schedule.totalAmount - origin.vested) * (cliffEnd + timeFromCliff - origin.time);
+    // Amended schedules round up, so that a top-up never vests less than before
+    return origin.vested + (origin.time > cliffEnd ? (amount + span - 1n) / span : amount / span);
+}
+
+/**
+ * Returns the next time after `now` at which the vested amount grows, and by
+ * how much, or null once nothing is left to unlock.
+ */
+function nextUnlock(schedule, now) {
+    const end = schedule.startTime + schedule.vestingDuration;
+    const stopTime = vestingStopTime(schedule);
+
+    if (schedule.revoked || now >= end || (stopTime && now >= stopTime)) {
+        return null;
+    }
+    if (stopTime) {
+        // Whatever would unlock after vesting stops never does
+        const unlock = nextUnlock({ ...schedule, revocationTime: undefined, shutdownTime: undefined }, now);
+        return unlock && unlock.time <= stopTime ? unlock : null;
+    }
+    if (schedule.checkpoints && schedule.checkpoints.length > 0) {
+        return nextCheckpointUnlock(schedule, now);
+    }
+
+    const vested = vestedAmountAt(schedule, now);
+    const slice = schedule.slicePeriodSeconds;
+    const cliffEnd = schedule.startTime + schedule.cliffDuration;
+    const origin = vestingOrigin(schedule);
+    const span = end - origin.time;
+    const remaining = schedule.totalAmount - origin.vested;
+    if (remaining === 0n) {
+        return null;
+    }
+
+    // Shortest time after the origin that vests more than `vested` (rounding as vestedAmountAt does),
+    // then the first slice boundary after the cliff from there
+    const owed = (vested - origin.vested) * span;
+    const elapsed = origin.time > cliffEnd ? owed / remaining + 1n : (owed + span + remaining - 1n) / remaining;
+    const sinceCliff = origin.time + elapsed - cliffEnd;
+
+    let time = cliffEnd + (sinceCliff + slice - 1n) / slice * slice;
+    if (time > end) {
+        time = end;
+    }
+    return { time, amount: vestedAmountAt(schedule, time) - vested };
+}
+
+function nextCheckpointUnlock({ checkpoints, totalAmount }, now) {
+    const vested = checkpointVestedAmount(checkpoints, totalAmount, now);
+    const basisPoints = BigInt(BASIS_POINTS);
+
+    for (let i = 0; i < checkpoints.length; i++) {
+        const end = BigInt(checkpoints[i].timestamp);
+        if (end <= now) {
+            continue;
+        }
+
+        const previous = checkpoints[i - 1];
+        const start = previous && BigInt(previous.timestamp);
+        if (previous && start < end && previous.basisPoints < checkpoints[i].basisPoints) {
+            // On a ramp: first second at which the interpolated amount exceeds `vested`
+            const span = end - start;
+            const needed = (vested + 1n) * basisPoints * span - totalAmount * BigInt(previous.basisPoints) * span;
+            const perSecond = totalAmount * BigInt(checkpoints[i].basisPoints - previous.basisPoints);
+            const elapsed = needed > 0n ? (needed + perSecond - 1n) / perSecond : 0n;
+            const time = start + elapsed > now ? start + elapsed : now + 1n;
+
+            if (time < end) {
+                return { time, amount: checkpointVestedAmount(checkpoints, totalAmount, time) - vested };
+            }
+        }
+
+        const amount = checkpointVestedAmount(checkpoints, totalAmount, end) - vested;
+        if (amount > 0n) {
+            return { time: end, amount };
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a schedule and returns it with dates, decimals-aware amounts and a
+ * status derived from the latest block's timestamp. `tokenAllowed` is false
+ * when the token allowlist is enabled and the token has been removed from it.
+ * `tokenInfoCache` (a Map) lets callers share token metadata lookups.
+ */
+async function getScheduleView(tokenVesting, scheduleId, { tokenInfoCache } = {}) {
+    const provider = getProvider(tokenVesting);
+    const [
+        schedule,
+        checkpointResults,
+        pending,
+        base,
+        revocationTime,
+        shutdownTime,
+        vested,
+        claimable,
+        tokenAllowlistEnabled,
+        block
+    ] = await Promise.all([
+        tokenVesting.getVestingSchedule(scheduleId),
+        tokenVesting.getScheduleCheckpoints(scheduleId),
+        tokenVesting.pendingTransfers(scheduleId),
+        tokenVesting.vestingBases(scheduleId),
+        tokenVesting.revocationTimes(scheduleId),
+        tokenVesting.shutdownTime(),
+        tokenVesting.getVestedAmount(scheduleId),
+        tokenVesting.getClaimableAmount(scheduleId),
+        tokenVesting.tokenAllowlistEnabled(),
+        provider.getBlock("latest")
+    ]);
+
+    if (schedule.creator === ethers.ZeroAddress) {
+        throw new Error(`Schedule ${scheduleId} does not exist`);
+    }
+
+    const cache = tokenInfoCache || new Map();
+    if (!cache.has(schedule.token)) {
+        cache.set(schedule.token, getTokenInfo(schedule.token, provider));
+    }
+    const token = await cache.get(schedule.token);
+    const tokenAllowed = !tokenAllowlistEnabled || await tokenVesting.allowedTokens(schedule.token);
+    const { decimals } = token;
+    const now = BigInt(block.timestamp);
+    const checkpoints = checkpointResults.map((checkpoint) => ({
+        timestamp: Number(checkpoint.timestamp),
+        basisPoints: Number(checkpoint.basisPoints)
+    }));
+    const unlock = nextUnlock(
+        { ...schedule.toObject(), checkpoints, base: base.toObject(), revocationTime, shutdownTime },
+        now
+    );
+
+    return {
+        id: BigInt(scheduleId),
+        beneficiary: schedule.beneficiary,
+        creator: schedule.creator,
+        token,
+        tokenAllowed,
+        totalAmount: formatAmount(schedule.totalAmount, decimals),
+        claimedAmount: formatAmount(schedule.claimedAmount, decimals),
+        vestedAmount: formatAmount(vested, decimals),
+        claimableAmount: formatAmount(claimable, decimals),
+        remainingAmount: formatAmount(schedule.totalAmount - schedule.claimedAmount, decimals),
+        startDate: toDate(schedule.startTime),
+        cliffEndDate: toDate(schedule.startTime + schedule.cliffDuration),
+        endDate: toDate(schedule.startTime + schedule.vestingDuration),
+        slicePeriodSeconds: schedule.slicePeriodSeconds,
+        checkpoints,
+        nextUnlock: unlock && { date: toDate(unlock.time), amount: formatAmount(unlock.amount, decimals) },
+        revocable: schedule.revocable,
+        revoked: schedule.revoked,
+        transferPolicy: Number(schedule.transferPolicy),
+        pendingTransfer: pending.newBeneficiary === ethers.ZeroAddress || schedule.revoked
+            ? null
+            : { newBeneficiary: pending.newBeneficiary, approved: pending.approved },
+        pendingRevocation: revocationTime === 0n || schedule.revoked
+            ? null
+            : { date: toDate(revocationTime), effective: revocationTime <= now },
+        status: scheduleStatus({ ...schedule.toObject(), revocationTime, shutdownTime }, now)
+    };
+}
+
+/**
+ * Returns the views of every schedule currently held by `beneficiary`,
+ * sorted by scheduleId.
+ */
+async function listBeneficiarySchedules(tokenVesting, beneficiary) {
+    const scheduleIds = await tokenVesting.getBeneficiarySchedules(beneficiary);
+    const tokenInfoCache = new Map();
+
+    const views = await Promise.all(
+        scheduleIds.map((scheduleId) => getScheduleView(tokenVesting, scheduleId, { tokenInfoCache }))
+    );
+    return views.sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+module.exports = {
+    ScheduleStatus,
+    DepositPolicy,
+    TransferPolicy,
+    Roles,
+    CLAIM_TYPES,
+    NATIVE_TOKEN,
+    getTokenVesting,
+    getTokenVestingFactory,
+    getVestingPositions,
+    getPositionMetadata,
+    getToken,
+    getTokenInfo,
+    getTokenBalance,
+    isNativeToken,
+    prepareDeposit,
+    scheduleStatus,
+    vestedAmountAt,
+    nextUnlock,
+    createSchedule,
+    createCheckpointSchedule,
+    claim,
+    claimAll,
+    signClaim,
+    claimWithSignature,
+    revoke,
+    announceRevocation,
+    cancelRevocation,
+    emergencyShutdown,
+    getEmergencyState,
+    amend,
+    proposeTransfer,
+    approveTransfer,
+    acceptTransfer,
+    cancelTransfer,
+    grantRole,
+    revokeRole,
+    getRoleMembers,
+    getAllowlists,
+    createInstance,
+    listInstances,
+    getScheduleView,
+    listBeneficiarySchedules
+};
@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const { scheduleStatus } = require("./index");
+
+const INDEXED_EVENTS = [
+    "VestingScheduleCreated",
+    "VestingScheduleImported",
+    "TokensClaimed",
+    "VestingScheduleRevoked",
+    "VestingScheduleAmended",
+    "RevocationAnnounced",
+    "RevocationCancelled",
+    "ScheduleTransferProposed",
+    "ScheduleTransferApproved",
+    "ScheduleTransferCancelled",
+    "VestingScheduleTransferred",
+    "EmergencyWithdrawal",
+    "EmergencyShutdown",
+    "TokenAllowlistUpdated"
+];
+
+function emptyState() {
+    return { schedules: {}, withdrawals: [], shutdownTime: null };
+}
+
+function serializeArgs(event) {
+    const args = {};
+    event.fragment.inputs.forEach((input, i) => {
+        const value = event.args[i];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return args;
+}
+
+/**
+ * Applies one stored event to the derived state. Amounts stay decimal strings
+ * so the state can be written to JSON as-is.
+ */
+function applyEvent(state, event) {
+    const { args } = event;
+    const schedule = args.scheduleId !== undefined ? state.schedules[args.scheduleId] : undefined;
+
+    switch (event.name) {
+        case "VestingScheduleCreated":
+            state.schedules[args.scheduleId] = {
+                id: args.scheduleId,
+                creator: event.creator,
+                beneficiary: args.beneficiary,
+                token: args.token,
+                totalAmount: args.totalAmount,
+                claimedAmount: "0",
+                startTime: args.startTime,
+                cliffDuration: args.cliffDuration,
+                vestingDuration: args.vestingDuration,
+                slicePeriodSeconds: event.slicePeriodSeconds,
+                transferPolicy: event.transferPolicy,
+                pendingTransfer: null,
+                pendingRevocation: null,
+                tokenRemoved: false,
+                revocable: args.revocable,
+                revoked: false,
+                amendments: [],
+                createdBlock: event.blockNumber,
+                createdTx: event.transactionHash
+            };
+            break;
+        case "VestingScheduleImported":
+            // Migrated schedules arrive with their claims and revocation already applied
+            schedule.claimedAmount = args.claimedAmount;
+            schedule.revoked = args.revoked;
+            break;
+        case "TokensClaimed":
+            schedule.claimedAmount = (BigInt(schedule.claimedAmount) + BigInt(args.amount)).toString();
+            break;
+        case "VestingScheduleRevoked":
+            // Revocation freezes the schedule at its vested amount
+            schedule.revoked = true;
+            schedule.totalAmount = (BigInt(schedule.totalAmount) - BigInt(args.unvestedAmount)).toString();
+            schedule.pendingRevocation = null;
+            break;
+        case "RevocationAnnounced":
+            // Vesting stops at the effective time; the creator can still cancel before then
+            schedule.pendingRevocation = { effectiveTime: args.effectiveTime };
+            break;
+        case "RevocationCancelled":
+            schedule.pendingRevocation = null;
+            break;
+        case "VestingScheduleAmended":
+            schedule.totalAmount = args.newTotalAmount;
+            schedule.vestingDuration = args.newVestingDuration;
+            schedule.amendments.push({
+                oldTotalAmount: args.oldTotalAmount,
+                newTotalAmount: args.newTotalAmount,
+                oldVestingDuration: args.oldVestingDuration,
+                newVestingDuration: args.newVestingDuration,
+                vestedAmount: args.vestedAmount,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+            break;
+        case "ScheduleTransferProposed":
+            schedule.pendingTransfer = { newBeneficiary: args.newBeneficiary, approved: false };
+            break;
+        case "ScheduleTransferApproved":
+            schedule.pendingTransfer.approved = true;
+            break;
+        case "ScheduleTransferCancelled":
+            schedule.pendingTransfer = null;
+            break;
+        case "VestingScheduleTransferred":
+            schedule.beneficiary = args.newBeneficiary;
+            schedule.pendingTransfer = null;
+            break;
+        case "EmergencyWithdrawal":
+            state.withdrawals.push({
+                token: args.token,
+                amount: args.amount,
+                to: args.to,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+            break;
+        case "EmergencyShutdown":
+            // Every schedule stopped vesting at this time
+            state.shutdownTime = args.shutdownTime;
+            break;
+        case "TokenAllowlistUpdated":
+            // Flags the schedules that existed when their token was removed
+            for (const existing of Object.values(state.schedules)) {
+                if (existing.token.toLowerCase() === args.token.toLowerCase()) {
+                    existing.tokenRemoved = !args.allowed;
+                }
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Rebuilds TokenVesting state from its event log into a JSON file.
+ *
+ * Every sync reads logs up to the chain head and remembers the hashes of the
+ * last `confirmations` blocks. If one of those hashes changes, the chain was
+ * reorganized: the indexer drops everything from the first changed block and
+ * replays from there. Blocks deeper than `confirmations` are treated as final.
+ */
+class VestingIndexer {
+    constructor({ tokenVesting, storePath, startBlock = 0, confirmations = 12, batchSize = 2000 }) {
+        this.tokenVesting = tokenVesting;
+        this.provider = tokenVesting.runner.provider || tokenVesting.runner;
+        this.storePath = storePath;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+
+        this.store = this._load() || {
+            contract: String(tokenVesting.target),
+            startBlock,
+            lastBlock: startBlock - 1,
+            blockHashes: {},
+            events: []
+        };
+        if (this.store.contract.toLowerCase() !== String(tokenVesting.target).toLowerCase()) {
+            throw new Error(`${storePath} indexes ${this.store.contract}, not ${tokenVesting.target}`);
+        }
+        this.state = this._rebuild();
+    }
+
+    get lastBlock() {
+        return this.store.lastBlock;
+    }
+
+    /**
+     * Catches up with the chain head. Resolves to the range that was read and
+     * the block the indexer rolled back to, if a reorg was detected.
+     */
+    async sync() {
+        const rolledBackTo = await this._handleReorg();
+        const head = await this.provider.getBlockNumber();
+        const fromBlock = this.store.lastBlock + 1;
+
+        for (let from = fromBlock; from <= head; from += this.batchSize) {
+            const to = Math.min(from + this.batchSize - 1, head);
+            const logs = await this.tokenVesting.queryFilter("*", from, to);
+
+            for (const log of logs) {
+                if (!log.fragment || !INDEXED_EVENTS.includes(log.fragment.name)) {
+                    continue;
+                }
+                const event = {
+                    name: log.fragment.name,
+                    blockNumber: log.blockNumber,
+                    blockHash: log.blockHash,
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index,
+                    args: serializeArgs(log)
+                };
+                if (event.name === "VestingScheduleCreated") {
+                    // These fields are not part of the event but never change afterwards
+                    const schedule = await this.tokenVesting.getVestingSchedule(event.args.scheduleId);
+                    event.creator = schedule.creator;
+                    event.slicePeriodSeconds = schedule.slicePeriodSeconds.toString();
+                    event.transferPolicy = Number(schedule.transferPolicy);
+                }
+                this.store.events.push(event);
+                applyEvent(this.state, event);
+            }
+        }
+
+        await this._rememberRecentBlocks(Math.max(fromBlock, head - this.confirmations + 1), head);
+        this.store.lastBlock = Math.max(this.store.lastBlock, head);
+        this._save();
+
+        return { fromBlock, toBlock: head, rolledBackTo };
+    }
+
+    getSchedule(scheduleId) {
+        return this.state.schedules[String(scheduleId)] || null;
+    }
+
+    /**
+     * Returns schedules matching every given filter. `status` is one of the
+     * ScheduleStatus values, evaluated at `now` (unix seconds). `tokenRemoved`
+     * keeps only schedules created before their token left the allowlist, and
+     * `pendingRevocation` only those with an announced, unfinalized revocation.
+     */
+    getSchedules({ creator, token, beneficiary, status, tokenRemoved, pendingRevocation, now } = {}) {
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+        return Object.values(this.state.schedules)
+            .filter((schedule) => !creator || same(schedule.creator, creator))
+            .filter((schedule) => !token || same(schedule.token, token))
+            .filter((schedule) => !beneficiary || same(schedule.beneficiary, beneficiary))
+            .filter((schedule) => !status || this.statusOf(schedule, now) === status)
+            .filter((schedule) => !tokenRemoved || schedule.tokenRemoved)
+            .filter((schedule) => !pendingRevocation || schedule.pendingRevocation)
+            .sort((a, b) => Number(a.id) - Number(b.id));
+    }
+
+    /**
+     * Returns the ScheduleStatus of an indexed schedule at `now`, taking an
+     * announced revocation or shutdown into account once it is in effect.
+     */
+    statusOf(schedule, now = Math.floor(Date.now() / 1000)) {
+        return scheduleStatus({
+            startTime: BigInt(schedule.startTime),
+            cliffDuration: BigInt(schedule.cliffDuration),
+            vestingDuration: BigInt(schedule.vestingDuration),
+            totalAmount: BigInt(schedule.totalAmount),
+            claimedAmount: BigInt(schedule.claimedAmount),
+            revoked: schedule.revoked,
+            revocationTime: schedule.pendingRevocation ? BigInt(schedule.pendingRevocation.effectiveTime) : undefined,
+            shutdownTime: this.state.shutdownTime ? BigInt(this.state.shutdownTime) : undefined
+        }, BigInt(now));
+    }
+
+    getWithdrawals({ token } = {}) {
+        return this.state.withdrawals.filter(
+            (withdrawal) => !token || withdrawal.token.toLowerCase() === token.toLowerCase()
+        );
+    }
+
+    /**
+     * Returns when an announced shutdown takes effect (unix seconds as a
+     * decimal string), or null.
+     */
+    getShutdownTime() {
+        return this.state.shutdownTime;
+    }
+
+    async _handleReorg() {
+        const remembered = Object.keys(this.store.blockHashes).map(Number).sort((a, b) => a - b);
+
+        for (const blockNumber of remembered) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (!block || block.hash !== this.store.blockHashes[blockNumber]) {
+                this._rollback(blockNumber - 1);
+                return blockNumber - 1;
+            }
+        }
+        return null;
+    }
+
+    _rollback(blockNumber) {
+        this.store.events = this.store.events.filter((event) => event.blockNumber <= blockNumber);
+        for (const remembered of Object.keys(this.store.blockHashes)) {
+            if (Number(remembered) > blockNumber) {
+                delete this.store.blockHashes[remembered];
+            }
+        }
+        this.store.lastBlock = blockNumber;
+        this.state = this._rebuild();
+    }
+
+    async _rememberRecentBlocks(fromBlock, toBlock) {
+        for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+            const block = await this.provider.getBlock(blockNumber);
+            this.store.blockHashes[blockNumber] = block.hash;
+        }
+        for (const remembered of Object.keys(this.store.blockHashes)) {
+            if (Number(remembered) <= toBlock - this.confirmations) {
+                delete this.store.blockHashes[remembered];
+            }
+        }
+    }
+
+    _rebuild() {
+        const state = emptyState();
+        for (const event of this.store.events) {
+            applyEvent(state, event);
+        }
+        return state;
+    }
+
+    _load() {
+        if (!this.storePath || !fs.existsSync(this.storePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+    }
+
+    _save() {
+        if (!this.storePath) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(path.resolve(this.storePath)), { recursive: true });
+        fs.writeFileSync(this.storePath, JSON.stringify(this.store, null, 2));
+    }
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    VestingIndexer
+};
@@ -0,0 +1,345 @@
+const { ethers } = require("ethers");
+const { TransferPolicy, getToken } = require("./index");
+const { findEvents } = require("./events");
+
+// ABI of TokenVesting as first deployed to Amoy, before slice periods,
+// transfer policies and roles were added
+const LEGACY_TOKEN_VESTING_ABI = [
+    "function nextScheduleId() view returns (uint256)",
+    "function paused() view returns (bool)",
+    "function owner() view returns (address)",
+    "function getVestedAmount(uint256 scheduleId) view returns (uint256)",
+    "function getVestingSchedule(uint256 scheduleId) view returns (tuple(address beneficiary, address token, uint256 totalAmount, uint256 claimedAmount, uint256 startTime, uint256 cliffDuration, uint256 vestingDuration, bool revocable, bool revoked, address creator))",
+    "event VestingScheduleRevoked(uint256 indexed scheduleId, address indexed beneficiary, uint256 unvestedAmount)"
+];
+
+// Fields an imported schedule must carry over unchanged
+const COMPARED_FIELDS = [
+    "beneficiary",
+    "token",
+    "creator",
+    "totalAmount",
+    "claimedAmount",
+    "startTime",
+    "cliffDuration",
+    "vestingDuration",
+    "revocable",
+    "revoked"
+];
+
+function getLegacyTokenVesting(address, runner) {
+    return new ethers.Contract(address, LEGACY_TOKEN_VESTING_ABI, runner);
+}
+
+function getProvider(contract) {
+    return contract.runner.provider || contract.runner;
+}
+
+function same(a, b) {
+    return typeof a === "string" ? a.toLowerCase() === String(b).toLowerCase() : a === b;
+}
+
+function stringify(value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Reads every schedule of a legacy TokenVesting, from 0 up to nextScheduleId,
+ * as of `blockTag`. The legacy contract kept the original totalAmount of a
+ * revoked schedule and stranded what had vested but was not yet claimed, so
+ * `vestedAtRevocation` is worked out from its VestingScheduleRevoked event,
+ * searched from `fromBlock` in ranges of `batchSize` blocks.
+ */
+async function readLegacySchedules(legacy, { fromBlock = 0, batchSize = 2000, blockTag } = {}) {
+    const provider = getProvider(legacy);
+    const toBlock = blockTag === undefined ? await provider.getBlockNumber() : blockTag;
+    const count = await legacy.nextScheduleId({ blockTag: toBlock });
+
+    const schedules = [];
+    for (let scheduleId = 0n; scheduleId < count; scheduleId++) {
+        const schedule = await legacy.getVestingSchedule(scheduleId, { blockTag: toBlock });
+        schedules.push({
+            scheduleId,
+            beneficiary: schedule.beneficiary,
+            token: schedule.token,
+            creator: schedule.creator,
+            totalAmount: schedule.totalAmount,
+            claimedAmount: schedule.claimedAmount,
+            startTime: schedule.startTime,
+            cliffDuration: schedule.cliffDuration,
+            vestingDuration: schedule.vestingDuration,
+            revocable: schedule.revocable,
+            revoked: schedule.revoked,
+            vestedAtRevocation: null
+        });
+    }
+
+    const revoked = schedules.filter((schedule) => schedule.revoked);
+    if (revoked.length > 0) {
+        const unvested = new Map();
+        for (let from = fromBlock; from <= toBlock; from += batchSize) {
+            const to = Math.min(from + batchSize - 1, toBlock);
+            const events = await legacy.queryFilter(legacy.filters.VestingScheduleRevoked(), from, to);
+            for (const event of events) {
+                unvested.set(event.args.scheduleId, event.args.unvestedAmount);
+            }
+        }
+
+        for (const schedule of revoked) {
+            if (!unvested.has(schedule.scheduleId)) {
+                throw new Error(
+                    `No VestingScheduleRevoked event found for schedule ${schedule.scheduleId} ` +
+                    `from block ${fromBlock}. Search from an earlier block.`
+                );
+            }
+            schedule.vestedAtRevocation = schedule.totalAmount - unvested.get(schedule.scheduleId);
+        }
+    }
+
+    return { blockNumber: toBlock, schedules };
+}
+
+/**
+ * Maps a legacy schedule to TokenVesting.ImportedSchedule. A revoked schedule
+ * is imported frozen at what had vested when it was revoked, which makes the
+ * tokens the legacy contract stranded claimable again.
+ */
+function toImportedSchedule(schedule, { transferPolicy = TransferPolicy.FREE } = {}) {
+    return {
+        scheduleId: schedule.scheduleId,
+        beneficiary: schedule.beneficiary,
+        creator: schedule.creator,
+        totalAmount: schedule.revoked ? schedule.vestedAtRevocation : schedule.totalAmount,
+        claimedAmount: schedule.claimedAmount,
+        startTime: schedule.startTime,
+        cliffDuration: schedule.cliffDuration,
+        vestingDuration: schedule.vestingDuration,
+        revocable: schedule.revocable,
+        revoked: schedule.revoked,
+        transferPolicy
+    };
+}
+
+/**
+ * Splits legacy schedules into import calls. importVestingSchedules takes one
+ * token and needs IDs in sequence, so each chunk is a run of consecutive
+ * schedules of the same token, at most `chunkSize` long.
+ */
+function planImports(schedules, { chunkSize = 50, transferPolicy } = {}) {
+    const chunks = [];
+
+    for (const schedule of schedules) {
+        const imported = toImportedSchedule(schedule, { transferPolicy });
+        const last = chunks[chunks.length - 1];
+
+        if (!last || !same(last.token, schedule.token) || last.schedules.length >= chunkSize) {
+            chunks.push({ token: schedule.token, schedules: [imported], owedAmount: 0n });
+        } else {
+            last.schedules.push(imported);
+        }
+        chunks[chunks.length - 1].owedAmount += imported.totalAmount - imported.claimedAmount;
+    }
+    return chunks;
+}
+
+/**
+ * Imports legacy schedules into `tokenVesting` from its signer, which must be
+ * the default admin and hold the tokens still owed. Each chunk's owed amount
+ * is approved before it is sent. Schedules below the contract's
+ * nextScheduleId are taken as already imported, so an interrupted migration
+ * can be resumed. Returns one result per chunk.
+ */
+async function importLegacySchedules(tokenVesting, schedules, { chunkSize = 50, transferPolicy, onChunk } = {}) {
+    const signer = tokenVesting.runner;
+    const nextScheduleId = await tokenVesting.nextScheduleId();
+    const pending = schedules.filter((schedule) => schedule.scheduleId >= nextScheduleId);
+    const results = [];
+
+    for (const chunk of planImports(pending, { chunkSize, transferPolicy })) {
+        if (chunk.owedAmount > 0n) {
+            const approveTx = await getToken(chunk.token, signer).approve(tokenVesting.target, chunk.owedAmount);
+            await approveTx.wait();
+        }
+
+        const tx = await tokenVesting.importVestingSchedules(chunk.token, chunk.schedules);
+        const receipt = await tx.wait();
+        const imported = findEvents(tokenVesting, receipt, "VestingScheduleImported");
+
+        const result = {
+            token: chunk.token,
+            fromScheduleId: chunk.schedules[0].scheduleId.toString(),
+            toScheduleId: chunk.schedules[chunk.schedules.length - 1].scheduleId.toString(),
+            imported: imported.length,
+            owedAmount: chunk.owedAmount.toString(),
+            txHash: receipt.hash
+        };
+        results.push(result);
+        if (onChunk) {
+            onChunk(result);
+        }
+    }
+    return results;
+}
+
+/**
+ * Compares every legacy schedule with its imported copy as of `blockTag`:
+ * the carried-over fields, the vested amount of schedules that are still
+ * vesting, and per token, the locked amount against what is owed. Returns
+ * the differences, an empty list when the migration is complete.
+ */
+async function diffMigration(legacy, tokenVesting, schedules, { blockTag, transferPolicy } = {}) {
+    const options = blockTag === undefined ? {} : { blockTag };
+    const mismatches = [];
+    const owed = new Map();
+
+    const [legacyCount, importedCount] = await Promise.all([
+        legacy.nextScheduleId(options),
+        tokenVesting.nextScheduleId(options)
+    ]);
+    if (legacyCount !== importedCount) {
+        mismatches.push({ scheduleId: null, field: "nextScheduleId", legacy: legacyCount.toString(), migrated: importedCount.toString() });
+    }
+
+    for (const schedule of schedules) {
+        const expected = { ...toImportedSchedule(schedule, { transferPolicy }), token: schedule.token };
+        const migrated = await tokenVesting.getVestingSchedule(schedule.scheduleId, options);
+
+        for (const field of COMPARED_FIELDS) {
+            if (!same(expected[field], migrated[field])) {
+                mismatches.push({
+                    scheduleId: schedule.scheduleId.toString(),
+                    field,
+                    legacy: stringify(expected[field]),
+                    migrated: stringify(migrated[field])
+                });
+            }
+        }
+
+        if (!schedule.revoked) {
+            const [legacyVested, migratedVested] = await Promise.all([
+                legacy.getVestedAmount(schedule.scheduleId, options),
+                tokenVesting.getVestedAmount(schedule.scheduleId, options)
+            ]);
+            if (legacyVested !== migratedVested) {
+                mismatches.push({
+                    scheduleId: schedule.scheduleId.toString(),
+                    field: "vestedAmount",
+                    legacy: legacyVested.toString(),
+                    migrated: migratedVested.toString()
+                });
+            }
+        }
+
+        const key = schedule.token.toLowerCase();
+        if (!owed.has(key)) {
+            owed.set(key, { token: schedule.token, owedAmount: 0n });
+        }
+        owed.get(key).owedAmount += expected.totalAmount - expected.claimedAmount;
+    }
+
+    const totals = [];
+    for (const { token, owedAmount } of owed.values()) {
+        const [lockedAmount, balance] = await Promise.all([
+            tokenVesting.totalLockedTokens(token, options),
+            getToken(token, getProvider(tokenVesting)).balanceOf(tokenVesting.target, options)
+        ]);
+        totals.push({
+            token,
+            owedAmount: owedAmount.toString(),
+            lockedAmount: lockedAmount.toString(),
+            balance: balance.toString()
+        });
+        if (lockedAmount !== owedAmount) {
+            mismatches.push({ scheduleId: null, field: `totalLockedTokens(${token})`, legacy: owedAmount.toString(), migrated: lockedAmount.toString() });
+        }
+        if (balance < lockedAmount) {
+            mismatches.push({ scheduleId: null, field: `balanceOf(${token})`, legacy: lockedAmount.toString(), migrated: balance.toString() });
+        }
+    }
+
+    return { mismatches, totals };
+}
+
+/**
+ * Builds the migration report: both contracts, the imports that were sent and
+ * the result of diffMigration as of the latest block. `ok` is true when
+ * nothing differs. Amounts are decimal strings so it can be written as JSON.
+ */
+async function buildMigrationReport(legacy, tokenVesting, { schedules, imports = [], transferPolicy = TransferPolicy.FREE }) {
+    const provider = getProvider(tokenVesting);
+    const [{ chainId }, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+    const options = { blockTag: blockNumber };
+    const { mismatches, totals } = await diffMigration(legacy, tokenVesting, schedules, { blockTag: blockNumber, transferPolicy });
+
+    return {
+        chainId: chainId.toString(),
+        blockNumber,
+        generatedAt: new Date().toISOString(),
+        legacy: {
+            address: String(legacy.target),
+            paused: await legacy.paused(options),
+            nextScheduleId: (await legacy.nextScheduleId(options)).toString()
+        },
+        target: {
+            address: String(tokenVesting.target),
+            nextScheduleId: (await tokenVesting.nextScheduleId(options)).toString()
+        },
+        transferPolicy: Number(transferPolicy),
+        schedules: schedules.length,
+        revokedSchedules: schedules.filter((schedule) => schedule.revoked).length,
+        imports,
+        totals,
+        mismatches,
+        ok: mismatches.length === 0
+    };
+}
+
+/**
+ * Returns the hash that signMigrationReport signs: the report as JSON,
+ * without its signOff.
+ */
+function migrationReportDigest(report) {
+    const { signOff, ...body } = report;
+    return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(body)));
+}
+
+/**
+ * Signs off a migration report with `signer` (an EIP-191 signature of its
+ * digest), so a reviewer can tell who approved exactly this report.
+ */
+async function signMigrationReport(report, signer) {
+    const digest = migrationReportDigest(report);
+    const signature = await signer.signMessage(ethers.getBytes(digest));
+
+    return { ...report, signOff: { signer: await signer.getAddress(), digest, signature } };
+}
+
+/**
+ * Checks a signed report against its content. Resolves to the signer's
+ * address, or throws if the report was changed after it was signed.
+ */
+function verifyMigrationReport(report) {
+    if (!report.signOff) {
+        throw new Error("Migration report is not signed");
+    }
+    const digest = migrationReportDigest(report);
+    const recovered = ethers.verifyMessage(ethers.getBytes(digest), report.signOff.signature);
+    if (digest !== report.signOff.digest || recovered !== report.signOff.signer) {
+        throw new Error("Migration report does not match its sign-off");
+    }
+    return recovered;
+}
+
+module.exports = {
+    LEGACY_TOKEN_VESTING_ABI,
+    getLegacyTokenVesting,
+    readLegacySchedules,
+    toImportedSchedule,
+    planImports,
+    importLegacySchedules,
+    diffMigration,
+    buildMigrationReport,
+    migrationReportDigest,
+    signMigrationReport,
+    verifyMigrationReport
+};
@@ -0,0 +1,148 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { claimWithSignature } = require("./index");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+class RelayError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        request.setEncoding("utf8");
+        request.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new RelayError(413, "Request body too large"));
+                request.destroy();
+            }
+        });
+        request.on("end", () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch {
+                reject(new RelayError(400, "Request body must be JSON"));
+            }
+        });
+        request.on("error", reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * Checks the shape of a signed claim from a request body. Numbers may be
+ * JSON numbers or decimal strings.
+ */
+function parseClaim(body) {
+    const { scheduleId, recipient = ethers.ZeroAddress, deadline, signature } = body || {};
+
+    for (const [name, value] of Object.entries({ scheduleId, deadline })) {
+        if (!/^\d+$/.test(String(value))) {
+            throw new RelayError(400, `${name} must be a non-negative integer`);
+        }
+    }
+    if (!ethers.isAddress(recipient)) {
+        throw new RelayError(400, "recipient must be an address");
+    }
+    if (!ethers.isHexString(signature, 65)) {
+        throw new RelayError(400, "signature must be a 65-byte hex string");
+    }
+    return { scheduleId: BigInt(scheduleId), recipient, deadline: BigInt(deadline), signature };
+}
+
+function revertReason(error) {
+    // Hardhat's in-process provider only puts the reason in the message
+    const match = /reverted with reason string '(.*)'/.exec(error.message);
+    return error.reason || (match && match[1]) || error.shortMessage || error.message;
+}
+
+/**
+ * Creates an HTTP server that submits claims signed with signClaim, paying
+ * the gas from the signer of `tokenVesting`:
+ *
+ *   POST /claims  { scheduleId, recipient?, deadline, signature }
+ *                 -> { txHash, scheduleId, amount }
+ *   GET  /health  -> { relayer, vesting }
+ *
+ * Every claim is simulated first, so bad signatures, expired deadlines and
+ * schedules with nothing to claim get a 400 without spending gas.
+ * Transactions are sent one at a time to keep the signer's nonces in order.
+ * Call listen() on the result to start it.
+ */
+function createRelayServer(tokenVesting) {
+    let queue = Promise.resolve();
+
+    function relay(claim) {
+        const submission = queue.then(async () => {
+            try {
+                await tokenVesting.claimWithSignature.staticCall(
+                    claim.scheduleId,
+                    claim.recipient,
+                    claim.deadline,
+                    claim.signature
+                );
+            } catch (error) {
+                throw new RelayError(400, revertReason(error));
+            }
+            return claimWithSignature(tokenVesting, claim);
+        });
+        queue = submission.catch(() => {});
+        return submission;
+    }
+
+    return http.createServer(async (request, response) => {
+        try {
+            if (request.method === "GET" && request.url === "/health") {
+                sendJson(response, 200, {
+                    relayer: await tokenVesting.runner.getAddress(),
+                    vesting: tokenVesting.target
+                });
+            } else if (request.method === "POST" && request.url === "/claims") {
+                const claim = parseClaim(await readJson(request));
+                const { amount, receipt } = await relay(claim);
+                sendJson(response, 200, { txHash: receipt.hash, scheduleId: claim.scheduleId, amount });
+            } else {
+                throw new RelayError(404, "Not found");
+            }
+        } catch (error) {
+            sendJson(response, error.status || 500, { error: error.status ? error.message : revertReason(error) });
+        }
+    });
+}
+
+/**
+ * Posts a claim signed with signClaim to a relayer started with
+ * createRelayServer, resolving to the transaction hash and claimed amount.
+ */
+async function relayClaim(url, { scheduleId, recipient = ethers.ZeroAddress, deadline, signature }) {
+    const response = await fetch(new URL("/claims", url), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            scheduleId: String(scheduleId),
+            recipient,
+            deadline: String(deadline),
+            signature
+        })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(`Relayer rejected the claim: ${body.error}`);
+    }
+
+    return { txHash: body.txHash, scheduleId: BigInt(body.scheduleId), amount: BigInt(body.amount) };
+}
+
+module.exports = {
+    createRelayServer,
+    relayClaim
+};
@@ -0,0 +1,320 @@
+const { ethers } = require("ethers");
+const { getToken, getTokenInfo, isNativeToken, vestedAmountAt } = require("./index");
+
+const DAY = 24 * 60 * 60;
+const PERIODS = ["week", "month"];
+
+function getProvider(contract) {
+    return contract.runner.provider || contract.runner;
+}
+
+function same(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Returns the first week (Monday 00:00 UTC) or month boundary after
+ * `seconds`.
+ */
+function nextBoundary(seconds, period) {
+    if (period === "week") {
+        const days = Math.floor(seconds / DAY);
+        // 1 January 1970 was a Thursday
+        const weekday = (days + 3) % 7;
+        return (days - weekday + 7) * DAY;
+    }
+    const date = new Date(seconds * 1000);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+}
+
+/**
+ * Splits the time from `now` into `count` calendar weeks or months. The first
+ * bucket runs from `now` to the end of the current week or month.
+ */
+function unlockBuckets(now, period, count) {
+    checkPeriod(period);
+
+    const buckets = [];
+    let start = now;
+    for (let i = 0; i < count; i++) {
+        const end = nextBoundary(start, period);
+        buckets.push({ start, end });
+        start = end;
+    }
+    return buckets;
+}
+
+/**
+ * Like unlockBuckets, but with as many buckets as it takes to include the
+ * second `until`.
+ */
+function unlockBucketsUntil(now, period, until) {
+    checkPeriod(period);
+
+    let count = 0;
+    for (let start = now; start <= until; start = nextBoundary(start, period)) {
+        count++;
+    }
+    return unlockBuckets(now, period, count);
+}
+
+function checkPeriod(period) {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`Unknown period "${period}", expected week or month`);
+    }
+}
+
+/**
+ * Projects what `schedules` (as returned by readSchedule) unlock together in
+ * each bucket, starting from what they have vested at the read.
+ */
+function projectUnlocks(schedules, buckets) {
+    let previous = schedules.map((schedule) => schedule.vested);
+    return buckets.map(({ start, end }) => {
+        const current = schedules.map((schedule) => vestedAmountAt(schedule, BigInt(end - 1)));
+        const amount = current.reduce((sum, vested, i) => sum + vested - previous[i], 0n);
+        previous = current;
+        return { start: new Date(start * 1000), end: new Date(end * 1000), amount };
+    });
+}
+
+async function readBalance(token, account, provider, blockTag) {
+    if (isNativeToken(token)) {
+        return provider.getBalance(account, blockTag);
+    }
+    return getToken(token, provider).balanceOf(account, { blockTag });
+}
+
+/**
+ * Reads a schedule and everything vestedAmountAt needs to project it, as of
+ * `blockTag`.
+ */
+async function readSchedule(tokenVesting, scheduleId, shutdownTime, blockTag) {
+    const options = { blockTag };
+    const [schedule, checkpoints, base, revocationTime, vested] = await Promise.all([
+        tokenVesting.getVestingSchedule(scheduleId, options),
+        tokenVesting.getScheduleCheckpoints(scheduleId, options),
+        tokenVesting.vestingBases(scheduleId, options),
+        tokenVesting.revocationTimes(scheduleId, options),
+        tokenVesting.getVestedAmount(scheduleId, options)
+    ]);
+
+    return {
+        ...schedule.toObject(),
+        id: BigInt(scheduleId),
+        checkpoints: checkpoints.map((checkpoint) => ({
+            timestamp: Number(checkpoint.timestamp),
+            basisPoints: Number(checkpoint.basisPoints)
+        })),
+        base: base.toObject(),
+        revocationTime,
+        shutdownTime,
+        vested
+    };
+}
+
+/**
+ * Builds the accounting report of a TokenVesting from a synced VestingIndexer
+ * and on-chain reads at the indexer's last block:
+ *
+ * - tokens: per token, the locked amount against the contract's balance, the
+ *   surplus a treasurer can withdraw (or the shortfall), what the schedules
+ *   still owe and what was withdrawn as surplus so far
+ * - unlocks: per token, what unlocks in each of the next `periods` calendar
+ *   weeks or months (`period`)
+ * - creators: per creator and token, what was claimed, what has vested but
+ *   is unclaimed and what has not vested yet. Company schedules are listed
+ *   under the contract's address.
+ * - flags: tokens whose balance is below the locked amount, locked amounts
+ *   that differ from what the schedules owe, and schedules whose indexed
+ *   amounts differ from the chain
+ *
+ * Amounts are bigints in base units.
+ */
+async function buildAccountingReport(tokenVesting, indexer, { period = "week", periods = 12 } = {}) {
+    const provider = getProvider(tokenVesting);
+    const blockTag = indexer.lastBlock;
+    const block = await provider.getBlock(blockTag);
+    const now = block.timestamp;
+    const buckets = unlockBuckets(now, period, periods);
+    const shutdownTime = await tokenVesting.shutdownTime({ blockTag });
+
+    const indexed = indexer.getSchedules();
+    const schedules = [];
+    for (const entry of indexed) {
+        schedules.push(await readSchedule(tokenVesting, entry.id, shutdownTime, blockTag));
+    }
+
+    // Every token the contract has held: those of schedules and of surplus withdrawals
+    const tokenAddresses = [];
+    const heldTokens = [
+        ...indexed.map((entry) => entry.token),
+        ...indexer.getWithdrawals().map((withdrawal) => withdrawal.token)
+    ];
+    for (const address of heldTokens) {
+        if (!tokenAddresses.some((known) => same(known, address))) {
+            tokenAddresses.push(address);
+        }
+    }
+
+    const flags = [];
+    const tokens = [];
+    const unlocks = [];
+    for (const address of tokenAddresses) {
+        const info = await getTokenInfo(address, provider);
+        const ofToken = schedules.filter((schedule) => same(schedule.token, address));
+        const [locked, balance] = await Promise.all([
+            tokenVesting.totalLockedTokens(address, { blockTag }),
+            readBalance(address, tokenVesting.target, provider, blockTag)
+        ]);
+        const outstanding = ofToken.reduce((sum, schedule) => sum + schedule.totalAmount - schedule.claimedAmount, 0n);
+        const withdrawn = indexer.getWithdrawals({ token: address })
+            .reduce((sum, withdrawal) => sum + BigInt(withdrawal.amount), 0n);
+        const underfunded = balance < locked;
+        const label = `${info.symbol} (${address})`;
+        const format = (amount) => ethers.formatUnits(amount, info.decimals);
+
+        tokens.push({
+            token: address,
+            symbol: info.symbol,
+            decimals: info.decimals,
+            schedules: ofToken.length,
+            locked,
+            outstanding,
+            balance,
+            surplus: underfunded ? 0n : balance - locked,
+            shortfall: underfunded ? locked - balance : 0n,
+            withdrawn,
+            underfunded
+        });
+        if (underfunded) {
+            flags.push(`${label}: balance ${format(balance)} is below the locked ${format(locked)}`);
+        }
+        if (locked !== outstanding) {
+            flags.push(`${label}: totalLockedTokens ${format(locked)} differs from the ${format(outstanding)} its schedules owe`);
+        }
+
+        for (const unlock of projectUnlocks(ofToken, buckets)) {
+            unlocks.push({ token: address, symbol: info.symbol, decimals: info.decimals, ...unlock });
+        }
+    }
+
+    const creators = [];
+    for (const schedule of schedules) {
+        const entry = indexed.find((candidate) => BigInt(candidate.id) === schedule.id);
+        if (BigInt(entry.totalAmount) !== schedule.totalAmount || BigInt(entry.claimedAmount) !== schedule.claimedAmount) {
+            flags.push(
+                `Schedule #${schedule.id}: indexed total ${entry.totalAmount} and claimed ${entry.claimedAmount} ` +
+                `differ from ${schedule.totalAmount} and ${schedule.claimedAmount} on chain`
+            );
+        }
+
+        let row = creators.find((candidate) => same(candidate.creator, schedule.creator) && same(candidate.token, schedule.token));
+        if (!row) {
+            const token = tokens.find((candidate) => same(candidate.token, schedule.token));
+            row = {
+                creator: schedule.creator,
+                company: same(schedule.creator, String(tokenVesting.target)),
+                token: schedule.token,
+                symbol: token.symbol,
+                decimals: token.decimals,
+                schedules: 0,
+                totalAmount: 0n,
+                claimed: 0n,
+                unclaimedVested: 0n,
+                unvested: 0n
+            };
+            creators.push(row);
+        }
+        row.schedules++;
+        row.totalAmount += schedule.totalAmount;
+        row.claimed += schedule.claimedAmount;
+        row.unclaimedVested += schedule.vested - schedule.claimedAmount;
+        row.unvested += schedule.totalAmount - schedule.vested;
+    }
+
+    return {
+        tokenVesting: String(tokenVesting.target),
+        blockNumber: blockTag,
+        timestamp: new Date(now * 1000),
+        period,
+        shutdown: shutdownTime !== 0n,
+        tokens,
+        unlocks,
+        creators,
+        flags
+    };
+}
+
+/**
+ * Serializes a report to JSON, with amounts as base-unit decimal strings and
+ * dates as ISO strings.
+ */
+function reportToJson(report) {
+    return JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.map(([name]) => name).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map(([, read]) => csvField(read(row))).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Renders a report's tokens, unlocks and creators as CSV tables, with
+ * amounts in whole tokens.
+ */
+function reportToCsv(report) {
+    const amount = (field) => (row) => ethers.formatUnits(row[field], row.decimals);
+
+    return {
+        tokens: toCsv([
+            ["token", (row) => row.token],
+            ["symbol", (row) => row.symbol],
+            ["schedules", (row) => row.schedules],
+            ["locked", amount("locked")],
+            ["outstanding", amount("outstanding")],
+            ["balance", amount("balance")],
+            ["surplus", amount("surplus")],
+            ["shortfall", amount("shortfall")],
+            ["withdrawn", amount("withdrawn")],
+            ["underfunded", (row) => row.underfunded]
+        ], report.tokens),
+        unlocks: toCsv([
+            ["token", (row) => row.token],
+            ["symbol", (row) => row.symbol],
+            ["start", (row) => row.start.toISOString()],
+            ["end", (row) => row.end.toISOString()],
+            ["amount", amount("amount")]
+        ], report.unlocks),
+        creators: toCsv([
+            ["creator", (row) => row.creator],
+            ["company", (row) => row.company],
+            ["token", (row) => row.token],
+            ["symbol", (row) => row.symbol],
+            ["schedules", (row) => row.schedules],
+            ["total", amount("totalAmount")],
+            ["claimed", amount("claimed")],
+            ["unclaimedVested", amount("unclaimedVested")],
+            ["unvested", amount("unvested")]
+        ], report.creators)
+    };
+}
+
+module.exports = {
+    PERIODS,
+    unlockBuckets,
+    unlockBucketsUntil,
+    readSchedule,
+    projectUnlocks,
+    buildAccountingReport,
+    reportToJson,
+    reportToCsv
+};
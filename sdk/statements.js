@@ -0,0 +1,407 @@
+const { ethers } = require("ethers");
+const { listBeneficiarySchedules } = require("./index");
+const { readSchedule, unlockBucketsUntil, projectUnlocks } = require("./reports");
+
+// Events that make up a schedule's history, by the entry type they become.
+// Each has scheduleId as its first indexed argument.
+const HISTORY_EVENTS = {
+    VestingScheduleCreated: "created",
+    VestingScheduleImported: "imported",
+    TokensClaimed: "claimed",
+    VestingScheduleAmended: "amended",
+    VestingScheduleTransferred: "transferred",
+    RevocationAnnounced: "revocationAnnounced",
+    RevocationCancelled: "revocationCancelled",
+    VestingScheduleRevoked: "revoked"
+};
+
+const EVENT_LABELS = {
+    created: "Created",
+    imported: "Imported",
+    claimed: "Claimed",
+    amended: "Amended",
+    transferred: "Transferred",
+    revocationAnnounced: "Revocation announced",
+    revocationCancelled: "Revocation cancelled",
+    revoked: "Revoked"
+};
+
+const AMOUNT_FIELDS = ["totalAmount", "vestedAmount", "claimedAmount", "claimableAmount", "remainingAmount"];
+
+const DAY = 24 * 60 * 60;
+
+function getProvider(contract) {
+    return contract.runner.provider || contract.runner;
+}
+
+function same(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function amountOf(raw, decimals) {
+    return { raw, formatted: ethers.formatUnits(raw, decimals) };
+}
+
+function historyDetails(event, decimals) {
+    const { args } = event;
+
+    switch (event.name) {
+        case "VestingScheduleCreated":
+            return { amount: amountOf(args.totalAmount, decimals) };
+        case "VestingScheduleImported":
+            return { claimedAmount: amountOf(args.claimedAmount, decimals), revoked: args.revoked };
+        case "TokensClaimed":
+            return { amount: amountOf(args.amount, decimals) };
+        case "VestingScheduleAmended":
+            return {
+                oldTotalAmount: amountOf(args.oldTotalAmount, decimals),
+                newTotalAmount: amountOf(args.newTotalAmount, decimals),
+                oldVestingDuration: args.oldVestingDuration,
+                newVestingDuration: args.newVestingDuration
+            };
+        case "VestingScheduleTransferred":
+            return { from: args.oldBeneficiary, to: args.newBeneficiary };
+        case "RevocationAnnounced":
+            return { effectiveDate: new Date(Number(args.effectiveTime) * 1000) };
+        case "VestingScheduleRevoked":
+            return { amount: amountOf(args.unvestedAmount, decimals) };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Replays the history of `scheduleIds` from the contract's events between
+ * `fromBlock` and `toBlock`, in ranges of `batchSize` blocks. Returns a Map
+ * from scheduleId to its entries in order, each with the event's type, block,
+ * transaction hash and block time. `decimals` maps a scheduleId to its
+ * token's decimals, for the amounts.
+ */
+async function readScheduleHistory(tokenVesting, scheduleIds, decimals, { fromBlock = 0, toBlock, batchSize = 2000 } = {}) {
+    const provider = getProvider(tokenVesting);
+    const history = new Map(scheduleIds.map((scheduleId) => [BigInt(scheduleId), []]));
+    if (scheduleIds.length === 0) {
+        return history;
+    }
+
+    const last = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const topics = [
+        Object.keys(HISTORY_EVENTS).map((name) => tokenVesting.interface.getEvent(name).topicHash),
+        scheduleIds.map((scheduleId) => ethers.toBeHex(scheduleId, 32))
+    ];
+    const blockTimes = new Map();
+
+    for (let from = fromBlock; from <= last; from += batchSize) {
+        const to = Math.min(from + batchSize - 1, last);
+        const logs = await provider.getLogs({ address: tokenVesting.target, topics, fromBlock: from, toBlock: to });
+
+        for (const log of logs) {
+            const event = tokenVesting.interface.parseLog(log);
+            const scheduleId = event.args.scheduleId;
+            if (!blockTimes.has(log.blockNumber)) {
+                blockTimes.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+            }
+
+            history.get(scheduleId).push({
+                type: HISTORY_EVENTS[event.name],
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                date: new Date(blockTimes.get(log.blockNumber) * 1000),
+                ...historyDetails(event, decimals.get(scheduleId))
+            });
+        }
+    }
+    return history;
+}
+
+/**
+ * Builds the vesting statement of `beneficiary`: every schedule it holds
+ * (from getBeneficiarySchedules) as a schedule view plus its history from
+ * events since `fromBlock`, totals per token, and a calendar of what is
+ * projected to unlock in each calendar `period` (week or month) until
+ * everything has vested. Calendar periods in which nothing unlocks are left
+ * out.
+ */
+async function buildBeneficiaryStatement(tokenVesting, beneficiary, { fromBlock = 0, period = "month", batchSize } = {}) {
+    const provider = getProvider(tokenVesting);
+    const block = await provider.getBlock("latest");
+    const blockTag = block.number;
+    const [views, shutdownTime] = await Promise.all([
+        listBeneficiarySchedules(tokenVesting, beneficiary),
+        tokenVesting.shutdownTime({ blockTag })
+    ]);
+
+    const decimals = new Map(views.map((view) => [view.id, view.token.decimals]));
+    const history = await readScheduleHistory(
+        tokenVesting,
+        views.map((view) => view.id),
+        decimals,
+        { fromBlock, toBlock: blockTag, batchSize }
+    );
+
+    const totals = [];
+    for (const view of views) {
+        let total = totals.find((candidate) => same(candidate.token.address, view.token.address));
+        if (!total) {
+            total = { token: view.token, schedules: 0 };
+            for (const field of AMOUNT_FIELDS) {
+                total[field] = amountOf(0n, view.token.decimals);
+            }
+            totals.push(total);
+        }
+        total.schedules++;
+        for (const field of AMOUNT_FIELDS) {
+            total[field] = amountOf(total[field].raw + view[field].raw, view.token.decimals);
+        }
+    }
+
+    // Project until the last schedule stops vesting
+    const schedules = [];
+    for (const view of views) {
+        schedules.push(await readSchedule(tokenVesting, view.id, shutdownTime, blockTag));
+    }
+    let until = block.timestamp;
+    for (const schedule of schedules.filter((candidate) => !candidate.revoked)) {
+        let end = schedule.startTime + schedule.vestingDuration;
+        for (const stop of [schedule.revocationTime, shutdownTime]) {
+            if (stop !== 0n && stop < end) {
+                end = stop;
+            }
+        }
+        until = Math.max(until, Number(end));
+    }
+
+    const buckets = unlockBucketsUntil(block.timestamp, period, until);
+    const calendar = [];
+    for (const { token } of totals) {
+        const ofToken = schedules.filter((schedule) => same(schedule.token, token.address));
+        for (const unlock of projectUnlocks(ofToken, buckets)) {
+            if (unlock.amount > 0n) {
+                calendar.push({ start: unlock.start, end: unlock.end, token, amount: amountOf(unlock.amount, token.decimals) });
+            }
+        }
+    }
+    calendar.sort((a, b) => a.start - b.start);
+
+    return {
+        tokenVesting: String(tokenVesting.target),
+        beneficiary,
+        blockNumber: blockTag,
+        date: new Date(block.timestamp * 1000),
+        shutdownDate: shutdownTime === 0n ? null : new Date(Number(shutdownTime) * 1000),
+        period,
+        totals,
+        schedules: views.map((view) => ({ ...view, history: history.get(view.id) })),
+        calendar
+    };
+}
+
+/**
+ * Serializes a statement to JSON, with bigints as decimal strings and dates
+ * as ISO strings.
+ */
+function statementToJson(statement) {
+    return JSON.stringify(statement, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function formatDate(date) {
+    return date.toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+}
+
+function formatDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function describeEntry(entry, symbol) {
+    const tokens = (amount) => `${amount.formatted} ${symbol}`;
+
+    switch (entry.type) {
+        case "created":
+            return tokens(entry.amount);
+        case "imported":
+            return `${tokens(entry.claimedAmount)} claimed before the import` + (entry.revoked ? ", revoked" : "");
+        case "claimed":
+            return tokens(entry.amount);
+        case "amended":
+            return (
+                `total ${entry.oldTotalAmount.formatted} to ${tokens(entry.newTotalAmount)}, ` +
+                `duration ${Number(entry.oldVestingDuration) / DAY} to ${Number(entry.newVestingDuration) / DAY} days`
+            );
+        case "transferred":
+            return `from ${entry.from} to ${entry.to}`;
+        case "revocationAnnounced":
+            return `vesting stops ${formatDate(entry.effectiveDate)}`;
+        case "revoked":
+            return `${tokens(entry.amount)} unvested forfeited`;
+        default:
+            return "";
+    }
+}
+
+/**
+ * Lays a statement out as a list of blocks (headings, paragraphs and tables)
+ * that the Markdown and HTML renderers share.
+ */
+function statementBlocks(statement) {
+    const amountColumns = ["Total", "Vested", "Claimed", "Claimable", "Remaining"].map((name) => ({ name, numeric: true }));
+    const amounts = (row) => AMOUNT_FIELDS.map((field) => row[field].formatted);
+
+    const blocks = [
+        { heading: 1, text: "Vesting statement" },
+        {
+            paragraph: [
+                `Beneficiary: ${statement.beneficiary}`,
+                `Vesting contract: ${statement.tokenVesting}`,
+                `As of ${formatDate(statement.date)} (block ${statement.blockNumber})`
+            ]
+        }
+    ];
+    if (statement.shutdownDate) {
+        const shutDown = statement.shutdownDate <= statement.date ? "was shut down" : "shuts down";
+        blocks.push({ paragraph: [`The contract ${shutDown} on ${formatDate(statement.shutdownDate)}. Nothing vests after that date.`] });
+    }
+    if (statement.schedules.length === 0) {
+        blocks.push({ paragraph: ["No vesting schedules are held by this address."] });
+        return blocks;
+    }
+
+    blocks.push(
+        { heading: 2, text: "Summary" },
+        {
+            columns: [{ name: "Token" }, { name: "Schedules", numeric: true }, ...amountColumns],
+            rows: statement.totals.map((total) => [total.token.symbol, String(total.schedules), ...amounts(total)])
+        }
+    );
+
+    for (const schedule of statement.schedules) {
+        const lines = [
+            `Status: ${schedule.status}`,
+            `Token: ${schedule.token.symbol} (${schedule.token.address})`,
+            `Vesting: ${formatDay(schedule.startDate)} to ${formatDay(schedule.endDate)}, cliff ends ${formatDay(schedule.cliffEndDate)}`,
+            `Revocable: ${schedule.revocable ? "yes" : "no"}`
+        ];
+        if (schedule.pendingRevocation) {
+            lines.push(`Revocation announced: vesting stops ${formatDate(schedule.pendingRevocation.date)}`);
+        }
+        if (schedule.nextUnlock) {
+            lines.push(`Next unlock: ${schedule.nextUnlock.amount.formatted} ${schedule.token.symbol} on ${formatDate(schedule.nextUnlock.date)}`);
+        }
+
+        blocks.push(
+            { heading: 2, text: `Schedule #${schedule.id}` },
+            { paragraph: lines },
+            { columns: amountColumns, rows: [amounts(schedule)] },
+            { heading: 3, text: "History" },
+            {
+                columns: [{ name: "Date" }, { name: "Event" }, { name: "Details" }, { name: "Transaction" }],
+                rows: schedule.history.map((entry) => [
+                    formatDate(entry.date),
+                    EVENT_LABELS[entry.type],
+                    describeEntry(entry, schedule.token.symbol),
+                    entry.transactionHash
+                ])
+            }
+        );
+    }
+
+    blocks.push({ heading: 2, text: "Projected unlocks" });
+    if (statement.calendar.length === 0) {
+        blocks.push({ paragraph: ["Nothing is left to unlock."] });
+    } else {
+        blocks.push({
+            columns: [{ name: "From" }, { name: "To" }, { name: "Token" }, { name: "Amount", numeric: true }],
+            rows: statement.calendar.map((unlock) => [
+                formatDay(unlock.start),
+                formatDay(new Date(unlock.end.getTime() - 1)),
+                unlock.token.symbol,
+                unlock.amount.formatted
+            ])
+        });
+    }
+    return blocks;
+}
+
+function markdownCell(text) {
+    return text.replace(/\|/g, "\\|");
+}
+
+/**
+ * Renders a statement as Markdown.
+ */
+function statementToMarkdown(statement) {
+    const lines = [];
+    for (const block of statementBlocks(statement)) {
+        if (block.heading) {
+            lines.push(`${"#".repeat(block.heading)} ${block.text}`);
+        } else if (block.paragraph) {
+            lines.push(block.paragraph.join("  \n"));
+        } else {
+            lines.push(
+                [
+                    `| ${block.columns.map((column) => column.name).join(" | ")} |`,
+                    `| ${block.columns.map((column) => (column.numeric ? "---:" : "---")).join(" | ")} |`,
+                    ...block.rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`)
+                ].join("\n")
+            );
+        }
+    }
+    return lines.join("\n\n") + "\n";
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders a statement as a standalone HTML page.
+ */
+function statementToHtml(statement) {
+    const body = [];
+    for (const block of statementBlocks(statement)) {
+        if (block.heading) {
+            body.push(`<h${block.heading}>${escapeHtml(block.text)}</h${block.heading}>`);
+        } else if (block.paragraph) {
+            body.push(`<p>${block.paragraph.map(escapeHtml).join("<br>\n")}</p>`);
+        } else {
+            const cell = (tag, column, text) => `<${tag}${column.numeric ? ' class="num"' : ""}>${escapeHtml(text)}</${tag}>`;
+            body.push(
+                "<table>",
+                `<tr>${block.columns.map((column) => cell("th", column, column.name)).join("")}</tr>`,
+                ...block.rows.map((row) => `<tr>${row.map((text, i) => cell("td", block.columns[i], text)).join("")}</tr>`),
+                "</table>"
+            );
+        }
+    }
+
+    return [
+        "<!DOCTYPE html>",
+        '<html lang="en">',
+        "<head>",
+        '<meta charset="utf-8">',
+        `<title>Vesting statement ${escapeHtml(statement.beneficiary)}</title>`,
+        "<style>",
+        "body { font-family: sans-serif; margin: 2em; }",
+        "table { border-collapse: collapse; margin-bottom: 1em; }",
+        "th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; }",
+        "th.num, td.num { text-align: right; }",
+        "</style>",
+        "</head>",
+        "<body>",
+        ...body,
+        "</body>",
+        "</html>",
+        ""
+    ].join("\n");
+}
+
+module.exports = {
+    readScheduleHistory,
+    buildBeneficiaryStatement,
+    statementToJson,
+    statementToMarkdown,
+    statementToHtml
+};
@@ -0,0 +1,96 @@
+const path = require("path");
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { getTokenInfo, isNativeToken, NATIVE_TOKEN } = require("../sdk");
+const { loadAllocations, validateAllocations, sendAllocationBatches } = require("../sdk/allocations");
+const { resolveVesting } = require("../sdk/deployments");
+
+/**
+ * Reads the results of an earlier run from `out`, checking that each recorded
+ * row still names the same beneficiary in the allocation file.
+ */
+function loadPreviousResults(out, rawRows) {
+    if (!fs.existsSync(out)) {
+        return [];
+    }
+    const previous = JSON.parse(fs.readFileSync(out, "utf8"));
+    for (const result of previous) {
+        const raw = rawRows[result.row - 1];
+        if (!raw || String(raw.beneficiary).toLowerCase() !== result.beneficiary.toLowerCase()) {
+            throw new Error(`${out} does not match the allocation file at row ${result.row}; move it aside to start over`);
+        }
+    }
+    return previous;
+}
+
+task("vesting:create-batch", "Creates vesting schedules in bulk from a CSV or JSON allocation file")
+    .addParam("file", "Path to the allocation file (.csv or .json)")
+    .addOptionalParam("vesting", "TokenVesting address (default: deployments/<network>.json)")
+    .addOptionalParam("instance", "Name of a factory instance recorded in deployments/<network>.json")
+    .addParam("token", "ERC20 token address to vest, or native for the chain's currency")
+    .addOptionalParam("out", "Where to write the results file, and resume from if it exists (default: <file>.results.json)")
+    .addOptionalParam("chunkSize", "Maximum schedules per transaction", 100, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const [signer] = await ethers.getSigners();
+
+        const { address: vestingAddress } = resolveVesting(hre.network.name, args);
+        const tokenVesting = await ethers.getContractAt("TokenVesting", vestingAddress, signer);
+        const tokenAddress = args.token === "native" ? NATIVE_TOKEN : args.token;
+        const { decimals } = await getTokenInfo(tokenAddress, signer);
+
+        const out = args.out || `${args.file.replace(/\.(csv|json)$/i, "")}.results.json`;
+        const rawRows = loadAllocations(args.file);
+        const results = loadPreviousResults(out, rawRows);
+        if (results.length > 0) {
+            console.log(`Resuming: ${results.length} row(s) already created according to ${out}`);
+        }
+
+        const latest = await ethers.provider.getBlock("latest");
+        const { rows, errors } = validateAllocations(rawRows, {
+            decimals,
+            now: latest.timestamp,
+            skip: new Set(results.map((result) => result.row))
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Allocation file has ${errors.length} invalid row(s):\n${errors.join("\n")}`);
+        }
+        if (rows.length === 0) {
+            if (results.length > 0) {
+                console.log("Every row has already been created");
+                return results;
+            }
+            throw new Error("Allocation file has no rows");
+        }
+
+        const total = rows.reduce((sum, row) => sum + row.totalAmount, 0n);
+        console.log(`Creating ${rows.length} schedule(s) for ${ethers.formatUnits(total, decimals)} tokens`);
+
+        // Native currency is sent with each batch instead
+        if (!isNativeToken(tokenAddress)) {
+            const token = await ethers.getContractAt("IERC20Metadata", tokenAddress, signer);
+            const approveTx = await token.approve(vestingAddress, total);
+            await approveTx.wait();
+            console.log("Approved", ethers.formatUnits(total, decimals), "tokens");
+        }
+
+        // Leave headroom below the block gas limit for each batch transaction
+        const maxGas = (latest.gasLimit * 8n) / 10n;
+
+        // Record every confirmed chunk straight away, so a failed run can be
+        // re-run with the same file and only sends the rows that are missing
+        fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+        await sendAllocationBatches(tokenVesting, tokenAddress, rows, {
+            chunkSize: args.chunkSize,
+            maxGas,
+            onChunk: ({ txHash, results: created }) => {
+                results.push(...created);
+                fs.writeFileSync(out, JSON.stringify(results, null, 2));
+                console.log(`Rows ${created[0].row}-${created[created.length - 1].row} created. Tx: ${txHash}`);
+            }
+        });
+        console.log("Results written to", out);
+
+        return results;
+    });
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const { getTokenInfo } = require("../sdk");
+const { VestingIndexer } = require("../sdk/indexer");
+const { PERIODS, buildAccountingReport, reportToJson, reportToCsv } = require("../sdk/reports");
+const { resolveVesting } = require("../sdk/deployments");
+
+function indexerTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("vesting", "TokenVesting address (default: deployments/<network>.json)")
+        .addOptionalParam("instance", "Name of a factory instance recorded in deployments/<network>.json")
+        .addOptionalParam("store", "Store file (default: .vesting-index/<network>.json, or <network>-<instance>.json)")
+        .addOptionalParam("fromBlock", "First block to index (default: the recorded deployment block)", undefined, types.int)
+        .addOptionalParam("confirmations", "Blocks after which a block is treated as final", 12, types.int);
+}
+
+/**
+ * Opens the task's index store and catches up with the chain head.
+ */
+async function syncIndexer(hre, args) {
+    const network = hre.network.name;
+    const { address, blockNumber } = resolveVesting(network, args);
+    const tokenVesting = await hre.ethers.getContractAt("TokenVesting", address);
+    const startBlock = args.fromBlock !== undefined ? args.fromBlock : blockNumber || 0;
+    const storeName = args.instance ? `${network}-${args.instance}` : network;
+
+    const indexer = new VestingIndexer({
+        tokenVesting,
+        storePath: args.store || path.join(".vesting-index", `${storeName}.json`),
+        startBlock,
+        confirmations: args.confirmations
+    });
+
+    const { fromBlock, toBlock, rolledBackTo } = await indexer.sync();
+    if (rolledBackTo !== null) {
+        console.log(`Reorg detected, rolled back to block ${rolledBackTo}`);
+    }
+    console.log(`Indexed blocks ${fromBlock}-${toBlock}`);
+
+    return { tokenVesting, indexer };
+}
+
+indexerTask("vesting:index", "Replays TokenVesting events into a local JSON store and queries it")
+    .addOptionalParam("creator", "Only list schedules created by this address")
+    .addOptionalParam("token", "Only list schedules of this token")
+    .addOptionalParam("beneficiary", "Only list schedules held by this address")
+    .addOptionalParam("status", "Only list schedules with this status (pending, cliff, vesting, vested, completed, revoked, shutdown)")
+    .addFlag("tokenRemoved", "Only list schedules created before their token was removed from the allowlist")
+    .addFlag("pendingRevocation", "Only list schedules with an announced revocation that has not been finalized")
+    .setAction(async (args, hre) => {
+        const { indexer } = await syncIndexer(hre, args);
+        if (indexer.getShutdownTime() !== null) {
+            console.log(`Shutdown announced; vesting stops at ${new Date(Number(indexer.getShutdownTime()) * 1000).toISOString()}`);
+        }
+
+        const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+        const schedules = indexer.getSchedules({
+            creator: args.creator,
+            token: args.token,
+            beneficiary: args.beneficiary,
+            status: args.status,
+            tokenRemoved: args.tokenRemoved,
+            pendingRevocation: args.pendingRevocation,
+            now
+        });
+
+        const tokens = new Map();
+        for (const schedule of schedules) {
+            if (!tokens.has(schedule.token)) {
+                tokens.set(schedule.token, await getTokenInfo(schedule.token, hre.ethers.provider));
+            }
+            const { symbol, decimals } = tokens.get(schedule.token);
+            console.log(
+                `#${schedule.id}  ${indexer.statusOf(schedule, now).padEnd(9)}  ` +
+                `creator ${schedule.creator}  beneficiary ${schedule.beneficiary}  ` +
+                `claimed ${ethers.formatUnits(schedule.claimedAmount, decimals)} / ` +
+                `${ethers.formatUnits(schedule.totalAmount, decimals)} ${symbol}` +
+                (schedule.tokenRemoved ? "  (token removed from allowlist)" : "") +
+                (schedule.pendingRevocation
+                    ? `  (revoked from ${new Date(Number(schedule.pendingRevocation.effectiveTime) * 1000).toISOString()})`
+                    : "")
+            );
+        }
+        console.log(`${schedules.length} schedule(s)`);
+
+        return { indexer, schedules };
+    });
+
+indexerTask("vesting:report", "Reports locked amounts against balances, upcoming unlocks and claims per creator, as CSV and JSON")
+    .addOptionalParam("period", "Bucket upcoming unlocks by week or month", "week")
+    .addOptionalParam("periods", "Number of weeks or months of upcoming unlocks", 12, types.int)
+    .addOptionalParam("out", "Directory for accounting.json, tokens.csv, unlocks.csv and creators.csv (default: reports/<network>)")
+    .addFlag("strict", "Fail when anything is flagged, e.g. a token whose balance is below the locked amount")
+    .setAction(async (args, hre) => {
+        if (!PERIODS.includes(args.period)) {
+            throw new Error(`--period must be week or month, not "${args.period}"`);
+        }
+        const { tokenVesting, indexer } = await syncIndexer(hre, args);
+        const report = await buildAccountingReport(tokenVesting, indexer, { period: args.period, periods: args.periods });
+
+        const out = args.out || path.join("reports", args.instance ? `${hre.network.name}-${args.instance}` : hre.network.name);
+        fs.mkdirSync(out, { recursive: true });
+        const files = [path.join(out, "accounting.json")];
+        fs.writeFileSync(files[0], reportToJson(report));
+        for (const [name, csv] of Object.entries(reportToCsv(report))) {
+            files.push(path.join(out, `${name}.csv`));
+            fs.writeFileSync(files[files.length - 1], csv);
+        }
+
+        for (const token of report.tokens) {
+            const format = (amount) => ethers.formatUnits(amount, token.decimals);
+            console.log(
+                `${token.symbol.padEnd(8)} locked ${format(token.locked)}  balance ${format(token.balance)}  ` +
+                (token.underfunded ? `SHORT ${format(token.shortfall)}` : `surplus ${format(token.surplus)}`)
+            );
+        }
+        for (const flag of report.flags) {
+            console.log("FLAG", flag);
+        }
+        console.log("Report written to", files.join(", "));
+
+        if (args.strict && report.flags.length > 0) {
+            throw new Error(`${report.flags.length} issue(s) flagged`);
+        }
+        return { report, files };
+    });
@@ -0,0 +1,951 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { ethers } = require("ethers");
+const sdk = require("../sdk");
+const { parseTimestamp, parseTransferPolicy, TRANSFER_POLICIES } = require("../sdk/allocations");
+const { compileUnlockTable, previewUnlockTimeline } = require("../sdk/curves");
+const { recordInstance, resolveAddress, resolveVesting } = require("../sdk/deployments");
+const { relayClaim } = require("../sdk/relayer");
+const { PERIODS } = require("../sdk/reports");
+const { buildBeneficiaryStatement, statementToJson, statementToMarkdown, statementToHtml } = require("../sdk/statements");
+
+async function getSigner(hre) {
+    const [signer] = await hre.ethers.getSigners();
+    return signer;
+}
+
+async function getVesting(hre, args) {
+    const { address } = resolveVesting(hre.network.name, args);
+    return hre.ethers.getContractAt("TokenVesting", address, await getSigner(hre));
+}
+
+// First block to replay events from: --from-block, else the recorded deployment block
+function eventsFromBlock(hre, args) {
+    if (args.fromBlock !== undefined) {
+        return args.fromBlock;
+    }
+    return resolveVesting(hre.network.name, args).blockNumber || 0;
+}
+
+// --token value: an ERC20 address, or "native" for the chain's currency
+function parseToken(value) {
+    return value === "native" ? sdk.NATIVE_TOKEN : value;
+}
+
+function formatTokens(amount, token) {
+    return `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+}
+
+function printSchedule(view) {
+    const amount = (value) => `${value.formatted} ${view.token.symbol}`;
+
+    console.log(`Schedule #${view.id} (${view.status})`);
+    console.log("  Beneficiary:", view.beneficiary);
+    console.log("  Creator:    ", view.creator);
+    console.log("  Token:      ", view.token.address, `(${view.token.symbol})`, view.tokenAllowed ? "" : "(removed from the token allowlist)");
+    console.log("  Total:      ", amount(view.totalAmount));
+    console.log("  Vested:     ", amount(view.vestedAmount));
+    console.log("  Claimed:    ", amount(view.claimedAmount));
+    console.log("  Claimable:  ", amount(view.claimableAmount));
+    console.log("  Start:      ", view.startDate.toISOString());
+    console.log("  Cliff end:  ", view.cliffEndDate.toISOString());
+    console.log("  End:        ", view.endDate.toISOString());
+    console.log("  Releases:   ", view.slicePeriodSeconds === 1n ? "continuously" : `every ${view.slicePeriodSeconds}s`);
+    if (view.nextUnlock) {
+        console.log("  Next unlock:", view.nextUnlock.date.toISOString(), `(${amount(view.nextUnlock.amount)})`);
+    }
+    console.log("  Revocable:  ", view.revocable, view.revoked ? "(revoked)" : "");
+    console.log("  Transfers:  ", transferPolicyName(view.transferPolicy));
+    if (view.pendingTransfer) {
+        const { newBeneficiary, approved } = view.pendingTransfer;
+        console.log("  Pending:    ", newBeneficiary, approved ? "(approved)" : "");
+    }
+    if (view.pendingRevocation) {
+        const { date, effective } = view.pendingRevocation;
+        console.log("  Revocation: ", date.toISOString(), effective ? "(effective, vesting stopped)" : "(announced)");
+    }
+}
+
+function transferPolicyName(policy) {
+    return Object.keys(TRANSFER_POLICIES).find((name) => TRANSFER_POLICIES[name] === policy);
+}
+
+// CLI names of sdk.Roles, e.g. SCHEDULE_MANAGER -> schedule-manager
+function roleLabel(name) {
+    return name.toLowerCase().replace(/_/g, "-");
+}
+
+function parseRole(label) {
+    const name = Object.keys(sdk.Roles).find((key) => roleLabel(key) === label);
+    if (!name) {
+        throw new Error(`Unknown role "${label}", expected ${Object.keys(sdk.Roles).map(roleLabel).join(", ")}`);
+    }
+    if (name === "DEFAULT_ADMIN") {
+        throw new Error("The default admin role is handed over with vesting:transfer-admin");
+    }
+    return sdk.Roles[name];
+}
+
+/**
+ * Declares a task that talks to a TokenVesting deployment. Transaction tasks
+ * also get a --dry-run flag that simulates the call with staticCall.
+ */
+function vestingTask(name, description, { sendsTransaction = true } = {}) {
+    const definition = task(name, description)
+        .addOptionalParam("vesting", "TokenVesting address (default: deployments/<network>.json)")
+        .addOptionalParam("instance", "Name of a factory instance recorded in deployments/<network>.json");
+
+    return sendsTransaction
+        ? definition.addFlag("dryRun", "Simulate with staticCall instead of sending a transaction")
+        : definition;
+}
+
+vestingTask("vesting:create", "Creates a vesting schedule, approving the token if needed")
+    .addParam("beneficiary", "Beneficiary address")
+    .addParam("token", "ERC20 token address, or native for the chain's currency")
+    .addParam("amount", "Amount in whole tokens (e.g. 1000.5)")
+    .addParam("start", "Start time as a unix timestamp or ISO date")
+    .addParam("cliff", "Cliff duration in seconds", undefined, types.int)
+    .addParam("duration", "Total vesting duration in seconds", undefined, types.int)
+    .addOptionalParam("slicePeriod", "Release interval after the cliff in seconds (e.g. 2592000 for 30 days)", 1, types.int)
+    .addFlag("revocable", "Allow the creator to revoke the schedule")
+    .addOptionalParam("transferPolicy", "Whether the beneficiary may transfer it: disabled, free or creator-approved", "disabled")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+        const token = await sdk.getTokenInfo(parseToken(args.token), signer);
+        const totalAmount = ethers.parseUnits(args.amount, token.decimals);
+        const startTime = parseTimestamp(args.start);
+
+        const params = {
+            beneficiary: args.beneficiary,
+            token: token.address,
+            amount: totalAmount,
+            startTime,
+            cliffDuration: args.cliff,
+            vestingDuration: args.duration,
+            slicePeriodSeconds: args.slicePeriod,
+            revocable: args.revocable,
+            transferPolicy: parseTransferPolicy(args.transferPolicy)
+        };
+
+        if (args.dryRun) {
+            // Native currency is sent with the call instead of approved
+            const allowance = sdk.isNativeToken(token.address)
+                ? totalAmount
+                : await sdk.getToken(token.address, signer).allowance(signer.address, tokenVesting.target);
+            if (allowance < totalAmount) {
+                console.log(`Dry run: would approve ${formatTokens(totalAmount, token)} first`);
+                console.log("Dry run: schedule creation cannot be simulated until the approval exists");
+                return null;
+            }
+            const scheduleId = await tokenVesting.createVestingSchedule.staticCall(
+                params.beneficiary,
+                params.token,
+                totalAmount,
+                startTime,
+                params.cliffDuration,
+                params.vestingDuration,
+                params.slicePeriodSeconds,
+                params.revocable,
+                params.transferPolicy,
+                { value: sdk.isNativeToken(token.address) ? totalAmount : 0n }
+            );
+            console.log(`Dry run: would create schedule #${scheduleId} for ${formatTokens(totalAmount, token)}`);
+            return { scheduleId, dryRun: true };
+        }
+
+        const { scheduleId, receipt } = await sdk.createSchedule(tokenVesting, params);
+        console.log(`Created schedule #${scheduleId} for ${formatTokens(totalAmount, token)}. Tx: ${receipt.hash}`);
+        return { scheduleId, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:create-curve", "Creates a schedule from an unlock table, printing its timeline first")
+    .addParam("beneficiary", "Beneficiary address")
+    .addParam("token", "ERC20 token address, or native for the chain's currency")
+    .addParam("amount", "Amount in whole tokens (e.g. 1000.5)")
+    .addParam("table", "Unlock table file, one rule per line (e.g. \"10% at TGE\", \"5% monthly\")")
+    .addParam("tge", "TGE as a unix timestamp or ISO date")
+    .addFlag("revocable", "Allow the creator to revoke the schedule")
+    .addOptionalParam("transferPolicy", "Whether the beneficiary may transfer it: disabled, free or creator-approved", "disabled")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+        const token = await sdk.getTokenInfo(parseToken(args.token), signer);
+        const totalAmount = ethers.parseUnits(args.amount, token.decimals);
+        const checkpoints = compileUnlockTable(fs.readFileSync(args.table, "utf8"), { tge: args.tge });
+        const timeline = previewUnlockTimeline(checkpoints, totalAmount);
+
+        console.log(`Unlock timeline (${checkpoints.length} checkpoints):`);
+        for (const point of timeline) {
+            console.log(
+                `  ${point.date.toISOString()}  ${(point.basisPoints / 100).toFixed(2).padStart(6)}%  ` +
+                `+${formatTokens(point.change, token)}${point.linear ? " (linear)" : ""}  = ${formatTokens(point.unlocked, token)}`
+            );
+        }
+
+        const params = {
+            beneficiary: args.beneficiary,
+            token: token.address,
+            amount: totalAmount,
+            checkpoints,
+            revocable: args.revocable,
+            transferPolicy: parseTransferPolicy(args.transferPolicy)
+        };
+
+        if (args.dryRun) {
+            const allowance = sdk.isNativeToken(token.address)
+                ? totalAmount
+                : await sdk.getToken(token.address, signer).allowance(signer.address, tokenVesting.target);
+            if (allowance < totalAmount) {
+                console.log(`Dry run: would approve ${formatTokens(totalAmount, token)} first`);
+                console.log("Dry run: schedule creation cannot be simulated until the approval exists");
+                return { checkpoints, timeline, dryRun: true };
+            }
+            const scheduleId = await tokenVesting.createCheckpointVestingSchedule.staticCall(
+                params.beneficiary,
+                params.token,
+                totalAmount,
+                checkpoints,
+                params.revocable,
+                params.transferPolicy,
+                { value: sdk.isNativeToken(token.address) ? totalAmount : 0n }
+            );
+            console.log(`Dry run: would create schedule #${scheduleId} for ${formatTokens(totalAmount, token)}`);
+            return { scheduleId, checkpoints, timeline, dryRun: true };
+        }
+
+        const { scheduleId, receipt } = await sdk.createCheckpointSchedule(tokenVesting, params);
+        console.log(`Created schedule #${scheduleId} for ${formatTokens(totalAmount, token)}. Tx: ${receipt.hash}`);
+        return { scheduleId, checkpoints, timeline, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:claim", "Claims the vested tokens of one or more schedules in a single transaction")
+    .addOptionalParam("token", "Claim every schedule of the signer in this token (or native) instead of listing IDs")
+    .addOptionalVariadicPositionalParam("ids", "Schedule IDs", [])
+    .setAction(async (args, hre) => {
+        if ((args.token === undefined) === (args.ids.length === 0)) {
+            throw new Error("Pass either schedule IDs or --token");
+        }
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.token !== undefined) {
+            const token = await sdk.getTokenInfo(parseToken(args.token), await getSigner(hre));
+
+            if (args.dryRun) {
+                const amount = await tokenVesting.claimAll.staticCall(token.address);
+                console.log(`Dry run: would claim ${formatTokens(amount, token)} across all schedules`);
+                return { amount, dryRun: true };
+            }
+
+            const { amount, claimed, receipt } = await sdk.claimAll(tokenVesting, token.address);
+            console.log(`Claimed ${formatTokens(amount, token)} from ${claimed.length} schedule(s). Tx: ${receipt.hash}`);
+            return { amount, claimed, txHash: receipt.hash };
+        }
+
+        const tokenInfoCache = new Map();
+        const views = await Promise.all(args.ids.map((id) => sdk.getScheduleView(tokenVesting, id, { tokenInfoCache })));
+        const tokenOf = new Map(views.map((view) => [view.id, view.token]));
+
+        let claimed;
+        let receipt;
+        if (args.dryRun) {
+            const amounts = await tokenVesting.claimMany.staticCall(args.ids);
+            claimed = views
+                .map((view, i) => ({ scheduleId: view.id, amount: amounts[i] }))
+                .filter((item) => item.amount > 0n);
+        } else {
+            ({ claimed, receipt } = await sdk.claim(tokenVesting, args.ids));
+        }
+
+        const verb = args.dryRun ? "Dry run: would claim" : "Claimed";
+        for (const { scheduleId, amount } of claimed) {
+            console.log(`${verb} ${formatTokens(amount, tokenOf.get(scheduleId))} from schedule #${scheduleId}`);
+        }
+        const amount = claimed.reduce((sum, item) => sum + item.amount, 0n);
+        if (args.dryRun) {
+            return { amount, claimed, dryRun: true };
+        }
+        console.log("Tx:", receipt.hash);
+        return { amount, claimed, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:sign-claim", "Signs a gasless claim for a relayer to submit", { sendsTransaction: false })
+    .addPositionalParam("id", "Schedule ID")
+    .addOptionalParam("recipient", "Address receiving the tokens (default: the beneficiary)")
+    .addOptionalParam("deadline", "Last time the signature is valid, as a unix timestamp or ISO date (default: in one hour)")
+    .addOptionalParam("relayer", "Relayer URL to submit the signed claim to (e.g. http://127.0.0.1:8787)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+
+        const signed = await sdk.signClaim(tokenVesting, signer, {
+            scheduleId: args.id,
+            recipient: args.recipient,
+            deadline: args.deadline === undefined ? undefined : parseTimestamp(args.deadline)
+        });
+        const claim = {
+            scheduleId: signed.scheduleId.toString(),
+            recipient: signed.recipient,
+            deadline: signed.deadline.toString(),
+            signature: signed.signature
+        };
+
+        if (!args.relayer) {
+            console.log(JSON.stringify(claim, null, 2));
+            return { claim };
+        }
+
+        const view = await sdk.getScheduleView(tokenVesting, args.id);
+        const { txHash, amount } = await relayClaim(args.relayer, claim);
+        console.log(`Relayer claimed ${formatTokens(amount, view.token)} from schedule #${args.id}. Tx: ${txHash}`);
+        return { claim, amount, txHash };
+    });
+
+vestingTask("vesting:revoke", "Revokes a schedule and returns unvested tokens to the creator, or announces its revocation with --at")
+    .addPositionalParam("id", "Schedule ID")
+    .addOptionalParam("at", "Announce the revocation to take effect at this unix timestamp or ISO date instead")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const view = await sdk.getScheduleView(tokenVesting, args.id);
+
+        if (args.at !== undefined) {
+            const effectiveTime = parseTimestamp(args.at);
+            const date = new Date(Number(effectiveTime) * 1000).toISOString();
+
+            if (args.dryRun) {
+                await tokenVesting.announceRevocation.staticCall(args.id, effectiveTime);
+                console.log(`Dry run: would announce revoking schedule #${args.id} at ${date}`);
+                return { effectiveTime, dryRun: true };
+            }
+
+            const { receipt } = await sdk.announceRevocation(tokenVesting, args.id, effectiveTime);
+            console.log(`Schedule #${args.id} will be revoked at ${date}; it keeps vesting until then. Tx: ${receipt.hash}`);
+            return { effectiveTime, txHash: receipt.hash };
+        }
+
+        if (args.dryRun) {
+            await tokenVesting.revokeVestingSchedule.staticCall(args.id);
+            const unvestedAmount = view.totalAmount.raw - view.vestedAmount.raw;
+            console.log(`Dry run: would revoke schedule #${args.id} and return ${formatTokens(unvestedAmount, view.token)}`);
+            return { unvestedAmount, dryRun: true };
+        }
+
+        const { unvestedAmount, receipt } = await sdk.revoke(tokenVesting, args.id);
+        console.log(`Revoked schedule #${args.id}, returned ${formatTokens(unvestedAmount, view.token)}. Tx: ${receipt.hash}`);
+        return { unvestedAmount, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:cancel-revocation", "Cancels an announced revocation before it takes effect")
+    .addPositionalParam("id", "Schedule ID")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.cancelRevocation.staticCall(args.id);
+            console.log(`Dry run: would cancel the announced revocation of schedule #${args.id}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.cancelRevocation(tokenVesting, args.id);
+        console.log(`Cancelled the announced revocation of schedule #${args.id}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:amend", "Reduces, tops up or extends a schedule, keeping what has already vested")
+    .addPositionalParam("id", "Schedule ID")
+    .addOptionalParam("amount", "New total amount in whole tokens (default: unchanged)")
+    .addOptionalParam("duration", "New total vesting duration in seconds, at least the current one (default: unchanged)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+        const view = await sdk.getScheduleView(tokenVesting, args.id);
+        if (args.amount === undefined && args.duration === undefined) {
+            throw new Error("Pass --amount, --duration or both");
+        }
+        const totalAmount = args.amount === undefined
+            ? view.totalAmount.raw
+            : ethers.parseUnits(args.amount, view.token.decimals);
+        const duration = args.duration === undefined
+            ? BigInt(Math.round((view.endDate - view.startDate) / 1000))
+            : BigInt(args.duration);
+        const topUp = totalAmount > view.totalAmount.raw ? totalAmount - view.totalAmount.raw : 0n;
+        const returned = totalAmount < view.totalAmount.raw ? view.totalAmount.raw - totalAmount : 0n;
+        const terms = `${formatTokens(totalAmount, view.token)} over ${duration}s`;
+
+        if (args.dryRun) {
+            const native = sdk.isNativeToken(view.token.address);
+            if (topUp > 0n && !native) {
+                const allowance = await sdk.getToken(view.token.address, signer).allowance(signer.address, tokenVesting.target);
+                if (allowance < topUp) {
+                    console.log(`Dry run: would approve ${formatTokens(topUp, view.token)} first`);
+                    console.log("Dry run: the amendment cannot be simulated until the approval exists");
+                    return null;
+                }
+            }
+            await tokenVesting.amendVestingSchedule.staticCall(args.id, totalAmount, duration, { value: native ? topUp : 0n });
+            console.log(`Dry run: would amend schedule #${args.id} to ${terms}`);
+            return { topUp, returned, dryRun: true };
+        }
+
+        const { vestedAmount, receipt } = await sdk.amend(tokenVesting, args.id, { amount: totalAmount, vestingDuration: duration });
+        console.log(`Amended schedule #${args.id} to ${terms}, keeping ${formatTokens(vestedAmount, view.token)} already vested. Tx: ${receipt.hash}`);
+        if (topUp > 0n) {
+            console.log(`  Topped up ${formatTokens(topUp, view.token)}`);
+        }
+        if (returned > 0n) {
+            // Company schedules (created by a schedule manager) leave it in the contract as surplus
+            const destination = view.creator === tokenVesting.target ? "to the surplus" : "to the creator";
+            console.log(`  Returned ${formatTokens(returned, view.token)} ${destination}`);
+        }
+        return { topUp, returned, vestedAmount, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:transfer", "Proposes transferring a schedule to a new beneficiary, who must accept it")
+    .addPositionalParam("id", "Schedule ID")
+    .addParam("to", "New beneficiary address")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.proposeScheduleTransfer.staticCall(args.id, args.to);
+            console.log(`Dry run: would propose transferring schedule #${args.id} to ${args.to}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.proposeTransfer(tokenVesting, args.id, args.to);
+        console.log(`Proposed transferring schedule #${args.id} to ${args.to}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:approve-transfer", "Approves the pending transfer of a creator-approved schedule (creator only)")
+    .addPositionalParam("id", "Schedule ID")
+    .addParam("to", "Proposed beneficiary being approved")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.approveScheduleTransfer.staticCall(args.id, args.to);
+            console.log(`Dry run: would approve transferring schedule #${args.id} to ${args.to}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.approveTransfer(tokenVesting, args.id, args.to);
+        console.log(`Approved transferring schedule #${args.id} to ${args.to}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:accept-transfer", "Accepts a schedule transfer proposed to the signer")
+    .addPositionalParam("id", "Schedule ID")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.acceptScheduleTransfer.staticCall(args.id);
+            console.log(`Dry run: would accept schedule #${args.id}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.acceptTransfer(tokenVesting, args.id);
+        console.log(`Accepted schedule #${args.id}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:cancel-transfer", "Cancels or declines a pending schedule transfer")
+    .addPositionalParam("id", "Schedule ID")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.cancelScheduleTransfer.staticCall(args.id);
+            console.log(`Dry run: would cancel the pending transfer of schedule #${args.id}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.cancelTransfer(tokenVesting, args.id);
+        console.log(`Cancelled the pending transfer of schedule #${args.id}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:show", "Shows a schedule", { sendsTransaction: false })
+    .addPositionalParam("id", "Schedule ID")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const view = await sdk.getScheduleView(tokenVesting, args.id);
+        printSchedule(view);
+        return view;
+    });
+
+vestingTask("vesting:list", "Lists the schedules of a beneficiary", { sendsTransaction: false })
+    .addParam("beneficiary", "Beneficiary address")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const views = await sdk.listBeneficiarySchedules(tokenVesting, args.beneficiary);
+
+        if (views.length === 0) {
+            console.log(`No schedules for ${args.beneficiary}`);
+        }
+        for (const view of views) {
+            console.log(
+                `#${view.id}  ${view.status.padEnd(9)}  ` +
+                `claimable ${view.claimableAmount.formatted} / total ${view.totalAmount.formatted} ${view.token.symbol}  ` +
+                `ends ${view.endDate.toISOString()}` +
+                (view.tokenAllowed ? "" : "  token removed from allowlist") +
+                (view.pendingRevocation ? `  revoked from ${view.pendingRevocation.date.toISOString()}` : "") +
+                (view.nextUnlock ? `  next ${view.nextUnlock.amount.formatted} on ${view.nextUnlock.date.toISOString()}` : "")
+            );
+        }
+        return views;
+    });
+
+vestingTask("vesting:statement", "Writes a beneficiary's vesting statement as Markdown, HTML and JSON", { sendsTransaction: false })
+    .addParam("beneficiary", "Beneficiary address")
+    .addOptionalParam("period", "Group the projected unlocks by week or month", "month")
+    .addOptionalParam("out", "Directory for <beneficiary>.md, .html and .json (default: statements/<network>)")
+    .addOptionalParam("fromBlock", "Block to replay schedule events from (default: the recorded deployment block)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        if (!PERIODS.includes(args.period)) {
+            throw new Error(`--period must be week or month, not "${args.period}"`);
+        }
+        const tokenVesting = await getVesting(hre, args);
+        const statement = await buildBeneficiaryStatement(tokenVesting, args.beneficiary, {
+            fromBlock: eventsFromBlock(hre, args),
+            period: args.period
+        });
+
+        const out = args.out || path.join("statements", hre.network.name);
+        fs.mkdirSync(out, { recursive: true });
+        const base = path.join(out, statement.beneficiary);
+        const files = [`${base}.md`, `${base}.html`, `${base}.json`];
+        fs.writeFileSync(files[0], statementToMarkdown(statement));
+        fs.writeFileSync(files[1], statementToHtml(statement));
+        fs.writeFileSync(files[2], statementToJson(statement));
+
+        for (const total of statement.totals) {
+            const { symbol } = total.token;
+            console.log(
+                `${symbol.padEnd(8)} ${total.schedules} schedule(s)  vested ${total.vestedAmount.formatted} / ${total.totalAmount.formatted}  ` +
+                `claimed ${total.claimedAmount.formatted}  claimable ${total.claimableAmount.formatted}`
+            );
+        }
+        console.log("Statement written to", files.join(", "));
+        return { statement, files };
+    });
+
+vestingTask("vesting:pause", "Pauses the contract for at most MAX_PAUSE_DURATION (pausers only)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.pause.staticCall();
+            console.log("Dry run: would pause", tokenVesting.target);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.pause()).wait();
+        const { pausedUntil } = await sdk.getEmergencyState(tokenVesting);
+        console.log("Paused", tokenVesting.target, "Tx:", receipt.hash);
+        console.log(`The pause lifts itself at ${pausedUntil.toISOString()} unless unpaused earlier`);
+        return { pausedUntil, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:unpause", "Unpauses the contract (pausers only)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.unpause.staticCall();
+            console.log("Dry run: would unpause", tokenVesting.target);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.unpause()).wait();
+        const { nextPauseDate, unusedPauseTime } = await sdk.getEmergencyState(tokenVesting);
+        console.log("Unpaused", tokenVesting.target, "Tx:", receipt.hash);
+        if (unusedPauseTime > 0n) {
+            console.log(`Pausers can pause again for the ${unusedPauseTime}s this pause left until ${nextPauseDate.toISOString()}, and for the full MAX_PAUSE_DURATION from then`);
+        } else {
+            console.log(`Pausers can pause again from ${nextPauseDate.toISOString()}`);
+        }
+        return { nextPauseDate, unusedPauseTime, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:status", "Shows whether the contract is paused or shut down", { sendsTransaction: false })
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const state = await sdk.getEmergencyState(tokenVesting);
+        const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+        if (state.shutdownDate && state.shutdownDate.getTime() > timestamp * 1000) {
+            console.log(`Shutdown announced for ${state.shutdownDate.toISOString()}: schedules vest until then, but none can be created or amended`);
+        } else if (state.shutdownDate) {
+            console.log(`Shut down at ${state.shutdownDate.toISOString()}: vesting stopped, beneficiaries claim and creators revoke to reclaim the rest`);
+        } else if (state.paused) {
+            console.log(`Paused until ${state.pausedUntil.toISOString()} at the latest`);
+        } else if (state.nextPauseDate && state.nextPauseDate.getTime() > timestamp * 1000 && state.unusedPauseTime > 0n) {
+            console.log(`Active; pausers can pause for the ${state.unusedPauseTime}s left over until ${state.nextPauseDate.toISOString()}, and for the full MAX_PAUSE_DURATION from then`);
+        } else if (state.nextPauseDate && state.nextPauseDate.getTime() > timestamp * 1000) {
+            console.log(`Active; pausers can pause again from ${state.nextPauseDate.toISOString()}`);
+        } else {
+            console.log("Active");
+        }
+        return state;
+    });
+
+vestingTask("vesting:shutdown", "Announces shutting the contract down for good: after SHUTDOWN_NOTICE_PERIOD vesting stops and every schedule can be wound down (default admin only)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.emergencyShutdown.staticCall();
+            console.log("Dry run: would announce a shutdown of", tokenVesting.target);
+            return { dryRun: true };
+        }
+
+        const { shutdownTime, receipt } = await sdk.emergencyShutdown(tokenVesting);
+        console.log("Announced the shutdown of", tokenVesting.target, "Tx:", receipt.hash);
+        console.log(`Vesting stops at ${new Date(Number(shutdownTime) * 1000).toISOString()}. Beneficiaries can then claim what has vested; creators revoke their schedules to reclaim the rest`);
+        return { shutdownTime, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:withdraw-surplus", "Withdraws tokens held above the locked amount (treasurers only)")
+    .addParam("token", "ERC20 token address, or native for the chain's currency")
+    .addOptionalParam("amount", "Amount in whole tokens (default: the whole surplus)")
+    .addOptionalParam("to", "Recipient (default: the signer)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+        const token = await sdk.getTokenInfo(parseToken(args.token), signer);
+
+        const balance = await sdk.getTokenBalance(token.address, tokenVesting.target, signer);
+        const surplus = balance - await tokenVesting.totalLockedTokens(token.address);
+        const amount = args.amount === undefined ? surplus : ethers.parseUnits(args.amount, token.decimals);
+        const to = args.to || signer.address;
+
+        console.log(`Surplus available: ${formatTokens(surplus, token)}`);
+
+        if (args.dryRun) {
+            await tokenVesting.emergencyWithdraw.staticCall(token.address, amount, to);
+            console.log(`Dry run: would withdraw ${formatTokens(amount, token)} to ${to}`);
+            return { amount, dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.emergencyWithdraw(token.address, amount, to)).wait();
+        console.log(`Withdrew ${formatTokens(amount, token)} to ${to}. Tx: ${receipt.hash}`);
+        return { amount, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:deposit-policy", "Shows or sets how short deposits of a token are accounted (default admin only to set)")
+    .addParam("token", "ERC20 token address")
+    .addOptionalParam("policy", "exact (reject fee-on-transfer deposits) or received (vest what arrives)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const names = { exact: sdk.DepositPolicy.REQUIRE_EXACT, received: sdk.DepositPolicy.RECORD_RECEIVED };
+        const nameOf = (policy) => Object.keys(names).find((name) => names[name] === Number(policy));
+
+        if (args.policy === undefined) {
+            const policy = nameOf(await tokenVesting.depositPolicy(args.token));
+            console.log(`Deposit policy of ${args.token}: ${policy}`);
+            return { policy };
+        }
+        if (!(args.policy in names)) {
+            throw new Error(`Unknown policy "${args.policy}", expected exact or received`);
+        }
+
+        if (args.dryRun) {
+            await tokenVesting.setDepositPolicy.staticCall(args.token, names[args.policy]);
+            console.log(`Dry run: would set the deposit policy of ${args.token} to ${args.policy}`);
+            return { policy: args.policy, dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.setDepositPolicy(args.token, names[args.policy])).wait();
+        console.log(`Set the deposit policy of ${args.token} to ${args.policy}. Tx: ${receipt.hash}`);
+        return { policy: args.policy, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:revocation-grace-period", "Shows or sets the minimum notice for revocations (default admin only to set)")
+    .addOptionalParam("seconds", "Minimum seconds between announcing a revocation and its effective time (0 allows immediate revocation)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.seconds === undefined) {
+            const gracePeriod = await tokenVesting.revocationGracePeriod();
+            console.log(`Revocation grace period: ${gracePeriod}s`, gracePeriod === 0n ? "(immediate revocation allowed)" : "");
+            return { gracePeriod };
+        }
+
+        if (args.dryRun) {
+            await tokenVesting.setRevocationGracePeriod.staticCall(args.seconds);
+            console.log(`Dry run: would set the revocation grace period to ${args.seconds}s`);
+            return { gracePeriod: BigInt(args.seconds), dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.setRevocationGracePeriod(args.seconds)).wait();
+        console.log(`Set the revocation grace period to ${args.seconds}s. Tx: ${receipt.hash}`);
+        return { gracePeriod: BigInt(args.seconds), txHash: receipt.hash };
+    });
+
+vestingTask("vesting:roles", "Shows the default admin and every role's holders, or the roles of one account", { sendsTransaction: false })
+    .addOptionalParam("account", "Only show the roles held by this address")
+    .addOptionalParam("fromBlock", "Block to replay role events from (default: the recorded deployment block)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.account !== undefined) {
+            const held = [];
+            for (const name of Object.keys(sdk.Roles)) {
+                if (await tokenVesting.hasRole(sdk.Roles[name], args.account)) {
+                    held.push(roleLabel(name));
+                }
+            }
+            console.log(`${args.account}: ${held.length > 0 ? held.join(", ") : "no roles"}`);
+            return { account: args.account, roles: held };
+        }
+
+        const [defaultAdmin, pending, delay, members] = await Promise.all([
+            tokenVesting.defaultAdmin(),
+            tokenVesting.pendingDefaultAdmin(),
+            tokenVesting.defaultAdminDelay(),
+            sdk.getRoleMembers(tokenVesting, { fromBlock: eventsFromBlock(hre, args) })
+        ]);
+        const pendingAdmin = pending.newAdmin === ethers.ZeroAddress ? null : pending.newAdmin;
+
+        console.log("Default admin:   ", defaultAdmin, `(handover delay ${delay}s)`);
+        if (pendingAdmin) {
+            console.log("Pending admin:   ", pendingAdmin, `(can accept from ${new Date(Number(pending.schedule) * 1000).toISOString()})`);
+        }
+        for (const name of Object.keys(members).filter((key) => key !== "DEFAULT_ADMIN")) {
+            console.log(`${roleLabel(name)}:`.padEnd(18), members[name].length > 0 ? members[name].join(", ") : "none");
+        }
+        return { defaultAdmin, pendingAdmin, members };
+    });
+
+vestingTask("vesting:grant-role", "Grants a role: pauser, treasurer, schedule-manager or revoker (default admin only)")
+    .addPositionalParam("role", "Role to grant")
+    .addParam("account", "Address receiving the role")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const role = parseRole(args.role);
+
+        if (args.dryRun) {
+            await tokenVesting.grantRole.staticCall(role, args.account);
+            console.log(`Dry run: would grant ${args.role} to ${args.account}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.grantRole(tokenVesting, role, args.account);
+        console.log(`Granted ${args.role} to ${args.account}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:revoke-role", "Revokes a role from an account (default admin only)")
+    .addPositionalParam("role", "Role to revoke")
+    .addParam("account", "Address losing the role")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const role = parseRole(args.role);
+
+        if (args.dryRun) {
+            await tokenVesting.revokeRole.staticCall(role, args.account);
+            console.log(`Dry run: would revoke ${args.role} from ${args.account}`);
+            return { dryRun: true };
+        }
+
+        const { receipt } = await sdk.revokeRole(tokenVesting, role, args.account);
+        console.log(`Revoked ${args.role} from ${args.account}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:transfer-admin", "Starts handing the default admin role to a new account (default admin only)")
+    .addParam("to", "New default admin")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.beginDefaultAdminTransfer.staticCall(args.to);
+            console.log(`Dry run: would start handing the default admin role to ${args.to}`);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.beginDefaultAdminTransfer(args.to)).wait();
+        const { schedule } = await tokenVesting.pendingDefaultAdmin();
+        const acceptFrom = new Date(Number(schedule) * 1000);
+        console.log(`${args.to} can accept the default admin role from ${acceptFrom.toISOString()}. Tx: ${receipt.hash}`);
+        return { acceptFrom, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:accept-admin", "Accepts a pending default admin handover as the new admin")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+
+        if (args.dryRun) {
+            await tokenVesting.acceptDefaultAdminTransfer.staticCall();
+            console.log("Dry run: would accept the default admin role of", tokenVesting.target);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.acceptDefaultAdminTransfer()).wait();
+        console.log("Accepted the default admin role of", tokenVesting.target, "Tx:", receipt.hash);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:allowlist", "Shows the token and creator allowlists, or switches them between open and restricted (default admin only to set)")
+    .addOptionalParam("tokens", "open (any token) or restricted (allowlisted tokens only)")
+    .addOptionalParam("creators", "open (anyone) or restricted (allowlisted creators and schedule managers only)")
+    .addOptionalParam("fromBlock", "Block to replay allowlist events from (default: the recorded deployment block)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const modes = { open: false, restricted: true };
+        const modeName = (restricted) => (restricted ? "restricted" : "open");
+
+        if (args.tokens === undefined && args.creators === undefined) {
+            const allowlists = await sdk.getAllowlists(tokenVesting, { fromBlock: eventsFromBlock(hre, args) });
+            console.log(`Tokens (${modeName(allowlists.tokenAllowlistEnabled)}):`, allowlists.tokens.join(", ") || "none allowlisted");
+            console.log(`Creators (${modeName(allowlists.creatorAllowlistEnabled)}):`, allowlists.creators.join(", ") || "none allowlisted");
+            return allowlists;
+        }
+        for (const value of [args.tokens, args.creators]) {
+            if (value !== undefined && !(value in modes)) {
+                throw new Error(`Unknown allowlist mode "${value}", expected open or restricted`);
+            }
+        }
+
+        const tokensRestricted = args.tokens === undefined ? await tokenVesting.tokenAllowlistEnabled() : modes[args.tokens];
+        const creatorsRestricted = args.creators === undefined ? await tokenVesting.creatorAllowlistEnabled() : modes[args.creators];
+        const summary = `tokens ${modeName(tokensRestricted)}, creators ${modeName(creatorsRestricted)}`;
+
+        if (args.dryRun) {
+            await tokenVesting.setAllowlistMode.staticCall(tokensRestricted, creatorsRestricted);
+            console.log(`Dry run: would set the allowlists to ${summary}`);
+            return { tokenAllowlistEnabled: tokensRestricted, creatorAllowlistEnabled: creatorsRestricted, dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.setAllowlistMode(tokensRestricted, creatorsRestricted)).wait();
+        console.log(`Set the allowlists to ${summary}. Tx: ${receipt.hash}`);
+        return { tokenAllowlistEnabled: tokensRestricted, creatorAllowlistEnabled: creatorsRestricted, txHash: receipt.hash };
+    });
+
+vestingTask("vesting:allow-token", "Adds a token to the token allowlist, or removes it (default admin only)")
+    .addPositionalParam("token", "ERC20 token address, or native for the chain's currency")
+    .addFlag("remove", "Remove the token instead; its existing schedules keep vesting")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const action = args.remove ? "remove" : "add";
+        const token = parseToken(args.token);
+
+        if (args.dryRun) {
+            await tokenVesting.setTokenAllowed.staticCall(token, !args.remove);
+            console.log(`Dry run: would ${action} token ${token}`);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.setTokenAllowed(token, !args.remove)).wait();
+        console.log(`${args.remove ? "Removed" : "Added"} token ${token}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:allow-creator", "Adds a creator to the creator allowlist, or removes it (default admin only)")
+    .addPositionalParam("creator", "Creator address")
+    .addFlag("remove", "Remove the creator instead")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const action = args.remove ? "remove" : "add";
+
+        if (args.dryRun) {
+            await tokenVesting.setCreatorAllowed.staticCall(args.creator, !args.remove);
+            console.log(`Dry run: would ${action} creator ${args.creator}`);
+            return { dryRun: true };
+        }
+
+        const receipt = await (await tokenVesting.setCreatorAllowed(args.creator, !args.remove)).wait();
+        console.log(`${args.remove ? "Removed" : "Added"} creator ${args.creator}. Tx: ${receipt.hash}`);
+        return { txHash: receipt.hash };
+    });
+
+vestingTask("vesting:enable-positions", "Deploys a VestingPositions NFT and makes every new schedule an ERC-721 position (default admin only, before the first schedule)")
+    .setAction(async (args, hre) => {
+        const tokenVesting = await getVesting(hre, args);
+        const signer = await getSigner(hre);
+
+        const current = await tokenVesting.positionNFT();
+        if (current !== ethers.ZeroAddress) {
+            throw new Error(`Positions are already enabled: ${current}`);
+        }
+        if (await tokenVesting.nextScheduleId() !== 0n) {
+            throw new Error("Positions can only be enabled before the first schedule is created");
+        }
+
+        if (args.dryRun) {
+            console.log("Dry run: would deploy VestingPositions for", tokenVesting.target, "and set it as its position NFT");
+            return { dryRun: true };
+        }
+
+        const positions = await (await hre.ethers.getContractFactory("VestingPositions", signer)).deploy(tokenVesting.target);
+        await positions.waitForDeployment();
+        console.log("VestingPositions deployed to:", positions.target);
+
+        const receipt = await (await tokenVesting.setPositionNFT(positions.target)).wait();
+        console.log(`Schedules of ${tokenVesting.target} are now minted as positions. Tx: ${receipt.hash}`);
+        return { address: positions.target, txHash: receipt.hash };
+    });
+
+task("vesting:create-instance", "Deploys an isolated TokenVesting clone for the signer's organization through the factory")
+    .addParam("name", "Name to record the instance under in deployments/<network>.json")
+    .addOptionalParam("admin", "Default admin, pauser and treasurer of the instance (default: the signer)")
+    .addOptionalParam("factory", "TokenVestingFactory address (default: deployments/<network>.json)")
+    .addFlag("dryRun", "Simulate with staticCall instead of sending a transaction")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre);
+        const factory = await hre.ethers.getContractAt(
+            "TokenVestingFactory",
+            args.factory || resolveAddress(hre.network.name, "TokenVestingFactory"),
+            signer
+        );
+        const admin = args.admin || signer.address;
+
+        if (args.dryRun) {
+            const address = await factory.createInstance.staticCall(admin);
+            console.log(`Dry run: would create instance "${args.name}" at ${address} with admin ${admin}`);
+            return { address, dryRun: true };
+        }
+
+        const { address, receipt } = await sdk.createInstance(factory, { admin });
+        console.log(`Created instance "${args.name}" at ${address} with admin ${admin}. Tx: ${receipt.hash}`);
+
+        // The in-process hardhat network is thrown away after the run
+        if (hre.network.name !== "hardhat") {
+            const file = recordInstance(hre.network.name, args.name, {
+                address,
+                factory: factory.target,
+                organization: signer.address,
+                admin,
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber
+            });
+            console.log(`Recorded in ${file}; use --instance ${args.name} with the vesting tasks`);
+        }
+        return { address, txHash: receipt.hash };
+    });
+
+task("vesting:instances", "Lists the TokenVesting instances an organization created through the factory")
+    .addOptionalParam("organization", "Organization address (default: the signer)")
+    .addOptionalParam("factory", "TokenVestingFactory address (default: deployments/<network>.json)")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre);
+        const factory = await hre.ethers.getContractAt(
+            "TokenVestingFactory",
+            args.factory || resolveAddress(hre.network.name, "TokenVestingFactory"),
+            signer
+        );
+        const organization = args.organization || signer.address;
+        const instances = await sdk.listInstances(factory, organization);
+
+        if (instances.length === 0) {
+            console.log(`No instances for ${organization}`);
+        }
+        for (const instance of instances) {
+            console.log(`${instance.address}  admin ${instance.admin}`);
+        }
+        return instances;
+    });
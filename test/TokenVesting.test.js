@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { tokenVestingFactory } = require("./helpers/vesting");
 
 describe("TokenVesting", function () {
     let tokenVesting;
@@ -15,6 +16,8 @@ describe("TokenVesting", function () {
     const VESTING_AMOUNT = ethers.parseEther("1000");
     const CLIFF_DURATION = 6 * 30 * 24 * 60 * 60; // 6 months
     const VESTING_DURATION = 24 * 30 * 24 * 60 * 60; // 24 months
+    const SLICE_PERIOD = 1; // continuous release
+    const TransferPolicy = { Disabled: 0, Free: 1, CreatorApproved: 2 };
 
     beforeEach(async function () {
         [owner, creator, beneficiary, newBeneficiary, otherAccount] = await ethers.getSigners();
@@ -24,7 +27,7 @@ describe("TokenVesting", function () {
         mockToken = await MockToken.deploy("Test Token", "TEST", TOTAL_SUPPLY);
 
         // Deploy TokenVesting
-        const TokenVesting = await ethers.getContractFactory("TokenVesting");
+        const TokenVesting = await tokenVestingFactory();
         tokenVesting = await TokenVesting.deploy();
 
         // Transfer tokens to creator for testing
@@ -56,7 +59,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.emit(tokenVesting, "VestingScheduleCreated")
              .withArgs(0, beneficiary.address, mockToken.target, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, true);
@@ -67,6 +72,11 @@ describe("TokenVesting", function () {
             expect(schedule.claimedAmount).to.equal(0);
             expect(schedule.revocable).to.be.true;
             expect(schedule.revoked).to.be.false;
+
+            // The public mapping getter stays part of the ABI
+            const stored = await tokenVesting.vestingSchedules(0);
+            expect(stored.beneficiary).to.equal(beneficiary.address);
+            expect(stored.totalAmount).to.equal(VESTING_AMOUNT);
         });
 
         it("Should fail with invalid parameters", async function () {
@@ -83,7 +93,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.revertedWith("Invalid beneficiary address");
 
@@ -96,7 +108,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.revertedWith("Invalid token address");
 
@@ -109,7 +123,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.revertedWith("Amount must be greater than 0");
 
@@ -122,7 +138,9 @@ describe("TokenVesting", function () {
                     await time.latest() - 100,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.revertedWith("Start time cannot be in the past");
 
@@ -135,7 +153,9 @@ describe("TokenVesting", function () {
                     startTime,
                     VESTING_DURATION + 1,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.revertedWith("Cliff duration cannot exceed vesting duration");
         });
@@ -152,7 +172,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(VESTING_AMOUNT);
@@ -174,7 +196,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
             
             scheduleId = 0;
@@ -229,7 +253,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
             
             scheduleId = 0;
@@ -322,7 +348,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
             revocableScheduleId = 0;
 
@@ -334,7 +362,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                false
+                SLICE_PERIOD,
+                false,
+                TransferPolicy.Free
             );
             irrevocableScheduleId = 1;
         });
@@ -396,18 +426,18 @@ describe("TokenVesting", function () {
             expect(returnedAmount).to.be.closeTo(VESTING_AMOUNT - claimedAmount, ethers.parseEther("0.1"));
         });
 
-        it("Should prevent claiming from revoked schedule", async function () {
+        it("Should not vest further after revocation", async function () {
             await tokenVesting.connect(creator).revokeVestingSchedule(revocableScheduleId);
             
             await time.increaseTo(startTime + VESTING_DURATION);
             
             await expect(
                 tokenVesting.connect(beneficiary).claimTokens(revocableScheduleId)
-            ).to.be.revertedWith("Schedule has been revoked");
+            ).to.be.revertedWith("No tokens available for claim");
         });
     });
 
-    describe("Transfer System", function () {
+    describe("Revocation Accounting", function () {
         let scheduleId;
         let startTime;
 
@@ -423,20 +453,169 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
             
             scheduleId = 0;
         });
 
-        it("Should transfer schedule successfully", async function () {
+        it("Should freeze the vested amount at revocation time", async function () {
+            const halfTime = startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2;
+            await time.increaseTo(halfTime);
+            
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            const frozenAmount = await tokenVesting.getVestedAmount(scheduleId);
+            
+            expect(frozenAmount).to.be.closeTo(VESTING_AMOUNT / 2n, ethers.parseEther("1"));
+
+            await time.increaseTo(startTime + VESTING_DURATION + 1);
+            
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(frozenAmount);
+            expect(await tokenVesting.getClaimableAmount(scheduleId)).to.equal(frozenAmount);
+        });
+
+        it("Should let the beneficiary claim vested tokens after revocation", async function () {
+            const halfTime = startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2;
+            await time.increaseTo(halfTime);
+            
+            const creatorInitialBalance = await mockToken.balanceOf(creator.address);
+            
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            
+            const refunded = (await mockToken.balanceOf(creator.address)) - creatorInitialBalance;
+            const claimable = await tokenVesting.getClaimableAmount(scheduleId);
+            
             await expect(
-                tokenVesting.connect(beneficiary).transferVestingSchedule(scheduleId, newBeneficiary.address)
+                tokenVesting.connect(beneficiary).claimTokens(scheduleId)
+            ).to.emit(tokenVesting, "TokensClaimed")
+             .withArgs(scheduleId, beneficiary.address, claimable);
+
+            expect(claimable + refunded).to.equal(VESTING_AMOUNT);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(claimable);
+            expect(await tokenVesting.getClaimableAmount(scheduleId)).to.equal(0);
+        });
+
+        it("Should leave no tokens orphaned after partial claim and revocation", async function () {
+            const quarterTime = startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 4;
+            await time.increaseTo(quarterTime);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            const halfTime = startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2;
+            await time.increaseTo(halfTime);
+            
+            const creatorInitialBalance = await mockToken.balanceOf(creator.address);
+            
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            const refunded = (await mockToken.balanceOf(creator.address)) - creatorInitialBalance;
+            const claimed = await mockToken.balanceOf(beneficiary.address);
+            
+            expect(claimed + refunded).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(0);
+        });
+
+        it("Should leave no tokens orphaned when revoked after full vesting", async function () {
+            await time.increaseTo(startTime + VESTING_DURATION);
+            
+            await expect(
+                tokenVesting.connect(creator).revokeVestingSchedule(scheduleId)
+            ).to.emit(tokenVesting, "VestingScheduleRevoked")
+             .withArgs(scheduleId, beneficiary.address, 0);
+
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+            
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(0);
+        });
+
+        it("Should keep other schedules fully backed after a revocation", async function () {
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                newBeneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+
+            const halfTime = startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2;
+            await time.increaseTo(halfTime);
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+
+            const schedule = await tokenVesting.getVestingSchedule(scheduleId);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(
+                schedule.totalAmount - schedule.claimedAmount + VESTING_AMOUNT
+            );
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(
+                await tokenVesting.totalLockedTokens(mockToken.target)
+            );
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+            await tokenVesting.connect(newBeneficiary).claimTokens(1);
+
+            expect(await mockToken.balanceOf(newBeneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(0);
+        });
+    });
+
+    describe("Transfer System", function () {
+        let scheduleId;
+        let startTime;
+
+        async function createWithPolicy(transferPolicy) {
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                transferPolicy
+            );
+            return (await tokenVesting.nextScheduleId()) - 1n;
+        }
+
+        async function transfer(id, to = newBeneficiary) {
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(id, to.address);
+            return tokenVesting.connect(to).acceptScheduleTransfer(id);
+        }
+
+        beforeEach(async function () {
+            startTime = await time.latest() + 100;
+            scheduleId = await createWithPolicy(TransferPolicy.Free);
+        });
+
+        it("Should transfer schedule once the new beneficiary accepts", async function () {
+            await expect(
+                tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, newBeneficiary.address)
+            ).to.emit(tokenVesting, "ScheduleTransferProposed")
+             .withArgs(scheduleId, beneficiary.address, newBeneficiary.address);
+
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(beneficiary.address);
+            expect((await tokenVesting.pendingTransfers(scheduleId)).newBeneficiary).to.equal(newBeneficiary.address);
+
+            await expect(
+                tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(scheduleId)
             ).to.emit(tokenVesting, "VestingScheduleTransferred")
              .withArgs(scheduleId, beneficiary.address, newBeneficiary.address);
 
             const schedule = await tokenVesting.getVestingSchedule(scheduleId);
             expect(schedule.beneficiary).to.equal(newBeneficiary.address);
+            expect((await tokenVesting.pendingTransfers(scheduleId)).newBeneficiary).to.equal(ethers.ZeroAddress);
 
             const oldBeneficiarySchedules = await tokenVesting.getBeneficiarySchedules(beneficiary.address);
             const newBeneficiarySchedules = await tokenVesting.getBeneficiarySchedules(newBeneficiary.address);
@@ -446,28 +625,140 @@ describe("TokenVesting", function () {
             expect(newBeneficiarySchedules[0]).to.equal(scheduleId);
         });
 
-        it("Should only allow beneficiary to transfer", async function () {
+        it("Should only allow beneficiary to propose a transfer", async function () {
             await expect(
-                tokenVesting.connect(otherAccount).transferVestingSchedule(scheduleId, newBeneficiary.address)
+                tokenVesting.connect(otherAccount).proposeScheduleTransfer(scheduleId, newBeneficiary.address)
             ).to.be.revertedWith("Not the beneficiary");
         });
 
         it("Should fail with invalid new beneficiary", async function () {
             await expect(
-                tokenVesting.connect(beneficiary).transferVestingSchedule(scheduleId, ethers.ZeroAddress)
+                tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, ethers.ZeroAddress)
+            ).to.be.revertedWith("Invalid new beneficiary address");
+            await expect(
+                tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, beneficiary.address)
             ).to.be.revertedWith("Invalid new beneficiary address");
         });
 
+        it("Should only let the proposed beneficiary accept", async function () {
+            await expect(
+                tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(scheduleId)
+            ).to.be.revertedWith("Not the proposed beneficiary");
+
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, newBeneficiary.address);
+
+            await expect(
+                tokenVesting.connect(otherAccount).acceptScheduleTransfer(scheduleId)
+            ).to.be.revertedWith("Not the proposed beneficiary");
+        });
+
         it("Should prevent transfer of revoked schedule", async function () {
             await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
             
             await expect(
-                tokenVesting.connect(beneficiary).transferVestingSchedule(scheduleId, newBeneficiary.address)
+                tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, newBeneficiary.address)
             ).to.be.revertedWith("Cannot transfer revoked schedule");
         });
 
+        it("Should not complete a proposal made before revocation", async function () {
+            const approvedId = await createWithPolicy(TransferPolicy.CreatorApproved);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, newBeneficiary.address);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(approvedId, newBeneficiary.address);
+
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            await tokenVesting.connect(creator).revokeVestingSchedule(approvedId);
+
+            await expect(
+                tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(scheduleId)
+            ).to.be.revertedWith("Cannot transfer revoked schedule");
+            await expect(
+                tokenVesting.connect(creator).approveScheduleTransfer(approvedId, newBeneficiary.address)
+            ).to.be.revertedWith("Cannot transfer revoked schedule");
+
+            // The stale proposal can still be cleared, and the vested part stays with the beneficiary
+            await tokenVesting.connect(newBeneficiary).cancelScheduleTransfer(scheduleId);
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(beneficiary.address);
+        });
+
+        it("Should reject transfers when the policy disables them", async function () {
+            const lockedId = await createWithPolicy(TransferPolicy.Disabled);
+
+            expect((await tokenVesting.getVestingSchedule(lockedId)).transferPolicy).to.equal(TransferPolicy.Disabled);
+            await expect(
+                tokenVesting.connect(beneficiary).proposeScheduleTransfer(lockedId, newBeneficiary.address)
+            ).to.be.revertedWith("Transfers are disabled");
+        });
+
+        it("Should require the creator's approval for creator-approved schedules", async function () {
+            const approvedId = await createWithPolicy(TransferPolicy.CreatorApproved);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(approvedId, newBeneficiary.address);
+
+            await expect(
+                tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(approvedId)
+            ).to.be.revertedWith("Transfer not approved by creator");
+            await expect(
+                tokenVesting.connect(otherAccount).approveScheduleTransfer(approvedId, newBeneficiary.address)
+            ).to.be.revertedWith("Not the creator");
+            await expect(
+                tokenVesting.connect(creator).approveScheduleTransfer(approvedId, otherAccount.address)
+            ).to.be.revertedWith("Not the pending transfer");
+
+            await expect(
+                tokenVesting.connect(creator).approveScheduleTransfer(approvedId, newBeneficiary.address)
+            ).to.emit(tokenVesting, "ScheduleTransferApproved")
+             .withArgs(approvedId, newBeneficiary.address);
+
+            await tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(approvedId);
+            expect((await tokenVesting.getVestingSchedule(approvedId)).beneficiary).to.equal(newBeneficiary.address);
+        });
+
+        it("Should drop the approval when the proposal changes", async function () {
+            const approvedId = await createWithPolicy(TransferPolicy.CreatorApproved);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(approvedId, newBeneficiary.address);
+            await tokenVesting.connect(creator).approveScheduleTransfer(approvedId, newBeneficiary.address);
+
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(approvedId, otherAccount.address);
+
+            await expect(
+                tokenVesting.connect(otherAccount).acceptScheduleTransfer(approvedId)
+            ).to.be.revertedWith("Transfer not approved by creator");
+        });
+
+        it("Should not ask the creator to approve free transfers", async function () {
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, newBeneficiary.address);
+
+            await expect(
+                tokenVesting.connect(creator).approveScheduleTransfer(scheduleId, newBeneficiary.address)
+            ).to.be.revertedWith("Transfer does not need approval");
+            await expect(
+                tokenVesting.connect(creator).cancelScheduleTransfer(scheduleId)
+            ).to.be.revertedWith("Not allowed to cancel");
+        });
+
+        it("Should let the parties cancel a pending transfer", async function () {
+            const approvedId = await createWithPolicy(TransferPolicy.CreatorApproved);
+
+            await expect(
+                tokenVesting.connect(beneficiary).cancelScheduleTransfer(scheduleId)
+            ).to.be.revertedWith("No pending transfer");
+
+            for (const [id, canceller] of [[scheduleId, beneficiary], [scheduleId, newBeneficiary], [approvedId, creator]]) {
+                await tokenVesting.connect(beneficiary).proposeScheduleTransfer(id, newBeneficiary.address);
+                await expect(
+                    tokenVesting.connect(otherAccount).cancelScheduleTransfer(id)
+                ).to.be.revertedWith("Not allowed to cancel");
+
+                await expect(tokenVesting.connect(canceller).cancelScheduleTransfer(id))
+                    .to.emit(tokenVesting, "ScheduleTransferCancelled")
+                    .withArgs(id, canceller.address);
+                await expect(
+                    tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(id)
+                ).to.be.revertedWith("Not the proposed beneficiary");
+            }
+        });
+
         it("Should allow new beneficiary to claim after transfer", async function () {
-            await tokenVesting.connect(beneficiary).transferVestingSchedule(scheduleId, newBeneficiary.address);
+            await transfer(scheduleId);
             
             await time.increaseTo(startTime + VESTING_DURATION);
             
@@ -479,6 +770,377 @@ describe("TokenVesting", function () {
             expect(finalBalance - initialBalance).to.equal(VESTING_AMOUNT);
         });
     });
+
+    describe("Batch Creation", function () {
+        function batchParams(startTime, beneficiaries) {
+            return beneficiaries.map((address, i) => ({
+                beneficiary: address,
+                totalAmount: VESTING_AMOUNT * BigInt(i + 1),
+                startTime,
+                cliffDuration: CLIFF_DURATION,
+                vestingDuration: VESTING_DURATION,
+                slicePeriodSeconds: SLICE_PERIOD,
+                revocable: i % 2 === 0,
+                transferPolicy: TransferPolicy.Free
+            }));
+        }
+
+        it("Should create all schedules with a single token transfer", async function () {
+            const startTime = await time.latest() + 100;
+            const params = batchParams(startTime, [beneficiary.address, newBeneficiary.address, beneficiary.address]);
+            const batchTotal = VESTING_AMOUNT * 6n;
+            
+            await mockToken.connect(creator).approve(tokenVesting.target, batchTotal);
+
+            const tx = tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, params);
+            await expect(tx).to.changeTokenBalances(mockToken, [creator, tokenVesting], [-batchTotal, batchTotal]);
+            await expect(tx).to.emit(tokenVesting, "VestingScheduleCreated")
+             .withArgs(1, newBeneficiary.address, mockToken.target, VESTING_AMOUNT * 2n, startTime, CLIFF_DURATION, VESTING_DURATION, false);
+
+            expect(await tokenVesting.nextScheduleId()).to.equal(3);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(batchTotal);
+            expect(await tokenVesting.getBeneficiarySchedules(beneficiary.address)).to.deep.equal([0n, 2n]);
+            expect(await tokenVesting.beneficiarySchedules(beneficiary.address, 1)).to.equal(2n);
+
+            const schedule = await tokenVesting.getVestingSchedule(2);
+            expect(schedule.totalAmount).to.equal(VESTING_AMOUNT * 3n);
+            expect(schedule.creator).to.equal(creator.address);
+            expect(schedule.revocable).to.be.true;
+        });
+
+        it("Should return the created schedule IDs", async function () {
+            const startTime = await time.latest() + 100;
+            const params = batchParams(startTime, [beneficiary.address, newBeneficiary.address]);
+            
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT * 3n);
+
+            const scheduleIds = await tokenVesting.connect(creator).createVestingSchedulesBatch.staticCall(mockToken.target, params);
+            expect(scheduleIds).to.deep.equal([0n, 1n]);
+        });
+
+        it("Should reject the whole batch if any schedule is invalid", async function () {
+            const startTime = await time.latest() + 100;
+            const params = batchParams(startTime, [beneficiary.address, newBeneficiary.address]);
+            params[1].cliffDuration = VESTING_DURATION + 1;
+            
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT * 3n);
+
+            await expect(
+                tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, params)
+            ).to.be.revertedWith("Cliff duration cannot exceed vesting duration");
+
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(0);
+        });
+
+        it("Should reject an empty batch or invalid token", async function () {
+            const startTime = await time.latest() + 100;
+
+            await expect(
+                tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, [])
+            ).to.be.revertedWith("Empty batch");
+
+            await expect(
+                tokenVesting.connect(creator).createVestingSchedulesBatch(ethers.ZeroAddress, batchParams(startTime, [beneficiary.address]))
+            ).to.be.revertedWith("Invalid token address");
+        });
+
+        it("Should fail without approval for the batch total", async function () {
+            const startTime = await time.latest() + 100;
+            const params = batchParams(startTime, [beneficiary.address, newBeneficiary.address]);
+            
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT * 3n - 1n);
+
+            await expect(
+                tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, params)
+            ).to.be.reverted;
+        });
+
+        it("Should be blocked while paused", async function () {
+            const startTime = await time.latest() + 100;
+            await tokenVesting.connect(owner).pause();
+
+            await expect(
+                tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, batchParams(startTime, [beneficiary.address]))
+            ).to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+        });
+    });
+    describe("Fee-on-transfer Tokens", function () {
+        let feeToken;
+
+        // 1% of every transfer is burned
+        const FEE_BASIS_POINTS = 100n;
+        const received = (amount) => amount - amount * FEE_BASIS_POINTS / 10000n;
+
+        beforeEach(async function () {
+            const MockFeeToken = await ethers.getContractFactory("MockFeeToken");
+            feeToken = await MockFeeToken.deploy("Fee Token", "FEE", TOTAL_SUPPLY, FEE_BASIS_POINTS);
+            await feeToken.mint(creator.address, ethers.parseEther("100000"));
+            await feeToken.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+        });
+
+        async function createFeeSchedule(to, startTime) {
+            return tokenVesting.connect(creator).createVestingSchedule(
+                to.address,
+                feeToken.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+        }
+
+        it("Should reject short deposits by default", async function () {
+            const startTime = await time.latest() + 100;
+
+            expect(await tokenVesting.depositPolicy(feeToken.target)).to.equal(0);
+            await expect(createFeeSchedule(beneficiary, startTime))
+                .to.be.revertedWith("Received amount does not match");
+        });
+
+        it("Should vest only the received amount when the policy allows it", async function () {
+            const startTime = await time.latest() + 100;
+            await tokenVesting.connect(owner).setDepositPolicy(feeToken.target, 1);
+
+            await expect(createFeeSchedule(beneficiary, startTime))
+                .to.emit(tokenVesting, "VestingScheduleCreated")
+                .withArgs(0, beneficiary.address, feeToken.target, received(VESTING_AMOUNT), startTime, CLIFF_DURATION, VESTING_DURATION, true);
+
+            expect((await tokenVesting.getVestingSchedule(0)).totalAmount).to.equal(received(VESTING_AMOUNT));
+            expect(await tokenVesting.totalLockedTokens(feeToken.target)).to.equal(received(VESTING_AMOUNT));
+            expect(await feeToken.balanceOf(tokenVesting.target)).to.equal(received(VESTING_AMOUNT));
+        });
+
+        it("Should let every schedule be claimed in full without draining the others", async function () {
+            const startTime = await time.latest() + 100;
+            await tokenVesting.connect(owner).setDepositPolicy(feeToken.target, 1);
+            await createFeeSchedule(beneficiary, startTime);
+            await createFeeSchedule(newBeneficiary, startTime);
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            await tokenVesting.connect(newBeneficiary).claimTokens(1);
+
+            expect(await tokenVesting.totalLockedTokens(feeToken.target)).to.equal(0);
+            expect(await feeToken.balanceOf(tokenVesting.target)).to.equal(0);
+            expect(await feeToken.balanceOf(newBeneficiary.address)).to.equal(received(received(VESTING_AMOUNT)));
+        });
+
+        it("Should scale batch schedules to the received amount", async function () {
+            const startTime = await time.latest() + 100;
+            await tokenVesting.connect(owner).setDepositPolicy(feeToken.target, 1);
+
+            const params = [VESTING_AMOUNT, VESTING_AMOUNT * 3n].map((totalAmount) => ({
+                beneficiary: beneficiary.address,
+                totalAmount,
+                startTime,
+                cliffDuration: CLIFF_DURATION,
+                vestingDuration: VESTING_DURATION,
+                slicePeriodSeconds: SLICE_PERIOD,
+                revocable: true,
+                transferPolicy: TransferPolicy.Free
+            }));
+            await tokenVesting.connect(creator).createVestingSchedulesBatch(feeToken.target, params);
+
+            expect((await tokenVesting.getVestingSchedule(0)).totalAmount).to.equal(received(VESTING_AMOUNT));
+            expect((await tokenVesting.getVestingSchedule(1)).totalAmount).to.equal(received(VESTING_AMOUNT * 3n));
+            expect(await tokenVesting.totalLockedTokens(feeToken.target)).to.be.at.most(await feeToken.balanceOf(tokenVesting.target));
+        });
+
+        it("Should only let the default admin set a deposit policy", async function () {
+            await expect(tokenVesting.connect(owner).setDepositPolicy(feeToken.target, 1))
+                .to.emit(tokenVesting, "DepositPolicyUpdated")
+                .withArgs(feeToken.target, 1);
+
+            await expect(tokenVesting.connect(creator).setDepositPolicy(feeToken.target, 0))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount")
+                .withArgs(creator.address, ethers.ZeroHash);
+            await expect(tokenVesting.connect(owner).setDepositPolicy(ethers.ZeroAddress, 1))
+                .to.be.revertedWith("Invalid token address");
+        });
+    });
+    describe("Step Vesting", function () {
+        const MONTH = 30 * 24 * 60 * 60;
+        const AFTER_CLIFF = VESTING_DURATION - CLIFF_DURATION; // 18 months
+
+        async function createStepSchedule(slicePeriod, startTime) {
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                slicePeriod,
+                true,
+                TransferPolicy.Free
+            );
+        }
+
+        it("Should release in whole slice periods after the cliff", async function () {
+            const startTime = await time.latest() + 100;
+            const cliffEnd = startTime + CLIFF_DURATION;
+            await createStepSchedule(MONTH, startTime);
+            const vestedAfter = (months) => VESTING_AMOUNT * BigInt(months * MONTH) / BigInt(AFTER_CLIFF);
+
+            await time.increaseTo(cliffEnd + MONTH - 1);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(0);
+
+            await time.increaseTo(cliffEnd + MONTH);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(vestedAfter(1));
+
+            await time.increaseTo(cliffEnd + 2 * MONTH - 1);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(vestedAfter(1));
+
+            await time.increaseTo(cliffEnd + 2 * MONTH);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(vestedAfter(2));
+        });
+
+        it("Should release a final partial period at the end", async function () {
+            const startTime = await time.latest() + 100;
+            const cliffEnd = startTime + CLIFF_DURATION;
+            const quarter = 4 * MONTH; // does not divide the 18 months after the cliff
+            await createStepSchedule(quarter, startTime);
+
+            await time.increaseTo(cliffEnd + 4 * quarter);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(VESTING_AMOUNT * 16n / 18n);
+
+            await time.increaseTo(startTime + VESTING_DURATION - 1);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(VESTING_AMOUNT * 16n / 18n);
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should freeze a revoked schedule at the last completed period", async function () {
+            const startTime = await time.latest() + 100;
+            await createStepSchedule(MONTH, startTime);
+
+            await time.increaseTo(startTime + CLIFF_DURATION + 3 * MONTH - 10);
+            await tokenVesting.connect(creator).revokeVestingSchedule(0);
+
+            const expected = VESTING_AMOUNT * BigInt(2 * MONTH) / BigInt(AFTER_CLIFF);
+            expect((await tokenVesting.getVestingSchedule(0)).totalAmount).to.equal(expected);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(expected);
+        });
+
+        it("Should reject a zero slice period", async function () {
+            const startTime = await time.latest() + 100;
+
+            await expect(createStepSchedule(0, startTime)).to.be.revertedWith("Slice period must be greater than 0");
+        });
+    });
+    describe("Checkpoint Vesting", function () {
+        const MONTH = 30 * 24 * 60 * 60;
+
+        async function createCurveSchedule(checkpoints, revocable = true) {
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            return tokenVesting.connect(creator).createCheckpointVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                checkpoints,
+                revocable,
+                TransferPolicy.Free
+            );
+        }
+
+        async function investorCurve() {
+            // 10% at TGE, nothing for 6 months, then 30% over 3 months and 60% at month 12
+            const tge = await time.latest() + 100;
+            const checkpoints = [
+                { timestamp: tge, basisPoints: 1000 },
+                { timestamp: tge + 6 * MONTH, basisPoints: 1000 },
+                { timestamp: tge + 9 * MONTH, basisPoints: 4000 },
+                { timestamp: tge + 12 * MONTH, basisPoints: 4000 },
+                { timestamp: tge + 12 * MONTH, basisPoints: 10000 }
+            ];
+            await createCurveSchedule(checkpoints);
+            return tge;
+        }
+
+        it("Should follow jumps, flat periods and interpolated ramps", async function () {
+            const tge = await investorCurve();
+            const vested = () => tokenVesting.getVestedAmount(0);
+
+            expect(await vested()).to.equal(0);
+
+            await time.increaseTo(tge);
+            expect(await vested()).to.equal(VESTING_AMOUNT / 10n);
+
+            await time.increaseTo(tge + 6 * MONTH);
+            expect(await vested()).to.equal(VESTING_AMOUNT / 10n);
+
+            await time.increaseTo(tge + 7 * MONTH + MONTH / 2);
+            expect(await vested()).to.equal(VESTING_AMOUNT * 25n / 100n);
+
+            await time.increaseTo(tge + 12 * MONTH - 1);
+            expect(await vested()).to.equal(VESTING_AMOUNT * 40n / 100n);
+
+            await time.increaseTo(tge + 12 * MONTH);
+            expect(await vested()).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should store the curve and derive start and duration from it", async function () {
+            const tge = await investorCurve();
+
+            const schedule = await tokenVesting.getVestingSchedule(0);
+            expect(schedule.startTime).to.equal(tge);
+            expect(schedule.cliffDuration).to.equal(0);
+            expect(schedule.vestingDuration).to.equal(12 * MONTH);
+
+            const checkpoints = await tokenVesting.getScheduleCheckpoints(0);
+            expect(checkpoints.map((checkpoint) => Number(checkpoint.basisPoints))).to.deep.equal([1000, 1000, 4000, 4000, 10000]);
+            expect(await tokenVesting.getScheduleCheckpoints(1)).to.be.empty;
+        });
+
+        it("Should let the beneficiary claim and the creator revoke along the curve", async function () {
+            const tge = await investorCurve();
+
+            await time.increaseTo(tge + MONTH);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT / 10n);
+
+            await time.increaseTo(tge + 9 * MONTH);
+            await tokenVesting.connect(creator).revokeVestingSchedule(0);
+            expect((await tokenVesting.getVestingSchedule(0)).totalAmount).to.equal(VESTING_AMOUNT * 40n / 100n);
+
+            await time.increaseTo(tge + 12 * MONTH);
+            expect(await tokenVesting.getClaimableAmount(0)).to.equal(VESTING_AMOUNT * 30n / 100n);
+        });
+
+        it("Should reject invalid curves", async function () {
+            const tge = await time.latest() + 100;
+
+            await expect(createCurveSchedule([])).to.be.revertedWith("Checkpoints required");
+            await expect(createCurveSchedule([
+                { timestamp: tge + MONTH, basisPoints: 5000 },
+                { timestamp: tge, basisPoints: 10000 }
+            ])).to.be.revertedWith("Checkpoints must be in order");
+            await expect(createCurveSchedule([
+                { timestamp: tge, basisPoints: 5000 },
+                { timestamp: tge + MONTH, basisPoints: 4000 }
+            ])).to.be.revertedWith("Checkpoints must be in order");
+            await expect(createCurveSchedule([
+                { timestamp: tge, basisPoints: 5000 },
+                { timestamp: tge + MONTH, basisPoints: 9000 }
+            ])).to.be.revertedWith("Checkpoints must end at 100%");
+            await expect(createCurveSchedule([
+                { timestamp: tge - 1000, basisPoints: 5000 },
+                { timestamp: tge + MONTH, basisPoints: 10000 }
+            ])).to.be.revertedWith("Start time cannot be in the past");
+            await expect(createCurveSchedule([
+                { timestamp: tge, basisPoints: 10000 }
+            ])).to.be.revertedWith("Vesting duration must be greater than 0");
+
+            const tooMany = Array.from({ length: 257 }, (_, i) => ({ timestamp: tge + i, basisPoints: i === 256 ? 10000 : 0 }));
+            await expect(createCurveSchedule(tooMany)).to.be.revertedWith("Too many checkpoints");
+        });
+    });
     describe("Multiple Schedules", function () {
         it("Should handle multiple schedules per beneficiary", async function () {
             const startTime = await time.latest() + 100;
@@ -493,7 +1155,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             await tokenVesting.connect(creator).createVestingSchedule(
@@ -503,7 +1167,9 @@ describe("TokenVesting", function () {
                 startTime + 1000,
                 CLIFF_DURATION / 2,
                 VESTING_DURATION / 2,
-                false
+                SLICE_PERIOD,
+                false,
+                TransferPolicy.Free
             );
 
             await tokenVesting.connect(creator).createVestingSchedule(
@@ -513,7 +1179,9 @@ describe("TokenVesting", function () {
                 startTime + 2000,
                 0, // No cliff
                 VESTING_DURATION / 4,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             const schedules = await tokenVesting.getBeneficiarySchedules(beneficiary.address);
@@ -535,7 +1203,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             await tokenVesting.connect(creator).createVestingSchedule(
@@ -545,13 +1215,237 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(VESTING_AMOUNT * 2n);
         });
     });
 
+    describe("Claiming Many Schedules", function () {
+        let otherToken;
+
+        beforeEach(async function () {
+            const MockToken = await ethers.getContractFactory("MockToken");
+            otherToken = await MockToken.deploy("Other Token", "OTHER", TOTAL_SUPPLY);
+            await otherToken.transfer(creator.address, ethers.parseEther("100000"));
+        });
+
+        async function createFor(token, to, startTime, cliffDuration = CLIFF_DURATION) {
+            await token.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                to.address,
+                token.target,
+                VESTING_AMOUNT,
+                startTime,
+                cliffDuration,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+        }
+
+        async function transfersOf(token, tx) {
+            const receipt = await (await tx).wait();
+            return receipt.logs.filter((log) => log.address === token.target).length;
+        }
+
+        it("Should claim several schedules with one transfer per token", async function () {
+            const startTime = await time.latest() + 100;
+            await createFor(mockToken, beneficiary, startTime);
+            await createFor(otherToken, beneficiary, startTime);
+            await createFor(mockToken, beneficiary, startTime);
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            const tx = tokenVesting.connect(beneficiary).claimMany([0, 1, 2]);
+
+            await expect(tx).to.emit(tokenVesting, "TokensClaimed").withArgs(0, beneficiary.address, VESTING_AMOUNT);
+            await expect(tx).to.emit(tokenVesting, "TokensClaimed").withArgs(1, beneficiary.address, VESTING_AMOUNT);
+            await expect(tx).to.emit(tokenVesting, "TokensClaimed").withArgs(2, beneficiary.address, VESTING_AMOUNT);
+            expect(await transfersOf(mockToken, tx)).to.equal(1);
+            expect(await transfersOf(otherToken, tx)).to.equal(1);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT * 2n);
+            expect(await otherToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+        });
+
+        it("Should skip schedules with nothing to claim", async function () {
+            const startTime = await time.latest() + 100;
+            await createFor(mockToken, beneficiary, startTime, 0);
+            await createFor(mockToken, beneficiary, startTime + VESTING_DURATION);
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            const amounts = await tokenVesting.connect(beneficiary).claimMany.staticCall([0, 1, 0]);
+            expect(amounts).to.deep.equal([VESTING_AMOUNT, 0n, 0n]);
+
+            await expect(tokenVesting.connect(beneficiary).claimMany([0, 1, 0]))
+                .to.changeTokenBalance(mockToken, beneficiary, VESTING_AMOUNT);
+            await expect(tokenVesting.connect(beneficiary).claimMany([0, 1]))
+                .to.be.revertedWith("No tokens available for claim");
+        });
+
+        it("Should reject schedules held by someone else", async function () {
+            const startTime = await time.latest() + 100;
+            await createFor(mockToken, beneficiary, startTime, 0);
+            await createFor(mockToken, newBeneficiary, startTime, 0);
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            await expect(tokenVesting.connect(beneficiary).claimMany([0, 1]))
+                .to.be.revertedWith("Not the beneficiary");
+        });
+
+        it("Should claim every schedule of the caller in one token", async function () {
+            const startTime = await time.latest() + 100;
+            await createFor(mockToken, beneficiary, startTime, 0);
+            await createFor(otherToken, beneficiary, startTime, 0);
+            await createFor(mockToken, newBeneficiary, startTime, 0);
+            await createFor(mockToken, beneficiary, startTime, 0);
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            expect(await tokenVesting.connect(beneficiary).claimAll.staticCall(mockToken.target)).to.equal(VESTING_AMOUNT * 2n);
+
+            const tx = tokenVesting.connect(beneficiary).claimAll(mockToken.target);
+            await expect(tx).to.changeTokenBalances(mockToken, [beneficiary, tokenVesting], [VESTING_AMOUNT * 2n, -VESTING_AMOUNT * 2n]);
+            expect(await transfersOf(mockToken, tx)).to.equal(1);
+            expect(await tokenVesting.getClaimableAmount(1)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.getClaimableAmount(2)).to.equal(VESTING_AMOUNT);
+
+            await expect(tokenVesting.connect(beneficiary).claimAll(mockToken.target))
+                .to.be.revertedWith("No tokens available for claim");
+        });
+
+        it("Should be blocked while paused", async function () {
+            await tokenVesting.connect(owner).pause();
+
+            await expect(tokenVesting.connect(beneficiary).claimMany([0]))
+                .to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+            await expect(tokenVesting.connect(beneficiary).claimAll(mockToken.target))
+                .to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+        });
+    });
+
+    describe("Signed Claims", function () {
+        let startTime;
+
+        const CLAIM_TYPES = {
+            Claim: [
+                { name: "scheduleId", type: "uint256" },
+                { name: "recipient", type: "address" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+
+        beforeEach(async function () {
+            startTime = await time.latest() + 100;
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+        });
+
+        async function signClaim(signer, { scheduleId = 0, recipient = ethers.ZeroAddress, nonce, deadline } = {}) {
+            const domain = {
+                name: "TokenVesting",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: tokenVesting.target
+            };
+            const claim = {
+                scheduleId,
+                recipient,
+                nonce: nonce === undefined ? await tokenVesting.nonces(signer.address) : nonce,
+                deadline: deadline === undefined ? await time.latest() + 3600 : deadline
+            };
+            return { ...claim, signature: await signer.signTypedData(domain, CLAIM_TYPES, claim) };
+        }
+
+        function submit(claim, relayer = otherAccount) {
+            return tokenVesting.connect(relayer).claimWithSignature(
+                claim.scheduleId,
+                claim.recipient,
+                claim.deadline,
+                claim.signature
+            );
+        }
+
+        it("Should let anyone submit a beneficiary's signed claim", async function () {
+            await time.increaseTo(startTime + VESTING_DURATION);
+            const claim = await signClaim(beneficiary);
+
+            await expect(submit(claim))
+                .to.emit(tokenVesting, "TokensClaimed")
+                .withArgs(0, beneficiary.address, VESTING_AMOUNT);
+
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await mockToken.balanceOf(otherAccount.address)).to.equal(0);
+            expect(await tokenVesting.nonces(beneficiary.address)).to.equal(1);
+        });
+
+        it("Should pay the signed recipient", async function () {
+            await time.increaseTo(startTime + VESTING_DURATION);
+            const claim = await signClaim(beneficiary, { recipient: newBeneficiary.address });
+
+            await expect(submit(claim)).to.changeTokenBalances(
+                mockToken,
+                [newBeneficiary, beneficiary],
+                [VESTING_AMOUNT, 0]
+            );
+            expect((await tokenVesting.getVestingSchedule(0)).claimedAmount).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should not accept the same signature twice", async function () {
+            await time.increaseTo(startTime + CLIFF_DURATION + 1000);
+            const claim = await signClaim(beneficiary);
+            await submit(claim);
+
+            await time.increase(1000);
+            await expect(submit(claim)).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject expired signatures", async function () {
+            await time.increaseTo(startTime + VESTING_DURATION);
+            const claim = await signClaim(beneficiary, { deadline: await time.latest() + 10 });
+
+            await time.increase(60);
+            await expect(submit(claim)).to.be.revertedWith("Signature expired");
+        });
+
+        it("Should reject signatures from anyone but the current beneficiary", async function () {
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            await expect(submit(await signClaim(otherAccount))).to.be.revertedWith("Invalid signature");
+
+            const tampered = await signClaim(beneficiary);
+            tampered.recipient = otherAccount.address;
+            await expect(submit(tampered)).to.be.revertedWith("Invalid signature");
+
+            const beforeTransfer = await signClaim(beneficiary);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(0, newBeneficiary.address);
+            await tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(0);
+            await expect(submit(beforeTransfer)).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should reject claims with nothing vested and while paused", async function () {
+            const claim = await signClaim(beneficiary);
+            await expect(submit(claim)).to.be.revertedWith("No tokens available for claim");
+
+            await tokenVesting.connect(owner).pause();
+            await expect(submit(claim)).to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+        });
+    });
+
     describe("Edge Cases", function () {
         it("Should handle zero cliff duration", async function () {
             const startTime = await time.latest() + 100;
@@ -565,7 +1459,9 @@ describe("TokenVesting", function () {
                 startTime,
                 0, // No cliff
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             // Should start vesting immediately after start time
@@ -587,7 +1483,9 @@ describe("TokenVesting", function () {
                 startTime,
                 0,
                 1, // 1 second vesting
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             await time.increaseTo(startTime + 1);
@@ -609,7 +1507,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             await time.increaseTo(startTime + VESTING_DURATION);
@@ -634,7 +1534,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.be.reverted;
 
@@ -648,7 +1550,9 @@ describe("TokenVesting", function () {
                     startTime,
                     CLIFF_DURATION,
                     VESTING_DURATION,
-                    true
+                    SLICE_PERIOD,
+                    true,
+                    TransferPolicy.Free
                 )
             ).to.not.be.reverted;
         });
@@ -681,7 +1585,9 @@ describe("TokenVesting", function () {
                 startTime,
                 CLIFF_DURATION,
                 VESTING_DURATION,
-                true
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
             );
 
             await expect(
@@ -699,4 +1605,233 @@ describe("TokenVesting", function () {
             ).to.be.reverted;
         });
     });
+
+    describe("Access Control", function () {
+        let PAUSER_ROLE;
+        let TREASURER_ROLE;
+        let SCHEDULE_MANAGER_ROLE;
+        let REVOKER_ROLE;
+
+        beforeEach(async function () {
+            PAUSER_ROLE = await tokenVesting.PAUSER_ROLE();
+            TREASURER_ROLE = await tokenVesting.TREASURER_ROLE();
+            SCHEDULE_MANAGER_ROLE = await tokenVesting.SCHEDULE_MANAGER_ROLE();
+            REVOKER_ROLE = await tokenVesting.REVOKER_ROLE();
+        });
+
+        async function createCompanySchedule(manager, transferPolicy = TransferPolicy.Free) {
+            await tokenVesting.connect(owner).grantRole(SCHEDULE_MANAGER_ROLE, manager.address);
+            await mockToken.connect(creator).transfer(manager.address, VESTING_AMOUNT);
+            await mockToken.connect(manager).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(manager).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                await time.latest() + 100,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                transferPolicy
+            );
+        }
+
+        it("Should give the deployer the admin, pauser and treasurer roles", async function () {
+            expect(await tokenVesting.defaultAdmin()).to.equal(owner.address);
+            expect(await tokenVesting.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+            expect(await tokenVesting.hasRole(TREASURER_ROLE, owner.address)).to.be.true;
+            expect(await tokenVesting.hasRole(SCHEDULE_MANAGER_ROLE, owner.address)).to.be.false;
+            expect(await tokenVesting.hasRole(REVOKER_ROLE, owner.address)).to.be.false;
+        });
+
+        it("Should keep pausing and surplus withdrawal in separate roles", async function () {
+            await expect(tokenVesting.connect(owner).grantRole(PAUSER_ROLE, otherAccount.address))
+                .to.emit(tokenVesting, "RoleGranted")
+                .withArgs(PAUSER_ROLE, otherAccount.address, owner.address);
+            await mockToken.transfer(tokenVesting.target, 100);
+
+            await tokenVesting.connect(otherAccount).pause();
+            await tokenVesting.connect(otherAccount).unpause();
+            await expect(tokenVesting.connect(otherAccount).emergencyWithdraw(mockToken.target, 100, otherAccount.address))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount")
+                .withArgs(otherAccount.address, TREASURER_ROLE);
+
+            await expect(tokenVesting.connect(owner).revokeRole(PAUSER_ROLE, otherAccount.address))
+                .to.emit(tokenVesting, "RoleRevoked")
+                .withArgs(PAUSER_ROLE, otherAccount.address, owner.address);
+            await expect(tokenVesting.connect(otherAccount).pause())
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should record schedules created by schedule managers as company schedules", async function () {
+            await createCompanySchedule(otherAccount);
+
+            expect((await tokenVesting.getVestingSchedule(0)).creator).to.equal(tokenVesting.target);
+        });
+
+        it("Should let a revoker revoke company schedules after the manager has left", async function () {
+            await createCompanySchedule(otherAccount);
+            await tokenVesting.connect(owner).revokeRole(SCHEDULE_MANAGER_ROLE, otherAccount.address);
+            await tokenVesting.connect(owner).grantRole(REVOKER_ROLE, newBeneficiary.address);
+
+            await expect(tokenVesting.connect(otherAccount).revokeVestingSchedule(0))
+                .to.be.revertedWith("Not the creator");
+
+            await time.increase(CLIFF_DURATION + 100);
+            const vested = await tokenVesting.getVestedAmount(0);
+            await expect(tokenVesting.connect(newBeneficiary).revokeVestingSchedule(0))
+                .to.emit(tokenVesting, "VestingScheduleRevoked");
+
+            // The unvested tokens stay in the contract as surplus for the treasurer
+            expect(await mockToken.balanceOf(newBeneficiary.address)).to.equal(0);
+            const surplus = await mockToken.balanceOf(tokenVesting.target) - await tokenVesting.totalLockedTokens(mockToken.target);
+            expect(surplus).to.be.closeTo(VESTING_AMOUNT - vested, ethers.parseEther("1"));
+            await tokenVesting.connect(owner).emergencyWithdraw(mockToken.target, surplus, owner.address);
+        });
+
+        it("Should not let revokers revoke schedules created by others", async function () {
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                await time.latest() + 100,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+            await tokenVesting.connect(owner).grantRole(REVOKER_ROLE, otherAccount.address);
+
+            await expect(tokenVesting.connect(otherAccount).revokeVestingSchedule(0))
+                .to.be.revertedWith("Not the creator");
+        });
+
+        it("Should let schedule managers approve and reject transfers of company schedules", async function () {
+            await createCompanySchedule(otherAccount, TransferPolicy.CreatorApproved);
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(0, newBeneficiary.address);
+
+            await expect(tokenVesting.connect(creator).approveScheduleTransfer(0, newBeneficiary.address))
+                .to.be.revertedWith("Not the creator");
+            await tokenVesting.connect(otherAccount).cancelScheduleTransfer(0);
+
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(0, newBeneficiary.address);
+            await tokenVesting.connect(otherAccount).approveScheduleTransfer(0, newBeneficiary.address);
+            await tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(0);
+            expect((await tokenVesting.getVestingSchedule(0)).beneficiary).to.equal(newBeneficiary.address);
+        });
+
+        it("Should hand over the default admin role in two steps after a delay", async function () {
+            await expect(tokenVesting.connect(owner).grantRole(ethers.ZeroHash, otherAccount.address))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlEnforcedDefaultAdminRules");
+
+            await expect(tokenVesting.connect(owner).beginDefaultAdminTransfer(otherAccount.address))
+                .to.emit(tokenVesting, "DefaultAdminTransferScheduled");
+            await expect(tokenVesting.connect(otherAccount).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlEnforcedDefaultAdminDelay");
+
+            await time.increase(24 * 60 * 60 + 1);
+            await tokenVesting.connect(otherAccount).acceptDefaultAdminTransfer();
+
+            expect(await tokenVesting.owner()).to.equal(otherAccount.address);
+            await expect(tokenVesting.connect(owner).grantRole(REVOKER_ROLE, owner.address))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await tokenVesting.connect(otherAccount).grantRole(REVOKER_ROLE, owner.address);
+        });
+    });
+
+    describe("Allowlists", function () {
+        async function createSchedule(account = creator) {
+            await mockToken.connect(account).approve(tokenVesting.target, VESTING_AMOUNT);
+            return tokenVesting.connect(account).createVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                await time.latest() + 100,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                SLICE_PERIOD,
+                true,
+                TransferPolicy.Free
+            );
+        }
+
+        it("Should start in open mode", async function () {
+            expect(await tokenVesting.tokenAllowlistEnabled()).to.be.false;
+            expect(await tokenVesting.creatorAllowlistEnabled()).to.be.false;
+            await expect(createSchedule()).to.not.be.reverted;
+        });
+
+        it("Should only accept allowlisted tokens once the token allowlist is enabled", async function () {
+            await expect(tokenVesting.connect(owner).setAllowlistMode(true, false))
+                .to.emit(tokenVesting, "AllowlistModeUpdated")
+                .withArgs(true, false);
+            await expect(createSchedule()).to.be.revertedWith("Token not allowed");
+
+            await expect(tokenVesting.connect(owner).setTokenAllowed(mockToken.target, true))
+                .to.emit(tokenVesting, "TokenAllowlistUpdated")
+                .withArgs(mockToken.target, true);
+            await expect(createSchedule()).to.not.be.reverted;
+        });
+
+        it("Should keep schedules vesting after their token is removed", async function () {
+            await tokenVesting.connect(owner).setTokenAllowed(mockToken.target, true);
+            await tokenVesting.connect(owner).setAllowlistMode(true, false);
+            await createSchedule();
+
+            await tokenVesting.connect(owner).setTokenAllowed(mockToken.target, false);
+            await expect(createSchedule()).to.be.revertedWith("Token not allowed");
+
+            await time.increase(VESTING_DURATION + 100);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should only let allowlisted creators and schedule managers create schedules", async function () {
+            await tokenVesting.connect(owner).setAllowlistMode(false, true);
+            await expect(createSchedule()).to.be.revertedWith("Creator not allowed");
+
+            await expect(tokenVesting.connect(owner).setCreatorAllowed(creator.address, true))
+                .to.emit(tokenVesting, "CreatorAllowlistUpdated")
+                .withArgs(creator.address, true);
+            await expect(createSchedule()).to.not.be.reverted;
+
+            await mockToken.connect(creator).transfer(otherAccount.address, VESTING_AMOUNT);
+            await tokenVesting.connect(owner).grantRole(await tokenVesting.SCHEDULE_MANAGER_ROLE(), otherAccount.address);
+            await expect(createSchedule(otherAccount)).to.not.be.reverted;
+        });
+
+        it("Should check the allowlists for batches", async function () {
+            await tokenVesting.connect(owner).setAllowlistMode(true, true);
+            await mockToken.connect(creator).approve(tokenVesting.target, VESTING_AMOUNT);
+            const params = [{
+                beneficiary: beneficiary.address,
+                totalAmount: VESTING_AMOUNT,
+                startTime: await time.latest() + 100,
+                cliffDuration: CLIFF_DURATION,
+                vestingDuration: VESTING_DURATION,
+                slicePeriodSeconds: SLICE_PERIOD,
+                revocable: true,
+                transferPolicy: TransferPolicy.Free
+            }];
+
+            await expect(tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, params))
+                .to.be.revertedWith("Token not allowed");
+            await tokenVesting.connect(owner).setTokenAllowed(mockToken.target, true);
+            await expect(tokenVesting.connect(creator).createVestingSchedulesBatch(mockToken.target, params))
+                .to.be.revertedWith("Creator not allowed");
+        });
+
+        it("Should only let the default admin manage the allowlists", async function () {
+            await expect(tokenVesting.connect(creator).setTokenAllowed(mockToken.target, true))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await expect(tokenVesting.connect(creator).setCreatorAllowed(creator.address, true))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await expect(tokenVesting.connect(creator).setAllowlistMode(true, true))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await expect(tokenVesting.connect(owner).setTokenAllowed(ethers.ZeroAddress, true))
+                .to.be.revertedWith("Invalid token address");
+        });
+    });
 });
\ No newline at end of file
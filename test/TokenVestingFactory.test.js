@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("TokenVestingFactory", function () {
+    let implementation;
+    let factory;
+    let mockToken;
+    let deployer;
+    let orgA;
+    let orgB;
+    let beneficiary;
+    let otherAccount;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const VESTING_DURATION = 365 * 24 * 60 * 60;
+    const TransferPolicy = { Disabled: 0, Free: 1, CreatorApproved: 2 };
+
+    beforeEach(async function () {
+        [deployer, orgA, orgB, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(orgA.address, ethers.parseEther("10000"));
+        await mockToken.transfer(orgB.address, ethers.parseEther("10000"));
+
+        implementation = await (await tokenVestingFactory()).deploy();
+        factory = await (await ethers.getContractFactory("TokenVestingFactory")).deploy(implementation.target);
+    });
+
+    async function createInstance(organization, admin = organization) {
+        const { tokenVesting } = await sdk.createInstance(sdk.getTokenVestingFactory(factory.target, organization), {
+            admin: admin.address
+        });
+        return ethers.getContractAt("TokenVesting", tokenVesting.target, organization);
+    }
+
+    async function createSchedule(instance, creator) {
+        await mockToken.connect(creator).approve(instance.target, VESTING_AMOUNT);
+        await instance.connect(creator).createVestingSchedule(
+            beneficiary.address,
+            mockToken.target,
+            VESTING_AMOUNT,
+            await time.latest() + 100,
+            0,
+            VESTING_DURATION,
+            1,
+            true,
+            TransferPolicy.Free
+        );
+    }
+
+    describe("Instances", function () {
+        it("Should deploy initialized clones with their own admin", async function () {
+            await expect(factory.connect(orgA).createInstance(otherAccount.address))
+                .to.emit(factory, "InstanceCreated");
+            const [address] = await factory.getOrganizationInstances(orgA.address);
+            const instance = await ethers.getContractAt("TokenVesting", address);
+
+            expect(await ethers.provider.getCode(address)).to.have.length.below(200);
+            expect(await instance.defaultAdmin()).to.equal(otherAccount.address);
+            expect(await instance.hasRole(await instance.PAUSER_ROLE(), otherAccount.address)).to.be.true;
+            expect(await instance.hasRole(await instance.TREASURER_ROLE(), otherAccount.address)).to.be.true;
+            expect(await instance.hasRole(ethers.ZeroHash, orgA.address)).to.be.false;
+            expect(await instance.nextScheduleId()).to.equal(0);
+        });
+
+        it("Should keep a registry of instances per organization", async function () {
+            const a1 = await createInstance(orgA);
+            const b1 = await createInstance(orgB);
+            const a2 = await createInstance(orgA, otherAccount);
+
+            expect(await factory.getOrganizationInstances(orgA.address)).to.deep.equal([a1.target, a2.target]);
+            expect(await factory.getOrganizationInstances(orgB.address)).to.deep.equal([b1.target]);
+            expect(await factory.instanceOrganization(a2.target)).to.equal(orgA.address);
+            expect(await factory.instanceOrganization(implementation.target)).to.equal(ethers.ZeroAddress);
+            expect(await factory.instanceCount()).to.equal(3);
+
+            const listed = await sdk.listInstances(sdk.getTokenVestingFactory(factory.target, orgA), orgA.address);
+            expect(listed).to.deep.equal([
+                { address: a1.target, admin: orgA.address },
+                { address: a2.target, admin: otherAccount.address }
+            ]);
+        });
+
+        it("Should not initialize twice or initialize the implementation", async function () {
+            const instance = await createInstance(orgA);
+
+            await expect(instance.connect(otherAccount).initialize(otherAccount.address))
+                .to.be.revertedWith("Already initialized");
+            await expect(implementation.connect(otherAccount).initialize(otherAccount.address))
+                .to.be.revertedWith("Already initialized");
+            await expect(factory.connect(orgA).createInstance(ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid admin address");
+        });
+
+        it("Should reach the admin handover delay one day after creation", async function () {
+            const instance = await createInstance(orgA);
+            expect(await instance.defaultAdminDelay()).to.equal(0);
+
+            await time.increase(24 * 60 * 60 + 1);
+            expect(await instance.defaultAdminDelay()).to.equal(24 * 60 * 60);
+        });
+
+        it("Should reject an implementation without code", async function () {
+            const Factory = await ethers.getContractFactory("TokenVestingFactory");
+            await expect(Factory.deploy(otherAccount.address)).to.be.revertedWith("Implementation has no code");
+        });
+    });
+
+    describe("Isolation", function () {
+        let instanceA;
+        let instanceB;
+
+        beforeEach(async function () {
+            instanceA = await createInstance(orgA);
+            instanceB = await createInstance(orgB);
+            await createSchedule(instanceA, orgA);
+            await createSchedule(instanceB, orgB);
+        });
+
+        it("Should keep schedules, balances and locked amounts separate", async function () {
+            expect(await mockToken.balanceOf(instanceA.target)).to.equal(VESTING_AMOUNT);
+            expect(await mockToken.balanceOf(instanceB.target)).to.equal(VESTING_AMOUNT);
+            expect(await mockToken.balanceOf(implementation.target)).to.equal(0);
+            expect((await instanceA.getVestingSchedule(0)).creator).to.equal(orgA.address);
+            expect((await instanceB.getVestingSchedule(0)).creator).to.equal(orgB.address);
+
+            await time.increase(VESTING_DURATION + 100);
+            await instanceA.connect(beneficiary).claimTokens(0);
+
+            expect(await instanceA.totalLockedTokens(mockToken.target)).to.equal(0);
+            expect(await instanceB.totalLockedTokens(mockToken.target)).to.equal(VESTING_AMOUNT);
+            expect(await mockToken.balanceOf(instanceB.target)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should not let one instance's admin touch another instance", async function () {
+            await mockToken.transfer(instanceB.target, ethers.parseEther("5"));
+
+            await expect(instanceB.connect(orgA).pause())
+                .to.be.revertedWithCustomError(instanceB, "AccessControlUnauthorizedAccount");
+            await expect(instanceB.connect(orgA).emergencyWithdraw(mockToken.target, ethers.parseEther("5"), orgA.address))
+                .to.be.revertedWithCustomError(instanceB, "AccessControlUnauthorizedAccount");
+            await expect(instanceA.connect(orgA).emergencyWithdraw(mockToken.target, 1, orgA.address))
+                .to.be.revertedWith("Cannot withdraw locked tokens");
+            await expect(instanceB.connect(orgA).revokeVestingSchedule(0))
+                .to.be.revertedWith("Not the creator");
+        });
+
+        it("Should pause one instance without affecting the others", async function () {
+            await time.increase(VESTING_DURATION + 100);
+            await instanceA.connect(orgA).pause();
+
+            await expect(instanceA.connect(beneficiary).claimTokens(0))
+                .to.be.revertedWithCustomError(instanceA, "EnforcedPause");
+            await instanceB.connect(beneficiary).claimTokens(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should bind signed claims to a single instance", async function () {
+            await time.increase(VESTING_DURATION + 100);
+            const signed = await sdk.signClaim(sdk.getTokenVesting(instanceA.target, beneficiary), beneficiary, { scheduleId: 0 });
+            const { verifyingContract } = await instanceA.eip712Domain();
+            expect(verifyingContract).to.equal(instanceA.target);
+
+            await expect(instanceB.connect(otherAccount).claimWithSignature(0, ethers.ZeroAddress, signed.deadline, signed.signature))
+                .to.be.revertedWith("Invalid signature");
+            await instanceA.connect(otherAccount).claimWithSignature(0, ethers.ZeroAddress, signed.deadline, signed.signature);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+        });
+    });
+});
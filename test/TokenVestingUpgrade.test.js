@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { UPGRADE_OPTIONS } = require("../sdk/deployments");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("TokenVesting upgrades", function () {
+    let proxy;
+    let mockToken;
+    let admin;
+    let creator;
+    let beneficiary;
+    let otherAccount;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 360 * 24 * 60 * 60;
+    const TransferPolicy = { Disabled: 0, Free: 1, CreatorApproved: 2 };
+
+    beforeEach(async function () {
+        [admin, creator, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        proxy = await upgrades.deployProxy(TokenVesting, [admin.address], {
+            ...UPGRADE_OPTIONS,
+            initializer: "initialize"
+        });
+        await proxy.waitForDeployment();
+    });
+
+    async function createSchedule(amount = VESTING_AMOUNT) {
+        const startTime = await time.latest() + 100;
+        await mockToken.connect(creator).approve(proxy.target, amount);
+        await proxy.connect(creator).createVestingSchedule(
+            beneficiary.address,
+            mockToken.target,
+            amount,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            true,
+            TransferPolicy.Disabled
+        );
+        return startTime;
+    }
+
+    describe("Proxy deployment", function () {
+        it("Should initialize the proxy with the given admin", async function () {
+            expect(await proxy.defaultAdmin()).to.equal(admin.address);
+            expect(await proxy.hasRole(await proxy.PAUSER_ROLE(), admin.address)).to.be.true;
+            expect(await proxy.hasRole(await proxy.TREASURER_ROLE(), admin.address)).to.be.true;
+            expect(await proxy.nextScheduleId()).to.equal(0);
+
+            await expect(proxy.initialize(otherAccount.address)).to.be.revertedWith("Already initialized");
+        });
+
+        it("Should leave the implementation locked", async function () {
+            const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxy.target);
+            const implementation = await ethers.getContractAt("TokenVesting", implementationAddress);
+
+            await expect(implementation.initialize(otherAccount.address)).to.be.revertedWith("Already initialized");
+        });
+    });
+
+    describe("Upgrading", function () {
+        it("Should keep balances and vesting math of live schedules", async function () {
+            const startTime = await createSchedule();
+            await createSchedule(ethers.parseEther("500"));
+            await proxy.connect(creator).revokeVestingSchedule(1);
+
+            await time.increaseTo(startTime + VESTING_DURATION / 4);
+            await proxy.connect(beneficiary).claimTokens(0);
+            const before = {
+                schedule: await proxy.getVestingSchedule(0),
+                locked: await proxy.totalLockedTokens(mockToken.target),
+                balance: await mockToken.balanceOf(proxy.target),
+                schedules: await proxy.getBeneficiarySchedules(beneficiary.address),
+                nextScheduleId: await proxy.nextScheduleId()
+            };
+
+            const V2 = await tokenVestingFactory("MockTokenVestingV2");
+            const upgraded = await upgrades.upgradeProxy(proxy.target, V2, UPGRADE_OPTIONS);
+            expect(await upgraded.version()).to.equal("2");
+            expect(upgraded.target).to.equal(proxy.target);
+
+            expect(await upgraded.getVestingSchedule(0)).to.deep.equal(before.schedule);
+            expect(await upgraded.totalLockedTokens(mockToken.target)).to.equal(before.locked);
+            expect(await mockToken.balanceOf(upgraded.target)).to.equal(before.balance);
+            expect(await upgraded.getBeneficiarySchedules(beneficiary.address)).to.deep.equal(before.schedules);
+            expect(await upgraded.nextScheduleId()).to.equal(before.nextScheduleId);
+            expect(await upgraded.defaultAdmin()).to.equal(admin.address);
+
+            // Vesting keeps following the original schedule after the upgrade
+            const halfway = startTime + VESTING_DURATION / 2;
+            await time.increaseTo(halfway);
+            const elapsedAfterCliff = BigInt(halfway - startTime - CLIFF_DURATION);
+            const expectedVested = (VESTING_AMOUNT * elapsedAfterCliff) / BigInt(VESTING_DURATION - CLIFF_DURATION);
+            expect(await upgraded.getVestedAmount(0)).to.equal(expectedVested);
+
+            await upgraded.setReleaseNote("v2");
+            expect(await upgraded.releaseNote()).to.equal("v2");
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            await upgraded.connect(beneficiary).claimTokens(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect((await upgraded.getVestingSchedule(0)).claimedAmount).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should only let the ProxyAdmin owner upgrade", async function () {
+            const V2 = await tokenVestingFactory("MockTokenVestingV2", otherAccount);
+
+            await expect(upgrades.upgradeProxy(proxy.target, V2, UPGRADE_OPTIONS)).to.be.rejected;
+        });
+
+        it("Should refuse an upgrade with an incompatible storage layout", async function () {
+            await createSchedule();
+            const implementation = await upgrades.erc1967.getImplementationAddress(proxy.target);
+            const Unsafe = await ethers.getContractFactory("MockUnsafeTokenVesting");
+
+            await expect(upgrades.validateUpgrade(proxy.target, Unsafe, UPGRADE_OPTIONS))
+                .to.be.rejectedWith(/New storage layout is incompatible/);
+            await expect(upgrades.upgradeProxy(proxy.target, Unsafe, UPGRADE_OPTIONS))
+                .to.be.rejectedWith(/New storage layout is incompatible/);
+
+            expect(await upgrades.erc1967.getImplementationAddress(proxy.target)).to.equal(implementation);
+            expect((await proxy.getVestingSchedule(0)).totalAmount).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should refuse an implementation that fails the upgrade-safety checks", async function () {
+            const V2 = await tokenVestingFactory("MockTokenVestingV2");
+
+            await expect(upgrades.validateUpgrade(proxy.target, V2, { kind: UPGRADE_OPTIONS.kind }))
+                .to.be.rejectedWith(/not upgrade safe/);
+        });
+    });
+});
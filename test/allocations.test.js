@@ -0,0 +1,268 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { NATIVE_TOKEN } = require("../sdk");
+const { loadAllocations, parseCsv, validateAllocations, sendAllocationBatches } = require("../sdk/allocations");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Allocation files", function () {
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 365 * 24 * 60 * 60;
+
+    let tmpDir;
+
+    beforeEach(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "allocations-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("Parsing", function () {
+        it("Should parse CSV rows by header name", function () {
+            const rows = parseCsv(
+                "beneficiary,amount,startTime,cliffDuration,vestingDuration,revocable\r\n" +
+                "0x0000000000000000000000000000000000000001,10.5,2000000000,0,100,true\r\n\r\n"
+            );
+
+            expect(rows).to.deep.equal([{
+                beneficiary: "0x0000000000000000000000000000000000000001",
+                amount: "10.5",
+                startTime: "2000000000",
+                cliffDuration: "0",
+                vestingDuration: "100",
+                revocable: "true"
+            }]);
+        });
+
+        it("Should reject a CSV header with missing columns", function () {
+            expect(() => parseCsv("beneficiary,amount\n0x01,1")).to.throw("missing column(s): startTime");
+        });
+
+        it("Should load JSON files and reject unknown extensions", function () {
+            const jsonFile = path.join(tmpDir, "grants.json");
+            fs.writeFileSync(jsonFile, JSON.stringify([{ beneficiary: "0x01" }]));
+            expect(loadAllocations(jsonFile)).to.deep.equal([{ beneficiary: "0x01" }]);
+
+            const txtFile = path.join(tmpDir, "grants.txt");
+            fs.writeFileSync(txtFile, "");
+            expect(() => loadAllocations(txtFile)).to.throw("unsupported allocation file type");
+        });
+    });
+
+    describe("Validation", function () {
+        const now = 1900000000;
+        const valid = {
+            beneficiary: "0x0000000000000000000000000000000000000001",
+            amount: "1.5",
+            startTime: String(now + 10),
+            cliffDuration: "10",
+            vestingDuration: "100",
+            revocable: "yes"
+        };
+
+        it("Should scale amounts by decimals and accept ISO start times", function () {
+            const { rows, errors } = validateAllocations(
+                [valid, { ...valid, startTime: "2030-06-01T00:00:00Z", revocable: "" }],
+                { decimals: 6, now }
+            );
+
+            expect(errors).to.be.empty;
+            expect(rows[0].totalAmount).to.equal(1500000n);
+            expect(rows[0].revocable).to.be.true;
+            expect(rows[1].startTime).to.equal(BigInt(Date.parse("2030-06-01T00:00:00Z") / 1000));
+            expect(rows[1].revocable).to.be.false;
+        });
+
+        it("Should default the slice period to continuous release", function () {
+            const { rows, errors } = validateAllocations(
+                [valid, { ...valid, slicePeriodSeconds: "30" }, { ...valid, slicePeriodSeconds: "0" }],
+                { decimals: 18, now }
+            );
+
+            expect(rows.map((row) => row.slicePeriodSeconds)).to.deep.equal([1n, 30n]);
+            expect(errors).to.deep.equal(["Row 3: Slice period must be greater than 0"]);
+        });
+
+        it("Should parse transfer policies and default to disabled", function () {
+            const { rows, errors } = validateAllocations(
+                [valid, { ...valid, transferPolicy: "Free" }, { ...valid, transferPolicy: "creator-approved" }, { ...valid, transferPolicy: "open" }],
+                { decimals: 18, now }
+            );
+
+            expect(rows.map((row) => row.transferPolicy)).to.deep.equal([0, 1, 2]);
+            expect(errors).to.deep.equal(['Row 4: invalid transferPolicy "open", expected disabled, free, creator-approved']);
+        });
+
+        it("Should report every invalid row with the contract's reasons", function () {
+            const { rows, errors } = validateAllocations([
+                { ...valid, beneficiary: ethers.ZeroAddress },
+                { ...valid, amount: "0" },
+                { ...valid, startTime: String(now - 1) },
+                { ...valid, vestingDuration: "0", cliffDuration: "0" },
+                { ...valid, cliffDuration: "101" },
+                valid
+            ], { decimals: 18, now });
+
+            expect(rows).to.have.length(1);
+            expect(rows[0].row).to.equal(6);
+            expect(errors).to.deep.equal([
+                "Row 1: Invalid beneficiary address",
+                "Row 2: Amount must be greater than 0",
+                "Row 3: Start time cannot be in the past",
+                "Row 4: Vesting duration must be greater than 0",
+                "Row 5: Cliff duration cannot exceed vesting duration"
+            ]);
+        });
+    });
+
+    describe("vesting:create-batch task", function () {
+        let tokenVesting;
+        let mockToken;
+        let owner;
+        let accounts;
+
+        beforeEach(async function () {
+            [owner, ...accounts] = await ethers.getSigners();
+
+            const MockToken = await ethers.getContractFactory("MockToken");
+            mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+            const TokenVesting = await tokenVestingFactory();
+            tokenVesting = await TokenVesting.deploy();
+        });
+
+        async function writeCsv(count) {
+            const startTime = await time.latest() + 1000;
+            const lines = ["beneficiary,amount,startTime,cliffDuration,vestingDuration,revocable"];
+            for (let i = 0; i < count; i++) {
+                const beneficiary = accounts[i % accounts.length].address;
+                lines.push(`${beneficiary},${i + 1},${startTime},${CLIFF_DURATION},${VESTING_DURATION},${i % 2 === 0}`);
+            }
+            const file = path.join(tmpDir, "grants.csv");
+            fs.writeFileSync(file, lines.join("\n"));
+            return file;
+        }
+
+        it("Should create every row in chunks and write a results file", async function () {
+            const file = await writeCsv(7);
+            const balanceBefore = await mockToken.balanceOf(owner.address);
+
+            const results = await hre.run("vesting:create-batch", {
+                file,
+                vesting: tokenVesting.target,
+                token: mockToken.target,
+                chunkSize: 3
+            });
+
+            const expectedTotal = ethers.parseEther("28");
+            expect(await tokenVesting.nextScheduleId()).to.equal(7);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(expectedTotal);
+            expect(balanceBefore - await mockToken.balanceOf(owner.address)).to.equal(expectedTotal);
+            expect(await mockToken.allowance(owner.address, tokenVesting.target)).to.equal(0);
+
+            const written = JSON.parse(fs.readFileSync(path.join(tmpDir, "grants.results.json"), "utf8"));
+            expect(written).to.deep.equal(results);
+            expect(new Set(results.map((result) => result.txHash)).size).to.equal(3);
+
+            for (const result of results) {
+                const schedule = await tokenVesting.getVestingSchedule(result.scheduleId);
+                expect(schedule.beneficiary).to.equal(result.beneficiary);
+                expect(schedule.totalAmount).to.equal(ethers.parseEther(String(result.row)));
+            }
+        });
+
+        it("Should record confirmed chunks when a later chunk fails and resume from them", async function () {
+            const file = await writeCsv(7);
+            const resultsFile = path.join(tmpDir, "grants.results.json");
+            const args = { file, vesting: tokenVesting.target, token: mockToken.target, chunkSize: 3 };
+
+            // Only rows 1-3 are funded, so the second chunk reverts
+            const spare = (await mockToken.balanceOf(owner.address)) - ethers.parseEther("6");
+            await mockToken.transfer(accounts[0].address, spare);
+            await expect(hre.run("vesting:create-batch", args)).to.be.rejected;
+
+            const partial = JSON.parse(fs.readFileSync(resultsFile, "utf8"));
+            expect(partial.map((result) => result.row)).to.deep.equal([1, 2, 3]);
+            expect(await tokenVesting.nextScheduleId()).to.equal(3);
+
+            await mockToken.connect(accounts[0]).transfer(owner.address, spare);
+            const results = await hre.run("vesting:create-batch", args);
+
+            expect(await tokenVesting.nextScheduleId()).to.equal(7);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(ethers.parseEther("28"));
+            expect(results.map((result) => result.row)).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+            expect(JSON.parse(fs.readFileSync(resultsFile, "utf8"))).to.deep.equal(results);
+
+            // A third run finds nothing left to send
+            await hre.run("vesting:create-batch", args);
+            expect(await tokenVesting.nextScheduleId()).to.equal(7);
+        });
+
+        it("Should refuse to resume from a results file for a different allocation file", async function () {
+            const file = await writeCsv(2);
+            fs.writeFileSync(path.join(tmpDir, "grants.results.json"), JSON.stringify([{
+                row: 1,
+                beneficiary: ethers.Wallet.createRandom().address,
+                totalAmount: "1",
+                scheduleId: "0",
+                txHash: ethers.ZeroHash
+            }]));
+
+            await expect(
+                hre.run("vesting:create-batch", { file, vesting: tokenVesting.target, token: mockToken.target })
+            ).to.be.rejectedWith("does not match the allocation file at row 1");
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+        });
+
+        it("Should send each chunk's total as value for native currency", async function () {
+            const file = await writeCsv(5);
+
+            await hre.run("vesting:create-batch", { file, vesting: tokenVesting.target, token: "native", chunkSize: 2 });
+
+            expect(await tokenVesting.nextScheduleId()).to.equal(5);
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(ethers.parseEther("15"));
+            expect(await ethers.provider.getBalance(tokenVesting.target)).to.equal(ethers.parseEther("15"));
+            expect((await tokenVesting.getVestingSchedule(4)).totalAmount).to.equal(ethers.parseEther("5"));
+        });
+
+        it("Should split chunks that would exceed the gas limit", async function () {
+            const startTime = await time.latest() + 1000;
+            const { rows } = validateAllocations(accounts.slice(0, 6).map((account) => ({
+                beneficiary: account.address,
+                amount: "1",
+                startTime,
+                cliffDuration: 0,
+                vestingDuration: VESTING_DURATION
+            })), { decimals: 18, now: startTime });
+            await mockToken.approve(tokenVesting.target, ethers.parseEther("6"));
+
+            const maxGas = 600000n;
+            const results = await sendAllocationBatches(tokenVesting, mockToken.target, rows, { chunkSize: 6, maxGas });
+
+            const txHashes = [...new Set(results.map((result) => result.txHash))];
+            expect(txHashes.length).to.be.greaterThan(1);
+            for (const hash of txHashes) {
+                const receipt = await ethers.provider.getTransactionReceipt(hash);
+                expect(receipt.gasUsed).to.be.at.most(maxGas);
+            }
+            expect(results.map((result) => result.scheduleId)).to.deep.equal(["0", "1", "2", "3", "4", "5"]);
+        });
+
+        it("Should refuse to send anything when a row is invalid", async function () {
+            const file = await writeCsv(2);
+            fs.appendFileSync(file, `\n${accounts[0].address},5,1,0,100,false`);
+
+            await expect(
+                hre.run("vesting:create-batch", { file, vesting: tokenVesting.target, token: mockToken.target })
+            ).to.be.rejectedWith("Row 3: Start time cannot be in the past");
+
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,383 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { NATIVE_TOKEN, Roles } = sdk;
+
+describe("Schedule amendments", function () {
+    let tokenVesting;
+    let mockToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const DAY = 24 * 60 * 60;
+    const CLIFF_DURATION = 30 * DAY;
+    const VESTING_DURATION = 360 * DAY;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, owner);
+        await mockToken.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+
+        startTime = await time.latest() + 100;
+    });
+
+    async function createSchedule({ revocable = true, slicePeriodSeconds = 1, from = creator } = {}) {
+        await tokenVesting.connect(from).createVestingSchedule(
+            beneficiary.address,
+            mockToken.target,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            slicePeriodSeconds,
+            revocable,
+            0
+        );
+        return (await tokenVesting.nextScheduleId()) - 1n;
+    }
+
+    function amend(scheduleId, totalAmount, vestingDuration = VESTING_DURATION, overrides = {}) {
+        return tokenVesting.connect(creator).amendVestingSchedule(scheduleId, totalAmount, vestingDuration, overrides);
+    }
+
+    // Vested amount at `at`, as the contract reports it in a block at that time
+    async function vestedAt(scheduleId, at) {
+        await time.increaseTo(at);
+        return tokenVesting.getVestedAmount(scheduleId);
+    }
+
+    async function expectSdkMatchesChain(scheduleId) {
+        const [schedule, base, now] = await Promise.all([
+            tokenVesting.getVestingSchedule(scheduleId),
+            tokenVesting.vestingBases(scheduleId),
+            time.latest()
+        ]);
+        const fields = { ...schedule.toObject(), base: base.toObject() };
+
+        expect(sdk.vestedAmountAt(fields, BigInt(now))).to.equal(await tokenVesting.getVestedAmount(scheduleId));
+
+        const unlock = sdk.nextUnlock(fields, BigInt(now));
+        if (unlock) {
+            if (unlock.time - 1n > now) {
+                await time.increaseTo(unlock.time - 1n);
+                expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(sdk.vestedAmountAt(fields, BigInt(now)));
+            }
+            await time.increaseTo(unlock.time);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(sdk.vestedAmountAt(fields, BigInt(now)) + unlock.amount);
+        }
+    }
+
+    describe("Before the cliff", function () {
+        it("Should re-term a schedule that has not started yet", async function () {
+            const scheduleId = await createSchedule();
+            const reduced = ethers.parseEther("600");
+
+            const tx = amend(scheduleId, reduced, VESTING_DURATION * 2);
+            await expect(tx).to.emit(tokenVesting, "VestingScheduleAmended")
+                .withArgs(scheduleId, VESTING_AMOUNT, reduced, VESTING_DURATION, VESTING_DURATION * 2, 0);
+            await expect(tx).to.changeTokenBalance(mockToken, creator, VESTING_AMOUNT - reduced);
+
+            const schedule = await tokenVesting.getVestingSchedule(scheduleId);
+            expect(schedule.totalAmount).to.equal(reduced);
+            expect(schedule.vestingDuration).to.equal(VESTING_DURATION * 2);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(reduced);
+            expect((await tokenVesting.vestingBases(scheduleId)).timestamp).to.equal(0);
+
+            // Vests as if it had been created with the new terms
+            const halfway = startTime + CLIFF_DURATION + (VESTING_DURATION * 2 - CLIFF_DURATION) / 2;
+            expect(await vestedAt(scheduleId, halfway)).to.equal(reduced / 2n);
+        });
+
+        it("Should re-term a schedule that is still in its cliff", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION - 10);
+
+            await amend(scheduleId, VESTING_AMOUNT / 2n);
+
+            expect((await tokenVesting.vestingBases(scheduleId)).timestamp).to.equal(0);
+            expect(await vestedAt(scheduleId, startTime + VESTING_DURATION)).to.equal(VESTING_AMOUNT / 2n);
+        });
+    });
+
+    describe("During vesting", function () {
+        it("Should keep the vested amount when reducing the total", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2 - 1);
+            const reduced = ethers.parseEther("700");
+
+            const tx = await amend(scheduleId, reduced);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+            const vested = VESTING_AMOUNT / 2n;
+
+            await expect(tx).to.emit(tokenVesting, "VestingScheduleAmended")
+                .withArgs(scheduleId, VESTING_AMOUNT, reduced, VESTING_DURATION, VESTING_DURATION, vested);
+            expect(await tokenVesting.vestingBases(scheduleId)).to.deep.equal([vested, timestamp]);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(vested);
+
+            // The rest vests linearly from the amendment to the end
+            const end = startTime + VESTING_DURATION;
+            const remainingHalfway = timestamp + (end - timestamp) / 2;
+            expect(await vestedAt(scheduleId, remainingHalfway)).to.equal(vested + (reduced - vested) / 2n);
+            await expectSdkMatchesChain(scheduleId);
+            expect(await vestedAt(scheduleId, end)).to.equal(reduced);
+        });
+
+        it("Should keep the vested amount when extending the duration", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + 90 * DAY);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            await amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION * 2);
+            const { vestedAmount } = await tokenVesting.vestingBases(scheduleId);
+
+            // Nothing vested is lost, and later amounts grow more slowly
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(vestedAmount);
+            expect(await vestedAt(scheduleId, startTime + VESTING_DURATION)).to.be.lessThan(VESTING_AMOUNT);
+            await expectSdkMatchesChain(scheduleId);
+            expect(await vestedAt(scheduleId, startTime + VESTING_DURATION * 2)).to.equal(VESTING_AMOUNT);
+
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+        });
+
+        it("Should not reduce below the vested amount", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2);
+
+            await expect(amend(scheduleId, VESTING_AMOUNT / 4n))
+                .to.be.revertedWith("Amount below vested amount");
+        });
+
+        it("Should pull top-ups in full and vest them over the rest of the schedule", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + (VESTING_DURATION - CLIFF_DURATION) / 2 - 1);
+
+            await expect(amend(scheduleId, VESTING_AMOUNT * 2n))
+                .to.changeTokenBalances(mockToken, [creator, tokenVesting], [-VESTING_AMOUNT, VESTING_AMOUNT]);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(VESTING_AMOUNT * 2n);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(VESTING_AMOUNT / 2n);
+
+            await expectSdkMatchesChain(scheduleId);
+            expect(await vestedAt(scheduleId, startTime + VESTING_DURATION)).to.equal(VESTING_AMOUNT * 2n);
+        });
+
+        it("Should keep counting slice periods from the cliff end", async function () {
+            const slice = 30 * DAY;
+            const cliffEnd = startTime + CLIFF_DURATION;
+            const scheduleId = await createSchedule({ slicePeriodSeconds: slice });
+            await time.increaseTo(cliffEnd + slice + 10);
+
+            await amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION + 10 * DAY);
+            const base = await tokenVesting.vestingBases(scheduleId);
+            expect(base.timestamp).to.equal(cliffEnd + slice);
+            expect(base.vestedAmount).to.equal(VESTING_AMOUNT / 11n);
+
+            expect(await vestedAt(scheduleId, cliffEnd + 2 * slice - 1)).to.equal(base.vestedAmount);
+            expect(await vestedAt(scheduleId, cliffEnd + 2 * slice)).to.be.greaterThan(base.vestedAmount);
+            await expectSdkMatchesChain(scheduleId);
+        });
+
+        it("Should never vest less after a top-up than without it", async function () {
+            const slice = 30 * DAY;
+            const cliffEnd = startTime + CLIFF_DURATION;
+            const toppedUp = await createSchedule({ revocable: false, slicePeriodSeconds: slice });
+            const untouched = await createSchedule({ revocable: false, slicePeriodSeconds: slice });
+
+            // A 1-wei top-up just before a slice boundary must not push the release back
+            await time.increaseTo(cliffEnd + 2 * slice - 10);
+            await amend(toppedUp, VESTING_AMOUNT + 1n);
+            await expectSdkMatchesChain(toppedUp);
+
+            for (let boundary = cliffEnd + 2 * slice; boundary < startTime + VESTING_DURATION; boundary += slice) {
+                for (const at of [boundary - 1, boundary, boundary + slice / 2]) {
+                    if (at <= await time.latest()) {
+                        continue;
+                    }
+                    await time.increaseTo(at);
+                    expect(await tokenVesting.getVestedAmount(toppedUp))
+                        .to.be.at.least(await tokenVesting.getVestedAmount(untouched));
+                }
+            }
+            expect(await vestedAt(toppedUp, startTime + VESTING_DURATION)).to.equal(VESTING_AMOUNT + 1n);
+        });
+
+        it("Should vest a larger top-up at every slice boundary as it did before, or more", async function () {
+            const slice = 7 * DAY;
+            const toppedUp = await createSchedule({ slicePeriodSeconds: slice });
+            const untouched = await createSchedule({ slicePeriodSeconds: slice });
+            await time.increaseTo(startTime + CLIFF_DURATION + 45 * DAY);
+
+            await amend(toppedUp, VESTING_AMOUNT + ethers.parseEther("123.456"));
+            await expectSdkMatchesChain(toppedUp);
+            await time.increase(100 * DAY);
+            await amend(toppedUp, VESTING_AMOUNT * 3n);
+            await expectSdkMatchesChain(toppedUp);
+
+            for (let at = await time.latest() + 1; at < startTime + VESTING_DURATION; at += 13 * DAY) {
+                await time.increaseTo(at);
+                expect(await tokenVesting.getVestedAmount(toppedUp))
+                    .to.be.greaterThan(await tokenVesting.getVestedAmount(untouched));
+            }
+        });
+
+        it("Should build on earlier amendments", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + 60 * DAY);
+            await amend(scheduleId, ethers.parseEther("800"));
+            await time.increase(60 * DAY);
+
+            const vestedBefore = await tokenVesting.getVestedAmount(scheduleId);
+            await amend(scheduleId, ethers.parseEther("800"), VESTING_DURATION + 60 * DAY);
+
+            expect((await tokenVesting.vestingBases(scheduleId)).vestedAmount).to.be.at.least(vestedBefore);
+            await expectSdkMatchesChain(scheduleId);
+            expect(await vestedAt(scheduleId, startTime + VESTING_DURATION + 60 * DAY)).to.equal(ethers.parseEther("800"));
+        });
+    });
+
+    describe("After the end", function () {
+        it("Should leave a fully vested schedule untouchable", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            await expect(amend(scheduleId, VESTING_AMOUNT - 1n))
+                .to.be.revertedWith("Amount below vested amount");
+
+            await amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION * 2);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.getClaimableAmount(scheduleId)).to.equal(VESTING_AMOUNT);
+            expect(sdk.nextUnlock({
+                ...(await tokenVesting.getVestingSchedule(scheduleId)).toObject(),
+                base: (await tokenVesting.vestingBases(scheduleId)).toObject()
+            }, BigInt(await time.latest()))).to.be.null;
+        });
+
+        it("Should vest a top-up at once", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + VESTING_DURATION + DAY);
+
+            await amend(scheduleId, VESTING_AMOUNT * 2n);
+
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(VESTING_AMOUNT * 2n);
+        });
+    });
+
+    describe("Restrictions", function () {
+        it("Should only let the creator amend active schedules while unpaused", async function () {
+            const scheduleId = await createSchedule();
+
+            await expect(tokenVesting.connect(otherAccount).amendVestingSchedule(scheduleId, VESTING_AMOUNT, VESTING_DURATION))
+                .to.be.revertedWith("Not the creator");
+            await expect(amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION - 1))
+                .to.be.revertedWith("Duration can only be extended");
+
+            await tokenVesting.pause();
+            await expect(amend(scheduleId, VESTING_AMOUNT)).to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+            await tokenVesting.unpause();
+
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            await expect(amend(scheduleId, VESTING_AMOUNT)).to.be.revertedWith("Schedule already revoked");
+        });
+
+        it("Should only top up irrevocable schedules", async function () {
+            const scheduleId = await createSchedule({ revocable: false });
+
+            await expect(amend(scheduleId, VESTING_AMOUNT - 1n)).to.be.revertedWith("Schedule is not revocable");
+            await expect(amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION + 1)).to.be.revertedWith("Schedule is not revocable");
+
+            await amend(scheduleId, VESTING_AMOUNT + 1n);
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).totalAmount).to.equal(VESTING_AMOUNT + 1n);
+        });
+
+        it("Should not amend checkpoint schedules", async function () {
+            await tokenVesting.connect(creator).createCheckpointVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                [{ timestamp: startTime, basisPoints: 0 }, { timestamp: startTime + VESTING_DURATION, basisPoints: 10000 }],
+                true,
+                0
+            );
+
+            await expect(amend(0, VESTING_AMOUNT / 2n)).to.be.revertedWith("Cannot amend curve schedules");
+        });
+
+        it("Should let revokers reduce company schedules, leaving the reduction as surplus", async function () {
+            await tokenVesting.grantRole(Roles.SCHEDULE_MANAGER, owner.address);
+            await tokenVesting.grantRole(Roles.REVOKER, otherAccount.address);
+            await mockToken.approve(tokenVesting.target, VESTING_AMOUNT);
+            const scheduleId = await createSchedule({ from: owner });
+
+            await tokenVesting.connect(otherAccount).amendVestingSchedule(scheduleId, VESTING_AMOUNT / 2n, VESTING_DURATION);
+
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(VESTING_AMOUNT / 2n);
+        });
+    });
+
+    describe("Native currency", function () {
+        async function createNativeSchedule() {
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address, NATIVE_TOKEN, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0,
+                { value: VESTING_AMOUNT }
+            );
+            return (await tokenVesting.nextScheduleId()) - 1n;
+        }
+
+        it("Should take top-ups as value and refund reductions", async function () {
+            const scheduleId = await createNativeSchedule();
+
+            await expect(amend(scheduleId, VESTING_AMOUNT * 2n)).to.be.revertedWith("Native amount does not match");
+            await amend(scheduleId, VESTING_AMOUNT * 2n, VESTING_DURATION, { value: VESTING_AMOUNT });
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(VESTING_AMOUNT * 2n);
+
+            await expect(amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION, { value: 1n }))
+                .to.be.revertedWith("Native currency not expected");
+            await expect(amend(scheduleId, VESTING_AMOUNT))
+                .to.changeEtherBalance(creator, VESTING_AMOUNT, { includeFee: false });
+            expect(await ethers.provider.getBalance(tokenVesting.target)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should not take value for token schedules", async function () {
+            const scheduleId = await createSchedule();
+
+            await expect(amend(scheduleId, VESTING_AMOUNT, VESTING_DURATION, { value: 1n }))
+                .to.be.revertedWith("Native currency not expected");
+        });
+    });
+
+    describe("SDK", function () {
+        it("Should amend in whole tokens, approving top-ups", async function () {
+            const scheduleId = await createSchedule();
+            await time.increaseTo(startTime + CLIFF_DURATION + 100 * DAY);
+            await mockToken.connect(creator).approve(tokenVesting.target, 0);
+            const vesting = tokenVesting.connect(creator);
+
+            const result = await sdk.amend(vesting, scheduleId, { amount: "1500" });
+            expect(result.oldTotalAmount).to.equal(VESTING_AMOUNT);
+            expect(result.newTotalAmount).to.equal(ethers.parseEther("1500"));
+            expect(result.newVestingDuration).to.equal(VESTING_DURATION);
+            expect(result.vestedAmount).to.equal((await tokenVesting.vestingBases(scheduleId)).vestedAmount);
+
+            await sdk.amend(vesting, scheduleId, { vestingDuration: VESTING_DURATION * 2 });
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.totalAmount.formatted).to.equal("1500.0");
+            expect(view.endDate.getTime() / 1000).to.equal(startTime + VESTING_DURATION * 2);
+            expect(view.nextUnlock.amount.raw).to.be.greaterThan(0n);
+        });
+    });
+});
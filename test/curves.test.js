@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { compileUnlockTable, checkpointVestedAmount, previewUnlockTimeline } = require("../sdk/curves");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Unlock curves", function () {
+    const DAY = 24 * 60 * 60;
+    const utc = (iso) => Date.parse(iso) / 1000;
+
+    describe("compileUnlockTable", function () {
+        it("Should compile a typical investor table", function () {
+            const checkpoints = compileUnlockTable(
+                "10% at TGE\n0% for 6 months\n5% monthly",
+                { tge: "2026-01-15T00:00:00Z" }
+            );
+
+            expect(checkpoints.slice(0, 5)).to.deep.equal([
+                { timestamp: utc("2026-01-15T00:00:00Z"), basisPoints: 1000 },
+                { timestamp: utc("2026-08-15T00:00:00Z"), basisPoints: 1000 },
+                { timestamp: utc("2026-08-15T00:00:00Z"), basisPoints: 1500 },
+                { timestamp: utc("2026-09-15T00:00:00Z"), basisPoints: 1500 },
+                { timestamp: utc("2026-09-15T00:00:00Z"), basisPoints: 2000 }
+            ]);
+            expect(checkpoints[checkpoints.length - 1]).to.deep.equal({
+                timestamp: utc("2028-01-15T00:00:00Z"),
+                basisPoints: 10000
+            });
+        });
+
+        it("Should keep month-end dates on the last day of shorter months", function () {
+            const checkpoints = compileUnlockTable(["25% monthly"], { tge: "2026-01-31T00:00:00Z" });
+            const dates = checkpoints
+                .filter((checkpoint, i) => i > 0 && checkpoint.basisPoints !== checkpoints[i - 1].basisPoints)
+                .map((checkpoint) => new Date(checkpoint.timestamp * 1000).toISOString().slice(0, 10));
+
+            expect(dates).to.deep.equal(["2026-02-28", "2026-03-31", "2026-04-30", "2026-05-31"]);
+        });
+
+        it("Should support linear ramps, fixed dates, bounded repeats and comments", function () {
+            const tge = utc("2026-01-01T00:00:00Z");
+            const checkpoints = compileUnlockTable([
+                "20% at TGE  # listing",
+                "wait 1 year",
+                "30% linearly over 2 quarters",
+                "10% every 2 weeks for 4 weeks",
+                "30% at 2028-01-01T00:00:00Z"
+            ], { tge: new Date(tge * 1000) });
+
+            const afterYear = utc("2027-01-01T00:00:00Z");
+            const afterRamp = utc("2027-07-01T00:00:00Z");
+            expect(checkpoints).to.deep.equal([
+                { timestamp: tge, basisPoints: 2000 },
+                { timestamp: afterYear, basisPoints: 2000 },
+                { timestamp: afterRamp, basisPoints: 5000 },
+                { timestamp: afterRamp + 14 * DAY, basisPoints: 5000 },
+                { timestamp: afterRamp + 14 * DAY, basisPoints: 6000 },
+                { timestamp: afterRamp + 28 * DAY, basisPoints: 6000 },
+                { timestamp: afterRamp + 28 * DAY, basisPoints: 7000 },
+                { timestamp: utc("2028-01-01T00:00:00Z"), basisPoints: 7000 },
+                { timestamp: utc("2028-01-01T00:00:00Z"), basisPoints: 10000 }
+            ]);
+        });
+
+        it("Should cap the last repeated step at 100%", function () {
+            const checkpoints = compileUnlockTable("30% quarterly", { tge: "2026-01-01T00:00:00Z" });
+
+            expect(checkpoints.map((checkpoint) => checkpoint.basisPoints)).to.deep.equal([
+                0, 0, 3000, 3000, 6000, 6000, 9000, 9000, 10000
+            ]);
+        });
+
+        it("Should explain tables it cannot compile", function () {
+            const tge = "2026-01-01T00:00:00Z";
+
+            expect(() => compileUnlockTable("10% at TGE\n50% monthly for 1 month", { tge }))
+                .to.throw("Unlock table only reaches 60%, expected 100%");
+            expect(() => compileUnlockTable("60% at TGE\n50% after 1 month", { tge }))
+                .to.throw('line 2 ("50% after 1 month"): unlocks more than 100%');
+            expect(() => compileUnlockTable("10% at TGE\nsome tokens soon", { tge }))
+                .to.throw('line 2 ("some tokens soon"): unrecognized rule');
+            expect(() => compileUnlockTable("wait 1 month\n10% at TGE", { tge }))
+                .to.throw('"at TGE" must come before any waiting');
+            expect(() => compileUnlockTable("12.345% at TGE", { tge }))
+                .to.throw("invalid percentage");
+        });
+
+        it("Should refuse tables that need more checkpoints than a schedule can have", function () {
+            const tge = "2026-01-01T00:00:00Z";
+
+            // 0.25% weekly is 400 jumps of 2 checkpoints each
+            expect(() => compileUnlockTable("10% at TGE\n0.25% weekly", { tge }))
+                .to.throw('line 2 ("0.25% weekly"): needs more than 256 checkpoints');
+
+            // Each ramp adds 1 checkpoint after the 0% start, which a jump at the TGE replaces
+            const ramps = (count) => Array(count - 1).fill("0.39% linearly over 1 week")
+                .concat(`${(10000 - (count - 1) * 39) / 100}% linearly over 1 week`);
+            expect(compileUnlockTable(ramps(255), { tge })).to.have.lengthOf(256);
+            expect(compileUnlockTable(["0.39% at TGE", ...ramps(256).slice(1)], { tge })).to.have.lengthOf(256);
+            expect(() => compileUnlockTable(ramps(256), { tge }))
+                .to.throw('line 256 ("0.55% linearly over 1 week"): needs more than 256 checkpoints');
+        });
+    });
+
+    describe("previewUnlockTimeline", function () {
+        it("Should list each change with cumulative and added amounts", function () {
+            const tge = utc("2026-01-01T00:00:00Z");
+            const checkpoints = compileUnlockTable("10% at TGE\n0% for 6 months\n90% linearly over 1 year", { tge });
+
+            const timeline = previewUnlockTimeline(checkpoints, ethers.parseEther("1000"));
+
+            expect(timeline.map(({ date, unlocked, change, linear }) => [date.toISOString(), unlocked, change, linear])).to.deep.equal([
+                ["2026-01-01T00:00:00.000Z", ethers.parseEther("100"), ethers.parseEther("100"), false],
+                ["2027-07-01T00:00:00.000Z", ethers.parseEther("1000"), ethers.parseEther("900"), true]
+            ]);
+        });
+    });
+
+    describe("On-chain parity", function () {
+        let tokenVesting;
+        let mockToken;
+        let creator;
+        let beneficiary;
+
+        beforeEach(async function () {
+            [, creator, beneficiary] = await ethers.getSigners();
+
+            const MockToken = await ethers.getContractFactory("MockToken");
+            mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+            await mockToken.transfer(creator.address, ethers.parseEther("1000"));
+
+            const TokenVesting = await tokenVestingFactory();
+            tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, creator);
+        });
+
+        it("Should vest exactly what the JS model predicts", async function () {
+            const tge = await time.latest() + 100;
+            const totalAmount = ethers.parseEther("777");
+            const checkpoints = compileUnlockTable(
+                "12.5% at TGE\n0% for 1 month\n17.5% linearly over 3 months\n10% every 2 weeks",
+                { tge }
+            );
+            const { scheduleId } = await sdk.createCheckpointSchedule(tokenVesting, {
+                beneficiary: beneficiary.address,
+                token: mockToken.target,
+                amount: totalAmount,
+                checkpoints,
+                revocable: false
+            });
+
+            const end = checkpoints[checkpoints.length - 1].timestamp;
+            for (let at = tge - 1; at <= end + 1; at += 7 * DAY + 12345) {
+                await time.increaseTo(at);
+                expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(checkpointVestedAmount(checkpoints, totalAmount, at));
+            }
+        });
+
+        it("Should report the next unlock of a curve schedule", async function () {
+            const tge = await time.latest() + 100;
+            const checkpoints = compileUnlockTable("10% at TGE\n0% for 6 months\n30% monthly", { tge });
+            const { scheduleId } = await sdk.createCheckpointSchedule(tokenVesting, {
+                beneficiary: beneficiary.address,
+                token: mockToken.target,
+                amount: "1000",
+                checkpoints
+            });
+
+            let view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.checkpoints).to.deep.equal(checkpoints);
+            expect(view.nextUnlock.date.getTime()).to.equal(tge * 1000);
+            expect(view.nextUnlock.amount.formatted).to.equal("100.0");
+
+            await time.increaseTo(tge);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.nextUnlock.date.getTime()).to.equal(checkpoints[2].timestamp * 1000);
+            expect(view.nextUnlock.amount.formatted).to.equal("300.0");
+        });
+    });
+});
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    readDeployment,
+    resolveAddress,
+    resolveInstance,
+    resolveVesting,
+    UPGRADE_OPTIONS,
+    deployTokenVestingLogic,
+    getTokenVestingFactory,
+    revocationGracePeriodFromEnv,
+    applyRevocationGracePeriod,
+    recordContract,
+    recordProxy,
+    buildManifest,
+    writeDeployment,
+    recordInstance,
+    recordUpgrade
+} = require("../sdk/deployments");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Deployment manifests", function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployAndBuildManifest() {
+        const [deployer] = await ethers.getSigners();
+        const logic = await deployTokenVestingLogic(hre);
+        const tokenVesting = await (await getTokenVestingFactory(hre, logic.target)).deploy();
+        const mockTokenArgs = ["Test Token", "TEST", ethers.parseEther("1000000")];
+        const mockToken = await (await ethers.getContractFactory("MockToken")).deploy(...mockTokenArgs);
+
+        const manifest = await buildManifest(hre, deployer.address, {
+            TokenVestingLogic: await recordContract(logic),
+            TokenVesting: await recordContract(tokenVesting),
+            MockToken: await recordContract(mockToken, mockTokenArgs)
+        });
+        return { manifest, deployer, logic, tokenVesting, mockToken };
+    }
+
+    it("Should record addresses, transactions, compiler settings and constructor args", async function () {
+        const { manifest, deployer, logic, tokenVesting, mockToken } = await deployAndBuildManifest();
+
+        expect(manifest.network).to.equal("hardhat");
+        expect(manifest.chainId).to.equal(31337);
+        expect(manifest.deployer).to.equal(deployer.address);
+        expect(manifest.compiler.version).to.match(/^0\.8\.20\+commit/);
+        expect(manifest.compiler.optimizer).to.deep.equal({ enabled: true, runs: 200 });
+
+        const vestingEntry = manifest.contracts.TokenVesting;
+        const receipt = await tokenVesting.deploymentTransaction().wait();
+        expect(vestingEntry.address).to.equal(tokenVesting.target);
+        expect(vestingEntry.txHash).to.equal(receipt.hash);
+        expect(vestingEntry.blockNumber).to.equal(receipt.blockNumber);
+        expect(vestingEntry.constructorArgs).to.deep.equal([]);
+
+        // TokenVesting calls the recorded library
+        expect(manifest.contracts.TokenVestingLogic.address).to.equal(logic.target);
+        const vestingCode = await ethers.provider.getCode(tokenVesting.target);
+        expect(vestingCode).to.include(logic.target.slice(2).toLowerCase());
+
+        expect(manifest.contracts.MockToken.address).to.equal(mockToken.target);
+        expect(manifest.contracts.MockToken.constructorArgs).to.deep.equal([
+            "Test Token",
+            "TEST",
+            "1000000000000000000000000"
+        ]);
+    });
+
+    it("Should write a manifest that address resolution reads back", async function () {
+        const { manifest, tokenVesting } = await deployAndBuildManifest();
+
+        writeDeployment("localhost", manifest, { dir });
+
+        expect(readDeployment("localhost", dir)).to.deep.equal(manifest);
+        expect(resolveAddress("localhost", "TokenVesting", dir)).to.equal(tokenVesting.target);
+        expect(readDeployment("amoy", dir)).to.be.null;
+    });
+
+    it("Should refuse to overwrite an existing manifest without the flag", async function () {
+        const { manifest } = await deployAndBuildManifest();
+        writeDeployment("localhost", manifest, { dir });
+
+        const replacement = { ...manifest, deployer: ethers.ZeroAddress };
+        expect(() => writeDeployment("localhost", replacement, { dir })).to.throw("OVERWRITE_DEPLOYMENT=true");
+        expect(readDeployment("localhost", dir).deployer).to.equal(manifest.deployer);
+
+        writeDeployment("localhost", replacement, { dir, overwrite: true });
+        expect(readDeployment("localhost", dir).deployer).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should record factory instances and resolve them by name", async function () {
+        const { manifest, tokenVesting } = await deployAndBuildManifest();
+        const instance = { address: ethers.Wallet.createRandom().address, blockNumber: 42 };
+        expect(() => recordInstance("localhost", "acme", instance, { dir })).to.throw("Deploy the factory first");
+
+        writeDeployment("localhost", manifest, { dir });
+        recordInstance("localhost", "acme", instance, { dir });
+
+        expect(readDeployment("localhost", dir).contracts).to.deep.equal(manifest.contracts);
+        expect(resolveInstance("localhost", "acme", dir)).to.deep.equal(instance);
+        expect(() => resolveInstance("localhost", "other", dir)).to.throw('No TokenVesting instance "other"');
+        expect(() => recordInstance("localhost", "acme", instance, { dir })).to.throw("already recorded");
+
+        expect(resolveVesting("localhost", { instance: "acme" }, dir)).to.deep.equal(instance);
+        expect(resolveVesting("localhost", {}, dir).address).to.equal(tokenVesting.target);
+        expect(resolveVesting("localhost", { vesting: instance.address }, dir).blockNumber).to.be.null;
+    });
+
+    it("Should record proxies and their upgrades", async function () {
+        const [deployer] = await ethers.getSigners();
+        const TokenVesting = await tokenVestingFactory();
+        const proxy = await hre.upgrades.deployProxy(TokenVesting, [deployer.address], {
+            ...UPGRADE_OPTIONS,
+            initializer: "initialize"
+        });
+
+        const entry = await recordProxy(hre, proxy, [deployer.address]);
+        expect(entry.address).to.equal(proxy.target);
+        expect(entry.proxyKind).to.equal("transparent");
+        expect(entry.implementation).to.equal(await hre.upgrades.erc1967.getImplementationAddress(proxy.target));
+        expect(entry.proxyAdmin).to.equal(await hre.upgrades.erc1967.getAdminAddress(proxy.target));
+        expect(entry.initializerArgs).to.deep.equal([deployer.address]);
+
+        const plain = await (await ethers.getContractFactory("MockToken")).deploy("Test Token", "TEST", 1);
+        const manifest = await buildManifest(hre, deployer.address, {
+            TokenVesting: entry,
+            MockToken: await recordContract(plain, ["Test Token", "TEST", 1n])
+        });
+        writeDeployment("localhost", manifest, { dir });
+
+        const next = ethers.Wallet.createRandom().address;
+        recordUpgrade("localhost", "TokenVesting", { implementation: next, contract: "TokenVesting", txHash: null }, { dir });
+        const upgraded = readDeployment("localhost", dir).contracts.TokenVesting;
+        expect(upgraded.implementation).to.equal(next);
+        expect(upgraded.upgrades).to.have.length(1);
+        expect(upgraded.upgrades[0]).to.include({ from: entry.implementation, to: next, contract: "TokenVesting" });
+        expect(resolveAddress("localhost", "TokenVesting", dir)).to.equal(proxy.target);
+
+        // An upgrade linked against a new library records it in place of the old one
+        const logic = await recordContract(await deployTokenVestingLogic(hre));
+        recordUpgrade("localhost", "TokenVesting", { implementation: next, contract: "TokenVesting", txHash: null, logic }, { dir });
+        expect(readDeployment("localhost", dir).contracts.TokenVestingLogic).to.deep.equal(logic);
+
+        expect(() => recordUpgrade("localhost", "MockToken", { implementation: next }, { dir }))
+            .to.throw("not recorded as a proxy");
+    });
+
+    it("Should require revocation notice on new deployments unless opted out explicitly", async function () {
+        expect(revocationGracePeriodFromEnv({})).to.equal(30n * 24n * 60n * 60n);
+        expect(revocationGracePeriodFromEnv({ REVOCATION_GRACE_PERIOD: "0" })).to.equal(0n);
+        expect(revocationGracePeriodFromEnv({ REVOCATION_GRACE_PERIOD: "86400" })).to.equal(86400n);
+        expect(() => revocationGracePeriodFromEnv({ REVOCATION_GRACE_PERIOD: "7d" })).to.throw("invalid REVOCATION_GRACE_PERIOD");
+
+        const { tokenVesting } = await deployAndBuildManifest();
+        await applyRevocationGracePeriod(tokenVesting, revocationGracePeriodFromEnv({}));
+        expect(await tokenVesting.revocationGracePeriod()).to.equal(30n * 24n * 60n * 60n);
+    });
+
+    it("Should not resolve anything from the unverified record of the original Amoy deployment", function () {
+        const legacy = require("../deployments/amoy.legacy.json");
+        expect(legacy.unverified).to.include("do not read this file");
+
+        expect(readDeployment("amoy")).to.be.null;
+        expect(() => resolveAddress("amoy", "LegacyTokenVesting")).to.throw("No LegacyTokenVesting address recorded");
+        expect(() => resolveAddress("amoy", "MockToken")).to.throw("No MockToken address recorded");
+    });
+});
@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { NATIVE_TOKEN, Roles } = sdk;
+
+describe("Emergency controls", function () {
+    let tokenVesting;
+    let mockToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const DAY = 24 * 60 * 60;
+    const MAX_PAUSE_DURATION = 30 * DAY;
+    const PAUSE_COOLDOWN = 7 * DAY;
+    const SHUTDOWN_NOTICE_PERIOD = 30 * DAY;
+    const CLIFF_DURATION = 30 * DAY;
+    const VESTING_DURATION = 360 * DAY;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, owner);
+        await mockToken.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+        await mockToken.approve(tokenVesting.target, ethers.MaxUint256);
+
+        startTime = await time.latest() + 100;
+    });
+
+    function createSchedule(signer, recipient, { token = mockToken.target, revocable = true, value } = {}) {
+        return tokenVesting.connect(signer).createVestingSchedule(
+            recipient,
+            token,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            revocable,
+            0,
+            value === undefined ? {} : { value }
+        );
+    }
+
+    describe("Bounded pause", function () {
+        it("Should lift a pause MAX_PAUSE_DURATION after it started", async function () {
+            expect(await tokenVesting.MAX_PAUSE_DURATION()).to.equal(MAX_PAUSE_DURATION);
+            await createSchedule(creator, beneficiary.address);
+            await time.increaseTo(startTime + CLIFF_DURATION);
+
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+            expect(await tokenVesting.pauseEndTime()).to.equal(pausedAt + MAX_PAUSE_DURATION);
+            await expect(tokenVesting.connect(beneficiary).claimTokens(0))
+                .to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+
+            await time.increaseTo(pausedAt + MAX_PAUSE_DURATION - 2);
+            expect(await tokenVesting.paused()).to.be.true;
+            await expect(tokenVesting.connect(beneficiary).claimTokens(0))
+                .to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            expect(await tokenVesting.paused()).to.be.false;
+            expect(await mockToken.balanceOf(beneficiary.address)).to.be.greaterThan(0);
+        });
+
+        it("Should time every pause from its own start", async function () {
+            await tokenVesting.pause();
+            await time.increase(10 * DAY);
+            await tokenVesting.unpause();
+            await time.increase(10 * DAY);
+
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+            await time.increaseTo(pausedAt + MAX_PAUSE_DURATION - 1);
+            expect(await tokenVesting.paused()).to.be.true;
+
+            await time.increaseTo(pausedAt + MAX_PAUSE_DURATION);
+            expect(await tokenVesting.paused()).to.be.false;
+        });
+
+        it("Should let pausers unpause a pause that has lapsed", async function () {
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+            await time.increase(MAX_PAUSE_DURATION + DAY);
+
+            await expect(tokenVesting.unpause()).to.emit(tokenVesting, "Unpaused");
+            expect(await tokenVesting.pauseEndTime()).to.equal(pausedAt + MAX_PAUSE_DURATION);
+            await expect(tokenVesting.unpause()).to.be.revertedWithCustomError(tokenVesting, "ExpectedPause");
+        });
+
+        it("Should make pausers wait PAUSE_COOLDOWN after a pause used up its time", async function () {
+            expect(await tokenVesting.PAUSE_COOLDOWN()).to.equal(PAUSE_COOLDOWN);
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+            await expect(tokenVesting.pause()).to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+
+            // A pause nobody unpaused ended when it lapsed
+            await time.setNextBlockTimestamp(pausedAt + MAX_PAUSE_DURATION + PAUSE_COOLDOWN - 1);
+            await expect(tokenVesting.pause()).to.be.revertedWith("Pause cooldown not over");
+            await time.setNextBlockTimestamp(pausedAt + MAX_PAUSE_DURATION + PAUSE_COOLDOWN);
+            await expect(tokenVesting.pause()).to.emit(tokenVesting, "Paused");
+            expect(await tokenVesting.paused()).to.be.true;
+        });
+
+        it("Should let a pause after an early unpause use the rest of the pause time", async function () {
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+            await time.setNextBlockTimestamp(pausedAt + DAY);
+            await tokenVesting.unpause();
+            expect(await tokenVesting.unusedPauseTime()).to.equal(MAX_PAUSE_DURATION - DAY);
+
+            // The second pause gets what the first one left, without waiting for the cooldown
+            await time.setNextBlockTimestamp(pausedAt + 2 * DAY);
+            await expect(tokenVesting.pause()).to.emit(tokenVesting, "Paused");
+            const repausedAt = await time.latest();
+            expect(await tokenVesting.pauseEndTime()).to.equal(repausedAt + MAX_PAUSE_DURATION - DAY);
+            expect(await tokenVesting.unusedPauseTime()).to.equal(0);
+
+            // Once that is used up, the cooldown applies
+            const endTime = repausedAt + MAX_PAUSE_DURATION - DAY;
+            await time.increaseTo(endTime);
+            expect(await tokenVesting.paused()).to.be.false;
+            await expect(tokenVesting.pause()).to.be.revertedWith("Pause cooldown not over");
+            await time.setNextBlockTimestamp(endTime + PAUSE_COOLDOWN);
+            await tokenVesting.pause();
+            expect(await tokenVesting.pauseEndTime()).to.equal(endTime + PAUSE_COOLDOWN + MAX_PAUSE_DURATION);
+        });
+
+        it("Should give a full pause once the cooldown has passed after an early unpause", async function () {
+            await tokenVesting.pause();
+            await time.increase(DAY);
+            await tokenVesting.unpause();
+            const unpausedAt = await time.latest();
+
+            await time.setNextBlockTimestamp(unpausedAt + PAUSE_COOLDOWN);
+            await tokenVesting.pause();
+            expect(await tokenVesting.pauseEndTime()).to.equal(unpausedAt + PAUSE_COOLDOWN + MAX_PAUSE_DURATION);
+            expect(await tokenVesting.unusedPauseTime()).to.equal(0);
+        });
+
+        it("Should report when the pause lifts through the SDK", async function () {
+            expect(await sdk.getEmergencyState(tokenVesting))
+                .to.deep.equal({ paused: false, pausedUntil: null, nextPauseDate: null, unusedPauseTime: 0n, shutdownDate: null });
+
+            await tokenVesting.pause();
+            const pausedAt = await time.latest();
+
+            const state = await sdk.getEmergencyState(tokenVesting);
+            expect(state.paused).to.be.true;
+            expect(state.pausedUntil).to.deep.equal(new Date((pausedAt + MAX_PAUSE_DURATION) * 1000));
+
+            await tokenVesting.unpause();
+            const unpausedAt = await time.latest();
+            expect(await sdk.getEmergencyState(tokenVesting)).to.deep.include({
+                paused: false,
+                pausedUntil: null,
+                nextPauseDate: new Date((unpausedAt + PAUSE_COOLDOWN) * 1000),
+                unusedPauseTime: BigInt(MAX_PAUSE_DURATION - (unpausedAt - pausedAt))
+            });
+        });
+    });
+
+    describe("Shutdown", function () {
+        // Announces the shutdown and waits until it takes effect
+        async function shutDown() {
+            await tokenVesting.emergencyShutdown();
+            await time.increaseTo(await tokenVesting.shutdownTime());
+        }
+
+        it("Should only be announced once, by the default admin, SHUTDOWN_NOTICE_PERIOD ahead", async function () {
+            expect(await tokenVesting.SHUTDOWN_NOTICE_PERIOD()).to.equal(SHUTDOWN_NOTICE_PERIOD);
+            await tokenVesting.grantRole(Roles.PAUSER, otherAccount.address);
+            await expect(tokenVesting.connect(otherAccount).emergencyShutdown())
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+
+            const tx = tokenVesting.emergencyShutdown();
+            const shutdownTime = await time.latest() + 1 + SHUTDOWN_NOTICE_PERIOD;
+            await expect(tx).to.emit(tokenVesting, "EmergencyShutdown").withArgs(shutdownTime);
+            expect(await tokenVesting.shutdownTime()).to.equal(shutdownTime);
+
+            await expect(tokenVesting.emergencyShutdown()).to.be.revertedWith("Shutdown announced");
+        });
+
+        it("Should keep vesting and irrevocable schedules until the shutdown takes effect", async function () {
+            await createSchedule(creator, beneficiary.address, { revocable: false });
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * DAY);
+            await tokenVesting.emergencyShutdown();
+            const vestedAtAnnouncement = await tokenVesting.getVestedAmount(0);
+            const shutdownTime = Number(await tokenVesting.shutdownTime());
+
+            await time.increaseTo(shutdownTime - 2);
+            expect(await tokenVesting.getVestedAmount(0)).to.be.greaterThan(vestedAtAnnouncement);
+            await expect(tokenVesting.connect(creator).revokeVestingSchedule(0))
+                .to.be.revertedWith("Schedule is not revocable");
+
+            await time.increaseTo(shutdownTime + 10 * DAY);
+            const vested = VESTING_AMOUNT * BigInt(shutdownTime - startTime - CLIFF_DURATION) / BigInt(VESTING_DURATION - CLIFF_DURATION);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(vested);
+            await tokenVesting.connect(creator).revokeVestingSchedule(0);
+            expect(await mockToken.balanceOf(creator.address)).to.equal(ethers.parseEther("10000") - vested);
+        });
+
+        it("Should stop vesting and keep claims open, even while paused", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await time.increaseTo(startTime + CLIFF_DURATION + 60 * DAY);
+            await tokenVesting.emergencyShutdown();
+            const shutdownTime = await tokenVesting.shutdownTime();
+
+            // A pause started during the notice ends at the shutdown
+            await time.increase(10 * DAY);
+            await tokenVesting.pause();
+            expect(await tokenVesting.pauseEndTime()).to.equal(shutdownTime);
+
+            await time.increaseTo(shutdownTime);
+            const vested = await tokenVesting.getVestedAmount(0);
+            expect(await tokenVesting.paused()).to.be.false;
+
+            await time.increaseTo(startTime + VESTING_DURATION + DAY);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(vested);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(vested);
+        });
+
+        it("Should refuse new schedules, amendments and revocation announcements", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await tokenVesting.emergencyShutdown();
+
+            await expect(createSchedule(creator, beneficiary.address)).to.be.revertedWith("Shutdown announced");
+            await expect(tokenVesting.connect(creator).createCheckpointVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                [{ timestamp: startTime, basisPoints: 0 }, { timestamp: startTime + VESTING_DURATION, basisPoints: 10000 }],
+                true,
+                0
+            )).to.be.revertedWith("Shutdown announced");
+            await expect(tokenVesting.connect(creator).amendVestingSchedule(0, VESTING_AMOUNT * 2n, VESTING_DURATION))
+                .to.be.revertedWith("Shutdown announced");
+            await expect(tokenVesting.connect(creator).announceRevocation(0, startTime + 100 * DAY))
+                .to.be.revertedWith("Shutdown announced");
+        });
+
+        it("Should let creators revoke any schedule at once", async function () {
+            await createSchedule(creator, beneficiary.address, { revocable: false });
+            await createSchedule(creator, beneficiary.address);
+            await tokenVesting.setRevocationGracePeriod(30 * DAY);
+            await tokenVesting.connect(creator).announceRevocation(1, startTime + 200 * DAY);
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * DAY);
+
+            await expect(tokenVesting.connect(creator).revokeVestingSchedule(0))
+                .to.be.revertedWith("Schedule is not revocable");
+            await shutDown();
+
+            await expect(tokenVesting.connect(otherAccount).revokeVestingSchedule(0))
+                .to.be.revertedWith("Not the creator");
+            await tokenVesting.connect(creator).revokeVestingSchedule(0);
+            await tokenVesting.connect(creator).revokeVestingSchedule(1);
+
+            const vested = (await tokenVesting.getVestingSchedule(0)).totalAmount;
+            expect((await tokenVesting.getVestingSchedule(1)).totalAmount).to.equal(vested);
+            expect(await mockToken.balanceOf(creator.address)).to.equal(ethers.parseEther("10000") - vested * 2n);
+        });
+
+        it("Should wind down every schedule until nothing is locked", async function () {
+            await tokenVesting.grantRole(Roles.SCHEDULE_MANAGER, owner.address);
+            await tokenVesting.grantRole(Roles.REVOKER, owner.address);
+
+            await createSchedule(creator, beneficiary.address);
+            await createSchedule(creator, otherAccount.address, { revocable: false });
+            await tokenVesting.connect(creator).createCheckpointVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                [
+                    { timestamp: startTime, basisPoints: 2500 },
+                    { timestamp: startTime + VESTING_DURATION, basisPoints: 10000 }
+                ],
+                true,
+                0
+            );
+            await createSchedule(creator, beneficiary.address, { token: NATIVE_TOKEN, value: VESTING_AMOUNT });
+            await createSchedule(owner, otherAccount.address);
+            const schedules = [0n, 1n, 2n, 3n, 4n];
+
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * DAY);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            await tokenVesting.connect(creator).amendVestingSchedule(0, VESTING_AMOUNT / 2n, VESTING_DURATION * 2);
+            await tokenVesting.connect(creator).announceRevocation(2, startTime + VESTING_DURATION);
+            await time.increaseTo(startTime + CLIFF_DURATION + 90 * DAY);
+
+            await shutDown();
+            const vested = await Promise.all(schedules.map((id) => tokenVesting.getVestedAmount(id)));
+            await time.increaseTo(startTime + VESTING_DURATION * 2);
+
+            await tokenVesting.connect(beneficiary).claimAll(mockToken.target);
+            await tokenVesting.connect(otherAccount).claimAll(mockToken.target);
+            for (const id of [0n, 1n, 2n, 3n]) {
+                await tokenVesting.connect(creator).revokeVestingSchedule(id);
+            }
+            await tokenVesting.revokeVestingSchedule(4);
+            await tokenVesting.connect(beneficiary).claimTokens(3);
+
+            for (const id of schedules) {
+                const schedule = await tokenVesting.getVestingSchedule(id);
+                expect(schedule.totalAmount).to.equal(vested[id]);
+                expect(schedule.claimedAmount).to.equal(vested[id]);
+            }
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(0);
+            expect(await ethers.provider.getBalance(tokenVesting.target)).to.equal(0);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(vested[0] + vested[2]);
+            expect(await mockToken.balanceOf(otherAccount.address)).to.equal(vested[1] + vested[4]);
+            expect(await mockToken.balanceOf(creator.address))
+                .to.equal(ethers.parseEther("10000") - vested[0] - vested[1] - vested[2]);
+
+            // Only the company schedule's unvested tokens are left, as surplus
+            const surplus = VESTING_AMOUNT - vested[4];
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(surplus);
+            await tokenVesting.emergencyWithdraw(mockToken.target, surplus, owner.address);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(0);
+        });
+
+        it("Should stop unlocks in schedule views", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await time.increaseTo(startTime + CLIFF_DURATION + 30 * DAY);
+
+            const { shutdownTime } = await sdk.emergencyShutdown(tokenVesting);
+            expect((await sdk.getEmergencyState(tokenVesting)).shutdownDate).to.deep.equal(new Date(Number(shutdownTime) * 1000));
+            expect((await sdk.getScheduleView(tokenVesting, 0)).nextUnlock).to.not.be.null;
+            await time.increaseTo(shutdownTime + BigInt(DAY));
+
+            const view = await sdk.getScheduleView(tokenVesting, 0);
+            expect(view.nextUnlock).to.be.null;
+            const schedule = (await tokenVesting.getVestingSchedule(0)).toObject();
+            expect(sdk.vestedAmountAt({ ...schedule, shutdownTime }, BigInt(startTime + VESTING_DURATION)))
+                .to.equal(view.vestedAmount.raw);
+        });
+    });
+});
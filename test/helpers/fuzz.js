@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Small seeded PRNG (mulberry32) so every generated sequence can be replayed
+ * from its seed.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        bool: (probability = 0.5) => next() < probability,
+        pick: (items) => items[Math.floor(next() * items.length)],
+        weighted: (weights) => {
+            const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+            let roll = next() * total;
+            for (const [key, weight] of Object.entries(weights)) {
+                roll -= weight;
+                if (roll < 0) {
+                    return key;
+                }
+            }
+            return Object.keys(weights)[0];
+        }
+    };
+}
+
+/**
+ * Removes as many steps as possible from a failing sequence while
+ * `fails(steps)` keeps resolving to a failure (delta debugging).
+ * Returns the smallest failing sequence found and its failure.
+ */
+async function shrinkSequence(steps, fails) {
+    let current = steps;
+    let failure = await fails(current);
+    let chunkSize = Math.max(1, Math.floor(current.length / 2));
+
+    while (chunkSize >= 1) {
+        let removedAny = false;
+
+        for (let start = 0; start < current.length; start += chunkSize) {
+            const candidate = [...current.slice(0, start), ...current.slice(start + chunkSize)];
+            const candidateFailure = candidate.length > 0 ? await fails(candidate) : null;
+
+            if (candidateFailure) {
+                current = candidate;
+                failure = candidateFailure;
+                removedAny = true;
+                start -= chunkSize;
+            }
+        }
+
+        if (!removedAny) {
+            chunkSize = Math.floor(chunkSize / 2);
+        }
+    }
+
+    return { steps: current, failure };
+}
+
+function saveSeed(dir, record) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `seed-${record.seed}.json`);
+    fs.writeFileSync(file, JSON.stringify(record, null, 2));
+    return file;
+}
+
+function loadSeeds(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")) }));
+}
+
+module.exports = {
+    createRandom,
+    shrinkSequence,
+    saveSeed,
+    loadSeeds
+};
@@ -0,0 +1,14 @@
+const hre = require("hardhat");
+const { deployTokenVestingLogic, getTokenVestingFactory } = require("../../sdk/deployments");
+
+/**
+ * Returns the contract factory of TokenVesting, or of `contractName` when it
+ * builds on TokenVesting, linked against a newly deployed TokenVestingLogic
+ * library.
+ */
+async function tokenVestingFactory(contractName = "TokenVesting", signer) {
+    const logic = await deployTokenVestingLogic(hre, signer);
+    return getTokenVestingFactory(hre, await logic.getAddress(), { contractName, signer });
+}
+
+module.exports = { tokenVestingFactory };
@@ -0,0 +1,281 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { VestingIndexer } = require("../sdk/indexer");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("VestingIndexer", function () {
+    let tokenVesting;
+    let mockToken;
+    let otherToken;
+    let owner;
+    let creator;
+    let otherCreator;
+    let beneficiary;
+    let newBeneficiary;
+    let tmpDir;
+    let storePath;
+    let deployBlock;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, creator, otherCreator, beneficiary, newBeneficiary] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        otherToken = await MockToken.deploy("Other Token", "OTHER", ethers.parseEther("1000000"));
+        for (const account of [creator, otherCreator]) {
+            await mockToken.transfer(account.address, ethers.parseEther("10000"));
+            await otherToken.transfer(account.address, ethers.parseEther("10000"));
+        }
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = await TokenVesting.deploy();
+        deployBlock = (await tokenVesting.deploymentTransaction().wait()).blockNumber;
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+        storePath = path.join(tmpDir, "index.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function newIndexer(options = {}) {
+        return new VestingIndexer({ tokenVesting, storePath, startBlock: deployBlock, confirmations: 5, ...options });
+    }
+
+    async function createSchedule(from, token, to, startTime) {
+        await token.connect(from).approve(tokenVesting.target, VESTING_AMOUNT);
+        await tokenVesting.connect(from).createVestingSchedule(
+            to.address,
+            token.target,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            true,
+            1 // TransferPolicy.Free
+        );
+    }
+
+    async function transferSchedule(scheduleId, from, to) {
+        await tokenVesting.connect(from).proposeScheduleTransfer(scheduleId, to.address);
+        await tokenVesting.connect(to).acceptScheduleTransfer(scheduleId);
+    }
+
+    async function expectMatchesChain(indexer) {
+        const count = await tokenVesting.nextScheduleId();
+        for (let id = 0n; id < count; id++) {
+            const onChain = await tokenVesting.getVestingSchedule(id);
+            const indexed = indexer.getSchedule(id);
+            expect(indexed.beneficiary).to.equal(onChain.beneficiary);
+            expect(indexed.creator).to.equal(onChain.creator);
+            expect(indexed.token).to.equal(onChain.token);
+            expect(indexed.totalAmount).to.equal(onChain.totalAmount.toString());
+            expect(indexed.vestingDuration).to.equal(onChain.vestingDuration.toString());
+            expect(indexed.claimedAmount).to.equal(onChain.claimedAmount.toString());
+            expect(indexed.revoked).to.equal(onChain.revoked);
+            expect(indexed.transferPolicy).to.equal(Number(onChain.transferPolicy));
+
+            const pending = await tokenVesting.pendingTransfers(id);
+            expect(indexed.pendingTransfer).to.deep.equal(
+                pending.newBeneficiary === ethers.ZeroAddress ? null : { newBeneficiary: pending.newBeneficiary, approved: pending.approved }
+            );
+            const effectiveTime = (await tokenVesting.revocationTimes(id)).toString();
+            expect(indexed.pendingRevocation).to.deep.equal(
+                effectiveTime === "0" || onChain.revoked ? null : { effectiveTime }
+            );
+        }
+    }
+
+    it("Should rebuild schedule state from every indexed event", async function () {
+        const startTime = await time.latest() + 100;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+        await createSchedule(otherCreator, otherToken, beneficiary, startTime);
+        await createSchedule(creator, otherToken, newBeneficiary, startTime);
+
+        await time.increaseTo(startTime + VESTING_DURATION / 2);
+        await tokenVesting.connect(beneficiary).claimTokens(0);
+        await tokenVesting.connect(creator).revokeVestingSchedule(2);
+        await transferSchedule(1, beneficiary, newBeneficiary);
+        await tokenVesting.connect(otherCreator).amendVestingSchedule(1, VESTING_AMOUNT / 2n, VESTING_DURATION * 2);
+        await tokenVesting.connect(beneficiary).proposeScheduleTransfer(0, owner.address);
+        await mockToken.transfer(tokenVesting.target, ethers.parseEther("5"));
+        await tokenVesting.emergencyWithdraw(mockToken.target, ethers.parseEther("5"), owner.address);
+
+        const indexer = newIndexer();
+        const { fromBlock, rolledBackTo } = await indexer.sync();
+
+        expect(fromBlock).to.equal(deployBlock);
+        expect(rolledBackTo).to.be.null;
+        await expectMatchesChain(indexer);
+        // Creation details of transferred and revoked schedules are kept too
+        [creator, otherCreator, creator].forEach((scheduleCreator, id) => {
+            expect(indexer.getSchedule(id)).to.include({ creator: scheduleCreator.address, slicePeriodSeconds: "1", transferPolicy: 1 });
+        });
+        expect(indexer.getSchedule(1).amendments[0]).to.include({
+            oldTotalAmount: VESTING_AMOUNT.toString(),
+            newTotalAmount: (VESTING_AMOUNT / 2n).toString(),
+            oldVestingDuration: String(VESTING_DURATION),
+            newVestingDuration: String(VESTING_DURATION * 2),
+            vestedAmount: (await tokenVesting.vestingBases(1)).vestedAmount.toString()
+        });
+        expect(indexer.getWithdrawals({ token: mockToken.target })).to.have.length(1);
+        expect(indexer.getWithdrawals({ token: otherToken.target })).to.have.length(0);
+        expect(indexer.getShutdownTime()).to.be.null;
+
+        await tokenVesting.emergencyShutdown();
+        await indexer.sync();
+        expect(indexer.getShutdownTime()).to.equal(String(await time.latest() + 30 * 24 * 60 * 60));
+    });
+
+    it("Should answer queries by creator, token, beneficiary and status", async function () {
+        const startTime = await time.latest() + 100;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+        await createSchedule(otherCreator, otherToken, beneficiary, startTime);
+        await createSchedule(creator, otherToken, newBeneficiary, startTime);
+        await tokenVesting.connect(creator).revokeVestingSchedule(2);
+        await tokenVesting.connect(creator).announceRevocation(0, startTime + VESTING_DURATION / 2);
+        await tokenVesting.connect(otherCreator).announceRevocation(1, startTime + VESTING_DURATION / 2);
+        await tokenVesting.connect(otherCreator).cancelRevocation(1);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+        await expectMatchesChain(indexer);
+        const ids = (schedules) => schedules.map((schedule) => schedule.id);
+
+        expect(ids(indexer.getSchedules({ creator: creator.address }))).to.deep.equal(["0", "2"]);
+        expect(ids(indexer.getSchedules({ token: otherToken.target }))).to.deep.equal(["1", "2"]);
+        expect(ids(indexer.getSchedules({ beneficiary: beneficiary.address.toLowerCase() }))).to.deep.equal(["0", "1"]);
+        expect(ids(indexer.getSchedules({ creator: creator.address, token: otherToken.target }))).to.deep.equal(["2"]);
+        expect(ids(indexer.getSchedules({ status: "revoked" }))).to.deep.equal(["2"]);
+        expect(ids(indexer.getSchedules({ pendingRevocation: true }))).to.deep.equal(["0"]);
+        expect(ids(indexer.getSchedules({ status: "pending", now: startTime - 1 }))).to.deep.equal(["0", "1"]);
+        expect(ids(indexer.getSchedules({ status: "vesting", now: startTime + CLIFF_DURATION + 1 }))).to.deep.equal(["0", "1"]);
+
+        // Schedule 0 stops vesting once its announced revocation takes effect
+        const effective = startTime + VESTING_DURATION / 2;
+        expect(ids(indexer.getSchedules({ status: "revoked", now: effective }))).to.deep.equal(["0", "2"]);
+        expect(ids(indexer.getSchedules({ status: "vesting", now: effective }))).to.deep.equal(["1"]);
+    });
+
+    it("Should report schedules as shut down once a shutdown takes effect before their end", async function () {
+        const startTime = await time.latest() + 100;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+        await tokenVesting.emergencyShutdown();
+        const shutdownTime = Number(await tokenVesting.shutdownTime());
+
+        const indexer = newIndexer();
+        await indexer.sync();
+
+        expect(indexer.statusOf(indexer.getSchedule(0), shutdownTime - 1)).to.equal("cliff");
+        expect(indexer.statusOf(indexer.getSchedule(0), shutdownTime)).to.equal("shutdown");
+        expect(indexer.statusOf(indexer.getSchedule(0), startTime + VESTING_DURATION)).to.equal("shutdown");
+        expect(indexer.getSchedules({ status: "shutdown", now: shutdownTime })).to.have.lengthOf(1);
+
+        await time.increaseTo(shutdownTime);
+        await tokenVesting.connect(creator).revokeVestingSchedule(0);
+        await indexer.sync();
+        expect(indexer.statusOf(indexer.getSchedule(0), shutdownTime)).to.equal("revoked");
+    });
+
+    it("Should flag schedules created before their token was removed from the allowlist", async function () {
+        const startTime = await time.latest() + 100;
+        await tokenVesting.setTokenAllowed(mockToken.target, true);
+        await tokenVesting.setTokenAllowed(otherToken.target, true);
+        await tokenVesting.setAllowlistMode(true, false);
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+        await createSchedule(creator, otherToken, beneficiary, startTime);
+        await tokenVesting.setTokenAllowed(mockToken.target, false);
+        await tokenVesting.setAllowlistMode(false, false);
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+
+        expect(indexer.getSchedules({ tokenRemoved: true }).map((schedule) => schedule.id)).to.deep.equal(["0"]);
+        expect(indexer.getSchedule(1).tokenRemoved).to.be.false;
+    });
+
+    it("Should resume from the last processed block", async function () {
+        const startTime = await time.latest() + 1000;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+
+        const first = newIndexer();
+        const { toBlock } = await first.sync();
+
+        await createSchedule(creator, mockToken, newBeneficiary, startTime);
+        await transferSchedule(0, beneficiary, newBeneficiary);
+
+        const resumed = newIndexer();
+        expect(resumed.lastBlock).to.equal(toBlock);
+        expect(resumed.getSchedules()).to.have.length(1);
+
+        const { fromBlock } = await resumed.sync();
+        expect(fromBlock).to.equal(toBlock + 1);
+        expect(resumed.getSchedules({ beneficiary: newBeneficiary.address })).to.have.length(2);
+        await expectMatchesChain(resumed);
+    });
+
+    it("Should roll back and replay after a reorg", async function () {
+        const startTime = await time.latest() + 1000;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+        const confirmedBlock = indexer.lastBlock;
+
+        // Index a block that is later dropped from the chain
+        const snapshot = await network.provider.send("evm_snapshot");
+        await transferSchedule(0, beneficiary, newBeneficiary);
+        await indexer.sync();
+        expect(indexer.getSchedule(0).beneficiary).to.equal(newBeneficiary.address);
+
+        // Replace it with a different history of the same height and beyond
+        await network.provider.send("evm_revert", [snapshot]);
+        await createSchedule(otherCreator, otherToken, beneficiary, startTime);
+        await mine(2);
+
+        const { rolledBackTo } = await indexer.sync();
+
+        expect(rolledBackTo).to.equal(confirmedBlock);
+        expect(indexer.getSchedule(0).beneficiary).to.equal(beneficiary.address);
+        expect(indexer.getSchedule(1).creator).to.equal(otherCreator.address);
+        await expectMatchesChain(indexer);
+    });
+
+    it("Should be runnable as the vesting:index task", async function () {
+        const startTime = await time.latest() + 100;
+        await createSchedule(creator, mockToken, beneficiary, startTime);
+        await createSchedule(otherCreator, mockToken, newBeneficiary, startTime);
+
+        const { schedules } = await hre.run("vesting:index", {
+            vesting: tokenVesting.target,
+            store: storePath,
+            fromBlock: deployBlock,
+            confirmations: 5,
+            creator: otherCreator.address
+        });
+
+        expect(schedules.map((schedule) => schedule.id)).to.deep.equal(["1"]);
+        expect(JSON.parse(fs.readFileSync(storePath, "utf8")).lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should refuse a store built for another contract", async function () {
+        await newIndexer().sync();
+
+        const TokenVesting = await tokenVestingFactory();
+        const other = await TokenVesting.deploy();
+
+        expect(() => new VestingIndexer({ tokenVesting: other, storePath })).to.throw(`indexes ${tokenVesting.target}`);
+    });
+});
@@ -0,0 +1,413 @@
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRandom, shrinkSequence, saveSeed, loadSeeds } = require("./helpers/fuzz");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+// FUZZ_RUNS and FUZZ_STEPS widen the search; FUZZ_SEED moves it to other
+// sequences. The default seed is fixed so every run checks the same ones
+const RUNS = Number(process.env.FUZZ_RUNS || 8);
+const STEPS = Number(process.env.FUZZ_STEPS || 30);
+const BASE_SEED = Number(process.env.FUZZ_SEED || 1);
+const SEEDS_DIR = path.join(__dirname, "fuzz-seeds");
+
+const DAY = 24 * 60 * 60;
+const ACTOR_COUNT = 4;
+
+const STEP_WEIGHTS = {
+    create: 20,
+    createCurve: 5,
+    claim: 20,
+    revoke: 10,
+    announceRevocation: 6,
+    cancelRevocation: 3,
+    amend: 8,
+    transfer: 10,
+    wait: 15,
+    pause: 4,
+    unpause: 6,
+    donate: 4,
+    withdraw: 6,
+    shutdown: 1
+};
+
+/**
+ * Steps only hold indexes and numbers, so a sequence stays meaningful as JSON
+ * and after steps are removed while shrinking. Schedule indexes are taken
+ * modulo the schedules that exist when the step runs.
+ */
+function generateStep(random) {
+    const type = random.weighted(STEP_WEIGHTS);
+    const amount = () => ethers.parseEther(String(random.int(1, 5000))).toString();
+
+    switch (type) {
+        case "create": {
+            const vestingDuration = random.int(1, 200) * DAY;
+            return {
+                type,
+                creator: random.int(0, ACTOR_COUNT - 1),
+                beneficiary: random.int(0, ACTOR_COUNT - 1),
+                token: random.int(0, 2),
+                amount: amount(),
+                startOffset: random.int(1, 30 * DAY),
+                cliffDuration: random.bool(0.3) ? 0 : random.int(0, vestingDuration),
+                vestingDuration,
+                slicePeriodSeconds: random.bool(0.5) ? 1 : random.int(1, 45) * DAY,
+                revocable: random.bool(0.7),
+                transferPolicy: random.int(0, 2)
+            };
+        }
+        case "createCurve": {
+            // Non-decreasing offsets and basis points, ending at 100%
+            let offset = random.int(1, 30 * DAY);
+            let basisPoints = 0;
+            const checkpoints = Array.from({ length: random.int(1, 5) }, () => {
+                offset += random.bool(0.3) ? 0 : random.int(1, 90 * DAY);
+                basisPoints = random.int(basisPoints, 10000);
+                return { offset, basisPoints };
+            });
+            checkpoints[checkpoints.length - 1].basisPoints = 10000;
+            return {
+                type,
+                creator: random.int(0, ACTOR_COUNT - 1),
+                beneficiary: random.int(0, ACTOR_COUNT - 1),
+                token: random.int(0, 2),
+                amount: amount(),
+                checkpoints,
+                revocable: random.bool(0.7),
+                transferPolicy: random.int(0, 2)
+            };
+        }
+        case "claim":
+        case "revoke":
+            // Mostly the authorized caller, sometimes a random actor
+            return { type, schedule: random.int(0, 99), caller: random.bool(0.8) ? null : random.int(0, ACTOR_COUNT - 1) };
+        case "announceRevocation":
+            return { type, schedule: random.int(0, 99), delay: random.int(0, 60 * DAY) };
+        case "cancelRevocation":
+            return { type, schedule: random.int(0, 99) };
+        case "amend":
+            // From half to one and a half times the total, extended by up to 90 days
+            return { type, schedule: random.int(0, 99), percent: random.int(50, 150), extension: random.bool(0.5) ? 0 : random.int(1, 90) * DAY };
+        case "transfer":
+            // Proposed by the beneficiary, then accepted, with or without the creator's approval
+            return { type, schedule: random.int(0, 99), to: random.int(0, ACTOR_COUNT - 1), approve: random.bool(0.7) };
+        case "wait":
+            return { type, seconds: random.int(1, 60 * DAY) };
+        case "donate":
+            return { type, token: random.int(0, 2), amount: amount() };
+        case "withdraw":
+            // Up to 110% of the surplus, so withdrawing locked tokens is attempted too
+            return { type, token: random.int(0, 2), percent: random.int(0, 110) };
+        default:
+            return { type };
+    }
+}
+
+function generateSequence(seed, length) {
+    const random = createRandom(seed);
+    return Array.from({ length }, () => generateStep(random));
+}
+
+function isRevert(error) {
+    return /reverted/.test(error.message);
+}
+
+describe("TokenVesting invariants", function () {
+    this.timeout(10 * 60 * 1000);
+
+    async function deployFixture() {
+        const [owner, ...others] = await ethers.getSigners();
+        const actors = others.slice(0, ACTOR_COUNT);
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        const MockFeeToken = await ethers.getContractFactory("MockFeeToken");
+        const tokens = [
+            await MockToken.deploy("Token A", "TKA", ethers.parseEther("100000000")),
+            await MockToken.deploy("Token B", "TKB", ethers.parseEther("100000000")),
+            await MockFeeToken.deploy("Fee Token", "FEE", ethers.parseEther("100000000"), 250)
+        ];
+
+        const TokenVesting = await tokenVestingFactory();
+        const tokenVesting = await TokenVesting.deploy();
+        await tokenVesting.setDepositPolicy(tokens[2].target, 1);
+
+        for (const token of tokens) {
+            for (const actor of actors) {
+                await token.transfer(actor.address, ethers.parseEther("1000000"));
+                await token.connect(actor).approve(tokenVesting.target, ethers.MaxUint256);
+            }
+        }
+
+        return { tokenVesting, tokens, owner, actors };
+    }
+
+    async function resolveSchedule(tokenVesting, index) {
+        const count = await tokenVesting.nextScheduleId();
+        if (count === 0n) {
+            return null;
+        }
+        const id = BigInt(index) % count;
+        return { id, schedule: await tokenVesting.getVestingSchedule(id) };
+    }
+
+    function signerFor(actors, address) {
+        return actors.find((actor) => actor.address === address);
+    }
+
+    /**
+     * Runs one step. Reverts are expected for most invalid steps, except where
+     * the contract has no reason to refuse: those throw as failures.
+     */
+    async function applyStep(context, step) {
+        const { tokenVesting, tokens, owner, actors } = context;
+        let mustSucceed = false;
+
+        try {
+            switch (step.type) {
+                case "create": {
+                    const startTime = await time.latest() + step.startOffset;
+                    await tokenVesting.connect(actors[step.creator]).createVestingSchedule(
+                        actors[step.beneficiary].address,
+                        tokens[step.token].target,
+                        BigInt(step.amount),
+                        startTime,
+                        step.cliffDuration,
+                        step.vestingDuration,
+                        step.slicePeriodSeconds,
+                        step.revocable,
+                        step.transferPolicy
+                    );
+                    break;
+                }
+                case "createCurve": {
+                    const now = await time.latest();
+                    await tokenVesting.connect(actors[step.creator]).createCheckpointVestingSchedule(
+                        actors[step.beneficiary].address,
+                        tokens[step.token].target,
+                        BigInt(step.amount),
+                        step.checkpoints.map(({ offset, basisPoints }) => ({ timestamp: now + offset, basisPoints })),
+                        step.revocable,
+                        step.transferPolicy
+                    );
+                    break;
+                }
+                case "claim": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const beneficiary = signerFor(actors, resolved.schedule.beneficiary);
+                    const caller = step.caller === null ? beneficiary : actors[step.caller];
+                    mustSucceed = caller === beneficiary &&
+                        !(await tokenVesting.paused()) &&
+                        (await tokenVesting.getClaimableAmount(resolved.id)) > 0n;
+                    await tokenVesting.connect(caller).claimTokens(resolved.id);
+                    break;
+                }
+                case "revoke": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const creator = signerFor(actors, resolved.schedule.creator);
+                    const caller = step.caller === null ? creator : actors[step.caller];
+                    const revocationTime = await tokenVesting.revocationTimes(resolved.id);
+                    mustSucceed = caller === creator &&
+                        !(await tokenVesting.paused()) &&
+                        resolved.schedule.revocable &&
+                        !resolved.schedule.revoked &&
+                        BigInt(await time.latest() + 1) >= revocationTime;
+                    await tokenVesting.connect(caller).revokeVestingSchedule(resolved.id);
+                    break;
+                }
+                case "announceRevocation": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const creator = signerFor(actors, resolved.schedule.creator);
+                    const revocationTime = await tokenVesting.revocationTimes(resolved.id);
+                    const now = await time.latest() + 1;
+                    mustSucceed = !(await tokenVesting.paused()) &&
+                        (await tokenVesting.shutdownTime()) === 0n &&
+                        resolved.schedule.revocable &&
+                        !resolved.schedule.revoked &&
+                        (revocationTime === 0n || BigInt(now) < revocationTime);
+                    await tokenVesting.connect(creator).announceRevocation(resolved.id, now + step.delay);
+                    break;
+                }
+                case "cancelRevocation": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const creator = signerFor(actors, resolved.schedule.creator);
+                    mustSucceed = !(await tokenVesting.paused()) &&
+                        BigInt(await time.latest() + 1) < await tokenVesting.revocationTimes(resolved.id);
+                    await tokenVesting.connect(creator).cancelRevocation(resolved.id);
+                    break;
+                }
+                case "amend": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const { schedule } = resolved;
+                    const creator = signerFor(actors, schedule.creator);
+                    const totalAmount = schedule.totalAmount * BigInt(step.percent) / 100n;
+                    const vestingDuration = schedule.vestingDuration + BigInt(step.extension);
+                    // Reductions may race the vested amount, and fee-token top-ups arrive short
+                    mustSucceed = !(await tokenVesting.paused()) &&
+                        (await tokenVesting.shutdownTime()) === 0n &&
+                        !schedule.revoked &&
+                        (await tokenVesting.getScheduleCheckpoints(resolved.id)).length === 0 &&
+                        (await tokenVesting.revocationTimes(resolved.id)) === 0n &&
+                        (schedule.revocable || step.extension === 0) &&
+                        totalAmount >= schedule.totalAmount &&
+                        (totalAmount === schedule.totalAmount || schedule.token !== tokens[2].target);
+                    await tokenVesting.connect(creator).amendVestingSchedule(resolved.id, totalAmount, vestingDuration);
+                    break;
+                }
+                case "transfer": {
+                    const resolved = await resolveSchedule(tokenVesting, step.schedule);
+                    if (!resolved) {
+                        return;
+                    }
+                    const beneficiary = signerFor(actors, resolved.schedule.beneficiary);
+                    const recipient = actors[step.to];
+                    const policy = Number(resolved.schedule.transferPolicy);
+                    mustSucceed = !(await tokenVesting.paused()) &&
+                        !resolved.schedule.revoked &&
+                        recipient !== beneficiary &&
+                        (policy === 1 || (policy === 2 && step.approve));
+                    await tokenVesting.connect(beneficiary).proposeScheduleTransfer(resolved.id, recipient.address);
+                    if (policy === 2 && step.approve) {
+                        const creator = signerFor(actors, resolved.schedule.creator);
+                        await tokenVesting.connect(creator).approveScheduleTransfer(resolved.id, recipient.address);
+                    }
+                    await tokenVesting.connect(recipient).acceptScheduleTransfer(resolved.id);
+                    break;
+                }
+                case "wait":
+                    await time.increase(step.seconds);
+                    break;
+                case "pause":
+                    await tokenVesting.pause();
+                    break;
+                case "unpause":
+                    await tokenVesting.unpause();
+                    break;
+                case "shutdown":
+                    mustSucceed = (await tokenVesting.shutdownTime()) === 0n;
+                    await tokenVesting.emergencyShutdown();
+                    break;
+                case "donate":
+                    await tokens[step.token].transfer(tokenVesting.target, BigInt(step.amount));
+                    break;
+                case "withdraw": {
+                    const token = tokens[step.token];
+                    const surplus = (await token.balanceOf(tokenVesting.target)) -
+                        (await tokenVesting.totalLockedTokens(token.target));
+                    const amount = surplus * BigInt(step.percent) / 100n;
+                    mustSucceed = amount <= surplus;
+                    await tokenVesting.emergencyWithdraw(token.target, amount, owner.address);
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown step type ${step.type}`);
+            }
+        } catch (error) {
+            if (!isRevert(error) || mustSucceed) {
+                throw error;
+            }
+        }
+    }
+
+    async function checkInvariants({ tokenVesting, tokens, actors }, vestedBefore) {
+        const count = await tokenVesting.nextScheduleId();
+        const outstanding = new Map(tokens.map((token) => [token.target, 0n]));
+        const held = new Map(actors.map((actor) => [actor.address, []]));
+
+        for (let id = 0n; id < count; id++) {
+            const schedule = await tokenVesting.getVestingSchedule(id);
+            const vested = await tokenVesting.getVestedAmount(id);
+
+            if (schedule.claimedAmount > vested || vested > schedule.totalAmount) {
+                throw new Error(
+                    `Schedule ${id}: claimed ${schedule.claimedAmount}, vested ${vested}, total ${schedule.totalAmount}`
+                );
+            }
+            if (vested < (vestedBefore.get(id) || 0n)) {
+                throw new Error(`Schedule ${id}: vested amount fell from ${vestedBefore.get(id)} to ${vested}`);
+            }
+            vestedBefore.set(id, vested);
+            outstanding.set(schedule.token, outstanding.get(schedule.token) + schedule.totalAmount - schedule.claimedAmount);
+            held.get(schedule.beneficiary).push(id);
+        }
+
+        for (const token of tokens) {
+            const locked = await tokenVesting.totalLockedTokens(token.target);
+            const balance = await token.balanceOf(tokenVesting.target);
+
+            if (locked !== outstanding.get(token.target)) {
+                throw new Error(`${await token.symbol()}: locked ${locked}, outstanding ${outstanding.get(token.target)}`);
+            }
+            if (locked > balance) {
+                throw new Error(`${await token.symbol()}: locked ${locked} exceeds balance ${balance}`);
+            }
+        }
+
+        for (const actor of actors) {
+            const listed = [...await tokenVesting.getBeneficiarySchedules(actor.address)].sort((a, b) => (a < b ? -1 : 1));
+            const expected = held.get(actor.address);
+            if (listed.join() !== expected.join()) {
+                throw new Error(`Beneficiary list of ${actor.address}: [${listed}], expected [${expected}]`);
+            }
+        }
+    }
+
+    /**
+     * Replays a sequence on a fresh deployment, checking the invariants after
+     * every step. Resolves to null, or to the failing step and its message.
+     */
+    async function runSequence(steps) {
+        const context = await loadFixture(deployFixture);
+        const vestedBefore = new Map();
+
+        for (let i = 0; i < steps.length; i++) {
+            try {
+                await applyStep(context, steps[i]);
+                await checkInvariants(context, vestedBefore);
+            } catch (error) {
+                return { step: i, type: steps[i].type, message: error.message.split("\n")[0] };
+            }
+        }
+        return null;
+    }
+
+    it(`Should hold across ${RUNS} random sequences of ${STEPS} steps (base seed ${BASE_SEED})`, async function () {
+        for (let run = 0; run < RUNS; run++) {
+            const seed = BASE_SEED + run;
+            const steps = generateSequence(seed, STEPS);
+
+            if (await runSequence(steps)) {
+                const shrunk = await shrinkSequence(steps, runSequence);
+                const file = saveSeed(SEEDS_DIR, { seed, failure: shrunk.failure, steps: shrunk.steps });
+                expect.fail(
+                    `Seed ${seed} broke an invariant at step ${shrunk.failure.step} (${shrunk.failure.type}): ` +
+                    `${shrunk.failure.message}. Minimal sequence of ${shrunk.steps.length} step(s) saved to ${file}`
+                );
+            }
+        }
+    });
+
+    describe("Saved seeds", function () {
+        for (const { file, seed, steps } of loadSeeds(SEEDS_DIR)) {
+            it(`Should hold for seed ${seed} (${file})`, async function () {
+                expect(await runSequence(steps)).to.be.null;
+            });
+        }
+    });
+});
@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getTokenVesting, TransferPolicy } = require("../sdk");
+const { VestingIndexer } = require("../sdk/indexer");
+const {
+    getLegacyTokenVesting,
+    readLegacySchedules,
+    planImports,
+    toImportedSchedule,
+    importLegacySchedules,
+    diffMigration,
+    buildMigrationReport,
+    signMigrationReport,
+    verifyMigrationReport
+} = require("../sdk/migration");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Legacy migration", function () {
+    let legacy;
+    let tokenVesting;
+    let mockToken;
+    let otherToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let newBeneficiary;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 360 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, newBeneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        otherToken = await MockToken.deploy("Other Token", "OTHER", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+        await otherToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const MockLegacyTokenVesting = await ethers.getContractFactory("MockLegacyTokenVesting");
+        const legacyContract = await MockLegacyTokenVesting.deploy();
+        legacy = getLegacyTokenVesting(legacyContract.target, owner);
+
+        // #0 partly claimed, #1 in another token, #2 revoked after a claim, #3 transferred
+        startTime = await time.latest() + 100;
+        const tokens = [mockToken, otherToken, mockToken, mockToken];
+        for (const token of tokens) {
+            await token.connect(creator).approve(legacyContract.target, VESTING_AMOUNT);
+            await legacyContract.connect(creator).createVestingSchedule(
+                beneficiary.address,
+                token.target,
+                VESTING_AMOUNT,
+                startTime,
+                CLIFF_DURATION,
+                VESTING_DURATION,
+                true
+            );
+        }
+        await time.increaseTo(startTime + VESTING_DURATION / 3);
+        await legacyContract.connect(beneficiary).claimTokens(0);
+        await legacyContract.connect(beneficiary).claimTokens(2);
+        await time.increaseTo(startTime + VESTING_DURATION / 2);
+        await legacyContract.connect(creator).revokeVestingSchedule(2);
+        await legacyContract.connect(beneficiary).transferVestingSchedule(3, newBeneficiary.address);
+        await legacyContract.pause();
+
+        tokenVesting = getTokenVesting(
+            (await (await tokenVestingFactory()).deploy()).target,
+            owner
+        );
+    });
+
+    async function migrate(options = {}) {
+        const { schedules } = await readLegacySchedules(legacy);
+        const imports = await importLegacySchedules(tokenVesting, schedules, options);
+        return { schedules, imports };
+    }
+
+    describe("Reading the legacy contract", function () {
+        it("Should read every schedule and what vested before a revocation", async function () {
+            const { schedules } = await readLegacySchedules(legacy);
+
+            expect(schedules.map((schedule) => schedule.scheduleId)).to.deep.equal([0n, 1n, 2n, 3n]);
+            expect(schedules[1].token).to.equal(otherToken.target);
+            expect(schedules[3].beneficiary).to.equal(newBeneficiary.address);
+            expect(schedules[0].claimedAmount).to.be.greaterThan(0n);
+
+            const revoked = schedules[2];
+            expect(revoked.revoked).to.be.true;
+            expect(revoked.totalAmount).to.equal(VESTING_AMOUNT);
+            expect(revoked.vestedAtRevocation).to.be.greaterThan(revoked.claimedAmount);
+            expect(revoked.vestedAtRevocation).to.be.lessThan(VESTING_AMOUNT);
+            expect(schedules[0].vestedAtRevocation).to.be.null;
+        });
+
+        it("Should refuse revoked schedules whose revocation it cannot find", async function () {
+            const latest = await ethers.provider.getBlockNumber();
+
+            await expect(readLegacySchedules(legacy, { fromBlock: latest })).to.be.rejectedWith(
+                "No VestingScheduleRevoked event found for schedule 2"
+            );
+        });
+
+        it("Should plan one import per run of schedules in the same token", async function () {
+            const { schedules } = await readLegacySchedules(legacy);
+            expect(planImports(schedules, { chunkSize: 1 })).to.have.length(4);
+
+            const plan = planImports(schedules);
+            expect(plan.map((chunk) => chunk.token)).to.deep.equal([mockToken.target, otherToken.target, mockToken.target]);
+            expect(plan.map((chunk) => chunk.schedules.map((schedule) => schedule.scheduleId)))
+                .to.deep.equal([[0n], [1n], [2n, 3n]]);
+
+            const revoked = toImportedSchedule(schedules[2]);
+            expect(revoked.totalAmount).to.equal(schedules[2].vestedAtRevocation);
+            expect(revoked.transferPolicy).to.equal(TransferPolicy.FREE);
+            expect(plan[2].owedAmount).to.equal(
+                revoked.totalAmount - revoked.claimedAmount + VESTING_AMOUNT
+            );
+        });
+    });
+
+    describe("Importing", function () {
+        it("Should recreate schedules with their IDs, progress and vesting math", async function () {
+            const { schedules, imports } = await migrate({ chunkSize: 1 });
+            expect(imports).to.have.length(4);
+
+            for (const schedule of schedules) {
+                const migrated = await tokenVesting.getVestingSchedule(schedule.scheduleId);
+                expect(migrated.beneficiary).to.equal(schedule.beneficiary);
+                expect(migrated.creator).to.equal(creator.address);
+                expect(migrated.startTime).to.equal(schedule.startTime);
+                expect(migrated.cliffDuration).to.equal(CLIFF_DURATION);
+                expect(migrated.vestingDuration).to.equal(VESTING_DURATION);
+                expect(migrated.claimedAmount).to.equal(schedule.claimedAmount);
+                expect(migrated.transferPolicy).to.equal(TransferPolicy.FREE);
+            }
+            expect(await tokenVesting.getBeneficiarySchedules(newBeneficiary.address)).to.deep.equal([3n]);
+
+            await time.increaseTo(startTime + (VESTING_DURATION * 3) / 4);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(await legacy.getVestedAmount(0));
+            expect(await tokenVesting.getVestedAmount(3)).to.equal(await legacy.getVestedAmount(3));
+
+            // The amount the legacy contract stranded on revocation is claimable again
+            const revoked = schedules[2];
+            const before = await mockToken.balanceOf(beneficiary.address);
+            await tokenVesting.connect(beneficiary).claimTokens(2);
+            expect(await mockToken.balanceOf(beneficiary.address) - before)
+                .to.equal(revoked.vestedAtRevocation - revoked.claimedAmount);
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            await tokenVesting.connect(beneficiary).claimTokens(0);
+            expect((await tokenVesting.getVestingSchedule(0)).claimedAmount).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should lock exactly what is still owed", async function () {
+            const { schedules } = await migrate();
+            const owed = schedules
+                .filter((schedule) => schedule.token === mockToken.target)
+                .map((schedule) => toImportedSchedule(schedule))
+                .reduce((sum, schedule) => sum + schedule.totalAmount - schedule.claimedAmount, 0n);
+
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(owed);
+            expect(await mockToken.balanceOf(tokenVesting.target)).to.equal(owed);
+        });
+
+        it("Should resume an interrupted migration", async function () {
+            const { schedules } = await readLegacySchedules(legacy);
+            await importLegacySchedules(tokenVesting, schedules.slice(0, 2));
+
+            const imports = await importLegacySchedules(tokenVesting, schedules);
+            expect(imports.map((result) => result.fromScheduleId)).to.deep.equal(["2"]);
+            expect(await importLegacySchedules(tokenVesting, schedules)).to.deep.equal([]);
+            expect(await tokenVesting.nextScheduleId()).to.equal(4);
+        });
+
+        it("Should only let the default admin import, in sequence and fully funded", async function () {
+            const { schedules } = await readLegacySchedules(legacy);
+            const [first, second] = schedules.map((schedule) => toImportedSchedule(schedule));
+            await mockToken.approve(tokenVesting.target, ethers.MaxUint256);
+
+            await expect(tokenVesting.connect(otherAccount).importVestingSchedules(mockToken.target, [first]))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await expect(tokenVesting.importVestingSchedules(mockToken.target, [second]))
+                .to.be.revertedWith("Schedule ID out of sequence");
+            await expect(tokenVesting.importVestingSchedules(mockToken.target, []))
+                .to.be.revertedWith("Empty batch");
+            await expect(tokenVesting.importVestingSchedules(mockToken.target, [{ ...first, claimedAmount: VESTING_AMOUNT + 1n }]))
+                .to.be.revertedWith("Claimed amount exceeds total");
+
+            const feeToken = await (await ethers.getContractFactory("MockFeeToken"))
+                .deploy("Fee Token", "FEE", ethers.parseEther("1000000"), 100);
+            await feeToken.approve(tokenVesting.target, ethers.MaxUint256);
+            await tokenVesting.setDepositPolicy(feeToken.target, 1);
+            await expect(tokenVesting.importVestingSchedules(feeToken.target, [first]))
+                .to.be.revertedWith("Import must be fully funded");
+
+            await expect(tokenVesting.importVestingSchedules(mockToken.target, [first]))
+                .to.emit(tokenVesting, "VestingScheduleImported")
+                .withArgs(0, first.claimedAmount, false);
+        });
+
+        it("Should let imported schedules show up in the indexer", async function () {
+            await migrate();
+            const indexer = new VestingIndexer({ tokenVesting, confirmations: 1 });
+            await indexer.sync();
+
+            const revoked = indexer.getSchedule(2);
+            expect(revoked.revoked).to.be.true;
+            expect(revoked.claimedAmount).to.equal((await tokenVesting.getVestingSchedule(2)).claimedAmount.toString());
+            expect(indexer.getSchedule(3).beneficiary).to.equal(newBeneficiary.address);
+        });
+    });
+
+    describe("Reports", function () {
+        it("Should report a clean migration and sign it off", async function () {
+            const { schedules, imports } = await migrate();
+            const report = await buildMigrationReport(legacy, tokenVesting, { schedules, imports });
+
+            expect(report.ok).to.be.true;
+            expect(report.mismatches).to.deep.equal([]);
+            expect(report.legacy.paused).to.be.true;
+            expect(report.schedules).to.equal(4);
+            expect(report.revokedSchedules).to.equal(1);
+            expect(report.totals.map((total) => total.token)).to.deep.equal([mockToken.target, otherToken.target]);
+
+            const signed = await signMigrationReport(report, owner);
+            const written = JSON.parse(JSON.stringify(signed));
+            expect(verifyMigrationReport(written)).to.equal(owner.address);
+
+            written.mismatches.push({ scheduleId: "0", field: "claimedAmount" });
+            expect(() => verifyMigrationReport(written)).to.throw("does not match its sign-off");
+            expect(() => verifyMigrationReport(report)).to.throw("not signed");
+        });
+
+        it("Should list schedules that were imported differently or are missing", async function () {
+            const { schedules } = await readLegacySchedules(legacy);
+            const first = toImportedSchedule(schedules[0]);
+            await mockToken.approve(tokenVesting.target, ethers.MaxUint256);
+            await tokenVesting.importVestingSchedules(mockToken.target, [{ ...first, claimedAmount: 0n }]);
+
+            const { mismatches } = await diffMigration(legacy, tokenVesting, schedules.slice(0, 1));
+            expect(mismatches.map((mismatch) => mismatch.field)).to.deep.equal([
+                "nextScheduleId",
+                "claimedAmount",
+                `totalLockedTokens(${mockToken.target})`
+            ]);
+            expect(mismatches[1]).to.deep.equal({
+                scheduleId: "0",
+                field: "claimedAmount",
+                legacy: schedules[0].claimedAmount.toString(),
+                migrated: "0"
+            });
+        });
+    });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { NATIVE_TOKEN, TransferPolicy } = sdk;
+
+describe("Native currency schedules", function () {
+    let tokenVesting;
+    let mockToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("10");
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 360 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, owner);
+
+        startTime = await time.latest() + 100;
+    });
+
+    function createSchedule(signer, recipient, { value = VESTING_AMOUNT, revocable = true } = {}) {
+        return tokenVesting.connect(signer).createVestingSchedule(
+            recipient,
+            NATIVE_TOKEN,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            revocable,
+            TransferPolicy.DISABLED,
+            { value }
+        );
+    }
+
+    function balanceOf(account) {
+        return ethers.provider.getBalance(account);
+    }
+
+    describe("Creating", function () {
+        it("Should lock the value sent under NATIVE_TOKEN", async function () {
+            expect(await tokenVesting.NATIVE_TOKEN()).to.equal(NATIVE_TOKEN);
+
+            await expect(createSchedule(creator, beneficiary.address))
+                .to.emit(tokenVesting, "VestingScheduleCreated")
+                .withArgs(0, beneficiary.address, NATIVE_TOKEN, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, true);
+
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(VESTING_AMOUNT);
+            expect(await balanceOf(tokenVesting.target)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should require exactly the amount as value, and no value for tokens", async function () {
+            await expect(createSchedule(creator, beneficiary.address, { value: VESTING_AMOUNT - 1n }))
+                .to.be.revertedWith("Native amount does not match");
+            await expect(createSchedule(creator, beneficiary.address, { value: 0n }))
+                .to.be.revertedWith("Native amount does not match");
+
+            await mockToken.approve(tokenVesting.target, VESTING_AMOUNT);
+            await expect(tokenVesting.createVestingSchedule(
+                beneficiary.address, mockToken.target, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0,
+                { value: 1n }
+            )).to.be.revertedWith("Native currency not expected");
+        });
+
+        it("Should create batches and curves through the SDK", async function () {
+            await tokenVesting.connect(creator).createVestingSchedulesBatch(NATIVE_TOKEN, [
+                [beneficiary.address, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0],
+                [otherAccount.address, VESTING_AMOUNT * 2n, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0]
+            ], { value: VESTING_AMOUNT * 3n });
+
+            const { scheduleId } = await sdk.createCheckpointSchedule(tokenVesting.connect(creator), {
+                beneficiary: beneficiary.address,
+                token: NATIVE_TOKEN,
+                amount: "1.5",
+                checkpoints: [{ timestamp: startTime, basisPoints: 0 }, { timestamp: startTime + VESTING_DURATION, basisPoints: 10000 }]
+            });
+
+            expect(scheduleId).to.equal(2);
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(VESTING_AMOUNT * 3n + ethers.parseEther("1.5"));
+
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.token).to.deep.equal({ address: NATIVE_TOKEN, symbol: "ETH", decimals: 18 });
+            expect(view.totalAmount.formatted).to.equal("1.5");
+        });
+
+        it("Should describe native positions without token metadata", async function () {
+            const positions = await (await ethers.getContractFactory("VestingPositions")).deploy(tokenVesting.target);
+            await tokenVesting.setPositionNFT(positions.target);
+            await createSchedule(creator, beneficiary.address);
+
+            const metadata = await sdk.getPositionMetadata(tokenVesting, 0);
+            expect(metadata.description).to.match(/^Native currency vesting schedule 0/);
+            expect(metadata.attributes.find((attribute) => attribute.trait_type === "Total").value).to.equal("10");
+        });
+    });
+
+    describe("Paying out", function () {
+        it("Should pay claims in native currency", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await mockToken.approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.createVestingSchedule(
+                beneficiary.address, mockToken.target, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0
+            );
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            await expect(tokenVesting.connect(beneficiary).claimMany([0, 1]))
+                .to.changeEtherBalances([beneficiary, tokenVesting], [VESTING_AMOUNT, -VESTING_AMOUNT]);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(VESTING_AMOUNT);
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(0);
+        });
+
+        it("Should claim every native schedule with claimAll", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await createSchedule(owner, beneficiary.address);
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            await expect(tokenVesting.connect(beneficiary).claimAll(NATIVE_TOKEN))
+                .to.changeEtherBalance(beneficiary, VESTING_AMOUNT * 2n);
+        });
+
+        it("Should refund the unvested value to the creator on revocation", async function () {
+            await createSchedule(creator, beneficiary.address);
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+
+            const tx = tokenVesting.connect(creator).revokeVestingSchedule(0);
+            await expect(tx).to.emit(tokenVesting, "VestingScheduleRevoked");
+
+            const { totalAmount } = await tokenVesting.getVestingSchedule(0);
+            await expect(tx).to.changeEtherBalance(creator, VESTING_AMOUNT - totalAmount, { includeFee: false });
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(totalAmount);
+        });
+
+        it("Should only let treasurers withdraw native surplus", async function () {
+            await createSchedule(creator, beneficiary.address);
+            const surplus = ethers.parseEther("1");
+            await setBalance(tokenVesting.target, VESTING_AMOUNT + surplus);
+
+            await expect(tokenVesting.emergencyWithdraw(NATIVE_TOKEN, surplus + 1n, otherAccount.address))
+                .to.be.revertedWith("Cannot withdraw locked tokens");
+            await expect(tokenVesting.connect(otherAccount).emergencyWithdraw(NATIVE_TOKEN, surplus, otherAccount.address))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+
+            await expect(tokenVesting.emergencyWithdraw(NATIVE_TOKEN, surplus, otherAccount.address))
+                .to.changeEtherBalance(otherAccount, surplus);
+            expect(await balanceOf(tokenVesting.target)).to.equal(VESTING_AMOUNT);
+        });
+
+        it("Should not accept plain transfers", async function () {
+            await expect(owner.sendTransaction({ to: tokenVesting.target, value: 1n })).to.be.reverted;
+        });
+    });
+
+    describe("Reentrancy", function () {
+        let receiver;
+
+        beforeEach(async function () {
+            const MockReentrantReceiver = await ethers.getContractFactory("MockReentrantReceiver");
+            receiver = await MockReentrantReceiver.deploy(tokenVesting.target);
+        });
+
+        it("Should stop a beneficiary from claiming again while being paid", async function () {
+            await createSchedule(creator, receiver.target);
+            await createSchedule(creator, receiver.target);
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+
+            await receiver.setAttack(tokenVesting.interface.encodeFunctionData("claimTokens", [1]));
+            await receiver.execute(tokenVesting.interface.encodeFunctionData("claimTokens", [0]));
+
+            const guard = tokenVesting.interface.getError("ReentrancyGuardReentrantCall").selector;
+            expect(await receiver.reentryError()).to.equal(guard);
+
+            // Only schedule #0 was paid; #1 is untouched
+            const first = await tokenVesting.getVestingSchedule(0);
+            expect((await tokenVesting.getVestingSchedule(1)).claimedAmount).to.equal(0);
+            expect(await balanceOf(receiver.target)).to.equal(first.claimedAmount);
+            expect(await tokenVesting.totalLockedTokens(NATIVE_TOKEN)).to.equal(VESTING_AMOUNT * 2n - first.claimedAmount);
+        });
+
+        it("Should stop a creator from re-entering while being refunded", async function () {
+            const data = tokenVesting.interface.encodeFunctionData("createVestingSchedule", [
+                beneficiary.address, NATIVE_TOKEN, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0
+            ]);
+            await receiver.execute(data, { value: VESTING_AMOUNT });
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+
+            await receiver.setAttack(tokenVesting.interface.encodeFunctionData("revokeVestingSchedule", [0]));
+            await receiver.execute(tokenVesting.interface.encodeFunctionData("revokeVestingSchedule", [0]));
+
+            const guard = tokenVesting.interface.getError("ReentrancyGuardReentrantCall").selector;
+            expect(await receiver.reentryError()).to.equal(guard);
+
+            const { totalAmount, revoked } = await tokenVesting.getVestingSchedule(0);
+            expect(revoked).to.be.true;
+            expect(await balanceOf(receiver.target)).to.equal(VESTING_AMOUNT - totalAmount);
+            expect(await balanceOf(tokenVesting.target)).to.equal(totalAmount);
+        });
+
+        it("Should revert the claim when the recipient refuses the payment", async function () {
+            await createSchedule(creator, receiver.target);
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+            await receiver.setRejectPayments(true);
+
+            await expect(receiver.execute(tokenVesting.interface.encodeFunctionData("claimTokens", [0])))
+                .to.be.revertedWith("Native transfer failed");
+            expect((await tokenVesting.getVestingSchedule(0)).claimedAmount).to.equal(0);
+        });
+    });
+});
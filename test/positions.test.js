@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getTokenVesting, getVestingPositions, getPositionMetadata, TransferPolicy } = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("VestingPositions", function () {
+    let tokenVesting;
+    let positions;
+    let mockToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let buyer;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 360 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, buyer, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = getTokenVesting((await TokenVesting.deploy()).target, owner);
+
+        const VestingPositions = await ethers.getContractFactory("VestingPositions");
+        positions = await VestingPositions.deploy(tokenVesting.target);
+        await tokenVesting.setPositionNFT(positions.target);
+
+        await mockToken.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+        startTime = await time.latest() + 100;
+    });
+
+    async function createSchedule(transferPolicy, { revocable = true } = {}) {
+        await tokenVesting.connect(creator).createVestingSchedule(
+            beneficiary.address,
+            mockToken.target,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            revocable,
+            transferPolicy
+        );
+        return (await tokenVesting.nextScheduleId()) - 1n;
+    }
+
+    describe("Setup", function () {
+        it("Should only be set once, by the default admin, before any schedule", async function () {
+            const fresh = getTokenVesting((await (await tokenVestingFactory()).deploy()).target, owner);
+            const VestingPositions = await ethers.getContractFactory("VestingPositions");
+            const freshPositions = await VestingPositions.deploy(fresh.target);
+
+            await expect(fresh.connect(otherAccount).setPositionNFT(freshPositions.target))
+                .to.be.revertedWithCustomError(fresh, "AccessControlUnauthorizedAccount");
+            await expect(fresh.setPositionNFT(positions.target))
+                .to.be.revertedWith("Position NFT of another contract");
+            await expect(fresh.setPositionNFT(freshPositions.target))
+                .to.emit(fresh, "PositionNFTSet")
+                .withArgs(freshPositions.target);
+            await expect(fresh.setPositionNFT(freshPositions.target))
+                .to.be.revertedWith("Position NFT already set");
+
+            const late = getTokenVesting((await (await tokenVestingFactory()).deploy()).target, owner);
+            await mockToken.connect(creator).approve(late.target, VESTING_AMOUNT);
+            await late.connect(creator).createVestingSchedule(
+                beneficiary.address, mockToken.target, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0
+            );
+            await expect(late.setPositionNFT((await VestingPositions.deploy(late.target)).target))
+                .to.be.revertedWith("Schedules already exist");
+        });
+
+        it("Should mint a position to the beneficiary of every new schedule", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.DISABLED);
+
+            expect(await positions.ownerOf(scheduleId)).to.equal(beneficiary.address);
+            expect(await positions.balanceOf(beneficiary.address)).to.equal(1);
+            expect((await getVestingPositions(tokenVesting)).target).to.equal(positions.target);
+        });
+
+        it("Should only let TokenVesting mint and move positions", async function () {
+            await expect(positions.mint(otherAccount.address, 7))
+                .to.be.revertedWith("Not the TokenVesting contract");
+            await expect(positions.syncOwner(0, otherAccount.address))
+                .to.be.revertedWith("Not the TokenVesting contract");
+            await expect(tokenVesting.onPositionTransfer(0, otherAccount.address))
+                .to.be.revertedWith("Not the position NFT");
+        });
+    });
+
+    describe("Claim rights", function () {
+        it("Should follow the owner of the position", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.FREE);
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+
+            await expect(positions.connect(beneficiary).transferFrom(beneficiary.address, buyer.address, scheduleId))
+                .to.emit(tokenVesting, "VestingScheduleTransferred")
+                .withArgs(scheduleId, beneficiary.address, buyer.address);
+
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(buyer.address);
+            expect(await tokenVesting.getBeneficiarySchedules(beneficiary.address)).to.deep.equal([]);
+            expect(await tokenVesting.getBeneficiarySchedules(buyer.address)).to.deep.equal([scheduleId]);
+
+            await expect(tokenVesting.connect(beneficiary).claimTokens(scheduleId))
+                .to.be.revertedWith("Not the beneficiary");
+            await tokenVesting.connect(buyer).claimTokens(scheduleId);
+            expect(await mockToken.balanceOf(buyer.address)).to.be.greaterThan(0n);
+        });
+
+        it("Should let an approved operator move the position", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.FREE);
+            await positions.connect(beneficiary).setApprovalForAll(otherAccount.address, true);
+
+            await positions.connect(otherAccount).safeTransferFrom(beneficiary.address, buyer.address, scheduleId);
+
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(buyer.address);
+        });
+
+        it("Should move the position when a transfer is accepted on TokenVesting", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.FREE);
+
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, buyer.address);
+            await tokenVesting.connect(buyer).acceptScheduleTransfer(scheduleId);
+
+            expect(await positions.ownerOf(scheduleId)).to.equal(buyer.address);
+        });
+    });
+
+    describe("Transfer policy", function () {
+        it("Should refuse to move positions of non-transferable schedules", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.DISABLED);
+
+            await expect(positions.connect(beneficiary).transferFrom(beneficiary.address, buyer.address, scheduleId))
+                .to.be.revertedWith("Transfers are disabled");
+            expect(await positions.ownerOf(scheduleId)).to.equal(beneficiary.address);
+        });
+
+        it("Should only move creator-approved positions to the approved address", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.CREATOR_APPROVED);
+            const transfer = (to) => positions.connect(beneficiary).transferFrom(beneficiary.address, to, scheduleId);
+
+            await expect(transfer(buyer.address)).to.be.revertedWith("Transfer not approved by creator");
+
+            await tokenVesting.connect(beneficiary).proposeScheduleTransfer(scheduleId, buyer.address);
+            await expect(transfer(buyer.address)).to.be.revertedWith("Transfer not approved by creator");
+
+            await tokenVesting.connect(creator).approveScheduleTransfer(scheduleId, buyer.address);
+            await expect(transfer(otherAccount.address)).to.be.revertedWith("Transfer not approved by creator");
+
+            await transfer(buyer.address);
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).beneficiary).to.equal(buyer.address);
+            expect((await tokenVesting.pendingTransfers(scheduleId)).newBeneficiary).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should refuse to move revoked positions or while paused", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.FREE);
+            const transfer = () => positions.connect(beneficiary).transferFrom(beneficiary.address, buyer.address, scheduleId);
+
+            await tokenVesting.pause();
+            await expect(transfer()).to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+            await tokenVesting.unpause();
+
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            await expect(transfer()).to.be.revertedWith("Cannot transfer revoked schedule");
+        });
+    });
+
+    describe("Metadata", function () {
+        it("Should show the vested and claimable amounts", async function () {
+            const scheduleId = await createSchedule(TransferPolicy.FREE);
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            const metadata = await getPositionMetadata(tokenVesting, scheduleId);
+            const attributes = Object.fromEntries(metadata.attributes.map(({ trait_type, value }) => [trait_type, value]));
+            const vested = await tokenVesting.getVestedAmount(scheduleId);
+            const { claimedAmount } = await tokenVesting.getVestingSchedule(scheduleId);
+
+            expect(metadata.name).to.equal(`Vesting position #${scheduleId}`);
+            expect(metadata.description).to.contain("TEST vesting schedule");
+            expect(attributes.Total).to.equal("1000");
+            expect(attributes.Vested).to.equal(ethers.formatEther(vested).replace(/\.0$/, ""));
+            expect(attributes.Claimable).to.equal(ethers.formatEther(vested - claimedAmount).replace(/\.0$/, ""));
+            expect(attributes.Claimed).to.equal(ethers.formatEther(claimedAmount).replace(/\.0$/, ""));
+            expect(attributes.Token).to.equal(mockToken.target.toLowerCase());
+            expect(attributes.Start).to.equal(startTime);
+            expect(attributes.End).to.equal(startTime + VESTING_DURATION);
+            expect(attributes.Transfers).to.equal("Free");
+            expect(attributes.Revoked).to.equal("No");
+
+            await expect(positions.tokenURI(scheduleId + 1n))
+                .to.be.revertedWithCustomError(positions, "ERC721NonexistentToken");
+        });
+
+        it("Should format amounts of tokens with more than 77 decimals", async function () {
+            // 10 ** 78 does not fit in a uint256, so every amount is a fraction of one token
+            const MockDecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+            const token = await MockDecimalsToken.connect(creator).deploy("Tiny Token", "TINY", ethers.MaxUint256, 78);
+            await token.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+            await tokenVesting.connect(creator).createVestingSchedule(
+                beneficiary.address, token.target, 1000, startTime, 0, VESTING_DURATION, 1, false, TransferPolicy.FREE
+            );
+            const scheduleId = (await tokenVesting.nextScheduleId()) - 1n;
+
+            const metadata = await getPositionMetadata(tokenVesting, scheduleId);
+            const attributes = Object.fromEntries(metadata.attributes.map(({ trait_type, value }) => [trait_type, value]));
+            expect(attributes.Total).to.equal(`0.${"0".repeat(74)}1`);
+            expect(attributes.Vested).to.equal("0");
+        });
+    });
+});
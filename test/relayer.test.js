@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { createRelayServer, relayClaim } = require("../sdk/relayer");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Claim relayer", function () {
+    let tokenVesting;
+    let mockToken;
+    let relayer;
+    let beneficiary;
+    let recipient;
+    let server;
+    let url;
+    let scheduleId;
+    let startTime;
+
+    const VESTING_DURATION = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        let creator;
+        [relayer, creator, beneficiary, recipient] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("1000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        const deployed = await TokenVesting.deploy();
+
+        startTime = await time.latest() + 100;
+        ({ scheduleId } = await sdk.createSchedule(sdk.getTokenVesting(deployed.target, creator), {
+            beneficiary: beneficiary.address,
+            token: mockToken.target,
+            amount: "1000",
+            startTime,
+            cliffDuration: 0,
+            vestingDuration: VESTING_DURATION
+        }));
+
+        tokenVesting = sdk.getTokenVesting(deployed.target, relayer);
+        server = createRelayServer(tokenVesting);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should submit a signed claim without the beneficiary spending gas", async function () {
+        await time.increaseTo(startTime + VESTING_DURATION);
+        const gasBalance = await ethers.provider.getBalance(beneficiary.address);
+
+        const signed = await sdk.signClaim(tokenVesting, beneficiary, { scheduleId });
+        const { txHash, amount } = await relayClaim(url, signed);
+
+        expect(amount).to.equal(ethers.parseEther("1000"));
+        expect(await mockToken.balanceOf(beneficiary.address)).to.equal(amount);
+        expect(await ethers.provider.getBalance(beneficiary.address)).to.equal(gasBalance);
+        expect((await ethers.provider.getTransaction(txHash)).from).to.equal(relayer.address);
+    });
+
+    it("Should pay a recipient chosen by the beneficiary", async function () {
+        await time.increaseTo(startTime + VESTING_DURATION);
+
+        const signed = await sdk.signClaim(tokenVesting, beneficiary, { scheduleId, recipient: recipient.address });
+        await relayClaim(url, signed);
+
+        expect(await mockToken.balanceOf(recipient.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should relay concurrent claims in order", async function () {
+        const { scheduleId: secondId } = await sdk.createSchedule(tokenVesting, {
+            beneficiary: beneficiary.address,
+            token: mockToken.target,
+            amount: "500",
+            startTime,
+            cliffDuration: 0,
+            vestingDuration: VESTING_DURATION
+        });
+        await time.increaseTo(startTime + VESTING_DURATION);
+
+        const first = await sdk.signClaim(tokenVesting, beneficiary, { scheduleId });
+        const second = await sdk.signClaim(tokenVesting, beneficiary, { scheduleId: secondId, nonce: 1 });
+        const results = await Promise.all([relayClaim(url, first), relayClaim(url, second)]);
+
+        expect(results.map(({ amount }) => ethers.formatEther(amount))).to.deep.equal(["1000.0", "500.0"]);
+        expect(await tokenVesting.nonces(beneficiary.address)).to.equal(2);
+    });
+
+    it("Should reject invalid claims without sending a transaction", async function () {
+        await time.increaseTo(startTime + VESTING_DURATION);
+        const nonceBefore = await ethers.provider.getTransactionCount(relayer.address);
+
+        const forged = await sdk.signClaim(tokenVesting, recipient, { scheduleId });
+        await expect(relayClaim(url, forged)).to.be.rejectedWith("Relayer rejected the claim: Invalid signature");
+
+        const expired = await sdk.signClaim(tokenVesting, beneficiary, { scheduleId, deadline: startTime });
+        await expect(relayClaim(url, expired)).to.be.rejectedWith("Signature expired");
+
+        await expect(relayClaim(url, { ...forged, signature: "0x1234" })).to.be.rejectedWith("signature must be a 65-byte hex string");
+
+        expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonceBefore);
+    });
+
+    it("Should report its account and answer unknown routes with 404", async function () {
+        const health = await (await fetch(`${url}/health`)).json();
+        expect(health).to.deep.equal({ relayer: relayer.address, vesting: tokenVesting.target });
+
+        const response = await fetch(`${url}/claims`);
+        expect(response.status).to.equal(404);
+    });
+});
@@ -0,0 +1,307 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { VestingIndexer } = require("../sdk/indexer");
+const { unlockBuckets, buildAccountingReport, reportToJson, reportToCsv } = require("../sdk/reports");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { NATIVE_TOKEN, Roles } = sdk;
+
+describe("Accounting reports", function () {
+    let tokenVesting;
+    let tokenA;
+    let tokenB;
+    let owner;
+    let creator;
+    let otherCreator;
+    let beneficiary;
+    let tmpDir;
+    let storePath;
+    let deployBlock;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const DAY = 24 * 60 * 60;
+    const CLIFF_DURATION = 30 * DAY;
+    const VESTING_DURATION = 365 * DAY;
+
+    beforeEach(async function () {
+        [owner, creator, otherCreator, beneficiary] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        tokenA = await MockToken.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+        tokenB = await MockToken.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        const deployed = await TokenVesting.deploy();
+        deployBlock = (await deployed.deploymentTransaction().wait()).blockNumber;
+        tokenVesting = sdk.getTokenVesting(deployed.target, owner);
+        await tokenVesting.grantRole(Roles.SCHEDULE_MANAGER, owner.address);
+
+        for (const token of [tokenA, tokenB]) {
+            for (const account of [creator, otherCreator]) {
+                await token.transfer(account.address, ethers.parseEther("10000"));
+                await token.connect(account).approve(tokenVesting.target, ethers.MaxUint256);
+            }
+            await token.approve(tokenVesting.target, ethers.MaxUint256);
+        }
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+        storePath = path.join(tmpDir, "index.json");
+        startTime = await time.latest() + 100;
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function createSchedule(signer, token, amount = VESTING_AMOUNT) {
+        const native = token === NATIVE_TOKEN;
+        return tokenVesting.connect(signer).createVestingSchedule(
+            beneficiary.address,
+            native ? NATIVE_TOKEN : token.target,
+            amount,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            true,
+            0,
+            native ? { value: amount } : {}
+        );
+    }
+
+    // Schedules #0-#4: two creators and the company, in two tokens and native currency
+    async function createSchedules() {
+        await createSchedule(creator, tokenA);
+        await createSchedule(otherCreator, tokenA, VESTING_AMOUNT * 2n);
+        await createSchedule(otherCreator, tokenB);
+        await createSchedule(creator, NATIVE_TOKEN, ethers.parseEther("10"));
+        await createSchedule(owner, tokenA);
+    }
+
+    async function report(options) {
+        const indexer = new VestingIndexer({ tokenVesting, storePath, startBlock: deployBlock, confirmations: 5 });
+        await indexer.sync();
+        return buildAccountingReport(tokenVesting, indexer, options);
+    }
+
+    function tokenRow(result, token) {
+        return result.tokens.find((row) => row.token === (token === NATIVE_TOKEN ? NATIVE_TOKEN : token.target));
+    }
+
+    // Overwrites an account's MockToken balance; OpenZeppelin's ERC20 keeps balances in slot 0
+    async function setTokenBalance(token, account, amount) {
+        const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, 0]));
+        await setStorageAt(token.target, slot, amount);
+    }
+
+    describe("Tokens", function () {
+        it("Should compare the locked amount of every token with the contract's balance", async function () {
+            await createSchedules();
+            await tokenB.transfer(tokenVesting.target, ethers.parseEther("50"));
+            await tokenVesting.emergencyWithdraw(tokenB.target, ethers.parseEther("20"), owner.address);
+
+            const result = await report();
+
+            expect(result.tokenVesting).to.equal(tokenVesting.target);
+            expect(result.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+            expect(result.tokens.map((row) => row.symbol)).to.deep.equal(["TKA", "TKB", "ETH"]);
+            expect(tokenRow(result, tokenA)).to.deep.include({
+                schedules: 3,
+                locked: VESTING_AMOUNT * 4n,
+                outstanding: VESTING_AMOUNT * 4n,
+                balance: VESTING_AMOUNT * 4n,
+                surplus: 0n,
+                shortfall: 0n,
+                withdrawn: 0n,
+                underfunded: false
+            });
+            expect(tokenRow(result, tokenB)).to.deep.include({
+                schedules: 1,
+                locked: VESTING_AMOUNT,
+                balance: VESTING_AMOUNT + ethers.parseEther("30"),
+                surplus: ethers.parseEther("30"),
+                withdrawn: ethers.parseEther("20"),
+                underfunded: false
+            });
+            expect(tokenRow(result, NATIVE_TOKEN)).to.deep.include({
+                decimals: 18,
+                locked: ethers.parseEther("10"),
+                balance: ethers.parseEther("10")
+            });
+            expect(result.flags).to.be.empty;
+        });
+
+        it("Should flag a token whose balance is below the locked amount", async function () {
+            await createSchedules();
+            const balance = VESTING_AMOUNT * 4n - ethers.parseEther("150");
+            await setTokenBalance(tokenA, tokenVesting.target, balance);
+
+            const result = await report();
+
+            expect(tokenRow(result, tokenA)).to.deep.include({
+                balance,
+                surplus: 0n,
+                shortfall: ethers.parseEther("150"),
+                underfunded: true
+            });
+            expect(tokenRow(result, tokenB).underfunded).to.be.false;
+            expect(result.flags).to.deep.equal([
+                `TKA (${tokenA.target}): balance 3850.0 is below the locked 4000.0`
+            ]);
+        });
+
+        it("Should list tokens that only had surplus withdrawn", async function () {
+            await createSchedule(creator, tokenA);
+            await tokenB.transfer(tokenVesting.target, ethers.parseEther("5"));
+            await tokenVesting.emergencyWithdraw(tokenB.target, ethers.parseEther("5"), owner.address);
+
+            const row = tokenRow(await report(), tokenB);
+            expect(row).to.deep.include({ schedules: 0, locked: 0n, balance: 0n, withdrawn: ethers.parseEther("5") });
+        });
+    });
+
+    describe("Unlocks", function () {
+        it("Should split calendar weeks at Monday and months at the first", function () {
+            // Wednesday 15 January 2025, 12:00 UTC
+            const now = Date.UTC(2025, 0, 15, 12) / 1000;
+
+            const weeks = unlockBuckets(now, "week", 2);
+            expect(weeks[0].start).to.equal(now);
+            expect(weeks.map(({ end }) => new Date(end * 1000).toISOString()))
+                .to.deep.equal(["2025-01-20T00:00:00.000Z", "2025-01-27T00:00:00.000Z"]);
+
+            const months = unlockBuckets(now, "month", 2);
+            expect(months.map(({ end }) => new Date(end * 1000).toISOString()))
+                .to.deep.equal(["2025-02-01T00:00:00.000Z", "2025-03-01T00:00:00.000Z"]);
+
+            expect(() => unlockBuckets(now, "day", 1)).to.throw('Unknown period "day"');
+        });
+
+        for (const [period, periods] of [["week", 60], ["month", 14]]) {
+            it(`Should add up to what has not vested yet, per ${period}`, async function () {
+                await createSchedules();
+                await time.increaseTo(startTime + CLIFF_DURATION + 20 * DAY);
+                await tokenVesting.connect(beneficiary).claimTokens(0);
+
+                const result = await report({ period, periods });
+                expect(result.period).to.equal(period);
+
+                for (const token of [tokenA, tokenB, NATIVE_TOKEN]) {
+                    const address = token === NATIVE_TOKEN ? NATIVE_TOKEN : token.target;
+                    const rows = result.unlocks.filter((row) => row.token === address);
+                    expect(rows).to.have.lengthOf(periods);
+                    expect(rows[0].start).to.deep.equal(result.timestamp);
+
+                    let unvested = 0n;
+                    for (const id of (await tokenVesting.getBeneficiarySchedules(beneficiary.address))) {
+                        const schedule = await tokenVesting.getVestingSchedule(id);
+                        if (schedule.token === address) {
+                            unvested += schedule.totalAmount - await tokenVesting.getVestedAmount(id, { blockTag: result.blockNumber });
+                        }
+                    }
+                    expect(rows.reduce((sum, row) => sum + row.amount, 0n)).to.equal(unvested);
+                }
+            });
+        }
+
+        it("Should show nothing unlocking after a shutdown", async function () {
+            await createSchedules();
+            await time.increaseTo(startTime + CLIFF_DURATION);
+            await tokenVesting.emergencyShutdown();
+            await time.increaseTo(await tokenVesting.shutdownTime());
+
+            const result = await report({ periods: 4 });
+
+            expect(result.shutdown).to.be.true;
+            expect(result.unlocks.every((row) => row.amount === 0n)).to.be.true;
+        });
+    });
+
+    describe("Creators", function () {
+        it("Should total claimed, unclaimed vested and unvested amounts per creator and token", async function () {
+            await createSchedules();
+            await time.increaseTo(startTime + VESTING_DURATION / 2);
+            await tokenVesting.connect(beneficiary).claimMany([0, 2]);
+            await tokenVesting.connect(creator).revokeVestingSchedule(0);
+
+            const result = await report();
+            const schedules = await Promise.all([0, 1, 2, 3, 4].map((id) => tokenVesting.getVestingSchedule(id)));
+            const vested = await Promise.all([0, 1, 2, 3, 4].map((id) => tokenVesting.getVestedAmount(id)));
+            const row = (account, token) => result.creators.find((candidate) => candidate.creator === account && candidate.token === token);
+
+            expect(result.creators).to.have.lengthOf(5);
+            expect(row(creator.address, tokenA.target)).to.deep.include({
+                company: false,
+                schedules: 1,
+                totalAmount: schedules[0].totalAmount,
+                claimed: schedules[0].claimedAmount,
+                unclaimedVested: schedules[0].totalAmount - schedules[0].claimedAmount,
+                unvested: 0n
+            });
+            expect(row(otherCreator.address, tokenA.target)).to.deep.include({
+                totalAmount: VESTING_AMOUNT * 2n,
+                claimed: 0n,
+                unclaimedVested: vested[1],
+                unvested: VESTING_AMOUNT * 2n - vested[1]
+            });
+            expect(row(otherCreator.address, tokenB.target).claimed).to.equal(schedules[2].claimedAmount);
+            expect(row(creator.address, NATIVE_TOKEN).unclaimedVested).to.equal(vested[3]);
+            expect(row(tokenVesting.target, tokenA.target)).to.deep.include({
+                company: true,
+                unclaimedVested: vested[4],
+                unvested: VESTING_AMOUNT - vested[4]
+            });
+            expect(result.flags).to.be.empty;
+        });
+    });
+
+    describe("Export", function () {
+        it("Should serialize amounts as strings in JSON and whole tokens in CSV", async function () {
+            await createSchedules();
+            const result = await report({ periods: 2 });
+
+            const json = JSON.parse(reportToJson(result));
+            expect(json.tokens[0].locked).to.equal((VESTING_AMOUNT * 4n).toString());
+            expect(json.timestamp).to.equal(result.timestamp.toISOString());
+
+            const csv = reportToCsv(result);
+            const tokens = csv.tokens.trim().split("\n");
+            expect(tokens[0]).to.equal("token,symbol,schedules,locked,outstanding,balance,surplus,shortfall,withdrawn,underfunded");
+            expect(tokens[1]).to.equal(`${tokenA.target},TKA,3,4000.0,4000.0,4000.0,0.0,0.0,0.0,false`);
+            expect(csv.unlocks.trim().split("\n")).to.have.lengthOf(1 + 3 * 2);
+            expect(csv.creators.split("\n")[0]).to.equal("creator,company,token,symbol,schedules,total,claimed,unclaimedVested,unvested");
+        });
+
+        it("Should be runnable as the vesting:report task", async function () {
+            await createSchedules();
+            const out = path.join(tmpDir, "out");
+            const args = {
+                vesting: tokenVesting.target,
+                store: storePath,
+                fromBlock: deployBlock,
+                confirmations: 5,
+                period: "month",
+                periods: 3,
+                out
+            };
+
+            const { report: result, files } = await hre.run("vesting:report", args);
+
+            expect(files.map((file) => path.basename(file)))
+                .to.deep.equal(["accounting.json", "tokens.csv", "unlocks.csv", "creators.csv"]);
+            expect(JSON.parse(fs.readFileSync(path.join(out, "accounting.json"), "utf8")).period).to.equal("month");
+            expect(fs.readFileSync(path.join(out, "tokens.csv"), "utf8")).to.equal(reportToCsv(result).tokens);
+
+            await setTokenBalance(tokenB, tokenVesting.target, 0);
+            await expect(hre.run("vesting:report", { ...args, strict: true })).to.be.rejectedWith("1 issue(s) flagged");
+            await expect(hre.run("vesting:report", { ...args, period: "day" })).to.be.rejectedWith("--period must be week or month");
+        });
+    });
+});
@@ -0,0 +1,292 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { Roles } = sdk;
+
+describe("Scheduled revocation", function () {
+    let tokenVesting;
+    let mockToken;
+    let owner;
+    let creator;
+    let beneficiary;
+    let otherAccount;
+    let startTime;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const DAY = 24 * 60 * 60;
+    const CLIFF_DURATION = 30 * DAY;
+    const VESTING_DURATION = 360 * DAY;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("10000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, owner);
+        await mockToken.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+
+        startTime = await time.latest() + 100;
+    });
+
+    async function createSchedule({ revocable = true } = {}) {
+        await tokenVesting.connect(creator).createVestingSchedule(
+            beneficiary.address,
+            mockToken.target,
+            VESTING_AMOUNT,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            revocable,
+            0
+        );
+        return (await tokenVesting.nextScheduleId()) - 1n;
+    }
+
+    // Linear vesting of the default schedule at `at`
+    function linearVested(at) {
+        return VESTING_AMOUNT * BigInt(at - startTime - CLIFF_DURATION) / BigInt(VESTING_DURATION - CLIFF_DURATION);
+    }
+
+    describe("Announcing", function () {
+        it("Should keep vesting until the effective time and stop there", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = startTime + CLIFF_DURATION + 100 * DAY;
+
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime))
+                .to.emit(tokenVesting, "RevocationAnnounced")
+                .withArgs(scheduleId, effectiveTime);
+            expect(await tokenVesting.revocationTimes(scheduleId)).to.equal(effectiveTime);
+
+            await time.increaseTo(effectiveTime - 10 * DAY);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(linearVested(effectiveTime - 10 * DAY));
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            await time.increaseTo(effectiveTime + 50 * DAY);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(linearVested(effectiveTime));
+        });
+
+        it("Should only finalize the revocation once it has taken effect", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = startTime + CLIFF_DURATION + 100 * DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime);
+
+            await expect(tokenVesting.connect(creator).revokeVestingSchedule(scheduleId))
+                .to.be.revertedWith("Revocation not yet effective");
+
+            await time.increaseTo(effectiveTime + 20 * DAY);
+            const vested = linearVested(effectiveTime);
+            await expect(tokenVesting.connect(creator).revokeVestingSchedule(scheduleId))
+                .to.emit(tokenVesting, "VestingScheduleRevoked")
+                .withArgs(scheduleId, beneficiary.address, VESTING_AMOUNT - vested);
+
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).totalAmount).to.equal(vested);
+            expect(await mockToken.balanceOf(creator.address)).to.equal(ethers.parseEther("10000") - vested);
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(vested);
+            expect(await tokenVesting.totalLockedTokens(mockToken.target)).to.equal(0);
+        });
+
+        it("Should let the beneficiary claim what vested before the effective time without finalizing", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = startTime + CLIFF_DURATION + 30 * DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime);
+            await time.increaseTo(effectiveTime + DAY);
+
+            await tokenVesting.connect(beneficiary).claimTokens(scheduleId);
+
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(linearVested(effectiveTime));
+            expect(await tokenVesting.getClaimableAmount(scheduleId)).to.equal(0);
+        });
+
+        it("Should cap curve schedules at the effective time", async function () {
+            await tokenVesting.connect(creator).createCheckpointVestingSchedule(
+                beneficiary.address,
+                mockToken.target,
+                VESTING_AMOUNT,
+                [
+                    { timestamp: startTime, basisPoints: 2500 },
+                    { timestamp: startTime + 100 * DAY, basisPoints: 2500 },
+                    { timestamp: startTime + 200 * DAY, basisPoints: 10000 }
+                ],
+                true,
+                0
+            );
+            await tokenVesting.connect(creator).announceRevocation(0, startTime + 150 * DAY);
+
+            await time.increaseTo(startTime + 199 * DAY);
+            expect(await tokenVesting.getVestedAmount(0)).to.equal(VESTING_AMOUNT * 6250n / 10000n);
+        });
+
+        it("Should replace an announcement until it takes effect", async function () {
+            const scheduleId = await createSchedule();
+            const first = startTime + 100 * DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, first);
+
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, first + 30 * DAY);
+            expect(await tokenVesting.revocationTimes(scheduleId)).to.equal(first + 30 * DAY);
+
+            await time.increaseTo(first + 30 * DAY);
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, first + 60 * DAY))
+                .to.be.revertedWith("Revocation already effective");
+        });
+
+        it("Should only let the creator announce on revocable, active schedules while unpaused", async function () {
+            const scheduleId = await createSchedule();
+            const irrevocable = await createSchedule({ revocable: false });
+            const effectiveTime = startTime + 100 * DAY;
+
+            await expect(tokenVesting.connect(otherAccount).announceRevocation(scheduleId, effectiveTime))
+                .to.be.revertedWith("Not the creator");
+            await expect(tokenVesting.connect(creator).announceRevocation(irrevocable, effectiveTime))
+                .to.be.revertedWith("Schedule is not revocable");
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, (await time.latest()) - 1))
+                .to.be.revertedWith("Notice shorter than grace period");
+
+            await tokenVesting.pause();
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime))
+                .to.be.revertedWithCustomError(tokenVesting, "EnforcedPause");
+            await tokenVesting.unpause();
+
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime))
+                .to.be.revertedWith("Schedule already revoked");
+        });
+
+        it("Should let revokers announce the revocation of company schedules", async function () {
+            await tokenVesting.grantRole(Roles.SCHEDULE_MANAGER, owner.address);
+            await tokenVesting.grantRole(Roles.REVOKER, otherAccount.address);
+            await mockToken.approve(tokenVesting.target, VESTING_AMOUNT);
+            await tokenVesting.createVestingSchedule(
+                beneficiary.address, mockToken.target, VESTING_AMOUNT, startTime, CLIFF_DURATION, VESTING_DURATION, 1, true, 0
+            );
+
+            await expect(tokenVesting.connect(otherAccount).announceRevocation(0, startTime + 100 * DAY))
+                .to.emit(tokenVesting, "RevocationAnnounced");
+        });
+
+        it("Should not amend a schedule with an announced revocation", async function () {
+            const scheduleId = await createSchedule();
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, startTime + 100 * DAY);
+
+            await expect(tokenVesting.connect(creator).amendVestingSchedule(scheduleId, VESTING_AMOUNT * 2n, VESTING_DURATION))
+                .to.be.revertedWith("Revocation announced");
+        });
+    });
+
+    describe("Cancelling", function () {
+        it("Should resume normal vesting when cancelled in time", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = startTime + CLIFF_DURATION + 100 * DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime);
+
+            await expect(tokenVesting.connect(otherAccount).cancelRevocation(scheduleId))
+                .to.be.revertedWith("Not the creator");
+            await expect(tokenVesting.connect(creator).cancelRevocation(scheduleId))
+                .to.emit(tokenVesting, "RevocationCancelled")
+                .withArgs(scheduleId);
+            expect(await tokenVesting.revocationTimes(scheduleId)).to.equal(0);
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            expect(await tokenVesting.getVestedAmount(scheduleId)).to.equal(VESTING_AMOUNT);
+            await expect(tokenVesting.connect(creator).cancelRevocation(scheduleId))
+                .to.be.revertedWith("No revocation announced");
+        });
+
+        it("Should not cancel once the revocation has taken effect", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = startTime + 100 * DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime);
+            await time.increaseTo(effectiveTime);
+
+            await expect(tokenVesting.connect(creator).cancelRevocation(scheduleId))
+                .to.be.revertedWith("Revocation already effective");
+        });
+    });
+
+    describe("Grace period", function () {
+        it("Should only be set by the default admin", async function () {
+            await expect(tokenVesting.connect(otherAccount).setRevocationGracePeriod(30 * DAY))
+                .to.be.revertedWithCustomError(tokenVesting, "AccessControlUnauthorizedAccount");
+            await expect(tokenVesting.setRevocationGracePeriod(30 * DAY))
+                .to.emit(tokenVesting, "RevocationGracePeriodUpdated")
+                .withArgs(30 * DAY);
+            expect(await tokenVesting.revocationGracePeriod()).to.equal(30 * DAY);
+        });
+
+        it("Should require announcements with at least the grace period of notice", async function () {
+            const scheduleId = await createSchedule();
+            await tokenVesting.setRevocationGracePeriod(30 * DAY);
+
+            await expect(tokenVesting.connect(creator).revokeVestingSchedule(scheduleId))
+                .to.be.revertedWith("Revocation must be announced");
+            const now = await time.latest();
+            await expect(tokenVesting.connect(creator).announceRevocation(scheduleId, now + 30 * DAY))
+                .to.be.revertedWith("Notice shorter than grace period");
+
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, now + 31 * DAY);
+            await time.increaseTo(now + 31 * DAY);
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+            expect((await tokenVesting.getVestingSchedule(scheduleId)).revoked).to.be.true;
+        });
+
+        it("Should keep announcements made before it changed", async function () {
+            const scheduleId = await createSchedule();
+            const effectiveTime = await time.latest() + DAY;
+            await tokenVesting.connect(creator).announceRevocation(scheduleId, effectiveTime);
+
+            await tokenVesting.setRevocationGracePeriod(30 * DAY);
+            await time.increaseTo(effectiveTime);
+
+            await tokenVesting.connect(creator).revokeVestingSchedule(scheduleId);
+        });
+    });
+
+    describe("SDK", function () {
+        it("Should announce, show and cancel revocations", async function () {
+            const scheduleId = await createSchedule();
+            const vesting = tokenVesting.connect(creator);
+            const effectiveTime = startTime + CLIFF_DURATION + 100 * DAY;
+
+            const { effectiveTime: announced } = await sdk.announceRevocation(vesting, scheduleId, new Date(effectiveTime * 1000));
+            expect(announced).to.equal(effectiveTime);
+
+            let view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.pendingRevocation).to.deep.equal({ date: new Date(effectiveTime * 1000), effective: false });
+
+            await time.increaseTo(effectiveTime - 1);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.nextUnlock.date).to.deep.equal(new Date(effectiveTime * 1000));
+
+            await time.increaseTo(effectiveTime + DAY);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.pendingRevocation.effective).to.be.true;
+            expect(view.nextUnlock).to.be.null;
+            expect(view.vestedAmount.raw).to.equal(linearVested(effectiveTime));
+
+            const schedule = (await tokenVesting.getVestingSchedule(scheduleId)).toObject();
+            const revocationTime = BigInt(effectiveTime);
+            expect(sdk.vestedAmountAt({ ...schedule, revocationTime }, BigInt(startTime + VESTING_DURATION)))
+                .to.equal(linearVested(effectiveTime));
+
+            await sdk.revoke(vesting, scheduleId);
+            expect((await sdk.getScheduleView(tokenVesting, scheduleId)).pendingRevocation).to.be.null;
+        });
+
+        it("Should cancel through the SDK", async function () {
+            const scheduleId = await createSchedule();
+            const vesting = tokenVesting.connect(creator);
+            await sdk.announceRevocation(vesting, scheduleId, startTime + 100 * DAY);
+
+            await sdk.cancelRevocation(vesting, scheduleId);
+
+            expect((await sdk.getScheduleView(tokenVesting, scheduleId)).pendingRevocation).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Vesting SDK", function () {
+    let tokenVesting;
+    let mockToken;
+    let creator;
+    let beneficiary;
+    let newBeneficiary;
+
+    const CLIFF_DURATION = 6 * 30 * 24 * 60 * 60; // 6 months
+    const VESTING_DURATION = 24 * 30 * 24 * 60 * 60; // 24 months
+
+    beforeEach(async function () {
+        [, creator, beneficiary, newBeneficiary] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+        await mockToken.transfer(creator.address, ethers.parseEther("100000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        const deployed = await TokenVesting.deploy();
+        tokenVesting = sdk.getTokenVesting(deployed.target, creator);
+    });
+
+    async function createDefaultSchedule(overrides = {}) {
+        const startTime = await time.latest() + 100;
+        const { scheduleId } = await sdk.createSchedule(tokenVesting, {
+            beneficiary: beneficiary.address,
+            token: mockToken.target,
+            amount: "1000",
+            startTime,
+            cliffDuration: CLIFF_DURATION,
+            vestingDuration: VESTING_DURATION,
+            revocable: true,
+            ...overrides
+        });
+        return { scheduleId, startTime };
+    }
+
+    describe("createSchedule", function () {
+        it("Should approve, create and return the scheduleId from the event", async function () {
+            await createDefaultSchedule();
+            const { scheduleId } = await createDefaultSchedule({ amount: ethers.parseEther("5") });
+
+            expect(scheduleId).to.equal(1n);
+            expect((await tokenVesting.getVestingSchedule(1)).totalAmount).to.equal(ethers.parseEther("5"));
+            expect(await mockToken.allowance(creator.address, tokenVesting.target)).to.equal(0);
+        });
+
+        it("Should not approve again when the allowance already covers the amount", async function () {
+            await mockToken.connect(creator).approve(tokenVesting.target, ethers.parseEther("3000"));
+
+            await createDefaultSchedule();
+
+            expect(await mockToken.allowance(creator.address, tokenVesting.target)).to.equal(ethers.parseEther("2000"));
+        });
+
+        it("Should accept a Date as start time", async function () {
+            const start = new Date((await time.latest() + 500) * 1000);
+            const { scheduleId } = await createDefaultSchedule({ startTime: start });
+
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.startDate.getTime()).to.equal(start.getTime());
+        });
+    });
+
+    describe("Actions", function () {
+        it("Should claim and report the claimed amount", async function () {
+            const { scheduleId, startTime } = await createDefaultSchedule();
+            await time.increaseTo(startTime + VESTING_DURATION);
+
+            const { amount } = await sdk.claim(tokenVesting.connect(beneficiary), scheduleId);
+
+            expect(amount).to.equal(ethers.parseEther("1000"));
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(amount);
+        });
+
+        it("Should claim several schedules and skip those with nothing vested", async function () {
+            const first = await createDefaultSchedule({ cliffDuration: 0 });
+            const { scheduleId: pending } = await createDefaultSchedule({ startTime: first.startTime + VESTING_DURATION * 2 });
+            await time.increaseTo(first.startTime + VESTING_DURATION);
+
+            const { amount, claimed } = await sdk.claim(tokenVesting.connect(beneficiary), [first.scheduleId, pending]);
+
+            expect(amount).to.equal(ethers.parseEther("1000"));
+            expect(claimed).to.deep.equal([{ scheduleId: first.scheduleId, amount }]);
+        });
+
+        it("Should claim all schedules of a token", async function () {
+            const { startTime } = await createDefaultSchedule();
+            await createDefaultSchedule();
+            await time.increaseTo(startTime + VESTING_DURATION * 2);
+
+            const { amount, claimed } = await sdk.claimAll(tokenVesting.connect(beneficiary), mockToken.target);
+
+            expect(amount).to.equal(ethers.parseEther("2000"));
+            expect(claimed.map((item) => item.scheduleId)).to.deep.equal([0n, 1n]);
+            expect(await mockToken.balanceOf(beneficiary.address)).to.equal(amount);
+        });
+
+        it("Should revoke and report the unvested amount", async function () {
+            const { scheduleId } = await createDefaultSchedule();
+
+            const { unvestedAmount } = await sdk.revoke(tokenVesting, scheduleId);
+
+            expect(unvestedAmount).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should transfer a schedule in two steps", async function () {
+            const { scheduleId } = await createDefaultSchedule({ transferPolicy: sdk.TransferPolicy.CREATOR_APPROVED });
+
+            await sdk.proposeTransfer(tokenVesting.connect(beneficiary), scheduleId, newBeneficiary.address);
+            let view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.transferPolicy).to.equal(sdk.TransferPolicy.CREATOR_APPROVED);
+            expect(view.pendingTransfer).to.deep.equal({ newBeneficiary: newBeneficiary.address, approved: false });
+
+            await sdk.approveTransfer(tokenVesting, scheduleId, newBeneficiary.address);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.pendingTransfer.approved).to.be.true;
+
+            await sdk.acceptTransfer(tokenVesting.connect(newBeneficiary), scheduleId);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.beneficiary).to.equal(newBeneficiary.address);
+            expect(view.pendingTransfer).to.be.null;
+        });
+
+        it("Should cancel a proposed transfer", async function () {
+            const { scheduleId } = await createDefaultSchedule({ transferPolicy: sdk.TransferPolicy.FREE });
+            await sdk.proposeTransfer(tokenVesting.connect(beneficiary), scheduleId, newBeneficiary.address);
+
+            await sdk.cancelTransfer(tokenVesting.connect(newBeneficiary), scheduleId);
+
+            expect((await sdk.getScheduleView(tokenVesting, scheduleId)).pendingTransfer).to.be.null;
+        });
+    });
+
+    describe("getScheduleView", function () {
+        it("Should return dates, formatted amounts and token metadata", async function () {
+            const { scheduleId, startTime } = await createDefaultSchedule();
+
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+
+            expect(view.id).to.equal(scheduleId);
+            expect(view.beneficiary).to.equal(beneficiary.address);
+            expect(view.creator).to.equal(creator.address);
+            expect(view.token).to.deep.equal({ address: mockToken.target, symbol: "TEST", decimals: 18 });
+            expect(view.totalAmount).to.deep.equal({ raw: ethers.parseEther("1000"), formatted: "1000.0" });
+            expect(view.claimableAmount.raw).to.equal(0n);
+            expect(view.startDate).to.deep.equal(new Date(startTime * 1000));
+            expect(view.cliffEndDate).to.deep.equal(new Date((startTime + CLIFF_DURATION) * 1000));
+            expect(view.endDate).to.deep.equal(new Date((startTime + VESTING_DURATION) * 1000));
+            expect(view.status).to.equal(sdk.ScheduleStatus.PENDING);
+        });
+
+        it("Should follow the schedule through each status", async function () {
+            const { scheduleId, startTime } = await createDefaultSchedule();
+            const status = async () => (await sdk.getScheduleView(tokenVesting, scheduleId)).status;
+
+            await time.increaseTo(startTime);
+            expect(await status()).to.equal("cliff");
+
+            await time.increaseTo(startTime + CLIFF_DURATION + 1);
+            expect(await status()).to.equal("vesting");
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            expect(await status()).to.equal("vested");
+
+            await sdk.claim(tokenVesting.connect(beneficiary), scheduleId);
+            expect(await status()).to.equal("completed");
+        });
+
+        it("Should show the next unlock of a stepped schedule", async function () {
+            const month = 30 * 24 * 60 * 60;
+            const { scheduleId, startTime } = await createDefaultSchedule({ slicePeriodSeconds: month });
+            const cliffEnd = startTime + CLIFF_DURATION;
+            const monthly = ethers.parseEther("1000") / 18n;
+
+            let view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.slicePeriodSeconds).to.equal(BigInt(month));
+            expect(view.nextUnlock.date).to.deep.equal(new Date((cliffEnd + month) * 1000));
+            expect(view.nextUnlock.amount.raw).to.equal(monthly);
+
+            await time.increaseTo(cliffEnd + month);
+            view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.vestedAmount.raw).to.equal(monthly);
+            expect(view.nextUnlock.date).to.deep.equal(new Date((cliffEnd + 2 * month) * 1000));
+
+            await time.increaseTo(startTime + VESTING_DURATION);
+            expect((await sdk.getScheduleView(tokenVesting, scheduleId)).nextUnlock).to.be.null;
+        });
+
+        it("Should match the contract's vesting math at every boundary", async function () {
+            const schedule = {
+                startTime: 1000n,
+                cliffDuration: 100n,
+                vestingDuration: 1100n,
+                slicePeriodSeconds: 300n,
+                totalAmount: 1000n,
+                claimedAmount: 0n,
+                revoked: false
+            };
+
+            expect(sdk.vestedAmountAt(schedule, 1399n)).to.equal(0n);
+            expect(sdk.vestedAmountAt(schedule, 1400n)).to.equal(300n);
+            expect(sdk.vestedAmountAt(schedule, 2099n)).to.equal(900n);
+            expect(sdk.vestedAmountAt(schedule, 2100n)).to.equal(1000n);
+            expect(sdk.nextUnlock(schedule, 0n)).to.deep.equal({ time: 1400n, amount: 300n });
+            expect(sdk.nextUnlock(schedule, 1900n)).to.deep.equal({ time: 2000n, amount: 300n });
+            expect(sdk.nextUnlock(schedule, 2000n)).to.deep.equal({ time: 2100n, amount: 100n });
+            expect(sdk.nextUnlock(schedule, 2100n)).to.be.null;
+            expect(sdk.nextUnlock({ ...schedule, slicePeriodSeconds: 1n }, 1100n)).to.deep.equal({ time: 1101n, amount: 1n });
+
+            // Amended at 1500 with 300 vested: the rest vests from the slice period it was amended in,
+            // still unlocking at the slice boundaries counted from the cliff end
+            const amended = { ...schedule, totalAmount: 900n, base: { vestedAmount: 300n, timestamp: 1400n } };
+            expect(sdk.vestedAmountAt(amended, 1699n)).to.equal(300n);
+            expect(sdk.vestedAmountAt(amended, 1700n)).to.equal(558n);
+            expect(sdk.nextUnlock(amended, 1500n)).to.deep.equal({ time: 1700n, amount: 258n });
+            expect(sdk.nextUnlock(amended, 2000n)).to.deep.equal({ time: 2100n, amount: 85n });
+
+            // An announced revocation or shutdown only changes the status once it is in effect before the end
+            expect(sdk.scheduleStatus({ ...schedule, revocationTime: 1500n }, 1499n)).to.equal("vesting");
+            expect(sdk.scheduleStatus({ ...schedule, revocationTime: 1500n }, 1500n)).to.equal("revoked");
+            expect(sdk.scheduleStatus({ ...schedule, shutdownTime: 1050n }, 1050n)).to.equal("shutdown");
+            expect(sdk.scheduleStatus({ ...schedule, revocationTime: 1500n, shutdownTime: 1050n }, 1500n)).to.equal("shutdown");
+            expect(sdk.scheduleStatus({ ...schedule, revocationTime: 1040n, shutdownTime: 1050n }, 1050n)).to.equal("revoked");
+            expect(sdk.scheduleStatus({ ...schedule, shutdownTime: 2100n }, 2100n)).to.equal("vested");
+        });
+
+        it("Should report revoked schedules", async function () {
+            const { scheduleId } = await createDefaultSchedule();
+            await sdk.revoke(tokenVesting, scheduleId);
+
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.status).to.equal("revoked");
+            expect(view.remainingAmount.raw).to.equal(0n);
+        });
+
+        it("Should format small amounts with the token decimals", async function () {
+            const MockToken = await ethers.getContractFactory("MockToken");
+            const token = await MockToken.deploy("Other Token", "OTHER", ethers.parseEther("1000"));
+            await token.transfer(creator.address, 2500n);
+
+            const { scheduleId } = await createDefaultSchedule({ token: token.target, amount: 2500n });
+
+            const view = await sdk.getScheduleView(tokenVesting, scheduleId);
+            expect(view.totalAmount.formatted).to.equal("0.0000000000000025");
+        });
+
+        it("Should reject unknown schedules", async function () {
+            await expect(sdk.getScheduleView(tokenVesting, 42)).to.be.rejectedWith("Schedule 42 does not exist");
+        });
+    });
+
+    describe("listBeneficiarySchedules", function () {
+        it("Should list schedules sorted by id after transfers reorder them", async function () {
+            for (let i = 0; i < 3; i++) {
+                await createDefaultSchedule({ transferPolicy: sdk.TransferPolicy.FREE });
+            }
+            await sdk.proposeTransfer(tokenVesting.connect(beneficiary), 0, newBeneficiary.address);
+            await sdk.acceptTransfer(tokenVesting.connect(newBeneficiary), 0);
+            await sdk.proposeTransfer(tokenVesting.connect(newBeneficiary), 0, beneficiary.address);
+            await sdk.acceptTransfer(tokenVesting.connect(beneficiary), 0);
+
+            const views = await sdk.listBeneficiarySchedules(tokenVesting, beneficiary.address);
+
+            expect(views.map((view) => view.id)).to.deep.equal([0n, 1n, 2n]);
+            expect(views.every((view) => view.beneficiary === beneficiary.address)).to.be.true;
+        });
+
+        it("Should return an empty list for unknown beneficiaries", async function () {
+            expect(await sdk.listBeneficiarySchedules(tokenVesting, newBeneficiary.address)).to.deep.equal([]);
+        });
+    });
+
+    describe("ABI", function () {
+        it("Should ship the ABIs of the compiled contracts (run npm run export-abi)", async function () {
+            for (const name of ["TokenVesting", "TokenVestingFactory", "VestingPositions"]) {
+                const { abi } = await artifacts.readArtifact(name);
+                expect(require(`../sdk/abi/${name}.json`)).to.deep.equal(abi, name);
+            }
+        });
+    });
+});
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const {
+    buildBeneficiaryStatement,
+    statementToJson,
+    statementToMarkdown,
+    statementToHtml
+} = require("../sdk/statements");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+const { NATIVE_TOKEN, TransferPolicy } = sdk;
+
+describe("Beneficiary statements", function () {
+    let tokenVesting;
+    let tokenA;
+    let tokenB;
+    let owner;
+    let creator;
+    let beneficiary;
+    let previousBeneficiary;
+    let otherAccount;
+    let startTime;
+    let hashes;
+
+    const VESTING_AMOUNT = ethers.parseEther("1000");
+    const DAY = 24 * 60 * 60;
+    const CLIFF_DURATION = 30 * DAY;
+    const VESTING_DURATION = 360 * DAY;
+
+    beforeEach(async function () {
+        [owner, creator, beneficiary, previousBeneficiary, otherAccount] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        tokenA = await MockToken.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+        tokenB = await MockToken.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = sdk.getTokenVesting((await TokenVesting.deploy()).target, owner);
+        for (const token of [tokenA, tokenB]) {
+            await token.transfer(creator.address, ethers.parseEther("10000"));
+            await token.connect(creator).approve(tokenVesting.target, ethers.MaxUint256);
+        }
+
+        startTime = await time.latest() + 100;
+        hashes = {};
+    });
+
+    function createSchedule(recipient, token, amount = VESTING_AMOUNT) {
+        const native = token === NATIVE_TOKEN;
+        return tokenVesting.connect(creator).createVestingSchedule(
+            recipient.address,
+            native ? NATIVE_TOKEN : token.target,
+            amount,
+            startTime,
+            CLIFF_DURATION,
+            VESTING_DURATION,
+            1,
+            true,
+            TransferPolicy.FREE,
+            native ? { value: amount } : {}
+        );
+    }
+
+    // #0 (TKA) is claimed twice and #1 (TKB) revoked after an announcement. #2 is
+    // native currency, #3 (TKA) is transferred in and #4 belongs to someone else.
+    async function createHistory() {
+        hashes.created = (await createSchedule(beneficiary, tokenA)).hash;
+        await createSchedule(beneficiary, tokenB);
+        await createSchedule(beneficiary, NATIVE_TOKEN, ethers.parseEther("10"));
+        await createSchedule(previousBeneficiary, tokenA, VESTING_AMOUNT * 2n);
+        await createSchedule(otherAccount, tokenA);
+
+        await time.increaseTo(startTime + CLIFF_DURATION + 30 * DAY);
+        hashes.claims = [(await tokenVesting.connect(beneficiary).claimTokens(0)).hash];
+        await sdk.proposeTransfer(tokenVesting.connect(previousBeneficiary), 3, beneficiary.address);
+        hashes.transfer = (await sdk.acceptTransfer(tokenVesting.connect(beneficiary), 3)).receipt.hash;
+        await tokenVesting.connect(creator).announceRevocation(1, startTime + CLIFF_DURATION + 90 * DAY);
+
+        await time.increaseTo(startTime + CLIFF_DURATION + 120 * DAY);
+        hashes.claims.push((await tokenVesting.connect(beneficiary).claimTokens(0)).hash);
+        hashes.revoke = (await tokenVesting.connect(creator).revokeVestingSchedule(1)).hash;
+    }
+
+    async function blockTime(hash) {
+        const receipt = await ethers.provider.getTransactionReceipt(hash);
+        return new Date((await ethers.provider.getBlock(receipt.blockNumber)).timestamp * 1000);
+    }
+
+    describe("Building", function () {
+        it("Should list the history of every schedule the beneficiary holds", async function () {
+            await createHistory();
+
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            expect(statement.beneficiary).to.equal(beneficiary.address);
+            expect(statement.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+            expect(statement.schedules.map((schedule) => schedule.id)).to.deep.equal([0n, 1n, 2n, 3n]);
+
+            const [first, second, native, transferred] = statement.schedules.map((schedule) => schedule.history);
+            expect(first.map((entry) => entry.type)).to.deep.equal(["created", "claimed", "claimed"]);
+            expect(first[0]).to.deep.include({ transactionHash: hashes.created, date: await blockTime(hashes.created) });
+            expect(first[0].amount.formatted).to.equal("1000.0");
+            for (const [i, hash] of hashes.claims.entries()) {
+                const receipt = await ethers.provider.getTransactionReceipt(hash);
+                const claimed = tokenVesting.interface.parseLog(receipt.logs.find((log) => log.address === tokenVesting.target));
+                expect(first[i + 1]).to.deep.include({
+                    blockNumber: receipt.blockNumber,
+                    transactionHash: hash,
+                    date: await blockTime(hash)
+                });
+                expect(first[i + 1].amount.raw).to.equal(claimed.args.amount);
+            }
+
+            expect(second.map((entry) => entry.type)).to.deep.equal(["created", "revocationAnnounced", "revoked"]);
+            expect(second[1].effectiveDate).to.deep.equal(new Date((startTime + CLIFF_DURATION + 90 * DAY) * 1000));
+            expect(second[2].transactionHash).to.equal(hashes.revoke);
+            expect(native.map((entry) => entry.type)).to.deep.equal(["created"]);
+            expect(transferred.map((entry) => entry.type)).to.deep.equal(["created", "transferred"]);
+            expect(transferred[1]).to.deep.include({
+                transactionHash: hashes.transfer,
+                from: previousBeneficiary.address,
+                to: beneficiary.address
+            });
+        });
+
+        it("Should show current amounts per schedule and totals per token", async function () {
+            await createHistory();
+
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            for (const schedule of statement.schedules) {
+                const onChain = await tokenVesting.getVestingSchedule(schedule.id);
+                expect(schedule.vestedAmount.raw).to.equal(await tokenVesting.getVestedAmount(schedule.id));
+                expect(schedule.claimableAmount.raw).to.equal(await tokenVesting.getClaimableAmount(schedule.id));
+                expect(schedule.remainingAmount.raw).to.equal(onChain.totalAmount - onChain.claimedAmount);
+            }
+
+            const [first, second, native, transferred] = statement.schedules;
+            expect(statement.totals.map((total) => total.token.symbol)).to.deep.equal(["TKA", "TKB", "ETH"]);
+            expect(statement.totals[0].schedules).to.equal(2);
+            expect(statement.totals[0].vestedAmount.raw).to.equal(first.vestedAmount.raw + transferred.vestedAmount.raw);
+            expect(statement.totals[0].claimedAmount.raw).to.equal(first.claimedAmount.raw);
+            expect(statement.totals[1].totalAmount.raw).to.equal(second.totalAmount.raw);
+            expect(statement.totals[2].claimableAmount.raw).to.equal(native.claimableAmount.raw);
+        });
+
+        for (const period of ["month", "week"]) {
+            it(`Should project every ${period} that unlocks something until the schedules end`, async function () {
+                await createHistory();
+
+                const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address, { period });
+
+                expect(statement.period).to.equal(period);
+                expect(statement.calendar.every((unlock) => unlock.amount.raw > 0n)).to.be.true;
+                expect(statement.calendar.map((unlock) => unlock.start))
+                    .to.deep.equal([...statement.calendar.map((unlock) => unlock.start)].sort((a, b) => a - b));
+
+                // The revoked schedule unlocks nothing more; the others unlock whatever has not vested
+                for (const total of statement.totals) {
+                    const unvested = statement.schedules
+                        .filter((schedule) => schedule.token.address === total.token.address)
+                        .reduce((sum, schedule) => sum + schedule.totalAmount.raw - schedule.vestedAmount.raw, 0n);
+                    const projected = statement.calendar
+                        .filter((unlock) => unlock.token.address === total.token.address)
+                        .reduce((sum, unlock) => sum + unlock.amount.raw, 0n);
+                    expect(projected).to.equal(unvested);
+                }
+                expect(statement.calendar.some((unlock) => unlock.token.symbol === "TKB")).to.be.false;
+                expect(statement.calendar[statement.calendar.length - 1].end)
+                    .to.be.greaterThanOrEqual(new Date((startTime + VESTING_DURATION) * 1000));
+            });
+        }
+
+        it("Should stop the calendar at a shutdown", async function () {
+            await createHistory();
+            await tokenVesting.emergencyShutdown();
+            await time.increaseTo(await tokenVesting.shutdownTime());
+
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            expect(statement.shutdownDate).to.deep.equal(new Date(Number(await tokenVesting.shutdownTime()) * 1000));
+            expect(statement.calendar).to.be.empty;
+        });
+
+        it("Should build an empty statement for an address without schedules", async function () {
+            const statement = await buildBeneficiaryStatement(tokenVesting, otherAccount.address);
+
+            expect(statement.schedules).to.be.empty;
+            expect(statement.calendar).to.be.empty;
+            expect(statementToMarkdown(statement)).to.contain("No vesting schedules are held by this address.");
+        });
+    });
+
+    describe("Rendering", function () {
+        it("Should render Markdown with history, amounts and the unlock calendar", async function () {
+            await createHistory();
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            const markdown = statementToMarkdown(statement);
+
+            expect(markdown).to.match(/^# Vesting statement\n/);
+            expect(markdown).to.contain(`Beneficiary: ${beneficiary.address}`);
+            expect(markdown).to.contain("| Token | Schedules | Total | Vested | Claimed | Claimable | Remaining |");
+            expect(markdown).to.contain("| TKB | 1 |");
+            expect(markdown).to.contain("## Schedule #3");
+            expect(markdown).to.contain(`| Transferred | from ${previousBeneficiary.address} to ${beneficiary.address} | ${hashes.transfer} |`);
+            for (const hash of hashes.claims) {
+                expect(markdown).to.contain(hash);
+            }
+            expect(markdown).to.contain(`| Revoked | ${statement.schedules[1].history[2].amount.formatted} TKB unvested forfeited |`);
+            expect(markdown).to.contain("## Projected unlocks\n\n| From | To | Token | Amount |");
+        });
+
+        it("Should render a standalone HTML page with the same content", async function () {
+            await createHistory();
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            const html = statementToHtml(statement);
+
+            expect(html).to.match(/^<!DOCTYPE html>/);
+            expect(html).to.contain("<h1>Vesting statement</h1>");
+            expect(html).to.contain(`<td>${hashes.revoke}</td>`);
+            expect(html).to.contain('<th class="num">Claimable</th>');
+            expect(html.match(/<h2>Schedule #\d+<\/h2>/g)).to.have.lengthOf(4);
+        });
+
+        it("Should serialize to JSON with amounts and ids as strings", async function () {
+            await createHistory();
+            const statement = await buildBeneficiaryStatement(tokenVesting, beneficiary.address);
+
+            const json = JSON.parse(statementToJson(statement));
+
+            expect(json.schedules[0].id).to.equal("0");
+            expect(json.schedules[0].totalAmount).to.deep.equal({ raw: VESTING_AMOUNT.toString(), formatted: "1000.0" });
+            expect(json.schedules[0].history[1].transactionHash).to.equal(hashes.claims[0]);
+            expect(json.calendar[0].start).to.equal(statement.calendar[0].start.toISOString());
+        });
+    });
+
+    describe("Task", function () {
+        it("Should write the statement as Markdown, HTML and JSON", async function () {
+            await createHistory();
+            const out = fs.mkdtempSync(path.join(os.tmpdir(), "statements-"));
+
+            const { statement, files } = await hre.run("vesting:statement", {
+                vesting: tokenVesting.target,
+                beneficiary: beneficiary.address,
+                period: "week",
+                out
+            });
+
+            expect(files.map((file) => path.basename(file))).to.deep.equal(
+                ["md", "html", "json"].map((extension) => `${beneficiary.address}.${extension}`)
+            );
+            expect(fs.readFileSync(files[0], "utf8")).to.equal(statementToMarkdown(statement));
+            expect(JSON.parse(fs.readFileSync(files[2], "utf8")).period).to.equal("week");
+
+            await expect(hre.run("vesting:statement", { vesting: tokenVesting.target, beneficiary: beneficiary.address, period: "year", out }))
+                .to.be.rejectedWith("--period must be week or month");
+            fs.rmSync(out, { recursive: true, force: true });
+        });
+    });
+});
@@ -0,0 +1,468 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../sdk");
+const { resolveAddress } = require("../sdk/deployments");
+const { createRelayServer } = require("../sdk/relayer");
+const { tokenVestingFactory } = require("./helpers/vesting");
+
+describe("Vesting tasks", function () {
+    let tokenVesting;
+    let mockToken;
+    let owner;
+    let beneficiary;
+    let newBeneficiary;
+    let vesting;
+
+    const CLIFF_DURATION = 30 * 24 * 60 * 60;
+    const VESTING_DURATION = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+        [owner, beneficiary, newBeneficiary] = await ethers.getSigners();
+
+        const MockToken = await ethers.getContractFactory("MockToken");
+        mockToken = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+        const TokenVesting = await tokenVestingFactory();
+        tokenVesting = await TokenVesting.deploy();
+        vesting = tokenVesting.target;
+    });
+
+    async function createSchedule(overrides = {}) {
+        const start = String(await time.latest() + 100);
+        return hre.run("vesting:create", {
+            vesting,
+            beneficiary: owner.address,
+            token: mockToken.target,
+            amount: "1000",
+            start,
+            cliff: CLIFF_DURATION,
+            duration: VESTING_DURATION,
+            revocable: true,
+            ...overrides
+        });
+    }
+
+    describe("Address resolution", function () {
+        it("Should read the TokenVesting address from a deployments file", function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+            fs.writeFileSync(path.join(dir, "amoy.json"), JSON.stringify({
+                contracts: { TokenVesting: { address: vesting } }
+            }));
+
+            expect(resolveAddress("amoy", "TokenVesting", dir)).to.equal(vesting);
+            expect(() => resolveAddress("polygon", "TokenVesting", dir)).to.throw('No TokenVesting address recorded for network "polygon"');
+
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("Should fail clearly without an address or deployments file", async function () {
+            await expect(hre.run("vesting:show", { id: "0" })).to.be.rejectedWith("No TokenVesting address recorded");
+        });
+    });
+
+    describe("vesting:create", function () {
+        it("Should approve and create a schedule", async function () {
+            const { scheduleId } = await createSchedule();
+
+            expect(scheduleId).to.equal(0n);
+            const schedule = await tokenVesting.getVestingSchedule(0);
+            expect(schedule.totalAmount).to.equal(ethers.parseEther("1000"));
+            expect(schedule.revocable).to.be.true;
+        });
+
+        it("Should only simulate with --dry-run", async function () {
+            await mockToken.approve(vesting, ethers.parseEther("1000"));
+
+            const result = await createSchedule({ dryRun: true });
+
+            expect(result).to.deep.equal({ scheduleId: 0n, dryRun: true });
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+        });
+
+        it("Should report a missing approval on a dry run", async function () {
+            expect(await createSchedule({ dryRun: true })).to.be.null;
+        });
+
+        it("Should vest, claim and withdraw native currency with --token native", async function () {
+            expect(await createSchedule({ token: "native", amount: "2", dryRun: true })).to.deep.equal({ scheduleId: 0n, dryRun: true });
+            await createSchedule({ token: "native", amount: "2" });
+            expect(await tokenVesting.totalLockedTokens(sdk.NATIVE_TOKEN)).to.equal(ethers.parseEther("2"));
+
+            await time.increase(VESTING_DURATION + 100);
+            const { amount } = await hre.run("vesting:claim", { vesting, token: "native" });
+            expect(amount).to.equal(ethers.parseEther("2"));
+
+            await setBalance(vesting, ethers.parseEther("0.5"));
+            const surplus = await hre.run("vesting:withdraw-surplus", { vesting, token: "native" });
+            expect(surplus.amount).to.equal(ethers.parseEther("0.5"));
+        });
+    });
+
+    describe("vesting:create-curve", function () {
+        it("Should preview the timeline, then create the schedule", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "curve-"));
+            const table = path.join(dir, "unlocks.txt");
+            fs.writeFileSync(table, "10% at TGE\n0% for 6 months\n15% quarterly\n");
+            const args = {
+                vesting,
+                beneficiary: owner.address,
+                token: mockToken.target,
+                amount: "1000",
+                table,
+                tge: String(await time.latest() + 100)
+            };
+
+            const preview = await hre.run("vesting:create-curve", { ...args, dryRun: true });
+            expect(preview.timeline.map((point) => ethers.formatEther(point.change))).to.deep.equal([
+                "100.0", "150.0", "150.0", "150.0", "150.0", "150.0", "150.0"
+            ]);
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+
+            const { scheduleId } = await hre.run("vesting:create-curve", args);
+            expect(await tokenVesting.getScheduleCheckpoints(scheduleId)).to.have.length(preview.checkpoints.length);
+
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe("Schedule operations", function () {
+        beforeEach(async function () {
+            await createSchedule();
+        });
+
+        it("Should show a schedule and list a beneficiary's schedules", async function () {
+            const view = await hre.run("vesting:show", { vesting, id: "0" });
+            expect(view.totalAmount.formatted).to.equal("1000.0");
+            expect(view.nextUnlock).to.not.be.null;
+
+            const views = await hre.run("vesting:list", { vesting, beneficiary: owner.address });
+            expect(views.map((item) => item.id)).to.deep.equal([0n]);
+        });
+
+        it("Should simulate and then send a claim", async function () {
+            await time.increase(VESTING_DURATION + 100);
+
+            const dryRun = await hre.run("vesting:claim", { vesting, ids: ["0"], dryRun: true });
+            expect(dryRun.amount).to.equal(ethers.parseEther("1000"));
+            expect(await mockToken.balanceOf(vesting)).to.equal(ethers.parseEther("1000"));
+
+            const { amount } = await hre.run("vesting:claim", { vesting, ids: ["0"] });
+            expect(amount).to.equal(ethers.parseEther("1000"));
+            expect(await mockToken.balanceOf(vesting)).to.equal(0);
+        });
+
+        it("Should surface contract reverts on a dry run", async function () {
+            await createSchedule({ beneficiary: beneficiary.address });
+            await time.increase(VESTING_DURATION + 100);
+
+            await expect(
+                hre.run("vesting:claim", { vesting, ids: ["1"], dryRun: true })
+            ).to.be.rejectedWith("Not the beneficiary");
+        });
+
+        it("Should claim several schedules, or all of a token, in one transaction", async function () {
+            await createSchedule();
+            await createSchedule();
+            await time.increase(VESTING_DURATION + 100);
+
+            const dryRun = await hre.run("vesting:claim", { vesting, ids: ["0", "1"], dryRun: true });
+            expect(dryRun.claimed.map((item) => item.scheduleId)).to.deep.equal([0n, 1n]);
+            expect(dryRun.amount).to.equal(ethers.parseEther("2000"));
+
+            const many = await hre.run("vesting:claim", { vesting, ids: ["0", "1"] });
+            expect(many.amount).to.equal(ethers.parseEther("2000"));
+
+            const all = await hre.run("vesting:claim", { vesting, token: mockToken.target });
+            expect(all.claimed).to.deep.equal([{ scheduleId: 2n, amount: ethers.parseEther("1000") }]);
+            expect(await mockToken.balanceOf(vesting)).to.equal(0);
+
+            await expect(hre.run("vesting:claim", { vesting })).to.be.rejectedWith("Pass either schedule IDs or --token");
+        });
+
+        it("Should sign a gasless claim and hand it to a relayer", async function () {
+            await time.increase(VESTING_DURATION + 100);
+            const relayer = sdk.getTokenVesting(vesting, beneficiary);
+
+            const { claim } = await hre.run("vesting:sign-claim", { vesting, id: "0", recipient: newBeneficiary.address });
+            expect(claim.scheduleId).to.equal("0");
+            await sdk.claimWithSignature(relayer, claim);
+            expect(await mockToken.balanceOf(newBeneficiary.address)).to.equal(ethers.parseEther("1000"));
+
+            await createSchedule();
+            await time.increase(VESTING_DURATION + 100);
+            const server = createRelayServer(relayer);
+            await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+            try {
+                const { amount } = await hre.run("vesting:sign-claim", {
+                    vesting,
+                    id: "1",
+                    relayer: `http://127.0.0.1:${server.address().port}`
+                });
+                expect(amount).to.equal(ethers.parseEther("1000"));
+            } finally {
+                await new Promise((resolve) => server.close(resolve));
+            }
+        });
+
+        it("Should simulate and then send a revocation", async function () {
+            const dryRun = await hre.run("vesting:revoke", { vesting, id: "0", dryRun: true });
+            expect(dryRun.unvestedAmount).to.equal(ethers.parseEther("1000"));
+            expect((await tokenVesting.getVestingSchedule(0)).revoked).to.be.false;
+
+            await hre.run("vesting:revoke", { vesting, id: "0" });
+            expect((await tokenVesting.getVestingSchedule(0)).revoked).to.be.true;
+        });
+
+        it("Should announce, cancel and then finalize a scheduled revocation", async function () {
+            await hre.run("vesting:revocation-grace-period", { vesting, seconds: 7 * 24 * 60 * 60 });
+            expect((await hre.run("vesting:revocation-grace-period", { vesting })).gracePeriod).to.equal(7 * 24 * 60 * 60);
+            await expect(hre.run("vesting:revoke", { vesting, id: "0" })).to.be.rejectedWith("Revocation must be announced");
+
+            const at = await time.latest() + 10 * 24 * 60 * 60;
+            await hre.run("vesting:revoke", { vesting, id: "0", at: String(at), dryRun: true });
+            expect(await tokenVesting.revocationTimes(0)).to.equal(0);
+
+            await hre.run("vesting:revoke", { vesting, id: "0", at: new Date(at * 1000).toISOString() });
+            expect(await tokenVesting.revocationTimes(0)).to.equal(at);
+            await hre.run("vesting:cancel-revocation", { vesting, id: "0" });
+            expect(await tokenVesting.revocationTimes(0)).to.equal(0);
+
+            await hre.run("vesting:revoke", { vesting, id: "0", at: String(at) });
+            await time.increaseTo(at);
+            await hre.run("vesting:revoke", { vesting, id: "0" });
+            expect((await tokenVesting.getVestingSchedule(0)).revoked).to.be.true;
+        });
+
+        it("Should simulate and then send amendments", async function () {
+            const dryRun = await hre.run("vesting:amend", { vesting, id: "0", amount: "600", dryRun: true });
+            expect(dryRun.returned).to.equal(ethers.parseEther("400"));
+            expect((await tokenVesting.getVestingSchedule(0)).totalAmount).to.equal(ethers.parseEther("1000"));
+
+            const balance = await mockToken.balanceOf(owner.address);
+            await hre.run("vesting:amend", { vesting, id: "0", amount: "600" });
+            expect(await mockToken.balanceOf(owner.address)).to.equal(balance + ethers.parseEther("400"));
+
+            // Top-ups need an approval the dry run cannot make
+            expect(await hre.run("vesting:amend", { vesting, id: "0", amount: "800", dryRun: true })).to.be.null;
+            const { topUp } = await hre.run("vesting:amend", { vesting, id: "0", amount: "800", duration: VESTING_DURATION * 2 });
+            expect(topUp).to.equal(ethers.parseEther("200"));
+
+            const schedule = await tokenVesting.getVestingSchedule(0);
+            expect(schedule.totalAmount).to.equal(ethers.parseEther("800"));
+            expect(schedule.vestingDuration).to.equal(VESTING_DURATION * 2);
+            await expect(hre.run("vesting:amend", { vesting, id: "0" })).to.be.rejectedWith("Pass --amount, --duration or both");
+        });
+
+        it("Should reject transfers of schedules created without a transfer policy", async function () {
+            await expect(
+                hre.run("vesting:transfer", { vesting, id: "0", to: newBeneficiary.address, dryRun: true })
+            ).to.be.rejectedWith("Transfers are disabled");
+        });
+
+        it("Should simulate, propose and cancel a transfer", async function () {
+            await createSchedule({ transferPolicy: "free" });
+
+            await hre.run("vesting:transfer", { vesting, id: "1", to: newBeneficiary.address, dryRun: true });
+            expect((await tokenVesting.pendingTransfers(1)).newBeneficiary).to.equal(ethers.ZeroAddress);
+
+            await hre.run("vesting:transfer", { vesting, id: "1", to: newBeneficiary.address });
+            expect((await tokenVesting.pendingTransfers(1)).newBeneficiary).to.equal(newBeneficiary.address);
+
+            await hre.run("vesting:cancel-transfer", { vesting, id: "1" });
+            expect((await tokenVesting.pendingTransfers(1)).newBeneficiary).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should approve a transfer for the new beneficiary to accept", async function () {
+            await createSchedule({ transferPolicy: "creator-approved" });
+            await hre.run("vesting:transfer", { vesting, id: "1", to: newBeneficiary.address });
+
+            await hre.run("vesting:approve-transfer", { vesting, id: "1", to: newBeneficiary.address });
+            expect((await hre.run("vesting:show", { vesting, id: "1" })).pendingTransfer.approved).to.be.true;
+
+            await tokenVesting.connect(newBeneficiary).acceptScheduleTransfer(1);
+            expect((await tokenVesting.getVestingSchedule(1)).beneficiary).to.equal(newBeneficiary.address);
+        });
+
+        it("Should reject unknown transfer policies", async function () {
+            await expect(createSchedule({ transferPolicy: "sometimes" })).to.be.rejectedWith('invalid transferPolicy "sometimes"');
+        });
+    });
+
+    describe("Factory instances", function () {
+        it("Should create, list and use an instance", async function () {
+            const Factory = await ethers.getContractFactory("TokenVestingFactory");
+            const factory = (await Factory.deploy(vesting)).target;
+
+            const dryRun = await hre.run("vesting:create-instance", { factory, name: "acme", dryRun: true });
+            expect(await ethers.provider.getCode(dryRun.address)).to.equal("0x");
+
+            const { address } = await hre.run("vesting:create-instance", { factory, name: "acme", admin: beneficiary.address });
+            expect(address).to.equal(dryRun.address);
+            expect(await hre.run("vesting:instances", { factory })).to.deep.equal([{ address, admin: beneficiary.address }]);
+
+            await createSchedule({ vesting: address });
+            expect(await mockToken.balanceOf(address)).to.equal(ethers.parseEther("1000"));
+            expect(await tokenVesting.nextScheduleId()).to.equal(0);
+        });
+    });
+
+    describe("Vesting positions", function () {
+        it("Should enable positions before the first schedule", async function () {
+            await hre.run("vesting:enable-positions", { vesting, dryRun: true });
+            expect(await tokenVesting.positionNFT()).to.equal(ethers.ZeroAddress);
+
+            const { address } = await hre.run("vesting:enable-positions", { vesting });
+            expect(await tokenVesting.positionNFT()).to.equal(address);
+            await expect(hre.run("vesting:enable-positions", { vesting })).to.be.rejectedWith("Positions are already enabled");
+
+            await createSchedule();
+            const positions = await sdk.getVestingPositions(sdk.getTokenVesting(vesting, owner));
+            expect(await positions.ownerOf(0)).to.equal(owner.address);
+        });
+    });
+
+    describe("Admin tasks", function () {
+        it("Should pause and unpause", async function () {
+            await hre.run("vesting:pause", { vesting, dryRun: true });
+            expect(await tokenVesting.paused()).to.be.false;
+
+            await hre.run("vesting:pause", { vesting });
+            expect(await tokenVesting.paused()).to.be.true;
+
+            const { unusedPauseTime } = await hre.run("vesting:unpause", { vesting });
+            expect(await tokenVesting.paused()).to.be.false;
+            expect(unusedPauseTime).to.equal(await tokenVesting.unusedPauseTime());
+            expect(unusedPauseTime > 0n).to.be.true;
+
+            // The rest of the pause can be used straight away
+            await hre.run("vesting:status", { vesting });
+            await hre.run("vesting:pause", { vesting });
+            expect(await tokenVesting.paused()).to.be.true;
+        });
+
+        it("Should unpause a pause that has lapsed", async function () {
+            await hre.run("vesting:pause", { vesting });
+            await time.increase(31 * 24 * 60 * 60);
+            expect(await tokenVesting.paused()).to.be.false;
+
+            const { nextPauseDate } = await hre.run("vesting:unpause", { vesting });
+            const { pausedUntil } = await hre.run("vesting:status", { vesting });
+            expect(pausedUntil).to.be.null;
+            expect(nextPauseDate).to.deep.equal(new Date(Number(await tokenVesting.pauseEndTime() + 7n * 24n * 60n * 60n) * 1000));
+            await expect(hre.run("vesting:pause", { vesting })).to.be.rejectedWith("Pause cooldown not over");
+        });
+
+        it("Should report the pause timeout and shut down", async function () {
+            const { pausedUntil } = await hre.run("vesting:pause", { vesting });
+            const pausedAt = await time.latest();
+            expect(pausedUntil).to.deep.equal(new Date((pausedAt + 30 * 24 * 60 * 60) * 1000));
+            expect((await hre.run("vesting:status", { vesting })).pausedUntil).to.deep.equal(pausedUntil);
+
+            await hre.run("vesting:shutdown", { vesting, dryRun: true });
+            expect(await tokenVesting.shutdownTime()).to.equal(0);
+
+            const { shutdownTime } = await hre.run("vesting:shutdown", { vesting });
+            expect(shutdownTime).to.equal(BigInt(await time.latest() + 30 * 24 * 60 * 60));
+            expect((await hre.run("vesting:status", { vesting })).shutdownDate).to.deep.equal(new Date(Number(shutdownTime) * 1000));
+
+            await time.increaseTo(shutdownTime);
+            expect((await hre.run("vesting:status", { vesting })).paused).to.be.false;
+            await expect(createSchedule()).to.be.rejectedWith("Shutdown announced");
+        });
+
+        it("Should withdraw only the surplus", async function () {
+            await createSchedule();
+            await mockToken.transfer(vesting, ethers.parseEther("25"));
+
+            const dryRun = await hre.run("vesting:withdraw-surplus", { vesting, token: mockToken.target, dryRun: true });
+            expect(dryRun.amount).to.equal(ethers.parseEther("25"));
+
+            await expect(
+                hre.run("vesting:withdraw-surplus", { vesting, token: mockToken.target, amount: "26", dryRun: true })
+            ).to.be.rejectedWith("Cannot withdraw locked tokens");
+
+            await hre.run("vesting:withdraw-surplus", { vesting, token: mockToken.target, to: newBeneficiary.address });
+            expect(await mockToken.balanceOf(newBeneficiary.address)).to.equal(ethers.parseEther("25"));
+            expect(await mockToken.balanceOf(vesting)).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should show and set a token's deposit policy", async function () {
+            expect((await hre.run("vesting:deposit-policy", { vesting, token: mockToken.target })).policy).to.equal("exact");
+
+            await hre.run("vesting:deposit-policy", { vesting, token: mockToken.target, policy: "received", dryRun: true });
+            expect(await tokenVesting.depositPolicy(mockToken.target)).to.equal(0);
+
+            await hre.run("vesting:deposit-policy", { vesting, token: mockToken.target, policy: "received" });
+            expect((await hre.run("vesting:deposit-policy", { vesting, token: mockToken.target })).policy).to.equal("received");
+
+            await expect(
+                hre.run("vesting:deposit-policy", { vesting, token: mockToken.target, policy: "lenient" })
+            ).to.be.rejectedWith("Unknown policy");
+        });
+
+        it("Should grant, list and revoke roles", async function () {
+            await hre.run("vesting:grant-role", { vesting, role: "revoker", account: beneficiary.address, dryRun: true });
+            expect(await tokenVesting.hasRole(sdk.Roles.REVOKER, beneficiary.address)).to.be.false;
+
+            await hre.run("vesting:grant-role", { vesting, role: "revoker", account: beneficiary.address });
+            await hre.run("vesting:grant-role", { vesting, role: "schedule-manager", account: beneficiary.address });
+
+            const { members } = await hre.run("vesting:roles", { vesting });
+            expect(members.PAUSER).to.deep.equal([owner.address]);
+            expect(members.REVOKER).to.deep.equal([beneficiary.address]);
+
+            await hre.run("vesting:revoke-role", { vesting, role: "schedule-manager", account: beneficiary.address });
+            const { roles } = await hre.run("vesting:roles", { vesting, account: beneficiary.address });
+            expect(roles).to.deep.equal(["revoker"]);
+
+            await expect(
+                hre.run("vesting:grant-role", { vesting, role: "auditor", account: beneficiary.address })
+            ).to.be.rejectedWith('Unknown role "auditor"');
+            await expect(
+                hre.run("vesting:grant-role", { vesting, role: "default-admin", account: beneficiary.address })
+            ).to.be.rejectedWith("vesting:transfer-admin");
+        });
+
+        it("Should restrict tokens and creators and flag schedules of removed tokens", async function () {
+            await hre.run("vesting:allow-token", { vesting, token: mockToken.target });
+            await hre.run("vesting:allowlist", { vesting, tokens: "restricted", dryRun: true });
+            expect(await tokenVesting.tokenAllowlistEnabled()).to.be.false;
+
+            await hre.run("vesting:allowlist", { vesting, tokens: "restricted" });
+            await createSchedule();
+
+            await hre.run("vesting:allow-token", { vesting, token: mockToken.target, remove: true });
+            expect((await hre.run("vesting:show", { vesting, id: "0" })).tokenAllowed).to.be.false;
+            await expect(createSchedule()).to.be.rejectedWith("Token not allowed");
+
+            await hre.run("vesting:allow-creator", { vesting, creator: beneficiary.address });
+            await hre.run("vesting:allowlist", { vesting, creators: "restricted" });
+            const allowlists = await hre.run("vesting:allowlist", { vesting });
+            expect(allowlists).to.deep.equal({
+                tokenAllowlistEnabled: true,
+                creatorAllowlistEnabled: true,
+                tokens: [],
+                creators: [beneficiary.address]
+            });
+
+            await expect(hre.run("vesting:allowlist", { vesting, tokens: "closed" })).to.be.rejectedWith('Unknown allowlist mode "closed"');
+        });
+
+        it("Should start a default admin handover", async function () {
+            const { acceptFrom } = await hre.run("vesting:transfer-admin", { vesting, to: beneficiary.address });
+            expect(acceptFrom.getTime()).to.equal((await time.latest() + 24 * 60 * 60) * 1000);
+
+            const { pendingAdmin } = await hre.run("vesting:roles", { vesting });
+            expect(pendingAdmin).to.equal(beneficiary.address);
+
+            await expect(
+                hre.run("vesting:accept-admin", { vesting, dryRun: true })
+            ).to.be.rejectedWith("AccessControlInvalidDefaultAdmin");
+        });
+    });
+});